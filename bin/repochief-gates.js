@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+
+/**
+ * repochief-gates CLI entry point
+ */
+
+const { main } = require('../src/cli');
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
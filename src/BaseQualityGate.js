@@ -4,6 +4,15 @@
  */
 
 const EventEmitter = require('events');
+const { normalizeResult, createErrorResult, createInterruptedResult, ResultSchemaError } = require('./ResultSchema');
+const {
+    GateInterruptedError,
+    timeoutReason,
+    interruptionStatus,
+    interruptionMessage,
+    anySignal,
+    settleWithin
+} = require('./Cancellation');
 
 class BaseQualityGate extends EventEmitter {
     constructor(options = {}) {
@@ -15,6 +24,14 @@ class BaseQualityGate extends EventEmitter {
         this.timeout = options.timeout || 30000; // 30 seconds default
         this.retryCount = options.retryCount || 0;
         this.failureThreshold = options.failureThreshold || 1;
+        this.strictSchema = options.strictSchema || false;
+        // How long execute() gets to return partial results once its signal aborts
+        this.abortGrace = options.abortGrace ?? 1000;
+        
+        // 'file' gates run once per file in multi-file mode, 'project' gates once per file map
+        this.scope = options.scope || this.constructor.scope || 'file';
+        // Gates with fix() apply their fixes in ascending fixOrder (QualityRunner#fix)
+        this.fixOrder = options.fixOrder ?? this.constructor.fixOrder ?? 100;
     }
     
     /**
@@ -27,44 +44,52 @@ class BaseQualityGate extends EventEmitter {
     
     /**
      * Run the gate with error handling and retries
+     * Aborting `context.signal` stops the gate with a 'cancelled' result (or 'timeout'
+     * when the signal's reason is a TimeoutError); interrupted runs are not retried
      */
     async run(code, context = {}) {
         if (!this.enabled) {
-            return {
+            return normalizeResult({
                 status: 'skipped',
                 gate: this.name,
                 reason: 'Gate is disabled'
-            };
+            });
         }
         
         let lastError;
         let attempts = 0;
         
         while (attempts <= this.retryCount) {
+            const startTime = Date.now();
             try {
-                const startTime = Date.now();
-                
                 // Run with timeout
                 const result = await this.executeWithTimeout(code, context);
                 
                 const duration = Date.now() - startTime;
                 
-                // Emit result
-                this.emit('complete', {
-                    gate: this.name,
-                    status: result.status,
+                const normalized = this.normalizeResult(result, {
                     duration,
                     attempts: attempts + 1
                 });
                 
-                return {
-                    ...result,
+                // Emit result
+                this.emit('complete', {
                     gate: this.name,
+                    status: normalized.status,
                     duration,
                     attempts: attempts + 1
-                };
+                });
+                
+                return normalized;
                 
             } catch (error) {
+                if (error instanceof GateInterruptedError) {
+                    return this.interruptedResult(error, {
+                        duration: Date.now() - startTime,
+                        attempts: attempts + 1
+                    });
+                }
+                
                 lastError = error;
                 attempts++;
                 
@@ -82,35 +107,124 @@ class BaseQualityGate extends EventEmitter {
         }
         
         // All attempts failed
-        return {
-            status: 'error',
-            gate: this.name,
-            error: lastError.message,
+        return createErrorResult(this.name, lastError, {
             details: {
                 attempts,
                 lastError: lastError.stack
             }
-        };
+        });
+    }
+    
+    /**
+     * Normalize raw execute() output into the canonical result schema
+     * Results that cannot be repaired become an error result with diagnostics
+     */
+    normalizeResult(result, extra = {}) {
+        try {
+            const raw = result && typeof result === 'object' && !Array.isArray(result)
+                ? { ...result, gate: this.name, ...extra }
+                : result;
+            
+            return normalizeResult(raw, { gate: this.name, strict: this.strictSchema });
+        } catch (error) {
+            if (!(error instanceof ResultSchemaError)) {
+                throw error;
+            }
+            this.emit('schema-error', {
+                gate: this.name,
+                error: error.message,
+                diagnostics: error.diagnostics
+            });
+            return createErrorResult(this.name, error, {
+                diagnostics: [error.message, ...error.diagnostics],
+                ...extra
+            });
+        }
+    }
+    
+    /**
+     * Canonical result for an interrupted run, keeping what execute() returned in time
+     */
+    interruptedResult(error, extra = {}) {
+        const result = this.normalizeResult(createInterruptedResult(this.name, error.status, error, error.partial), extra);
+        
+        this.emit('complete', {
+            gate: this.name,
+            status: result.status,
+            duration: extra.duration,
+            attempts: extra.attempts
+        });
+        
+        return result;
     }
     
     /**
      * Execute with timeout
+     * execute() gets `context.signal`, which aborts on timeout or when the caller's
+     * signal does; it then has `abortGrace` ms to return what it has
+     * @throws {GateInterruptedError} When the signal aborted
      */
     async executeWithTimeout(code, context) {
-        return new Promise(async (resolve, reject) => {
-            const timer = setTimeout(() => {
-                reject(new Error(`Gate ${this.name} timed out after ${this.timeout}ms`));
-            }, this.timeout);
+        const controller = new AbortController();
+        const signal = anySignal([context.signal, controller.signal]);
+        if (signal.aborted) {
+            throw new GateInterruptedError(interruptionMessage(signal), interruptionStatus(signal));
+        }
+        
+        const timer = setTimeout(() => {
+            controller.abort(timeoutReason(`Gate ${this.name} timed out after ${this.timeout}ms`));
+        }, this.timeout);
+        
+        try {
+            const execution = Promise.resolve().then(() => this.execute(code, { ...context, signal }));
+            const outcome = await settleWithin(execution, signal, this.abortGrace);
             
-            try {
-                const result = await this.execute(code, context);
-                clearTimeout(timer);
-                resolve(result);
-            } catch (error) {
-                clearTimeout(timer);
-                reject(error);
+            if (outcome.aborted) {
+                throw new GateInterruptedError(interruptionMessage(signal), interruptionStatus(signal), this.partialResult(outcome));
             }
-        });
+            if (outcome.error) {
+                throw outcome.error;
+            }
+            return outcome.value;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    
+    /**
+     * Canonical form of what execute() returned after being interrupted
+     * Errors (usually the abort itself) carry nothing worth keeping
+     */
+    partialResult(outcome) {
+        if (!outcome.settled || !outcome.value || typeof outcome.value !== 'object') {
+            return null;
+        }
+        try {
+            const partial = normalizeResult({ ...outcome.value, gate: this.name }, { gate: this.name });
+            return partial.status === 'error' ? null : partial;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Describe a rule this gate can report
+     * Subclasses document their rules in a static `rules` map
+     * @param {string} ruleId - Rule id as it appears in issues
+     * @returns {Object|null} Rule documentation, or null if unknown
+     */
+    describeRule(ruleId) {
+        const rules = this.constructor.rules || {};
+        
+        if (!Object.prototype.hasOwnProperty.call(rules, ruleId)) {
+            return null;
+        }
+        
+        return {
+            id: ruleId,
+            gate: this.name,
+            ...rules[ruleId]
+        };
     }
     
     /**
@@ -0,0 +1,132 @@
+/**
+ * Cancellation
+ * Helpers for threading an AbortSignal from the runner through gates into
+ * the work they start (linting, spawned processes)
+ *
+ * The reason of an aborted signal tells a timeout (an Error named
+ * 'TimeoutError') from a cancellation (anything else).
+ */
+
+/**
+ * Raised by BaseQualityGate when execute() was cut short by its signal
+ * `partial` is the canonical result execute() returned within the grace period, if any
+ */
+class GateInterruptedError extends Error {
+    constructor(message, status, partial = null) {
+        super(message);
+        this.name = 'GateInterruptedError';
+        this.status = status;
+        this.partial = partial;
+    }
+}
+
+/**
+ * Abort reason for a timeout
+ */
+function timeoutReason(message) {
+    const error = new Error(message);
+    error.name = 'TimeoutError';
+    return error;
+}
+
+/**
+ * Abort reason for a cancellation
+ */
+function cancelReason(message = 'Cancelled') {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Result status for an aborted signal
+ * @returns {string} 'timeout' or 'cancelled'
+ */
+function interruptionStatus(signal) {
+    return signal.reason && signal.reason.name === 'TimeoutError' ? 'timeout' : 'cancelled';
+}
+
+/**
+ * Human-readable reason of an aborted signal
+ */
+function interruptionMessage(signal) {
+    const reason = signal.reason;
+    if (reason instanceof Error) return reason.message;
+    return reason === undefined ? 'Cancelled' : String(reason);
+}
+
+/**
+ * Throw the signal's reason when it has been aborted; no-op without a signal
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw signal.reason instanceof Error ? signal.reason : cancelReason(interruptionMessage(signal));
+    }
+}
+
+/**
+ * A signal that aborts when any of the given signals does
+ * Uses AbortSignal.any() where Node has it (20.3+), else a controller listening to each signal
+ * @param {Array<AbortSignal|undefined>} signals - Missing entries are ignored
+ */
+function anySignal(signals) {
+    const present = signals.filter(Boolean);
+    if (present.length === 1) return present[0];
+    if (typeof AbortSignal.any === 'function') return AbortSignal.any(present);
+
+    const controller = new AbortController();
+    const aborted = present.find(signal => signal.aborted);
+    if (aborted) {
+        controller.abort(aborted.reason);
+        return controller.signal;
+    }
+
+    const listeners = present.map(signal => {
+        const onAbort = () => {
+            for (const [other, listener] of listeners) other.removeEventListener('abort', listener);
+            controller.abort(signal.reason);
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        return [signal, onAbort];
+    });
+    return controller.signal;
+}
+
+/**
+ * Wait for a promise, but no longer than `grace` ms after the signal aborts
+ * @returns {Promise<{settled: boolean, value?: *, error?: Error, aborted: boolean}>} `settled`
+ *   is false when the promise was given up on; `aborted` whether the signal had aborted by then
+ */
+function settleWithin(promise, signal, grace) {
+    return new Promise(resolve => {
+        let timer = null;
+        const onAbort = () => {
+            timer = setTimeout(() => resolve({ settled: false, aborted: true }), grace);
+        };
+        const done = outcome => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve({ ...outcome, aborted: Boolean(signal && signal.aborted) });
+        };
+
+        promise.then(value => done({ settled: true, value }), error => done({ settled: true, error }));
+        if (signal) {
+            if (signal.aborted) {
+                onAbort();
+            } else {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        }
+    });
+}
+
+module.exports = {
+    GateInterruptedError,
+    timeoutReason,
+    cancelReason,
+    interruptionStatus,
+    interruptionMessage,
+    throwIfAborted,
+    anySignal,
+    settleWithin
+};
@@ -0,0 +1,537 @@
+/**
+ * Quality Gate Config Loader
+ * Reads declarative gate configuration from `.repochief/quality.yml`,
+ * `.repochiefrc*` or the `repochief.quality` key of package.json
+ *
+ * Example `.repochief/quality.yml`:
+ *
+ *   extends: repochief:recommended
+ *   runner:
+ *     parallel: true
+ *     continueOnFailure: false
+ *     timeout: 60000
+ *   gates:
+ *     eslint:
+ *       options:
+ *         rules: { no-console: 'off' }
+ *     complexity:
+ *       thresholds:
+ *         maxCyclomaticComplexity: 8
+ *     test:
+ *       enabled: false
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const CONFIG_FILES = [
+    '.repochief/quality.yml',
+    '.repochief/quality.yaml',
+    '.repochief/quality.json',
+    '.repochiefrc',
+    '.repochiefrc.yml',
+    '.repochiefrc.yaml',
+    '.repochiefrc.json'
+];
+
+const TOP_LEVEL_KEYS = ['extends', 'runner', 'gates'];
+
+const RUNNER_OPTIONS = {
+    parallel: 'boolean',
+    continueOnFailure: 'boolean',
+    timeout: 'number'
+};
+
+const GATE_KEYS = ['type', 'enabled', 'options', 'thresholds'];
+
+/**
+ * Built-in presets usable from `extends`
+ */
+const PRESETS = {
+    'repochief:recommended': {
+        gates: {
+            eslint: {},
+            security: {},
+            complexity: {}
+        }
+    },
+    'repochief:strict': {
+        extends: 'repochief:recommended',
+        runner: {
+            continueOnFailure: false
+        },
+        gates: {
+            test: {},
+            complexity: {
+                thresholds: {
+                    maxCyclomaticComplexity: 8,
+                    maxCognitiveComplexity: 10,
+                    maxLinesPerFunction: 40,
+                    minMaintainabilityIndex: 20
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Raised for unreadable, unparsable or invalid config files
+ * Carries the file and, when it can be found, the line of the failing key
+ */
+class ConfigError extends Error {
+    constructor(message, { file, line, column, keyPath } = {}) {
+        const location = file
+            ? `${file}${line ? `:${line}${column ? `:${column}` : ''}` : ''}: `
+            : '';
+        super(`${location}${message}`);
+        this.name = 'ConfigError';
+        this.code = 'INVALID_QUALITY_CONFIG';
+        this.file = file;
+        this.line = line;
+        this.column = column;
+        this.keyPath = keyPath;
+    }
+}
+
+class ConfigLoader {
+    constructor(options = {}) {
+        this.cwd = options.cwd || process.cwd();
+        this.presets = { ...PRESETS, ...options.presets };
+        this.gateTypes = options.gateTypes || null;
+    }
+
+    /**
+     * Find the nearest config file, walking up from a directory
+     * @param {string} startDir - Directory to start searching from
+     * @returns {{file: string, key: string|null}|null} Config location
+     */
+    find(startDir = this.cwd) {
+        let dir = path.resolve(startDir);
+
+        while (true) {
+            for (const name of CONFIG_FILES) {
+                const file = path.join(dir, name);
+                if (fs.existsSync(file)) {
+                    return { file, key: null };
+                }
+            }
+
+            const packageJson = path.join(dir, 'package.json');
+            if (fs.existsSync(packageJson)) {
+                try {
+                    const pkg = JSON.parse(fs.readFileSync(packageJson, 'utf8'));
+                    if (pkg.repochief && pkg.repochief.quality) {
+                        return { file: packageJson, key: 'repochief.quality' };
+                    }
+                } catch (error) {
+                    // Unreadable package.json is not our config, keep looking
+                }
+            }
+
+            const parent = path.dirname(dir);
+            if (parent === dir) {
+                return null;
+            }
+            dir = parent;
+        }
+    }
+
+    /**
+     * Find and load the nearest config
+     * @param {string} startDir - Directory to start searching from
+     * @returns {Object|null} Resolved config, or null if none was found
+     */
+    loadFromDirectory(startDir = this.cwd) {
+        const found = this.find(startDir);
+        return found ? this.load(found.file, { key: found.key }) : null;
+    }
+
+    /**
+     * Load a config file and everything it extends
+     * @param {string} file - Config file path
+     * @param {Object} options - Load options
+     * @param {string} options.key - Dotted key to read from a package.json
+     * @returns {Object} Resolved config with `sources` listing every file read
+     */
+    load(file, options = {}) {
+        return this._load(path.resolve(this.cwd, file), options.key || null, []);
+    }
+
+    /**
+     * Load a config from an in-memory object
+     * @param {Object} config - Raw config
+     * @param {string} baseDir - Directory `extends` paths resolve against
+     * @returns {Object} Resolved config
+     */
+    loadObject(config, baseDir = this.cwd) {
+        const source = { file: '<inline>', text: null };
+        this.validate(config, source);
+        return this._resolveExtends(config, baseDir, source, []);
+    }
+
+    _load(file, key, chain) {
+        if (chain.includes(file)) {
+            throw new ConfigError(`Circular extends: ${[...chain, file].join(' -> ')}`, { file });
+        }
+
+        let text;
+        try {
+            text = fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            throw new ConfigError(`Cannot read config: ${error.message}`, { file });
+        }
+
+        const source = { file, text, key };
+        let config = this.parse(text, source);
+
+        if (key) {
+            for (const segment of key.split('.')) {
+                config = config && config[segment];
+            }
+            source.prefix = key.split('.');
+        }
+
+        if (config === null || config === undefined) {
+            config = {};
+        }
+
+        this.validate(config, source);
+        return this._resolveExtends(config, path.dirname(file), source, [...chain, file]);
+    }
+
+    /**
+     * Parse YAML or JSON config text
+     * JSON is parsed by the YAML parser too, so both report the failing line
+     */
+    parse(text, source = {}) {
+        try {
+            return yaml.load(text, {
+                filename: source.file,
+                json: /\.json$/.test(source.file || '')
+            });
+        } catch (error) {
+            const mark = error.mark || {};
+            throw new ConfigError(`Invalid syntax: ${error.reason || error.message}`, {
+                file: source.file,
+                line: mark.line !== undefined ? mark.line + 1 : undefined,
+                column: mark.column !== undefined ? mark.column + 1 : undefined
+            });
+        }
+    }
+
+    /**
+     * Validate a single (unmerged) config against the schema
+     * @param {Object} config - Parsed config
+     * @param {Object} source - Where the config came from, for error locations
+     * @throws {ConfigError} On the first schema violation
+     */
+    validate(config, source = {}) {
+        const fail = (keyPath, message) => {
+            const location = this.locate(source, keyPath);
+            throw new ConfigError(`${keyPath.join('.') || '<root>'}: ${message}`, {
+                file: source.file,
+                keyPath: keyPath.join('.'),
+                ...location
+            });
+        };
+
+        if (!isPlainObject(config)) {
+            fail([], 'expected a mapping');
+        }
+
+        for (const key of Object.keys(config)) {
+            if (!TOP_LEVEL_KEYS.includes(key)) {
+                fail([key], `unknown key (expected one of ${TOP_LEVEL_KEYS.join(', ')})`);
+            }
+        }
+
+        if (config.extends !== undefined) {
+            const parents = [].concat(config.extends);
+            parents.forEach((parent, index) => {
+                if (typeof parent !== 'string' || parent.length === 0) {
+                    fail(Array.isArray(config.extends) ? ['extends', index] : ['extends'], 'expected a preset name or path');
+                }
+            });
+        }
+
+        if (config.runner !== undefined) {
+            if (!isPlainObject(config.runner)) {
+                fail(['runner'], 'expected a mapping');
+            }
+            for (const [key, value] of Object.entries(config.runner)) {
+                const expected = RUNNER_OPTIONS[key];
+                if (!expected) {
+                    fail(['runner', key], `unknown runner option (expected one of ${Object.keys(RUNNER_OPTIONS).join(', ')})`);
+                }
+                if (typeof value !== expected || (expected === 'number' && !(value > 0))) {
+                    fail(['runner', key], `expected a ${expected === 'number' ? 'positive number' : expected}, got ${JSON.stringify(value)}`);
+                }
+            }
+        }
+
+        if (config.gates !== undefined) {
+            if (!isPlainObject(config.gates)) {
+                fail(['gates'], 'expected a mapping of gate name to gate config');
+            }
+            for (const [name, gate] of Object.entries(config.gates)) {
+                this._validateGate(name, gate, fail);
+            }
+        }
+    }
+
+    _validateGate(name, gate, fail) {
+        // `eslint: false` / `eslint: true` shorthand
+        if (typeof gate === 'boolean' || gate === null) {
+            return;
+        }
+        if (!isPlainObject(gate)) {
+            fail(['gates', name], 'expected a mapping, true or false');
+        }
+        for (const key of Object.keys(gate)) {
+            if (!GATE_KEYS.includes(key)) {
+                fail(['gates', name, key], `unknown gate key (expected one of ${GATE_KEYS.join(', ')})`);
+            }
+        }
+
+        const type = gate.type !== undefined ? gate.type : name;
+        if (typeof type !== 'string') {
+            fail(['gates', name, 'type'], 'expected a gate type name');
+        }
+        const gateTypes = this.getGateTypes();
+        if (!gateTypes.includes(type)) {
+            fail(gate.type !== undefined ? ['gates', name, 'type'] : ['gates', name],
+                `unknown gate type "${type}" (registered: ${gateTypes.join(', ')})`);
+        }
+        if (gate.enabled !== undefined && typeof gate.enabled !== 'boolean') {
+            fail(['gates', name, 'enabled'], `expected a boolean, got ${JSON.stringify(gate.enabled)}`);
+        }
+        for (const key of ['options', 'thresholds']) {
+            if (gate[key] !== undefined && !isPlainObject(gate[key])) {
+                fail(['gates', name, key], 'expected a mapping');
+            }
+        }
+        for (const [threshold, value] of Object.entries(gate.thresholds || {})) {
+            if (typeof value !== 'number' || Number.isNaN(value)) {
+                fail(['gates', name, 'thresholds', threshold], `expected a number, got ${JSON.stringify(value)}`);
+            }
+        }
+    }
+
+    getGateTypes() {
+        if (this.gateTypes) {
+            return this.gateTypes;
+        }
+        // Lazy require avoids a cycle with index.js
+        return require('./index').getGateTypes();
+    }
+
+    /**
+     * Best-effort line lookup for a key path in YAML or JSON text
+     * @param {Object} source - Config source with `text`
+     * @param {Array<string|number>} keyPath - Path to the failing key
+     * @returns {{line: number, column: number}|{}} Location, if found
+     */
+    locate(source, keyPath) {
+        if (!source.text || keyPath.length === 0) {
+            return {};
+        }
+
+        const lines = source.text.split('\n');
+        const segments = [...(source.prefix || []), ...keyPath];
+        let from = 0;
+        let parentIndent = -1;
+        let location = {};
+
+        for (const segment of segments) {
+            let skip = typeof segment === 'number' ? segment : 0;
+            let found = false;
+
+            for (let i = from; i < lines.length; i++) {
+                const line = lines[i];
+                const indent = line.search(/\S/);
+                if (indent === -1 || line.trim().startsWith('#')) continue;
+                if (indent <= parentIndent) break;
+
+                const match = typeof segment === 'number'
+                    ? /^(\s*)-\s/.exec(line)
+                    : new RegExp(`^(\\s*)(?:-\\s+)?["']?${escapeRegExp(segment)}["']?\\s*:`).exec(line);
+
+                if (!match) continue;
+                if (skip > 0) {
+                    skip--;
+                    continue;
+                }
+
+                location = { line: i + 1, column: match[1].length + 1 };
+                parentIndent = match[1].length;
+                from = i + 1;
+                found = true;
+                break;
+            }
+
+            if (!found) {
+                break;
+            }
+        }
+
+        return location;
+    }
+
+    _resolveExtends(config, baseDir, source, chain) {
+        const { extends: parents, ...own } = config;
+        let merged = { runner: {}, gates: {}, sources: [] };
+
+        for (const parent of [].concat(parents || [])) {
+            merged = mergeConfigs(merged, this._loadParent(parent, baseDir, source, chain));
+        }
+
+        merged = mergeConfigs(merged, { ...own, sources: [source.file] });
+        return merged;
+    }
+
+    _loadParent(parent, baseDir, source, chain) {
+        if (this.presets[parent]) {
+            const preset = this.presets[parent];
+            const presetSource = { file: parent, text: null };
+            this.validate(preset, presetSource);
+            return this._resolveExtends(preset, baseDir, presetSource, [...chain, parent]);
+        }
+
+        let target;
+        try {
+            target = parent.startsWith('.') || path.isAbsolute(parent)
+                ? path.resolve(baseDir, parent)
+                : require.resolve(parent, { paths: [baseDir] });
+        } catch (error) {
+            throw new ConfigError(`extends: cannot resolve "${parent}"`, {
+                file: source.file,
+                keyPath: 'extends',
+                ...this.locate(source, ['extends'])
+            });
+        }
+
+        // Shared presets published as JS modules export the config object
+        if (/\.c?js$/.test(target)) {
+            let config;
+            try {
+                config = require(target);
+            } catch (error) {
+                throw new ConfigError(`extends: cannot load "${parent}": ${error.message}`, {
+                    file: source.file,
+                    keyPath: 'extends',
+                    ...this.locate(source, ['extends'])
+                });
+            }
+            const moduleSource = { file: target, text: null };
+            this.validate(config, moduleSource);
+            return this._resolveExtends(config, path.dirname(target), moduleSource, [...chain, target]);
+        }
+
+        return this._load(target, null, chain);
+    }
+
+    /**
+     * Build a QualityRunner from a resolved config
+     * @param {Object} config - Resolved config from load()/loadFromDirectory()
+     * @param {Object} options - Extra runner options (e.g. reporter)
+     * @returns {QualityRunner} Runner with every configured gate added
+     */
+    createRunner(config, options = {}) {
+        // Lazy require avoids a cycle with index.js
+        const { createGate, QualityRunner } = require('./index');
+        const runner = new QualityRunner({ ...config.runner, ...options });
+
+        for (const [name, gateConfig] of Object.entries(config.gates || {})) {
+            const { type = name, enabled = true, options: gateOptions = {}, thresholds = {} } =
+                normalizeGateEntry(gateConfig);
+
+            const gate = createGate(type, {
+                name,
+                ...gateOptions,
+                ...thresholds
+            });
+            runner.addGate(gate, { enabled });
+        }
+
+        return runner;
+    }
+}
+
+function normalizeGateEntry(gate) {
+    if (gate === null || gate === undefined) {
+        return {};
+    }
+    // `true` turns a gate on, including one a parent config turned off
+    if (gate === true) {
+        return { enabled: true };
+    }
+    if (gate === false) {
+        return { enabled: false };
+    }
+    return gate;
+}
+
+/**
+ * Merge a child config over its parent
+ * Runner options and per-gate options/thresholds merge key by key; arrays are replaced
+ */
+function mergeConfigs(parent, child) {
+    const gates = { ...parent.gates };
+
+    for (const [name, gate] of Object.entries(child.gates || {})) {
+        const base = normalizeGateEntry(gates[name]);
+        const override = normalizeGateEntry(gate);
+        gates[name] = {
+            ...base,
+            ...override,
+            options: deepMerge(base.options || {}, override.options || {}),
+            thresholds: { ...base.thresholds, ...override.thresholds }
+        };
+    }
+
+    return {
+        runner: { ...parent.runner, ...child.runner },
+        gates,
+        sources: [...(parent.sources || []), ...(child.sources || [])]
+    };
+}
+
+function deepMerge(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? deepMerge(base[key], value)
+            : value;
+    }
+    return merged;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function escapeRegExp(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Load the nearest config and build a runner from it
+ * @param {Object} options - Loader options plus `configFile` to skip discovery
+ * @returns {Promise<QualityRunner|null>} Configured runner, or null without a config
+ */
+async function createRunnerFromConfig(options = {}) {
+    const loader = new ConfigLoader(options);
+    const config = options.configFile
+        ? loader.load(options.configFile)
+        : loader.loadFromDirectory(options.cwd);
+
+    return config ? loader.createRunner(config, options.runnerOptions) : null;
+}
+
+ConfigLoader.ConfigError = ConfigError;
+ConfigLoader.CONFIG_FILES = CONFIG_FILES;
+ConfigLoader.PRESETS = PRESETS;
+ConfigLoader.createRunnerFromConfig = createRunnerFromConfig;
+
+module.exports = ConfigLoader;
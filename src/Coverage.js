@@ -0,0 +1,191 @@
+/**
+ * Coverage
+ * Summarizes Istanbul coverage data (coverage-final.json written by Jest, c8
+ * or nyc) and checks it against Jest-style `coverageThreshold` settings
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const minimatch = require('minimatch');
+const { resolveFrom } = require('./TypeScriptSupport');
+
+const METRICS = ['lines', 'branches', 'functions', 'statements'];
+
+const METRIC_NAMES = { lines: 'Line', branches: 'Branch', functions: 'Function', statements: 'Statement' };
+
+// Coverage wrappers for runners without built-in coverage
+const COVERAGE_TOOLS = [
+    { name: 'c8', request: 'c8/bin/c8.js', reportDirFlag: '--reports-dir' },
+    { name: 'nyc', request: 'nyc/bin/nyc.js', reportDirFlag: '--report-dir' }
+];
+
+/**
+ * Find c8 or nyc in the project, then next to this package
+ * @param {string} preferred - Tool name to use instead of the first one found
+ * @returns {{name: string, path: string, reportDirFlag: string}|null} Tool, or null when none is installed
+ */
+function resolveCoverageTool(root, preferred = null) {
+    for (const tool of COVERAGE_TOOLS) {
+        if (preferred && tool.name !== preferred) continue;
+        const resolved = resolveFrom(root, tool.request);
+        if (resolved) return { name: tool.name, path: resolved, reportDirFlag: tool.reportDirFlag };
+    }
+    return null;
+}
+
+function ratio(covered, total) {
+    return { total, covered, pct: total === 0 ? 100 : Math.round(covered / total * 10000) / 100 };
+}
+
+/**
+ * Coverage of one file from its Istanbul FileCoverage data
+ * A line counts as covered when any statement starting on it ran
+ * @param {Object} data - `{ statementMap, s, fnMap, f, branchMap, b }`
+ * @returns {Object} `{ total, covered, pct }` per metric and sorted `uncoveredLines`
+ */
+function summarizeFile(data) {
+    const lineHits = new Map();
+    for (const [id, location] of Object.entries(data.statementMap || {})) {
+        const line = location.start.line;
+        lineHits.set(line, Math.max(lineHits.get(line) || 0, (data.s || {})[id] || 0));
+    }
+
+    const statements = Object.values(data.s || {});
+    const functions = Object.values(data.f || {});
+    const branches = Object.values(data.b || {}).flat();
+    const hit = counts => counts.filter(count => count > 0).length;
+
+    return {
+        lines: ratio(hit([...lineHits.values()]), lineHits.size),
+        branches: ratio(hit(branches), branches.length),
+        functions: ratio(hit(functions), functions.length),
+        statements: ratio(hit(statements), statements.length),
+        uncoveredLines: [...lineHits].filter(([, count]) => count === 0).map(([line]) => line).sort((a, b) => a - b)
+    };
+}
+
+/**
+ * Combined coverage of several files
+ * @param {Array<Object>} summaries - summarizeFile() results
+ */
+function totals(summaries) {
+    return Object.fromEntries(METRICS.map(metric => [metric, ratio(
+        summaries.reduce((sum, summary) => sum + summary[metric].covered, 0),
+        summaries.reduce((sum, summary) => sum + summary[metric].total, 0)
+    )]));
+}
+
+/**
+ * Collapse sorted line numbers into `[start, end]` ranges
+ */
+function lineRanges(lines) {
+    const ranges = [];
+    for (const line of lines) {
+        const last = ranges[ranges.length - 1];
+        if (last && line === last[1] + 1) {
+            last[1] = line;
+        } else {
+            ranges.push([line, line]);
+        }
+    }
+    return ranges;
+}
+
+/**
+ * Validate a Jest-style coverageThreshold; a number applies to every global metric
+ * @param {number|Object} threshold - `{ global, [pathOrGlob]: { lines, branches, functions, statements } }`
+ * @returns {Object} Thresholds keyed by 'global' or path/glob, `{}` when there are none
+ */
+function normalizeThresholds(threshold) {
+    if (threshold === undefined || threshold === null) {
+        return {};
+    }
+    if (typeof threshold === 'number') {
+        return { global: Object.fromEntries(METRICS.map(metric => [metric, threshold])) };
+    }
+
+    for (const [scope, limits] of Object.entries(threshold)) {
+        for (const [metric, value] of Object.entries(limits || {})) {
+            if (!METRICS.includes(metric) || typeof value !== 'number') {
+                throw new Error(`Invalid coverage threshold "${scope}.${metric}" (expected a number for one of ${METRICS.join(', ')})`);
+            }
+        }
+    }
+    return threshold;
+}
+
+/**
+ * Check coverage against thresholds
+ * As in Jest, positive values are minimum percentages and negative values the
+ * maximum number of uncovered items. Path and glob keys apply to each matching
+ * file, and those files are left out of the global check.
+ * @param {Object} files - Relative file path to summarizeFile() result
+ * @param {Object} thresholds - From normalizeThresholds()
+ * @returns {Array<Object>} Violations `{ metric, scope, file, actual, threshold, message }`
+ */
+function checkThresholds(files, thresholds) {
+    const violations = [];
+    const claimed = new Set();
+
+    const check = (summary, limits, scope, file) => {
+        for (const metric of METRICS) {
+            const limit = limits[metric];
+            if (typeof limit !== 'number') continue;
+
+            const { total, covered, pct } = summary[metric];
+            const where = file ? `${file} (threshold for "${scope}")` : 'global';
+            let message = null;
+            if (limit >= 0 && pct < limit) {
+                message = `${METRIC_NAMES[metric]} coverage ${pct}% is below the ${where} threshold of ${limit}%`;
+            } else if (limit < 0 && total - covered > -limit) {
+                message = `${total - covered} uncovered ${metric} exceed the ${where} maximum of ${-limit}`;
+            }
+            if (message) {
+                violations.push({ metric, scope, file, actual: limit >= 0 ? pct : total - covered, threshold: limit, message });
+            }
+        }
+    };
+
+    for (const [scope, limits] of Object.entries(thresholds)) {
+        if (scope === 'global') continue;
+        for (const [file, summary] of Object.entries(files)) {
+            if (file === scope || minimatch(file, scope, { dot: true })) {
+                claimed.add(file);
+                check(summary, limits, scope, file);
+            }
+        }
+    }
+
+    if (thresholds.global) {
+        const rest = Object.entries(files).filter(([file]) => !claimed.has(file)).map(([, summary]) => summary);
+        check(totals(rest), thresholds.global, 'global', undefined);
+    }
+
+    return violations;
+}
+
+/**
+ * Read coverage-final.json from a report directory
+ * @returns {Promise<Object|null>} Absolute file path to FileCoverage data, or null when missing
+ */
+async function readCoverage(reportDir) {
+    try {
+        const raw = JSON.parse(await fs.readFile(path.join(reportDir, 'coverage-final.json'), 'utf8'));
+        // Jest's coverageMap wraps each file's data
+        return Object.fromEntries(Object.entries(raw).map(([file, entry]) => [file, entry.data || entry]));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+module.exports = {
+    METRICS,
+    resolveCoverageTool,
+    summarizeFile,
+    totals,
+    lineRanges,
+    normalizeThresholds,
+    checkThresholds,
+    readCoverage
+};
@@ -0,0 +1,115 @@
+/**
+ * Failure Location
+ * Recovers where a test failed, and what it expected, from the stack trace
+ * and assertion message a test runner reported
+ */
+
+const path = require('path');
+const { fileURLToPath } = require('url');
+const SourceMap = require('./SourceMap');
+
+// `    at fn (file:line:col)`, `    at file:line:col`, or the same without `at` (TAP stacks)
+const FRAME = /^\s*(?:at\s+)?(?:(.*?)\s+\()?((?:file:\/\/)?[^()\s][^()]*?):(\d+):(\d+)\)?\s*$/;
+
+const ANSI = /\u001b\[[0-9;]*m/g;
+
+/**
+ * Stack frames of a V8 stack trace
+ * @param {string} stack - Stack trace, message lines included
+ * @returns {Array<{fn: string|null, file: string, line: number, column: number}>} Frames, innermost first
+ */
+function parseStack(stack) {
+    const frames = [];
+    for (const line of String(stack || '').replace(ANSI, '').split('\n')) {
+        const match = line.match(FRAME);
+        if (!match) continue;
+
+        let file = match[2];
+        if (file.startsWith('file://')) {
+            try {
+                file = fileURLToPath(file);
+            } catch (error) {
+                continue;
+            }
+        }
+        frames.push({ fn: match[1] || null, file, line: Number(match[3]), column: Number(match[4]) });
+    }
+    return frames;
+}
+
+/**
+ * Frames in Node internals, eval'd code or installed packages (the runner, assertion libraries)
+ */
+function isLibraryFrame(frame) {
+    return frame.file.startsWith('node:') ||
+        frame.file.startsWith('internal/') ||
+        frame.file.includes('<') ||
+        frame.file.split(/[\\/]/).includes('node_modules');
+}
+
+/**
+ * Expected and actual values stated in an assertion message
+ * Understands Jest's `Expected:`/`Received:` lines, Node's `actual !== expected`
+ * and Chai's `expected actual to equal expected`
+ * @returns {{expected?: string, actual?: string}} Values as they were printed
+ */
+function parseAssertionMessage(message) {
+    const text = String(message || '').replace(ANSI, '');
+
+    const expected = text.match(/^\s*Expected(?: value)?:\s*(.+)$/m);
+    const received = text.match(/^\s*Received(?: value)?:\s*(.+)$/m);
+    if (expected && received) {
+        return { expected: expected[1].trim(), actual: received[1].trim() };
+    }
+
+    const strict = text.match(/^(.+?) !== (.+)$/m);
+    if (strict) {
+        return { expected: strict[2].trim(), actual: strict[1].trim() };
+    }
+
+    const chai = text.match(/expected (.+?) to (?:deeply |strictly )?(?:equal|eql|be) (.+?)$/m);
+    if (chai) {
+        return { expected: chai[2].trim(), actual: chai[1].trim() };
+    }
+
+    return {};
+}
+
+/**
+ * Where a failing test failed
+ * The innermost frame in the test file wins, else the innermost frame outside
+ * Node and node_modules; positions in generated code are mapped back through
+ * the file's source map
+ * @param {Object} failure - Runner failure `{ message, stack?, location?, line?, column? }`
+ * @param {Object} options - `cwd` the runner ran in (relative frames resolve against it),
+ *   `sourceMaps` a cache shared between calls
+ * @returns {{file: string, line: number, column: number}|null} Absolute file and 1-based position
+ */
+function locateFailure(failure, options = {}) {
+    const { cwd = process.cwd(), sourceMaps = new Map() } = options;
+    const frames = parseStack(failure.stack || failure.message)
+        .filter(frame => !isLibraryFrame(frame))
+        // Mocha prints paths relative to its working directory
+        .map(frame => ({ ...frame, file: path.resolve(cwd, frame.file) }));
+    const testFile = failure.location && path.isAbsolute(failure.location) ? path.resolve(failure.location) : null;
+    const frame = frames.find(candidate => candidate.file === testFile) || frames[0];
+
+    if (!frame) {
+        return testFile && failure.line ? { file: testFile, line: failure.line, column: failure.column || 0 } : null;
+    }
+
+    if (!sourceMaps.has(frame.file)) {
+        sourceMaps.set(frame.file, SourceMap.loadSourceMap(frame.file));
+    }
+    const map = sourceMaps.get(frame.file);
+    const original = map && SourceMap.originalPosition(map, frame.line, frame.column);
+
+    return original || { file: frame.file, line: frame.line, column: frame.column };
+}
+
+module.exports = {
+    parseStack,
+    isLibraryFrame,
+    parseAssertionMessage,
+    locateFailure
+};
@@ -0,0 +1,93 @@
+/**
+ * Flakiness
+ * Options and bookkeeping for rerunning failed tests: a test that both
+ * passed and failed across runs is flaky, one that failed every run is a
+ * stable failure
+ */
+
+const SEVERITIES = ['error', 'warning', 'info', 'hint'];
+
+const DEFAULTS = {
+    reruns: 3,              // Reruns of the failed tests' files
+    randomOrder: false,     // Shuffle test files (and tests, where the runner can) on each rerun
+    seed: null,             // Seed for the shuffle; random when null
+    severity: 'warning'     // Severity of flaky-test issues
+};
+
+/**
+ * Fill in defaults and validate flakiness options
+ * @param {boolean|number|Object} options - true for the defaults, a number of reruns, or options
+ * @returns {Object|null} Options with every field set, or null when reruns are off
+ * @throws {Error} On invalid values
+ */
+function normalizeFlakyOptions(options) {
+    if (options === undefined || options === null || options === false) {
+        return null;
+    }
+    const given = options === true ? {} : typeof options === 'number' ? { reruns: options } : options;
+    const normalized = { ...DEFAULTS, ...given };
+
+    if (!Number.isInteger(normalized.reruns) || normalized.reruns < 1) {
+        throw new Error('Invalid flaky option "reruns" (expected a positive integer)');
+    }
+    if (!SEVERITIES.includes(normalized.severity)) {
+        throw new Error(`Invalid flaky option "severity" (expected one of ${SEVERITIES.join(', ')})`);
+    }
+    if (normalized.seed === null) {
+        normalized.seed = Math.floor(Math.random() * 0x7fffffff);
+    } else if (!Number.isInteger(normalized.seed)) {
+        throw new Error('Invalid flaky option "seed" (expected an integer)');
+    }
+    return normalized;
+}
+
+/**
+ * Deterministic random numbers in [0, 1) (mulberry32)
+ * @returns {Function} Generator
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Shuffled copy of an array (Fisher-Yates)
+ */
+function shuffle(items, random) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Identity of a failed test across runs: its file and full name
+ */
+function testKey(failure) {
+    return `${failure.location}\u0000${failure.test}`;
+}
+
+/**
+ * Classification of a test from its outcomes
+ * @returns {string} 'stable-pass', 'stable-fail' or 'flaky'
+ */
+function classify({ passes, failures }) {
+    if (failures === 0) return 'stable-pass';
+    return passes === 0 ? 'stable-fail' : 'flaky';
+}
+
+module.exports = {
+    normalizeFlakyOptions,
+    seededRandom,
+    shuffle,
+    testKey,
+    classify
+};
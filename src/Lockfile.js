@@ -0,0 +1,163 @@
+/**
+ * Lockfile helpers
+ * Shared by the dependency gates to read package-lock.json (v2/v3) and the
+ * lockfile before the agent's changes
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+
+const DEFAULT_LOCKFILE = 'package-lock.json';
+const EMPTY_LOCKFILE = { lockfileVersion: 3, packages: {} };
+
+// `node_modules/a/node_modules/@scope/b` -> `@scope/b`
+function packageName(key, entry) {
+    if (entry.name) return entry.name;
+    const index = key.lastIndexOf('node_modules/');
+    return index === -1 ? null : key.slice(index + 'node_modules/'.length);
+}
+
+/**
+ * Parse a v2/v3 lockfile into installed packages
+ * @param {string|Object} lockfile - Lockfile text or parsed JSON
+ * @returns {{lockfileVersion: number, packages: Array<Object>}} Packages:
+ *   `{ key, name, version, license, dev, optional, direct }`
+ * @throws {Error} For invalid JSON and v1 lockfiles
+ */
+function parseLockfile(lockfile) {
+    const data = typeof lockfile === 'string' ? JSON.parse(lockfile) : lockfile;
+    const version = data && data.lockfileVersion;
+
+    if (!data || typeof data.packages !== 'object' || version < 2) {
+        throw new Error(`Unsupported lockfileVersion ${version}; regenerate package-lock.json with npm 7 or later`);
+    }
+
+    const root = data.packages[''] || {};
+    const directNames = new Set([
+        ...Object.keys(root.dependencies || {}),
+        ...Object.keys(root.devDependencies || {}),
+        ...Object.keys(root.optionalDependencies || {})
+    ]);
+
+    const packages = [];
+    for (const [key, entry] of Object.entries(data.packages)) {
+        // The root project and workspace links are not installed from the registry
+        if (key === '' || entry.link || !entry.version) continue;
+
+        const name = packageName(key, entry);
+        if (!name) continue;
+
+        packages.push({
+            key,
+            name,
+            version: entry.version,
+            license: entry.license || null,
+            // devOptional packages are also reachable as optional production deps
+            dev: entry.dev === true,
+            optional: entry.optional === true || entry.devOptional === true,
+            direct: key === `node_modules/${name}` && directNames.has(name)
+        });
+    }
+
+    return { lockfileVersion: version, packages };
+}
+
+/**
+ * 1-based line and column of a package entry in the lockfile text
+ * @returns {{line: number, column: number}} 1:1 when the entry is not found
+ */
+function locatePackage(text, key) {
+    const index = typeof text === 'string' ? text.indexOf(`${JSON.stringify(key)}:`) : -1;
+    if (index === -1) return { line: 1, column: 1 };
+
+    const before = text.slice(0, index);
+    return {
+        line: before.split('\n').length,
+        column: index - before.lastIndexOf('\n')
+    };
+}
+
+function git(args, cwd) {
+    return new Promise((resolve, reject) => {
+        execFile('git', args, { cwd, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                error.stderr = stderr;
+                reject(error);
+            } else {
+                resolve(stdout);
+            }
+        });
+    });
+}
+
+/**
+ * Find the lockfile to check: the file map entry in multi-file mode, else the file on disk
+ * @param {string|Object} code - Code string or file map
+ * @param {string} root - Project root
+ * @param {string} lockfile - Lockfile path relative to the root
+ * @returns {Promise<{file: string, text: string, fromFiles: boolean}|null>} Null when there is none
+ */
+async function readLockfile(code, root, lockfile = DEFAULT_LOCKFILE) {
+    if (code && typeof code === 'object' && typeof code[lockfile] === 'string') {
+        return { file: lockfile, text: code[lockfile], fromFiles: true };
+    }
+
+    try {
+        const text = await fs.readFile(path.resolve(root, lockfile), 'utf8');
+        return { file: lockfile, text, fromFiles: false };
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Find the lockfile before the agent's changes
+ * In order: `base` (object, JSON text or path), the lockfile at `baseRef` in
+ * git, and the on-disk lockfile when the checked one came from the file map
+ * @param {Object} options - `{ base, baseRef, root, lockfile, current }`
+ * @returns {Promise<string|Object|null>} Lockfile, or null when there is no base
+ */
+async function readBaseLockfile({ base, baseRef, root, lockfile = DEFAULT_LOCKFILE, current }) {
+    if (base && typeof base === 'object') return base;
+    if (typeof base === 'string') {
+        return base.trim().startsWith('{') ? base : fs.readFile(path.resolve(root, base), 'utf8');
+    }
+
+    if (baseRef) {
+        try {
+            return await git(['show', `${baseRef}:./${lockfile}`], root);
+        } catch (error) {
+            // A lockfile added by the change makes every package new
+            if (/does not exist|exists on disk, but not in/.test(error.stderr || '')) {
+                return EMPTY_LOCKFILE;
+            }
+            throw new Error(`Cannot read ${lockfile} at ${baseRef}: ${(error.stderr || error.message).trim()}`);
+        }
+    }
+
+    if (current && current.fromFiles) {
+        const onDisk = await readLockfile(null, root, lockfile);
+        return onDisk ? onDisk.text : EMPTY_LOCKFILE;
+    }
+
+    return null;
+}
+
+/**
+ * Keys (`path@version`) of the packages in a base lockfile
+ * @returns {Set<string>|null} Null when there is no base
+ */
+function packageKeys(base) {
+    return base ? new Set(parseLockfile(base).packages.map(pkg => `${pkg.key}@${pkg.version}`)) : null;
+}
+
+module.exports = {
+    DEFAULT_LOCKFILE,
+    parseLockfile,
+    locatePackage,
+    readLockfile,
+    readBaseLockfile,
+    packageKeys
+};
@@ -0,0 +1,82 @@
+/**
+ * Project Overlay
+ * A temp copy of a project with changed files written on top, so tools can
+ * check agent output in place without touching the project on disk
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+// Directory names not copied by default; node_modules directories are always linked instead
+const DEFAULT_EXCLUDE = ['.git', 'coverage'];
+
+/**
+ * Absolute path of a changed file inside a directory
+ * @throws {Error} When the path is absolute or climbs out of the directory
+ */
+function resolveInside(root, file) {
+    const target = path.resolve(root, file);
+    const relative = path.relative(root, target);
+    if (!relative || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative) || path.isAbsolute(file)) {
+        throw new Error(`Refusing to write "${file}" outside the project directory`);
+    }
+    return target;
+}
+
+/**
+ * Copy the project to a temp dir, link its node_modules and write the changed files on top
+ * The project itself is never modified; the caller removes the overlay
+ * @param {string} projectPath - Project root
+ * @param {Object} changed - Relative path to contents
+ * @param {Object} options - `exclude` directory names, `prefix` of the temp dir name
+ * @returns {Promise<string>} Overlay directory
+ */
+async function createProjectOverlay(projectPath, changed, options = {}) {
+    const { exclude = DEFAULT_EXCLUDE, prefix = 'repochief-overlay-' } = options;
+    // Checked before anything is copied
+    for (const file of Object.keys(changed)) {
+        resolveInside(os.tmpdir(), file);
+    }
+
+    const root = path.resolve(projectPath);
+    const overlay = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+    const linked = [];
+
+    try {
+        await fs.cp(root, overlay, {
+            recursive: true,
+            filter: source => {
+                const name = path.basename(source);
+                if (source === root) return true;
+                if (name === 'node_modules') {
+                    linked.push(path.relative(root, source));
+                    return false;
+                }
+                return !exclude.includes(name);
+            }
+        });
+
+        // Installed dependencies are reused as they are
+        for (const relative of linked) {
+            await fs.symlink(path.join(root, relative), path.join(overlay, relative), 'junction');
+        }
+
+        for (const [file, contents] of Object.entries(changed)) {
+            const target = resolveInside(overlay, file);
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.writeFile(target, contents);
+        }
+    } catch (error) {
+        await fs.rm(overlay, { recursive: true, force: true });
+        throw error;
+    }
+
+    return overlay;
+}
+
+module.exports = {
+    DEFAULT_EXCLUDE,
+    resolveInside,
+    createProjectOverlay
+};
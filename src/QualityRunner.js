@@ -7,7 +7,20 @@
  */
 
 const EventEmitter = require('events');
+const path = require('path');
+const fs = require('fs').promises;
+const { glob } = require('glob');
 const ResultReporter = require('./ResultReporter');
+const { createUnifiedDiff } = require('./UnifiedDiff');
+const { normalizeResult, normalizeStatus, createErrorResult, createInterruptedResult, ResultSchemaError } = require('./ResultSchema');
+const {
+  timeoutReason,
+  cancelReason,
+  interruptionStatus,
+  interruptionMessage,
+  anySignal,
+  settleWithin
+} = require('./Cancellation');
 
 class QualityRunner extends EventEmitter {
   constructor(options = {}) {
@@ -18,6 +31,10 @@ class QualityRunner extends EventEmitter {
     this.continueOnFailure = options.continueOnFailure !== false;
     this.parallel = options.parallel || false;
     this.timeout = options.timeout || 60000; // 60 seconds default
+    // Extra time a gate gets, on top of its own abortGrace, to return partial results once aborted
+    this.abortGrace = options.abortGrace ?? 1000;
+    // Abort controllers of the runs in progress, for cancel()
+    this.activeRuns = new Set();
   }
 
   /**
@@ -46,12 +63,218 @@ class QualityRunner extends EventEmitter {
   /**
    * Run all configured quality gates
    * @param {string|Object} code - Code to validate
-   * @param {Object} context - Execution context
+   * @param {Object} context - Execution context; aborting `context.signal` cancels the run
    * @returns {Promise<Object>} Execution summary
    */
   async run(code, context = {}) {
+    return this._run(code, context, null);
+  }
+
+  /**
+   * Run all configured quality gates over a set of files
+   * File-scoped gates run once per file, project-scoped gates once over the whole map
+   * @param {Object|Map} fileMap - Relative file path to file contents
+   * @param {Object} context - Execution context
+   * @returns {Promise<Object>} Execution summary with per-file issue lists
+   */
+  async runFiles(fileMap, context = {}) {
+    const files = fileMap instanceof Map ? Object.fromEntries(fileMap) : { ...fileMap };
+    const summary = await this._run(files, { ...context, files }, files);
+
+    summary.fileCount = Object.keys(files).length;
+    summary.files = {};
+    summary.projectIssues = [];
+
+    for (const filePath of Object.keys(files)) {
+      summary.files[filePath] = { status: 'passed', issues: [] };
+    }
+
+    for (const result of Object.values(summary.gates).flatMap(g => g.results)) {
+      for (const issue of result.issues) {
+        const entry = issue.file && summary.files[issue.file];
+        const located = { ...issue, gate: result.gate };
+        
+        if (entry) {
+          entry.issues.push(located);
+          if (issue.severity === 'error') {
+            entry.status = 'failed';
+          } else if (entry.status === 'passed' && issue.severity === 'warning') {
+            entry.status = 'warning';
+          }
+        } else {
+          summary.projectIssues.push(located);
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Expand include/exclude globs under a root directory and run all gates over the matches
+   * @param {Object} options - Project options
+   * @param {string} options.root - Project root directory
+   * @param {Array<string>|string} options.include - Glob patterns to include
+   * @param {Array<string>|string} options.exclude - Glob patterns to exclude
+   * @param {Object} options.context - Execution context
+   * @returns {Promise<Object>} Execution summary with per-file issue lists
+   */
+  async runProject(options = {}) {
+    const root = path.resolve(options.root || process.cwd());
+    const include = [].concat(options.include || QualityRunner.DEFAULT_INCLUDE);
+    const exclude = [].concat(options.exclude || QualityRunner.DEFAULT_EXCLUDE);
+
+    const matches = await glob(include, {
+      cwd: root,
+      ignore: exclude,
+      nodir: true,
+      posix: true
+    });
+
+    const files = {};
+    for (const filePath of matches.sort()) {
+      files[filePath] = await fs.readFile(path.join(root, filePath), 'utf8');
+    }
+
+    this.emit('project-expanded', { root, files: matches.length });
+
+    return this.runFiles(files, {
+      ...options.context,
+      projectPath: root
+    });
+  }
+
+  /**
+   * Apply fixes from every enabled gate that implements fix(), then re-run all gates
+   * Fixers run in ascending `fixOrder`, ties in the order gates were added; each
+   * gets the previous gate's output
+   * @param {string} code - Code to fix
+   * @param {Object} context - Execution context; `fileName` names the diff
+   * @param {Object} options - `dryRun` returns the original code along with what would change
+   * @returns {Promise<Object>} `{ code, changed, diff, fixes, remaining, errors, summary, dryRun }`
+   */
+  async fix(code, context = {}, options = {}) {
+    const dryRun = options.dryRun === true;
+    const fixers = this.getFixers();
+    const fixes = [];
+    const errors = [];
+    let fixed = code;
+
+    const controller = new AbortController();
+    const signal = anySignal([context.signal, controller.signal]);
+    this.activeRuns.add(controller);
+
+    this.emit('fix-started', {
+      gates: fixers.map(gate => gate.name),
+      dryRun,
+      context
+    });
+
+    try {
+      for (const gate of fixers) {
+        // Fixes applied so far are kept; the rest are not attempted
+        if (signal.aborted) break;
+
+        let result;
+        try {
+          result = await gate.fix(fixed, { ...context, signal });
+        } catch (error) {
+          result = { fixed: false, error: error.message };
+        }
+
+        if (!result || !result.fixed) {
+          const error = (result && result.error) || 'fix() did not apply';
+          errors.push({ gate: gate.name, error });
+          this.emit('fix-error', { gate: gate.name, error });
+          continue;
+        }
+
+        const gateFixes = [];
+        if (typeof result.code === 'string' && result.code !== fixed) {
+          // Gates that do not itemize their fixes still get one entry for the change
+          const applied = result.fixes && result.fixes.length > 0
+            ? result.fixes
+            : [{ rule: null, message: result.changes || 'Code was changed' }];
+          gateFixes.push(...applied.map(fix => ({ gate: gate.name, ...fix })));
+          fixed = result.code;
+        }
+        fixes.push(...gateFixes);
+
+        this.emit('gate-fixed', { gate: gate.name, fixes: gateFixes });
+      }
+    } finally {
+      this.activeRuns.delete(controller);
+    }
+
+    // Re-verify the fixed code with every gate
+    const summary = await this.run(fixed, { ...context, signal });
+    const remaining = Object.values(summary.gates)
+      .flatMap(g => g.results)
+      .flatMap(result => result.issues.map(issue => ({ ...issue, gate: result.gate })));
+
+    const result = {
+      code: dryRun ? code : fixed,
+      changed: fixed !== code,
+      diff: createUnifiedDiff(code, fixed, { fileName: context.fileName }),
+      fixes,
+      remaining,
+      errors,
+      summary,
+      dryRun,
+      cancelled: signal.aborted
+    };
+
+    this.emit('fix-completed', {
+      changed: result.changed,
+      fixes: fixes.length,
+      remaining: remaining.length,
+      dryRun
+    });
+
+    return result;
+  }
+
+  /**
+   * Cancel every run (and fix) in progress
+   * Running gates are aborted and return 'cancelled' results with whatever they
+   * found so far; gates that have not started are recorded as cancelled
+   * @param {string} reason - Message recorded on the cancelled results
+   * @returns {boolean} Whether anything was running
+   */
+  cancel(reason = 'Run cancelled') {
+    const runs = this.activeRuns.size;
+    for (const controller of this.activeRuns) {
+      controller.abort(cancelReason(reason));
+    }
+    this.activeRuns.clear();
+
+    if (runs > 0) {
+      this.emit('run-cancelled', { reason, runs });
+    }
+    return runs > 0;
+  }
+
+  /**
+   * Enabled gates that implement fix(), in the order fix() applies them
+   * @returns {Array<BaseQualityGate>} Gates
+   */
+  getFixers() {
+    return this.gates
+      .filter(({ gate, enabled }) => enabled && typeof gate.fix === 'function')
+      .map(({ gate, options }, index) => ({ gate, index, order: options.fixOrder ?? gate.fixOrder ?? 100 }))
+      .sort((a, b) => a.order - b.order || a.index - b.index)
+      .map(({ gate }) => gate);
+  }
+
+  /**
+   * Shared run loop for single-code and multi-file modes
+   */
+  async _run(code, context, files) {
     const startTime = Date.now();
     const results = [];
+    const controller = new AbortController();
+    const runContext = { ...context, signal: anySignal([context.signal, controller.signal]) };
+    this.activeRuns.add(controller);
     
     // Set task context if provided
     if (context.taskId) {
@@ -66,12 +289,16 @@ class QualityRunner extends EventEmitter {
       context
     });
 
-    if (this.parallel) {
-      // Run gates in parallel
-      await this._runParallel(code, context, results);
-    } else {
-      // Run gates sequentially
-      await this._runSequential(code, context, results);
+    try {
+      if (this.parallel) {
+        // Run gates in parallel
+        await this._runParallel(code, runContext, results, files);
+      } else {
+        // Run gates sequentially
+        await this._runSequential(code, runContext, results, files);
+      }
+    } finally {
+      this.activeRuns.delete(controller);
     }
 
     // Flush batch results to storage
@@ -89,26 +316,43 @@ class QualityRunner extends EventEmitter {
     return summary;
   }
 
+  /**
+   * Result for a gate that never started because the run was aborted
+   */
+  _notStartedResult(gate, signal) {
+    return this._normalizeResult(gate, createInterruptedResult(
+      gate.name,
+      interruptionStatus(signal),
+      `${interruptionMessage(signal)} before ${gate.name} started`
+    ));
+  }
+
   /**
    * Run gates sequentially
    */
-  async _runSequential(code, context, results) {
+  async _runSequential(code, context, results, files) {
     for (const { gate, options, enabled } of this.gates) {
       if (!enabled) {
-        const skipped = {
+        const skipped = this._normalizeResult(gate, {
           status: 'skipped',
-          gate: gate.name,
           reason: 'Gate disabled'
-        };
+        });
         results.push(skipped);
         await this.reporter.reportResult(gate.name, skipped);
         continue;
       }
 
+      if (context.signal.aborted) {
+        const notStarted = this._notStartedResult(gate, context.signal);
+        results.push(notStarted);
+        await this.reporter.reportResult(gate.name, notStarted);
+        continue;
+      }
+
       try {
         this.emit('gate-started', gate.name);
         
-        const result = await this._runGateWithTimeout(gate, code, context);
+        const result = await this._invokeGate(gate, code, context, files);
         results.push(result);
         
         await this.reporter.reportResult(gate.name, result);
@@ -127,12 +371,9 @@ class QualityRunner extends EventEmitter {
           break;
         }
       } catch (error) {
-        const errorResult = {
-          status: 'error',
-          gate: gate.name,
-          error: error.message,
+        const errorResult = createErrorResult(gate.name, error, {
           stack: error.stack
-        };
+        });
         results.push(errorResult);
         
         await this.reporter.reportResult(gate.name, errorResult);
@@ -152,22 +393,27 @@ class QualityRunner extends EventEmitter {
   /**
    * Run gates in parallel
    */
-  async _runParallel(code, context, results) {
+  async _runParallel(code, context, results, files) {
     const promises = this.gates.map(async ({ gate, options, enabled }) => {
       if (!enabled) {
-        const skipped = {
+        const skipped = this._normalizeResult(gate, {
           status: 'skipped',
-          gate: gate.name,
           reason: 'Gate disabled'
-        };
+        });
         await this.reporter.reportResult(gate.name, skipped);
         return skipped;
       }
 
+      if (context.signal.aborted) {
+        const notStarted = this._notStartedResult(gate, context.signal);
+        await this.reporter.reportResult(gate.name, notStarted);
+        return notStarted;
+      }
+
       try {
         this.emit('gate-started', gate.name);
         
-        const result = await this._runGateWithTimeout(gate, code, context);
+        const result = await this._invokeGate(gate, code, context, files);
         
         await this.reporter.reportResult(gate.name, result);
         
@@ -178,12 +424,9 @@ class QualityRunner extends EventEmitter {
         
         return result;
       } catch (error) {
-        const errorResult = {
-          status: 'error',
-          gate: gate.name,
-          error: error.message,
+        const errorResult = createErrorResult(gate.name, error, {
           stack: error.stack
-        };
+        });
         
         await this.reporter.reportResult(gate.name, errorResult);
         
@@ -201,25 +444,163 @@ class QualityRunner extends EventEmitter {
   }
 
   /**
-   * Run a gate with timeout
+   * Invoke a gate on a single code string or on every file of a file map
    */
-  async _runGateWithTimeout(gate, code, context) {
-    return new Promise(async (resolve, reject) => {
-      const timer = setTimeout(() => {
-        reject(new Error(`Gate ${gate.name} timed out after ${this.timeout}ms`));
-      }, this.timeout);
+  async _invokeGate(gate, code, context, files) {
+    if (!files || gate.scope === 'project') {
+      return this._normalizeResult(gate, await this._runGateWithTimeout(gate, code, context));
+    }
 
+    const fileResults = {};
+    for (const [filePath, content] of Object.entries(files)) {
+      if (context.signal && context.signal.aborted) {
+        fileResults[filePath] = this._notStartedResult(gate, context.signal);
+        continue;
+      }
+
+      const fileContext = {
+        ...context,
+        fileName: filePath,
+        filePath: context.projectPath ? path.join(context.projectPath, filePath) : filePath,
+        language: context.language || QualityRunner.detectLanguage(filePath)
+      };
+      
+      let result;
       try {
-        const result = await gate.run(code, context);
-        clearTimeout(timer);
-        resolve(result);
+        result = this._normalizeResult(gate, await this._runGateWithTimeout(gate, content, fileContext));
       } catch (error) {
-        clearTimeout(timer);
-        reject(error);
+        result = createErrorResult(gate.name, error);
+      }
+      
+      fileResults[filePath] = {
+        ...result,
+        issues: result.issues.map(issue => ({ ...issue, file: issue.file || filePath }))
+      };
+    }
+
+    return QualityRunner.mergeFileResults(gate.name, fileResults, gate.constructor.statAggregation);
+  }
+
+  /**
+   * Merge per-file results of one gate into a single canonical result
+   * @param {string} gateName - Gate name
+   * @param {Object} fileResults - File path to canonical result
+   * @param {Object} aggregation - Stat key to 'sum', 'max', 'min' or 'avg'; keys not listed
+   *   are maxed (`max*`), minimized (`min*`), averaged (`avg*`) or summed by prefix
+   * @returns {Object} Aggregated canonical result
+   */
+  static mergeFileResults(gateName, fileResults, aggregation = {}) {
+    const entries = Object.entries(fileResults);
+    const statuses = entries.map(([, result]) => result.status);
+    const status = QualityRunner.STATUS_PRECEDENCE.find(s => statuses.includes(s)) || 'skipped';
+    const interrupted = statuses.some(s => s === 'timeout' || s === 'cancelled');
+    const stats = {};
+    const averaged = new Set();
+
+    const modeOf = key => aggregation[key] ||
+      (key.startsWith('max') ? 'max' : key.startsWith('min') ? 'min' : key.startsWith('avg') ? 'avg' : 'sum');
+
+    for (const [, result] of entries) {
+      for (const [key, value] of Object.entries(result.stats)) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+        const mode = modeOf(key);
+        if (mode === 'max') {
+          stats[key] = Math.max(stats[key] ?? value, value);
+        } else if (mode === 'min') {
+          stats[key] = Math.min(stats[key] ?? value, value);
+        } else if (mode === 'avg') {
+          averaged.add(key);
+        } else {
+          stats[key] = (stats[key] || 0) + value;
+        }
+      }
+    }
+
+    // Averages are averaged over the files that reported them
+    for (const key of averaged) {
+      const values = entries.map(([, r]) => r.stats[key]).filter(v => typeof v === 'number');
+      stats[key] = Math.round(values.reduce((a, b) => a + b, 0) / values.length * 10) / 10;
+    }
+
+    return normalizeResult({
+      gate: gateName,
+      status,
+      issues: entries.flatMap(([, result]) => result.issues),
+      stats: { ...stats, filesAnalyzed: entries.length },
+      duration: entries.reduce((sum, [, result]) => sum + (result.duration || 0), 0),
+      ...(interrupted ? { partial: true } : {}),
+      details: {
+        files: Object.fromEntries(entries.map(([filePath, result]) => [filePath, {
+          status: result.status,
+          stats: result.stats,
+          ...(result.configSource ? { configSource: result.configSource } : {}),
+          ...(result.error ? { error: result.error } : {})
+        }]))
       }
     });
   }
 
+  /**
+   * Guess a file's language from its extension
+   * @param {string} filePath - File path
+   * @returns {string} Language identifier
+   */
+  static detectLanguage(filePath) {
+    return /\.(ts|tsx|mts|cts)$/.test(filePath) ? 'typescript' : 'javascript';
+  }
+
+  /**
+   * Normalize a gate's output into the canonical result schema
+   * Gates that do not extend BaseQualityGate are normalized here instead
+   */
+  _normalizeResult(gate, result) {
+    try {
+      return normalizeResult(result, { gate: gate.name, strict: gate.strictSchema });
+    } catch (error) {
+      if (!(error instanceof ResultSchemaError)) {
+        throw error;
+      }
+      return createErrorResult(gate.name, error, {
+        diagnostics: [error.message, ...error.diagnostics]
+      });
+    }
+  }
+
+  /**
+   * Run a gate with timeout
+   * The gate gets an abort signal for the runner's timeout and cancel(); whichever of
+   * the runner's and the gate's own timeout comes first stops it with a 'timeout' result
+   */
+  async _runGateWithTimeout(gate, code, context) {
+    const controller = new AbortController();
+    const signal = anySignal([context.signal, controller.signal]);
+    const timer = setTimeout(() => {
+      controller.abort(timeoutReason(`Gate ${gate.name} timed out after ${this.timeout}ms`));
+    }, this.timeout);
+
+    try {
+      const execution = Promise.resolve().then(() => gate.run(code, { ...context, signal }));
+      const outcome = await settleWithin(execution, signal, (gate.abortGrace || 0) + this.abortGrace);
+
+      if (!outcome.aborted) {
+        if (outcome.error) throw outcome.error;
+        return outcome.value;
+      }
+
+      // Gates built on BaseQualityGate report their own interruption
+      const status = outcome.settled && outcome.value ? normalizeStatus(outcome.value.status) : null;
+      if (status === 'timeout' || status === 'cancelled') {
+        return outcome.value;
+      }
+      const partial = outcome.settled && outcome.value && status !== 'error'
+        ? this._normalizeResult(gate, outcome.value)
+        : null;
+      return createInterruptedResult(gate.name, interruptionStatus(signal), interruptionMessage(signal), partial);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
   /**
    * Create a runner with pre-configured gates
    * @param {Array<string>} gateTypes - Gate types to include
@@ -267,6 +648,22 @@ class QualityRunner extends EventEmitter {
     return QualityRunner.createWithGates(gateTypes, ciOptions);
   }
 
+  /**
+   * Look up rule documentation from the gate that reported it
+   * @param {string} gateName - Gate name as it appears in the summary
+   * @param {string} ruleId - Rule id
+   * @returns {Object|null} Rule documentation
+   */
+  describeRule(gateName, ruleId) {
+    const entry = this.gates.find(g => g.gate.name === gateName);
+    
+    if (!entry || typeof entry.gate.describeRule !== 'function') {
+      return null;
+    }
+    
+    return entry.gate.describeRule(ruleId);
+  }
+
   /**
    * Get gate statistics
    * @returns {Object} Statistics about configured gates
@@ -287,4 +684,16 @@ class QualityRunner extends EventEmitter {
   }
 }
 
+/**
+ * Worst-first order used when merging per-file statuses
+ * Interrupted results rank above failures: their issues are incomplete
+ */
+QualityRunner.STATUS_PRECEDENCE = ['error', 'timeout', 'cancelled', 'failed', 'warning', 'passed', 'skipped'];
+
+/**
+ * Default globs for runProject()
+ */
+QualityRunner.DEFAULT_INCLUDE = ['**/*.{js,jsx,mjs,cjs,ts,tsx,mts,cts}'];
+QualityRunner.DEFAULT_EXCLUDE = ['**/node_modules/**', '**/dist/**', '**/build/**', '**/coverage/**', '**/.git/**'];
+
 module.exports = QualityRunner;
\ No newline at end of file
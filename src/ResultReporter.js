@@ -7,6 +7,18 @@
  */
 
 const EventEmitter = require('events');
+const { formatSarif } = require('./formatters/sarif');
+const { formatJUnit } = require('./formatters/junit');
+const { formatCheckstyle } = require('./formatters/checkstyle');
+const { formatMarkdown } = require('./formatters/markdown');
+const { formatText } = require('./formatters/text');
+const {
+  SCHEMA_VERSION,
+  normalizeResult,
+  normalizeStatus,
+  createErrorResult,
+  ResultSchemaError
+} = require('./ResultSchema');
 
 class ResultReporter extends EventEmitter {
   constructor(options = {}) {
@@ -48,9 +60,11 @@ class ResultReporter extends EventEmitter {
       return result;
     }
 
+    const canonical = this.normalize(gateName, result);
+
     // Enhance result with metadata
     const enhancedResult = {
-      ...result,
+      ...canonical,
       gateName,
       taskId: this.taskId,
       timestamp: new Date().toISOString(),
@@ -75,7 +89,7 @@ class ResultReporter extends EventEmitter {
         const stored = await this.storageAdapter.storeQualityResult(
           this.taskId,
           gateName,
-          result
+          canonical
         );
         enhancedResult.stored = true;
         enhancedResult.storageId = stored.id;
@@ -89,6 +103,26 @@ class ResultReporter extends EventEmitter {
     return enhancedResult;
   }
 
+  /**
+   * Normalize a result into the canonical schema
+   * Unrepairable results are reported as errors rather than dropped
+   * @param {string} gateName - Name of the quality gate
+   * @param {Object} result - Gate execution result
+   * @returns {Object} Canonical gate result
+   */
+  normalize(gateName, result) {
+    try {
+      return normalizeResult(result, { gate: gateName });
+    } catch (error) {
+      if (!(error instanceof ResultSchemaError)) {
+        throw error;
+      }
+      return createErrorResult(gateName, error, {
+        diagnostics: [error.message, ...error.diagnostics]
+      });
+    }
+  }
+
   /**
    * Report multiple gate results at once
    * @param {Array<Object>} results - Array of gate results
@@ -157,46 +191,59 @@ class ResultReporter extends EventEmitter {
    */
   generateSummary(results) {
     const summary = {
+      schemaVersion: SCHEMA_VERSION,
       total: results.length,
       passed: 0,
       failed: 0,
+      warnings: 0,
       skipped: 0,
       errors: 0,
+      timeouts: 0,
+      cancelled: 0,
       gates: {},
       timestamp: new Date().toISOString(),
       taskId: this.taskId
     };
 
-    for (const result of results) {
-      // Count by status
-      if (result.status === 'passed') summary.passed++;
-      else if (result.status === 'failed') summary.failed++;
-      else if (result.status === 'skipped') summary.skipped++;
-      else if (result.status === 'error') summary.errors++;
-
-      // Group by gate
+    for (const raw of results) {
+      const result = this.normalize(raw.gateName || raw.gate, raw);
       const gateName = result.gateName || result.gate;
+
       if (!summary.gates[gateName]) {
         summary.gates[gateName] = {
           total: 0,
           passed: 0,
           failed: 0,
+          warnings: 0,
+          skipped: 0,
+          errors: 0,
+          timeouts: 0,
+          cancelled: 0,
           results: []
         };
       }
 
-      summary.gates[gateName].total++;
-      if (result.status === 'passed') {
-        summary.gates[gateName].passed++;
-      } else if (result.status === 'failed') {
-        summary.gates[gateName].failed++;
-      }
-      summary.gates[gateName].results.push(result);
+      const gateSummary = summary.gates[gateName];
+      const counter = ResultReporter.STATUS_COUNTERS[result.status];
+
+      // Count by status, overall and per gate
+      summary[counter]++;
+      gateSummary[counter]++;
+      gateSummary.total++;
+      gateSummary.results.push(result);
     }
 
-    // Calculate overall status
-    summary.overallStatus = summary.failed > 0 || summary.errors > 0 ? 'failed' : 'passed';
-    summary.score = summary.total > 0 ? (summary.passed / summary.total) * 100 : 0;
+    // Calculate overall status; warnings and skips do not fail a run, timeouts do,
+    // and a run that was cancelled without failing is neither passed nor failed
+    summary.overallStatus = summary.failed > 0 || summary.errors > 0 || summary.timeouts > 0
+      ? 'failed'
+      : summary.cancelled > 0 ? 'cancelled' : 'passed';
+
+    // Skipped and cancelled gates are excluded from the score, warnings count half
+    const evaluated = summary.total - summary.skipped - summary.cancelled;
+    summary.score = evaluated > 0
+      ? ((summary.passed + summary.warnings * 0.5) / evaluated) * 100
+      : 0;
 
     return summary;
   }
@@ -264,10 +311,13 @@ class ResultReporter extends EventEmitter {
    * @returns {string} Formatted output
    */
   static formatResult(result) {
-    const status = result.status.toUpperCase();
-    const symbol = result.status === 'passed' ? '✅' : 
-                   result.status === 'failed' ? '❌' : 
-                   result.status === 'skipped' ? '⏭️' : '⚠️';
+    const canonicalStatus = normalizeStatus(result.status) || result.status;
+    const status = String(canonicalStatus).toUpperCase();
+    const symbol = canonicalStatus === 'passed' ? '✅' : 
+                   canonicalStatus === 'failed' ? '❌' : 
+                   canonicalStatus === 'skipped' ? '⏭️' :
+                   canonicalStatus === 'timeout' ? '⏱️' :
+                   canonicalStatus === 'cancelled' ? '🚫' : '⚠️';
     
     let output = `${symbol} ${result.gateName || result.gate}: ${status}`;
     
@@ -281,6 +331,91 @@ class ResultReporter extends EventEmitter {
     
     return output;
   }
+
+  /**
+   * Convert a run summary into a SARIF 2.1.0 log for code-scanning UIs
+   * @param {Object} summary - Run summary
+   * @param {Object} options - See formatters/sarif
+   * @returns {Object} SARIF log
+   */
+  static formatSarif(summary, options = {}) {
+    return formatSarif(summary, options);
+  }
+
+  /**
+   * Register a report formatter
+   * @param {string} name - Format name (e.g. used by `--format`)
+   * @param {Function} formatter - (summary, options) => string
+   */
+  static registerFormatter(name, formatter) {
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new Error('Formatter name must be a non-empty string');
+    }
+    if (typeof formatter !== 'function') {
+      throw new Error(`Formatter ${name} must be a function`);
+    }
+
+    ResultReporter.formatters.set(name, formatter);
+  }
+
+  /**
+   * Check whether a formatter is registered
+   * @param {string} name - Format name
+   * @returns {boolean} True if registered
+   */
+  static hasFormatter(name) {
+    return ResultReporter.formatters.has(name);
+  }
+
+  /**
+   * Get registered formatter names
+   * @returns {Array<string>} Format names
+   */
+  static getFormatters() {
+    return Array.from(ResultReporter.formatters.keys());
+  }
+
+  /**
+   * Render a run summary with a registered formatter
+   * @param {Object} summary - Run summary
+   * @param {string} name - Format name
+   * @param {Object} options - Formatter options
+   * @returns {string} Rendered report
+   */
+  static format(summary, name = 'json', options = {}) {
+    const formatter = ResultReporter.formatters.get(name);
+
+    if (!formatter) {
+      throw new Error(`Unknown report format: ${name}`);
+    }
+
+    return formatter(summary, options);
+  }
 }
 
+/**
+ * Summary counter incremented for each canonical status
+ */
+ResultReporter.STATUS_COUNTERS = {
+  passed: 'passed',
+  failed: 'failed',
+  warning: 'warnings',
+  skipped: 'skipped',
+  error: 'errors',
+  timeout: 'timeouts',
+  cancelled: 'cancelled'
+};
+
+/**
+ * Report formatters, keyed by format name
+ */
+ResultReporter.formatters = new Map([
+  ['text', formatText],
+  ['json', summary => JSON.stringify(summary, null, 2) + '\n'],
+  ['sarif', (summary, options) => JSON.stringify(formatSarif(summary, options), null, 2) + '\n'],
+  ['junit', formatJUnit],
+  ['checkstyle', formatCheckstyle],
+  ['markdown', formatMarkdown]
+]);
+
 module.exports = ResultReporter;
\ No newline at end of file
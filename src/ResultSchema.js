@@ -0,0 +1,356 @@
+/**
+ * Canonical Result Schema
+ * Versioned GateResult/Issue shape shared by gates, runner, reporter and storage
+ *
+ * Gates may keep returning the short statuses they always have ('pass',
+ * 'fail', 'skip', ...); normalizeResult() maps them onto the canonical
+ * vocabulary and repairs what it safely can, recording a diagnostic for
+ * every repair so non-conforming custom gates are easy to spot.
+ */
+
+const SCHEMA_VERSION = '1.0';
+
+const STATUSES = ['passed', 'failed', 'warning', 'skipped', 'error', 'timeout', 'cancelled'];
+
+const SEVERITIES = ['error', 'warning', 'info', 'hint'];
+
+const STATUS_ALIASES = {
+    pass: 'passed',
+    passed: 'passed',
+    success: 'passed',
+    ok: 'passed',
+    fail: 'failed',
+    failed: 'failed',
+    failure: 'failed',
+    warn: 'warning',
+    warning: 'warning',
+    warnings: 'warning',
+    skip: 'skipped',
+    skipped: 'skipped',
+    disabled: 'skipped',
+    error: 'error',
+    errored: 'error',
+    timeout: 'timeout',
+    'timed-out': 'timeout',
+    cancelled: 'cancelled',
+    canceled: 'cancelled',
+    aborted: 'cancelled'
+};
+
+const SEVERITY_ALIASES = {
+    error: 'error',
+    fatal: 'error',
+    critical: 'error',
+    high: 'error',
+    blocker: 'error',
+    warning: 'warning',
+    warn: 'warning',
+    moderate: 'warning',
+    medium: 'warning',
+    info: 'info',
+    low: 'info',
+    note: 'info',
+    notice: 'info',
+    hint: 'hint',
+    suggestion: 'hint'
+};
+
+/**
+ * Raised when a gate result cannot be repaired into the canonical shape
+ */
+class ResultSchemaError extends Error {
+    constructor(message, diagnostics = []) {
+        super(message);
+        this.name = 'ResultSchemaError';
+        this.code = 'INVALID_GATE_RESULT';
+        this.diagnostics = diagnostics;
+    }
+}
+
+/**
+ * Map a status (or alias) onto the canonical vocabulary
+ * @param {string} status - Raw status
+ * @returns {string|null} Canonical status, or null if unknown
+ */
+function normalizeStatus(status) {
+    if (typeof status !== 'string') {
+        return null;
+    }
+    return STATUS_ALIASES[status.toLowerCase()] || null;
+}
+
+/**
+ * Map a severity (or alias, or ESLint numeric level) onto the canonical vocabulary
+ * @param {string|number} severity - Raw severity
+ * @returns {string|null} Canonical severity, or null if unknown
+ */
+function normalizeSeverity(severity) {
+    if (severity === 2) return 'error';
+    if (severity === 1) return 'warning';
+    if (typeof severity !== 'string') {
+        return null;
+    }
+    return SEVERITY_ALIASES[severity.toLowerCase()] || null;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toPosition(value) {
+    const number = typeof value === 'string' ? Number(value) : value;
+    return Number.isInteger(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Validate an issue against the canonical schema without modifying it
+ * @param {Object} issue - Issue to validate
+ * @param {string} path - Path used to prefix error messages
+ * @returns {Array<string>} Validation errors
+ */
+function validateIssue(issue, path = 'issue') {
+    const errors = [];
+
+    if (!isPlainObject(issue)) {
+        return [`${path}: expected an object`];
+    }
+    if (typeof issue.message !== 'string' || issue.message.length === 0) {
+        errors.push(`${path}.message: expected a non-empty string`);
+    }
+    if (!SEVERITIES.includes(issue.severity)) {
+        errors.push(`${path}.severity: expected one of ${SEVERITIES.join(', ')}, got ${JSON.stringify(issue.severity)}`);
+    }
+    if (issue.rule !== null && typeof issue.rule !== 'string') {
+        errors.push(`${path}.rule: expected a string or null`);
+    }
+    for (const field of ['line', 'column']) {
+        if (!Number.isInteger(issue[field]) || issue[field] < 0) {
+            errors.push(`${path}.${field}: expected a non-negative integer`);
+        }
+    }
+    if (issue.file !== undefined && typeof issue.file !== 'string') {
+        errors.push(`${path}.file: expected a string`);
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a gate result against the canonical schema without modifying it
+ * @param {Object} result - Gate result to validate
+ * @returns {{valid: boolean, errors: Array<string>}} Validation outcome
+ */
+function validateResult(result) {
+    const errors = [];
+
+    if (!isPlainObject(result)) {
+        return { valid: false, errors: ['result: expected an object'] };
+    }
+    if (result.schemaVersion !== SCHEMA_VERSION) {
+        errors.push(`schemaVersion: expected "${SCHEMA_VERSION}", got ${JSON.stringify(result.schemaVersion)}`);
+    }
+    if (typeof result.gate !== 'string' || result.gate.length === 0) {
+        errors.push('gate: expected a non-empty string');
+    }
+    if (!STATUSES.includes(result.status)) {
+        errors.push(`status: expected one of ${STATUSES.join(', ')}, got ${JSON.stringify(result.status)}`);
+    }
+    if (!Array.isArray(result.issues)) {
+        errors.push('issues: expected an array');
+    } else {
+        result.issues.forEach((issue, index) => {
+            errors.push(...validateIssue(issue, `issues[${index}]`));
+        });
+    }
+    if (!isPlainObject(result.stats)) {
+        errors.push('stats: expected an object');
+    }
+    if (!isPlainObject(result.details)) {
+        errors.push('details: expected an object');
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Repair an issue into the canonical shape
+ * @param {Object} issue - Raw issue
+ * @param {string} path - Path used to prefix diagnostics
+ * @param {Array<string>} diagnostics - Collector for repair diagnostics
+ * @returns {Object} Canonical issue
+ */
+function normalizeIssue(issue, path = 'issue', diagnostics = []) {
+    if (typeof issue === 'string') {
+        diagnostics.push(`${path}: string issue wrapped into an object`);
+        issue = { message: issue };
+    }
+    if (!isPlainObject(issue)) {
+        throw new ResultSchemaError(`${path}: expected an object, got ${JSON.stringify(issue)}`, diagnostics);
+    }
+
+    const normalized = { ...issue };
+
+    if (typeof normalized.message !== 'string' || normalized.message.length === 0) {
+        normalized.message = normalized.rule ? String(normalized.rule) : 'Unspecified issue';
+        diagnostics.push(`${path}.message: missing, defaulted to "${normalized.message}"`);
+    }
+
+    const severity = normalizeSeverity(issue.severity);
+    if (!severity) {
+        normalized.severity = 'warning';
+        diagnostics.push(`${path}.severity: ${JSON.stringify(issue.severity)} is not a known severity, defaulted to "warning"`);
+    } else {
+        normalized.severity = severity;
+    }
+
+    if (normalized.rule === undefined) {
+        normalized.rule = null;
+    } else if (normalized.rule !== null && typeof normalized.rule !== 'string') {
+        normalized.rule = String(normalized.rule);
+    }
+
+    for (const field of ['line', 'column']) {
+        const position = toPosition(issue[field]);
+        if (position === null) {
+            if (issue[field] !== undefined) {
+                diagnostics.push(`${path}.${field}: ${JSON.stringify(issue[field])} is not a valid position, defaulted to 0`);
+            }
+            normalized[field] = 0;
+        } else {
+            normalized[field] = position;
+        }
+    }
+
+    // Test failures historically carry the file in `location`
+    if (normalized.file === undefined && typeof issue.location === 'string') {
+        normalized.file = issue.location;
+    }
+
+    return normalized;
+}
+
+/**
+ * Repair a gate result into the canonical shape
+ * @param {Object} raw - Result returned by a gate
+ * @param {Object} options - Normalization options
+ * @param {string} options.gate - Gate name to use when the result has none
+ * @param {boolean} options.strict - Reject results that need any repair
+ * @returns {Object} Canonical gate result
+ * @throws {ResultSchemaError} If the result cannot be repaired
+ */
+function normalizeResult(raw, options = {}) {
+    const diagnostics = [];
+    const gate = (raw && (raw.gate || raw.gateName)) || options.gate;
+
+    if (!isPlainObject(raw)) {
+        throw new ResultSchemaError(`Gate ${gate || 'unknown'} returned ${JSON.stringify(raw)} instead of a result object`);
+    }
+
+    const status = normalizeStatus(raw.status);
+    if (!status) {
+        throw new ResultSchemaError(
+            `Gate ${gate || 'unknown'} returned unknown status ${JSON.stringify(raw.status)} (expected one of ${STATUSES.join(', ')})`
+        );
+    }
+    if (status !== raw.status && !STATUS_ALIASES[raw.status]) {
+        diagnostics.push(`status: "${raw.status}" mapped to "${status}"`);
+    }
+
+    let issues = raw.issues;
+    if (issues === undefined && isPlainObject(raw.details) && Array.isArray(raw.details.issues)) {
+        issues = raw.details.issues;
+        diagnostics.push('issues: hoisted from details.issues');
+    }
+    if (issues === undefined || issues === null) {
+        issues = [];
+    } else if (!Array.isArray(issues)) {
+        throw new ResultSchemaError(`Gate ${gate || 'unknown'} returned non-array issues`, diagnostics);
+    }
+
+    const result = {
+        ...raw,
+        schemaVersion: SCHEMA_VERSION,
+        gate: gate || 'unknown',
+        status,
+        issues: issues.map((issue, index) => normalizeIssue(issue, `issues[${index}]`, diagnostics)),
+        stats: isPlainObject(raw.stats) ? raw.stats : {},
+        details: isPlainObject(raw.details) ? raw.details : {}
+    };
+
+    if (!gate) {
+        diagnostics.push('gate: missing, defaulted to "unknown"');
+    }
+
+    if (diagnostics.length > 0) {
+        if (options.strict) {
+            throw new ResultSchemaError(
+                `Gate ${result.gate} returned a non-conforming result: ${diagnostics.join('; ')}`,
+                diagnostics
+            );
+        }
+        result.diagnostics = [...(raw.diagnostics || []), ...diagnostics];
+    }
+
+    return result;
+}
+
+/**
+ * Build a canonical error result
+ * @param {string} gate - Gate name
+ * @param {Error|string} error - Error that caused the failure
+ * @param {Object} extra - Additional result fields
+ * @returns {Object} Canonical gate result
+ */
+function createErrorResult(gate, error, extra = {}) {
+    const message = error instanceof Error ? error.message : String(error);
+
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        gate,
+        status: 'error',
+        error: message,
+        issues: [],
+        stats: {},
+        details: {},
+        ...(error && error.diagnostics && error.diagnostics.length > 0 ? { diagnostics: error.diagnostics } : {}),
+        ...extra
+    };
+}
+
+/**
+ * Build a canonical result for a gate that timed out or was cancelled
+ * @param {string} gate - Gate name
+ * @param {string} status - 'timeout' or 'cancelled'
+ * @param {Error|string} reason - Why it stopped
+ * @param {Object|null} partial - Canonical result the gate returned before stopping, if any
+ * @returns {Object} Canonical gate result; `partial` tells whether issues and stats are incomplete ones
+ */
+function createInterruptedResult(gate, status, reason, partial = null) {
+    const message = reason instanceof Error ? reason.message : String(reason);
+
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        gate,
+        status,
+        error: message,
+        issues: partial ? partial.issues : [],
+        stats: partial ? partial.stats : {},
+        details: partial ? partial.details : {},
+        partial: Boolean(partial)
+    };
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    STATUSES,
+    SEVERITIES,
+    ResultSchemaError,
+    normalizeStatus,
+    normalizeSeverity,
+    normalizeIssue,
+    normalizeResult,
+    validateIssue,
+    validateResult,
+    createErrorResult,
+    createInterruptedResult
+};
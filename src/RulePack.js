@@ -0,0 +1,185 @@
+/**
+ * Security Rule Packs
+ * Loads and validates packs of pattern and AST-selector rules for SecurityGate
+ *
+ * A pack is a YAML/JSON file, a JS module exporting a pack, or an object:
+ *
+ *   name: acme-security
+ *   rules:
+ *     - id: acme/weak-hash
+ *       description: MD5 and SHA-1 are not collision resistant
+ *       severity: warning
+ *       cwe: CWE-328
+ *       selector: CallExpression[callee.property.name=createHash] > Literal[value=/^(md5|sha1)$/i]
+ *       fix: Use createHash('sha256')
+ *     - id: acme/internal-host
+ *       description: Internal hostnames must come from configuration
+ *       severity: error
+ *       pattern: "\\binternal\\.acme\\.corp\\b"
+ */
+
+const path = require('path');
+const fs = require('fs');
+const ConfigLoader = require('./ConfigLoader');
+const { SEVERITIES, normalizeSeverity } = require('./ResultSchema');
+const { parseSelector } = require('./analysis/selector');
+
+const { ConfigError } = ConfigLoader;
+
+const PACK_KEYS = ['name', 'description', 'rules'];
+const RULE_KEYS = ['id', 'description', 'message', 'severity', 'cwe', 'confidence', 'pattern', 'flags', 'selector', 'fix', 'enabled'];
+const CONFIDENCES = ['low', 'medium', 'high'];
+const PACK_FILE = /\.(json|ya?ml|c?js)$/;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Normalize a CWE id (`79`, `'79'`, `'cwe-79'`) to `CWE-79`
+ * @returns {string|null} Normalized id, or null when it is not a CWE id
+ */
+function normalizeCwe(cwe) {
+    const match = String(cwe).match(/^(?:cwe-)?(\d+)$/i);
+    return match ? `CWE-${match[1]}` : null;
+}
+
+/**
+ * Validate a raw pack and compile its rules
+ * @param {Object} pack - Parsed pack
+ * @param {Object} source - `{ file, text }` of the pack, for error locations
+ * @returns {{name: string, file: string, rules: Array<Object>}} Pack with compiled rules
+ * @throws {ConfigError} On the first invalid key
+ */
+function validateRulePack(pack, source = { file: '<inline>' }) {
+    const loader = new ConfigLoader();
+    const fail = (keyPath, message) => {
+        throw new ConfigError(`${keyPath.join('.') || '<root>'}: ${message}`, {
+            file: source.file,
+            keyPath: keyPath.join('.'),
+            ...loader.locate(source, keyPath)
+        });
+    };
+
+    if (!isPlainObject(pack)) fail([], 'expected a rule pack mapping');
+    for (const key of Object.keys(pack)) {
+        if (!PACK_KEYS.includes(key)) fail([key], `unknown key (expected one of ${PACK_KEYS.join(', ')})`);
+    }
+    if (!Array.isArray(pack.rules)) fail(['rules'], 'expected a list of rules');
+
+    const name = typeof pack.name === 'string' ? pack.name : path.basename(source.file || 'inline');
+    const ids = new Set();
+
+    const rules = pack.rules.map((rule, index) => {
+        const at = key => ['rules', index, ...(key ? [key] : [])];
+
+        if (!isPlainObject(rule)) fail(at(), 'expected a rule mapping');
+        for (const key of Object.keys(rule)) {
+            if (!RULE_KEYS.includes(key)) fail(at(key), `unknown rule key (expected one of ${RULE_KEYS.join(', ')})`);
+        }
+        if (typeof rule.id !== 'string' || rule.id.length === 0) fail(at('id'), 'expected a rule id');
+        if (ids.has(rule.id)) fail(at('id'), `duplicate rule id "${rule.id}"`);
+        ids.add(rule.id);
+
+        if (typeof rule.description !== 'string') fail(at('description'), 'expected a description');
+        for (const key of ['message', 'fix']) {
+            if (rule[key] !== undefined && typeof rule[key] !== 'string') fail(at(key), 'expected a string');
+        }
+
+        const severity = normalizeSeverity(rule.severity === undefined ? 'warning' : rule.severity);
+        if (!severity) fail(at('severity'), `expected one of ${SEVERITIES.join(', ')}`);
+
+        const cwe = rule.cwe === undefined ? null : normalizeCwe(rule.cwe);
+        if (rule.cwe !== undefined && !cwe) fail(at('cwe'), 'expected a CWE id such as CWE-79');
+
+        const confidence = rule.confidence === undefined ? 'medium' : rule.confidence;
+        if (!CONFIDENCES.includes(confidence)) fail(at('confidence'), `expected one of ${CONFIDENCES.join(', ')}`);
+
+        if ((rule.pattern === undefined) === (rule.selector === undefined)) {
+            fail(at(), 'expected exactly one of pattern or selector');
+        }
+
+        const compiled = {
+            id: rule.id,
+            pack: name,
+            description: rule.description,
+            message: rule.message || rule.description,
+            severity,
+            cwe,
+            confidence,
+            fix: rule.fix || null,
+            enabled: rule.enabled !== false
+        };
+
+        if (rule.pattern !== undefined) {
+            try {
+                compiled.pattern = new RegExp(rule.pattern, `${(rule.flags || '').replace('g', '')}g`);
+            } catch (error) {
+                fail(at('pattern'), error.message);
+            }
+        } else {
+            try {
+                compiled.selector = rule.selector;
+                compiled.parsedSelector = parseSelector(rule.selector);
+            } catch (error) {
+                fail(at('selector'), error.message);
+            }
+        }
+
+        return compiled;
+    });
+
+    return { name, file: source.file, rules };
+}
+
+/**
+ * Load a rule pack
+ * @param {string|Object} spec - Pack object, path to a .json/.yml/.yaml/.js file, or npm package name
+ * @param {Object} options - `{ cwd }` to resolve relative paths and packages against
+ * @returns {{name: string, file: string, rules: Array<Object>}} Validated pack
+ * @throws {ConfigError} When the pack cannot be found, parsed or validated
+ */
+function loadRulePack(spec, options = {}) {
+    const cwd = options.cwd || process.cwd();
+
+    if (isPlainObject(spec)) {
+        return validateRulePack(spec, { file: '<inline>' });
+    }
+    if (typeof spec !== 'string' || spec.length === 0) {
+        throw new ConfigError(`Invalid rule pack ${JSON.stringify(spec)}: expected a path, package name or object`);
+    }
+
+    const isPath = spec.startsWith('.') || path.isAbsolute(spec) || PACK_FILE.test(spec);
+    let file;
+    try {
+        file = isPath ? path.resolve(cwd, spec) : require.resolve(spec, { paths: [cwd] });
+    } catch (error) {
+        throw new ConfigError(`Cannot find rule pack "${spec}"`);
+    }
+
+    if (/\.c?js$/.test(file) || !isPath) {
+        let pack;
+        try {
+            pack = require(file);
+        } catch (error) {
+            throw new ConfigError(`Cannot load rule pack: ${error.message}`, { file });
+        }
+        return validateRulePack(pack && pack.__esModule ? pack.default : pack, { file });
+    }
+
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new ConfigError(`Cannot read rule pack: ${error.message}`, { file });
+    }
+
+    const source = { file, text };
+    return validateRulePack(new ConfigLoader().parse(text, source), source);
+}
+
+module.exports = {
+    loadRulePack,
+    validateRulePack,
+    normalizeCwe
+};
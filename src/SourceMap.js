@@ -0,0 +1,161 @@
+/**
+ * Source Map
+ * Minimal source map v3 reader: decodes the Base64 VLQ `mappings` and maps
+ * generated positions back to the original source
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { fileURLToPath } = require('url');
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_VALUES = new Map([...BASE64].map((char, value) => [char, value]));
+
+/**
+ * Decode one mapping segment into its (signed) fields
+ * @param {string} segment - e.g. 'AAgBC'
+ * @returns {Array<number>} Relative values
+ */
+function decodeVlq(segment) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+
+    for (const char of segment) {
+        const digit = BASE64_VALUES.get(char);
+        if (digit === undefined) {
+            throw new Error(`Invalid base64 VLQ character "${char}"`);
+        }
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+            shift += 5;
+        } else {
+            // The lowest bit is the sign
+            values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+            value = 0;
+            shift = 0;
+        }
+    }
+    return values;
+}
+
+/**
+ * Decode a `mappings` string
+ * Generated columns restart on each line; the other fields carry over
+ * @returns {Array<Array<Array<number>>>} Per generated line, segments
+ *   `[column, source, line, column]` with absolute, zero-based values, sorted by column
+ */
+function decodeMappings(mappings) {
+    const lines = [];
+    let source = 0;
+    let originalLine = 0;
+    let originalColumn = 0;
+
+    for (const lineText of mappings.split(';')) {
+        const segments = [];
+        let column = 0;
+        for (const segmentText of lineText.split(',')) {
+            if (!segmentText) continue;
+            const fields = decodeVlq(segmentText);
+            column += fields[0];
+            if (fields.length >= 4) {
+                source += fields[1];
+                originalLine += fields[2];
+                originalColumn += fields[3];
+                segments.push([column, source, originalLine, originalColumn]);
+            } else {
+                segments.push([column]);
+            }
+        }
+        lines.push(segments.sort((a, b) => a[0] - b[0]));
+    }
+    return lines;
+}
+
+/**
+ * Parse a source map
+ * @param {string|Object} raw - Source map JSON
+ * @param {string} mapFile - Where the map lives; sources resolve against it
+ * @returns {{sources: Array<string>, lines: Array}} Absolute source paths and decoded mappings
+ * @throws {Error} On index maps and unsupported versions
+ */
+function parseSourceMap(raw, mapFile) {
+    const map = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    if (map.version !== 3 || typeof map.mappings !== 'string') {
+        throw new Error('Only version 3 source maps with mappings are supported');
+    }
+
+    const base = path.resolve(path.dirname(mapFile), map.sourceRoot || '');
+    return {
+        sources: (map.sources || []).map(source => source.startsWith('file://')
+            ? fileURLToPath(source)
+            : path.resolve(base, source)),
+        lines: decodeMappings(map.mappings)
+    };
+}
+
+/**
+ * Load the source map of a generated file: its `sourceMappingURL` comment
+ * (inline data URL or file), else `<file>.map`
+ * @returns {Object|null} parseSourceMap() result, or null when there is none
+ */
+function loadSourceMap(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        return null;
+    }
+
+    try {
+        const comments = [...text.matchAll(/\/[/*][#@]\s*sourceMappingURL=(\S+?)\s*(?:\*\/)?\s*$/gm)];
+        const url = comments.length > 0 ? comments[comments.length - 1][1] : null;
+
+        if (url && url.startsWith('data:')) {
+            const [header, data] = url.split(',', 2);
+            const json = /;base64$/.test(header) ? Buffer.from(data, 'base64').toString('utf8') : decodeURIComponent(data);
+            return parseSourceMap(json, file);
+        }
+
+        const mapFile = url ? path.resolve(path.dirname(file), decodeURIComponent(url)) : `${file}.map`;
+        if (!fs.existsSync(mapFile)) {
+            return null;
+        }
+        return parseSourceMap(fs.readFileSync(mapFile, 'utf8'), mapFile);
+    } catch (error) {
+        // A broken map is no map
+        return null;
+    }
+}
+
+/**
+ * Original position of a generated one
+ * @param {Object} map - parseSourceMap() result
+ * @param {number} line - 1-based generated line
+ * @param {number} column - 1-based generated column, as in stack traces
+ * @returns {{file: string, line: number, column: number}|null} 1-based original position
+ */
+function originalPosition(map, line, column) {
+    const segments = (map.lines[line - 1] || []).filter(segment => segment.length >= 4);
+    if (segments.length === 0) {
+        return null;
+    }
+
+    // The last segment starting at or before the column; columns before the first use it
+    let match = segments[0];
+    for (const segment of segments) {
+        if (segment[0] > column - 1) break;
+        match = segment;
+    }
+
+    const file = map.sources[match[1]];
+    return file ? { file, line: match[2] + 1, column: match[3] + 1 } : null;
+}
+
+module.exports = {
+    decodeVlq,
+    decodeMappings,
+    parseSourceMap,
+    loadSourceMap,
+    originalPosition
+};
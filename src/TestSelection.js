@@ -0,0 +1,133 @@
+/**
+ * Test Selection
+ * Finds the tests in a project that exercise a set of changed files by
+ * following relative imports from each test file
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { glob } = require('glob');
+const { parse } = require('./analysis/ast');
+const { collectImportSources } = require('./analysis/modules');
+
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+
+const TEST_PATTERNS = [
+    '**/*.{test,spec}.{js,jsx,mjs,cjs,ts,tsx,mts,cts}',
+    '**/__tests__/**/*.{js,jsx,mjs,cjs,ts,tsx,mts,cts}',
+    'test/**/*.{js,mjs,cjs,ts,mts,cts}',
+    'tests/**/*.{js,mjs,cjs,ts,mts,cts}'
+];
+const TEST_EXCLUDE = ['**/node_modules/**', '**/.git/**', '**/dist/**', '**/build/**', '**/coverage/**', '**/fixtures/**'];
+
+/**
+ * Whether a project-relative path looks like a test file
+ */
+function isTestFile(file) {
+    return /\.(test|spec)\.[cm]?[jt]sx?$/.test(file) || /(^|\/)(__tests__|tests?)\//.test(file);
+}
+
+/**
+ * Test files under a project root
+ * @returns {Promise<Array<string>>} Sorted posix paths relative to `root`
+ */
+async function findTestFiles(root, patterns = TEST_PATTERNS, exclude = TEST_EXCLUDE) {
+    const matches = await glob(patterns, { cwd: root, ignore: exclude, nodir: true, posix: true });
+    return matches.sort();
+}
+
+/**
+ * Resolve a relative specifier to a project file the way Node does, plus the
+ * TypeScript convention of importing `./a.js` for `./a.ts`
+ * @param {string} fromFile - Importing file, relative to `root`
+ * @returns {string|null} Relative path, or null for packages and missing files
+ */
+function resolveImport(root, fromFile, specifier) {
+    if (!specifier.startsWith('.')) {
+        return null;
+    }
+
+    const base = path.posix.join(path.posix.dirname(fromFile), specifier);
+    if (base.startsWith('../')) {
+        return null;
+    }
+    const stem = base.replace(/\.[cm]?js$/, '');
+    const candidates = [
+        base,
+        ...SOURCE_EXTENSIONS.map(extension => base + extension),
+        ...(stem !== base ? ['.ts', '.tsx', '.mts', '.cts'].map(extension => stem + extension) : []),
+        ...SOURCE_EXTENSIONS.map(extension => `${base}/index${extension}`)
+    ];
+
+    return candidates.find(candidate => {
+        try {
+            return fs.statSync(path.join(root, candidate)).isFile();
+        } catch (error) {
+            return false;
+        }
+    }) || null;
+}
+
+/**
+ * Tests that import any of the changed files, directly or through other project files
+ * Changed files that are tests themselves are always selected
+ * @param {string} root - Project root
+ * @param {Array<string>} changedFiles - Relative paths of the changed files
+ * @param {Array<string>} testFiles - Relative paths of the candidate tests
+ * @returns {Array<string>} Selected tests, sorted
+ */
+function selectRelatedTests(root, changedFiles, testFiles) {
+    const changed = new Set(changedFiles);
+    const imports = new Map();
+
+    const importsOf = file => {
+        if (!imports.has(file)) {
+            let resolved = [];
+            if (SOURCE_EXTENSIONS.includes(path.extname(file))) {
+                try {
+                    const ast = parse(fs.readFileSync(path.join(root, file), 'utf8'), { fileName: file });
+                    resolved = collectImportSources(ast)
+                        .map(specifier => resolveImport(root, file, specifier))
+                        .filter(Boolean);
+                } catch (error) {
+                    // Unparseable files contribute no edges
+                }
+            }
+            imports.set(file, resolved);
+        }
+        return imports.get(file);
+    };
+
+    const reachesChange = test => {
+        const seen = new Set([test]);
+        const stack = [test];
+        while (stack.length > 0) {
+            for (const dependency of importsOf(stack.pop())) {
+                if (changed.has(dependency)) return true;
+                if (!seen.has(dependency)) {
+                    seen.add(dependency);
+                    stack.push(dependency);
+                }
+            }
+        }
+        return false;
+    };
+
+    const selected = new Set(changedFiles.filter(file => isTestFile(file) && SOURCE_EXTENSIONS.includes(path.extname(file))));
+    for (const test of testFiles) {
+        if (!selected.has(test) && reachesChange(test)) {
+            selected.add(test);
+        }
+    }
+
+    return [...selected].sort();
+}
+
+module.exports = {
+    TEST_PATTERNS,
+    TEST_EXCLUDE,
+    isTestFile,
+    findTestFiles,
+    resolveImport,
+    selectRelatedTests
+};
@@ -0,0 +1,158 @@
+/**
+ * TypeScript Support
+ * Locates optional TypeScript tooling (parsers, transpilers, tsc) in the
+ * target project first, then next to this package
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const TS_FILE = /\.(ts|tsx|mts|cts)$/;
+
+// Require hooks that transpile TypeScript for runners that load tests in-process
+const REGISTER_HOOKS = [
+    { name: 'ts-node', request: 'ts-node/register/transpile-only' },
+    { name: 'esbuild-register', request: 'esbuild-register' },
+    { name: '@swc/register', request: '@swc/register' },
+    { name: 'tsx', request: 'tsx/cjs' }
+];
+
+// Jest ignores require hooks and needs a transformer instead
+const JEST_TRANSFORMERS = [
+    { name: 'ts-jest', request: 'ts-jest' },
+    { name: '@swc/jest', request: '@swc/jest' },
+    { name: 'esbuild-jest', request: 'esbuild-jest' }
+];
+
+/**
+ * Resolve a module from the project root, then from this package
+ * @param {Array<string>} paths - Directories to resolve from instead
+ * @returns {string|null} Absolute path, or null when it is not installed
+ */
+function resolveFrom(root, request, paths = [root, __dirname]) {
+    try {
+        return require.resolve(request, { paths });
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Whether a file name or context refers to TypeScript
+ * @param {Object|string} context - Gate context (`language`, `fileName`) or a file name
+ */
+function isTypeScriptFile(context) {
+    if (typeof context === 'string') return TS_FILE.test(context);
+    if (context.language) return context.language === 'typescript';
+    return TS_FILE.test(context.fileName || '');
+}
+
+/**
+ * ESLint parser for TypeScript
+ * Prefers @typescript-eslint/parser (with the plugin's rules and type-aware
+ * linting when a tsconfig is given); falls back to @babel/eslint-parser with
+ * Babel's built-in TypeScript syntax support
+ * @param {string} root - Project root
+ * @param {Object} options - `{ tsconfig }` to enable type-aware rules
+ * @returns {{name: string, typeAware: boolean, pluginRoot: string|null, override: Object}} Parser name,
+ *   legacy config override for TS files, and the directory to resolve its plugin from
+ */
+function typeScriptOverride(root, options = {}) {
+    const files = ['*.ts', '*.tsx', '*.mts', '*.cts'];
+    const tsParser = resolveFrom(root, '@typescript-eslint/parser');
+    const tsPlugin = tsParser && resolveFrom(root, '@typescript-eslint/eslint-plugin');
+
+    if (tsParser) {
+        const typeAware = Boolean(tsPlugin && options.tsconfig);
+        return {
+            name: '@typescript-eslint/parser',
+            typeAware,
+            // Directory that ESLint resolves the plugin from
+            pluginRoot: tsPlugin ? (resolveFrom(root, '@typescript-eslint/eslint-plugin', [root]) ? root : __dirname) : null,
+            override: {
+                files,
+                parser: tsParser,
+                parserOptions: typeAware ? { project: options.tsconfig, tsconfigRootDir: root } : {},
+                ...(tsPlugin ? { plugins: ['@typescript-eslint'] } : {}),
+                rules: {
+                    // The compiler reports undefined names; types are not runtime bindings
+                    'no-undef': 'off',
+                    'no-unused-vars': 'off',
+                    ...(tsPlugin ? { '@typescript-eslint/no-unused-vars': 'error' } : {}),
+                    ...(typeAware ? {
+                        '@typescript-eslint/no-floating-promises': 'error',
+                        '@typescript-eslint/no-misused-promises': 'error',
+                        '@typescript-eslint/await-thenable': 'error'
+                    } : {})
+                }
+            }
+        };
+    }
+
+    return {
+        name: '@babel/eslint-parser',
+        typeAware: false,
+        pluginRoot: null,
+        override: {
+            files,
+            parser: require.resolve('@babel/eslint-parser'),
+            parserOptions: {
+                requireConfigFile: false,
+                babelOptions: {
+                    babelrc: false,
+                    configFile: false,
+                    parserOpts: { plugins: ['typescript'] }
+                }
+            },
+            rules: {
+                'no-undef': 'off',
+                'no-unused-vars': 'off'
+            }
+        }
+    };
+}
+
+/**
+ * Find a transpiler for running TypeScript tests
+ * @param {string} root - Project root
+ * @param {string} runner - Test runner name; 'jest' needs a transformer, others a require hook
+ * @param {string} preferred - Transpiler name to use instead of the first one found
+ * @returns {{name: string, kind: string, path: string}|null} `kind` is 'transform' or 'register'
+ */
+function resolveTranspiler(root, runner, preferred = null) {
+    const candidates = runner === 'jest' ? JEST_TRANSFORMERS : REGISTER_HOOKS;
+    const kind = runner === 'jest' ? 'transform' : 'register';
+
+    for (const candidate of candidates) {
+        if (preferred && candidate.name !== preferred) continue;
+        const resolved = resolveFrom(root, candidate.request);
+        if (resolved) return { name: candidate.name, kind, path: resolved };
+    }
+    return null;
+}
+
+/**
+ * Names of the transpilers resolveTranspiler() looks for
+ */
+function transpilerNames(runner) {
+    return (runner === 'jest' ? JEST_TRANSFORMERS : REGISTER_HOOKS).map(candidate => candidate.name);
+}
+
+/**
+ * tsconfig.json in the project root
+ * @returns {string|null} Absolute path
+ */
+function findTsconfig(root, name = 'tsconfig.json') {
+    const file = path.resolve(root, name);
+    return fs.existsSync(file) ? file : null;
+}
+
+module.exports = {
+    TS_FILE,
+    resolveFrom,
+    isTypeScriptFile,
+    typeScriptOverride,
+    resolveTranspiler,
+    transpilerNames,
+    findTsconfig
+};
@@ -0,0 +1,164 @@
+/**
+ * Unified Diff
+ * Line diff (Myers' O(ND) algorithm) and `diff -u` style output for fixed code
+ */
+
+/**
+ * Split text into lines that keep their terminators, so a missing final
+ * newline shows up as a change
+ */
+function splitLines(text) {
+    return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Shortest edit script between two line arrays
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<{type: string, line: string}>} Operations; `type` is ' ', '-' or '+'
+ */
+function diffLines(a, b) {
+    // Common prefix and suffix do not need the search
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const oldLines = a.slice(start, endA);
+    const newLines = b.slice(start, endB);
+    const n = oldLines.length;
+    const m = newLines.length;
+
+    // v[k + offset] is the furthest x reached on diagonal k; one snapshot per edit distance
+    const offset = n + m + 1;
+    const v = new Int32Array(2 * offset + 1);
+    const trace = [];
+    let found = n === 0 && m === 0;
+
+    for (let d = 0; d <= n + m && !found; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && oldLines[x] === newLines[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+    }
+
+    // Walk the snapshots back from (n, m)
+    const middle = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d > 0; d--) {
+        const snapshot = trace[d];
+        const at = k => snapshot[k + d + 1];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            middle.push({ type: ' ', line: oldLines[--x] });
+            y--;
+        }
+        if (x === prevX) {
+            middle.push({ type: '+', line: newLines[--y] });
+        } else {
+            middle.push({ type: '-', line: oldLines[--x] });
+        }
+    }
+    while (x > 0 && y > 0) {
+        middle.push({ type: ' ', line: oldLines[--x] });
+        y--;
+    }
+
+    return [
+        ...a.slice(0, start).map(line => ({ type: ' ', line })),
+        ...middle.reverse(),
+        ...a.slice(endA).map(line => ({ type: ' ', line }))
+    ];
+}
+
+/**
+ * Hunk header range; an empty range points at the line before it
+ */
+function range(start, length) {
+    if (length === 0) return `${start - 1},0`;
+    return length === 1 ? `${start}` : `${start},${length}`;
+}
+
+/**
+ * Create a unified diff
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @param {Object} options - `fileName` (or `oldFile`/`newFile`) for the headers, `context` lines (default 3)
+ * @returns {string} Unified diff, or '' when the texts are equal
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+    if (oldText === newText) return '';
+
+    const context = options.context ?? 3;
+    const fileName = options.fileName || 'input.js';
+    const ops = diffLines(splitLines(oldText), splitLines(newText));
+
+    // Line numbers of each operation in the old and new text
+    let oldLine = 1;
+    let newLine = 1;
+    for (const op of ops) {
+        op.oldLine = oldLine;
+        op.newLine = newLine;
+        if (op.type !== '+') oldLine++;
+        if (op.type !== '-') newLine++;
+    }
+
+    // Changes closer than twice the context share a hunk
+    const changed = ops.map((op, i) => op.type !== ' ' ? i : -1).filter(i => i !== -1);
+    const hunks = [];
+    for (const i of changed) {
+        const last = hunks[hunks.length - 1];
+        if (last && i - last.end <= 2 * context + 1) {
+            last.end = i;
+        } else {
+            hunks.push({ start: i, end: i });
+        }
+    }
+
+    const lines = [
+        `--- ${options.oldFile || `a/${fileName}`}`,
+        `+++ ${options.newFile || `b/${fileName}`}`
+    ];
+
+    for (const hunk of hunks) {
+        const slice = ops.slice(Math.max(0, hunk.start - context), Math.min(ops.length, hunk.end + context + 1));
+        const oldLength = slice.filter(op => op.type !== '+').length;
+        const newLength = slice.filter(op => op.type !== '-').length;
+
+        lines.push(`@@ -${range(slice[0].oldLine, oldLength)} +${range(slice[0].newLine, newLength)} @@`);
+        for (const op of slice) {
+            lines.push(op.type + op.line.replace(/\n$/, ''));
+            if (!op.line.endsWith('\n')) {
+                lines.push('\\ No newline at end of file');
+            }
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    diffLines,
+    createUnifiedDiff
+};
@@ -0,0 +1,259 @@
+/**
+ * AST Utilities
+ * Shared parser and traversal helpers for AST-based gates
+ *
+ * Code is parsed with @babel/parser using the `estree` plugin so gates see
+ * the same node shapes as ESLint rules (MethodDefinition, Property, Literal),
+ * with the `typescript` plugin enabled for TypeScript sources.
+ */
+
+const { parse: babelParse } = require('@babel/parser');
+
+// Keys that hold positions or comments rather than child nodes
+const SKIP_KEYS = new Set([
+    'type', 'loc', 'start', 'end', 'range', 'extra',
+    'leadingComments', 'trailingComments', 'innerComments', 'comments', 'tokens', 'errors'
+]);
+
+const FUNCTION_TYPES = new Set([
+    'FunctionDeclaration',
+    'FunctionExpression',
+    'ArrowFunctionExpression'
+]);
+
+/**
+ * Guess whether code should be parsed as TypeScript
+ * @param {Object} context - Gate context with `language` and/or `fileName`
+ * @returns {boolean} True for TypeScript sources
+ */
+function isTypeScript(context = {}) {
+    if (context.language) {
+        return context.language === 'typescript';
+    }
+    return /\.(ts|tsx|mts|cts)$/.test(context.fileName || '');
+}
+
+/**
+ * Parse source code into an ESTree-shaped AST
+ * Recoverable syntax errors are collected in `ast.errors` instead of thrown
+ * @param {string} code - Source code
+ * @param {Object} context - Gate context with `language` and/or `fileName`
+ * @returns {Object} Babel File node; `program` holds the ESTree Program
+ * @throws {SyntaxError} With `loc` when the code cannot be parsed at all
+ */
+function parse(code, context = {}) {
+    const typescript = isTypeScript(context);
+    const plugins = ['estree'];
+
+    if (typescript) {
+        plugins.push('typescript');
+        if (/\.tsx$/.test(context.fileName || '')) {
+            plugins.push('jsx');
+        }
+    } else {
+        plugins.push('jsx');
+    }
+
+    return babelParse(code, {
+        sourceType: 'unambiguous',
+        sourceFilename: context.fileName,
+        plugins,
+        tokens: true,
+        errorRecovery: true,
+        allowReturnOutsideFunction: true,
+        allowAwaitOutsideFunction: true,
+        allowImportExportEverywhere: true,
+        allowUndeclaredExports: true
+    });
+}
+
+/**
+ * Get the child nodes of a node in source order
+ * @param {Object} node - AST node
+ * @returns {Array<Object>} Child nodes
+ */
+function getChildren(node) {
+    const children = [];
+
+    for (const key of Object.keys(node)) {
+        if (SKIP_KEYS.has(key)) continue;
+
+        const value = node[key];
+        if (Array.isArray(value)) {
+            for (const item of value) {
+                if (item && typeof item.type === 'string') {
+                    children.push(item);
+                }
+            }
+        } else if (value && typeof value.type === 'string') {
+            children.push(value);
+        }
+    }
+
+    return children;
+}
+
+/**
+ * Depth-first traversal with enter/leave callbacks
+ * Returning false from `enter` skips the node's children
+ * @param {Object} root - Node to start from
+ * @param {Object} visitor - `{ enter(node, parent, ancestors), leave(node, parent, ancestors) }`
+ */
+function walk(root, visitor) {
+    const ancestors = [];
+
+    const visit = (node, parent) => {
+        const skip = visitor.enter && visitor.enter(node, parent, ancestors) === false;
+
+        if (!skip) {
+            ancestors.push(node);
+            for (const child of getChildren(node)) {
+                visit(child, node);
+            }
+            ancestors.pop();
+        }
+
+        if (visitor.leave) {
+            visitor.leave(node, parent, ancestors);
+        }
+    };
+
+    visit(root, null);
+}
+
+/**
+ * Check whether a node is a function with a body
+ */
+function isFunction(node) {
+    return Boolean(node) && FUNCTION_TYPES.has(node.type);
+}
+
+/**
+ * Readable name for a property key (identifier, literal, private or computed)
+ */
+function getKeyName(key, computed) {
+    if (!key) return null;
+    if (key.type === 'PrivateIdentifier' || key.type === 'PrivateName') {
+        return `#${key.name || (key.id && key.id.name)}`;
+    }
+    if (!computed && key.type === 'Identifier') return key.name;
+    if (key.type === 'Literal' || key.type === 'StringLiteral' || key.type === 'NumericLiteral') {
+        return String(key.value);
+    }
+    return `[${getSourceText(key) || 'computed'}]`;
+}
+
+/**
+ * Short text for simple expressions (identifiers and member chains)
+ */
+function getSourceText(node) {
+    if (!node) return null;
+
+    switch (node.type) {
+    case 'Identifier':
+        return node.name;
+    case 'ThisExpression':
+        return 'this';
+    case 'Super':
+        return 'super';
+    case 'MemberExpression':
+    case 'OptionalMemberExpression': {
+        const object = getSourceText(node.object);
+        const property = node.computed
+            ? `[${getSourceText(node.property) || '…'}]`
+            : `.${getKeyName(node.property, false)}`;
+        return object ? `${object}${property}` : null;
+    }
+    case 'Literal':
+        return JSON.stringify(node.value);
+    default:
+        return null;
+    }
+}
+
+function getClassName(classNode, classParent) {
+    if (classNode.id) return classNode.id.name;
+    if (classParent && classParent.type === 'VariableDeclarator' && classParent.id.type === 'Identifier') {
+        return classParent.id.name;
+    }
+    return '<class>';
+}
+
+/**
+ * Infer a display name for a function from its declaration site
+ * @param {Object} node - Function node
+ * @param {Object} parent - Parent node
+ * @param {Array<Object>} ancestors - Ancestors, outermost first (parent last)
+ * @returns {string} Function name such as `save`, `User.save`, `get User.name` or `anonymous`
+ */
+function getFunctionName(node, parent, ancestors = []) {
+    if (node.type === 'FunctionDeclaration' && node.id) {
+        return node.id.name;
+    }
+
+    if (parent) {
+        switch (parent.type) {
+        case 'MethodDefinition':
+        case 'TSAbstractMethodDefinition':
+        case 'PropertyDefinition':
+        case 'ClassProperty':
+        case 'ClassPrivateProperty': {
+            // ancestors: ..., Class, ClassBody, MethodDefinition
+            const classNode = ancestors[ancestors.length - 3];
+            const classParent = ancestors[ancestors.length - 4];
+            const className = classNode ? getClassName(classNode, classParent) : '<class>';
+            const key = getKeyName(parent.key, parent.computed);
+            const prefix = parent.kind === 'get' || parent.kind === 'set' ? `${parent.kind} ` : '';
+            return `${prefix}${className}.${key}`;
+        }
+        case 'Property':
+        case 'ObjectProperty':
+        case 'ObjectMethod': {
+            const prefix = parent.kind === 'get' || parent.kind === 'set' ? `${parent.kind} ` : '';
+            return `${prefix}${getKeyName(parent.key, parent.computed)}`;
+        }
+        case 'VariableDeclarator':
+            if (parent.id.type === 'Identifier') return parent.id.name;
+            break;
+        case 'AssignmentExpression':
+            return getSourceText(parent.left) || (node.id ? node.id.name : 'anonymous');
+        case 'AssignmentPattern':
+            if (parent.left.type === 'Identifier') return parent.left.name;
+            break;
+        case 'ExportDefaultDeclaration':
+            return node.id ? node.id.name : 'default';
+        case 'CallExpression':
+        case 'NewExpression': {
+            if (node.id) return node.id.name;
+            const callee = getSourceText(parent.callee);
+            return callee ? `${callee} callback` : 'anonymous';
+        }
+        default:
+            break;
+        }
+    }
+
+    return node.id ? node.id.name : 'anonymous';
+}
+
+/**
+ * 1-based line/column of a node
+ */
+function getLocation(node) {
+    return {
+        line: node.loc ? node.loc.start.line : 0,
+        column: node.loc ? node.loc.start.column + 1 : 0
+    };
+}
+
+module.exports = {
+    parse,
+    walk,
+    getChildren,
+    isFunction,
+    isTypeScript,
+    getFunctionName,
+    getKeyName,
+    getSourceText,
+    getLocation
+};
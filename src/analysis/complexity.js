@@ -0,0 +1,232 @@
+/**
+ * Function Complexity Analysis
+ * Computes per-function and per-file metrics from an ESTree AST in a single traversal
+ *
+ * Nested functions are measured separately: their branches do not count
+ * towards the enclosing function, matching ESLint's `complexity` rule.
+ * Cognitive complexity follows the SonarSource specification: +1 per break
+ * in linear flow, plus the current nesting level for nested structures.
+ */
+
+const { walk, isFunction, getFunctionName, getLocation } = require('./ast');
+const { halstead, sourceLines, maintainabilityIndex } = require('./metrics');
+
+// Nodes that add an independent path (ESLint `complexity` semantics)
+const DECISION_TYPES = new Set([
+    'IfStatement',
+    'ConditionalExpression',
+    'ForStatement',
+    'ForInStatement',
+    'ForOfStatement',
+    'WhileStatement',
+    'DoWhileStatement',
+    'CatchClause',
+    'AssignmentPattern'
+]);
+
+// Nodes that open a nesting level (ESLint `max-depth` semantics)
+const NESTING_TYPES = new Set([
+    'IfStatement',
+    'ForStatement',
+    'ForInStatement',
+    'ForOfStatement',
+    'WhileStatement',
+    'DoWhileStatement',
+    'SwitchStatement',
+    'TryStatement',
+    'WithStatement'
+]);
+
+// Structures that cost +1 plus the nesting level and nest their contents (cognitive)
+const COGNITIVE_NESTED_TYPES = new Set([
+    'IfStatement',
+    'ConditionalExpression',
+    'SwitchStatement',
+    'ForStatement',
+    'ForInStatement',
+    'ForOfStatement',
+    'WhileStatement',
+    'DoWhileStatement',
+    'CatchClause'
+]);
+
+const LOGICAL_ASSIGNMENT = new Set(['&&=', '||=', '??=']);
+
+function isDecision(node) {
+    if (DECISION_TYPES.has(node.type)) return true;
+    if (node.type === 'LogicalExpression') return true;
+    if (node.type === 'SwitchCase') return node.test !== null;
+    if (node.type === 'AssignmentExpression') return LOGICAL_ASSIGNMENT.has(node.operator);
+    return false;
+}
+
+function isElseIf(node, parent) {
+    return node.type === 'IfStatement' && Boolean(parent) && parent.type === 'IfStatement' && parent.alternate === node;
+}
+
+// `else if` continues the current level instead of nesting deeper
+function opensNesting(node, parent) {
+    return NESTING_TYPES.has(node.type) && !isElseIf(node, parent);
+}
+
+function opensCognitiveNesting(node, parent) {
+    return COGNITIVE_NESTED_TYPES.has(node.type) && !isElseIf(node, parent);
+}
+
+/**
+ * Number of operator sequences in a chain of logical expressions,
+ * e.g. `a && b && c` is 1, `a && b || c` is 2
+ */
+function countLogicalSequences(node) {
+    const operators = [];
+    const collect = current => {
+        if (current.type !== 'LogicalExpression') return;
+        collect(current.left);
+        operators.push(current.operator);
+        collect(current.right);
+    };
+    collect(node);
+
+    return operators.filter((operator, index) => index === 0 || operator !== operators[index - 1]).length;
+}
+
+function cognitiveIncrement(node, parent, frame) {
+    if (isElseIf(node, parent)) {
+        return 1 + (node.alternate && node.alternate.type !== 'IfStatement' ? 1 : 0);
+    }
+    if (COGNITIVE_NESTED_TYPES.has(node.type)) {
+        const elseBranch = node.type === 'IfStatement' && node.alternate && node.alternate.type !== 'IfStatement' ? 1 : 0;
+        return 1 + frame.nesting + elseBranch;
+    }
+    if (node.type === 'LogicalExpression' && !(parent && parent.type === 'LogicalExpression')) {
+        return countLogicalSequences(node);
+    }
+    if ((node.type === 'BreakStatement' || node.type === 'ContinueStatement') && node.label) {
+        return 1;
+    }
+    // Direct recursion
+    if (node.type === 'CallExpression' && node.callee.type === 'Identifier' && frame.record.name === node.callee.name) {
+        return 1;
+    }
+    return 0;
+}
+
+function isMethodLike(parent) {
+    if (!parent) return false;
+    if (parent.type === 'MethodDefinition' || parent.type === 'TSAbstractMethodDefinition') return true;
+    return parent.type === 'Property' && (parent.method || parent.kind === 'get' || parent.kind === 'set');
+}
+
+function countParams(node) {
+    // TypeScript `this` parameters are type annotations, not real parameters
+    return node.params.filter(param => !(param.type === 'Identifier' && param.name === 'this')).length;
+}
+
+function createFrame(record) {
+    return { record, depth: 0, nesting: 0 };
+}
+
+/**
+ * Measure every function in a program, and the program as a whole
+ * @param {Object} ast - AST from analysis/ast.parse() (parsed with tokens)
+ * @returns {{functions: Array<Object>, file: Object}} Per-function records in source order:
+ *   { name, line, column, endLine, params, lines, sloc, complexity, cognitive, depth,
+ *     halstead, maintainabilityIndex, node }
+ *   and file totals: { cyclomatic, cognitive, sloc, halstead, maintainabilityIndex }
+ */
+function analyzeProgram(ast) {
+    const functions = [];
+    const moduleFrame = createFrame({ name: '<module>', complexity: 1, cognitive: 0, depth: 0 });
+    const stack = [moduleFrame];
+
+    walk(ast.program, {
+        enter(node, parent, ancestors) {
+            if (isFunction(node)) {
+                // Methods are located at their key, not at the parameter list
+                const location = getLocation(isMethodLike(parent) ? parent : node);
+                const record = {
+                    name: getFunctionName(node, parent, ancestors),
+                    line: location.line,
+                    column: location.column,
+                    endLine: node.loc ? node.loc.end.line : location.line,
+                    params: countParams(node),
+                    lines: node.loc ? node.loc.end.line - node.loc.start.line + 1 : 0,
+                    complexity: 1,
+                    cognitive: 0,
+                    depth: 0,
+                    node
+                };
+                functions.push(record);
+                stack.push(createFrame(record));
+                return;
+            }
+
+            const frame = stack[stack.length - 1];
+
+            if (isDecision(node)) {
+                frame.record.complexity++;
+            }
+            frame.record.cognitive += cognitiveIncrement(node, parent, frame);
+
+            if (opensNesting(node, parent)) {
+                frame.depth++;
+                frame.record.depth = Math.max(frame.record.depth, frame.depth);
+            }
+            if (opensCognitiveNesting(node, parent)) {
+                frame.nesting++;
+            }
+        },
+        leave(node, parent) {
+            if (isFunction(node)) {
+                stack.pop();
+                return;
+            }
+
+            const frame = stack[stack.length - 1];
+            if (opensNesting(node, parent)) {
+                frame.depth--;
+            }
+            if (opensCognitiveNesting(node, parent)) {
+                frame.nesting--;
+            }
+        }
+    });
+
+    const tokens = ast.tokens || [];
+
+    for (const record of functions) {
+        record.sloc = sourceLines(tokens, record.node.start, record.node.end);
+        record.halstead = halstead(tokens, record.node.start, record.node.end);
+        record.maintainabilityIndex = maintainabilityIndex(record.halstead.volume, record.complexity, record.sloc);
+    }
+
+    const cyclomatic = [moduleFrame.record, ...functions]
+        .reduce((sum, record) => sum + record.complexity - 1, 1);
+    const fileHalstead = halstead(tokens);
+    const sloc = sourceLines(tokens);
+
+    return {
+        functions,
+        file: {
+            cyclomatic,
+            cognitive: [moduleFrame.record, ...functions].reduce((sum, record) => sum + record.cognitive, 0),
+            sloc,
+            halstead: fileHalstead,
+            maintainabilityIndex: maintainabilityIndex(fileHalstead.volume, cyclomatic, sloc)
+        }
+    };
+}
+
+/**
+ * Measure every function in a program
+ * @param {Object} ast - AST from analysis/ast.parse()
+ * @returns {Array<Object>} One record per function, in source order
+ */
+function analyzeFunctions(ast) {
+    return analyzeProgram(ast).functions;
+}
+
+module.exports = {
+    analyzeProgram,
+    analyzeFunctions
+};
@@ -0,0 +1,150 @@
+/**
+ * Size and Maintainability Metrics
+ * Halstead measures, source lines and the maintainability index,
+ * computed from the parser's token stream
+ */
+
+// Token labels counted as operands; every other token is an operator
+const OPERAND_LABELS = new Set([
+    'name', 'string', 'num', 'bigint', 'decimal', 'regexp', 'template',
+    'privateName', 'jsxName', 'jsxText', 'true', 'false', 'null', 'this', 'super'
+]);
+
+// Closing and separator punctuation carries no meaning of its own
+const IGNORED_LABELS = new Set([')', ']', '}', ',', ';', '`', 'jsxTagEnd', 'eof']);
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// Tokens are sorted by offset, so binary-search the range start
+function tokensWithin(tokens, start, end) {
+    let low = 0;
+    let high = tokens.length;
+
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (tokens[mid].start < start) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+
+    const within = [];
+    for (let i = low; i < tokens.length && tokens[i].end <= end; i++) {
+        within.push(tokens[i]);
+    }
+    return within;
+}
+
+function isCode(token) {
+    // Comments appear in the token stream with a string type
+    return typeof token.type === 'object' && token.type !== null;
+}
+
+function operandKey(token) {
+    if (token.type.label === 'regexp' && token.value && typeof token.value === 'object') {
+        return `/${token.value.pattern}/${token.value.flags}`;
+    }
+    return `${token.type.label}:${token.value !== undefined ? token.value : token.type.label}`;
+}
+
+/**
+ * Halstead measures for a token range
+ * @param {Array<Object>} tokens - Parser tokens
+ * @param {number} start - Range start offset (defaults to the whole stream)
+ * @param {number} end - Range end offset
+ * @returns {Object} { operators, operands, distinctOperators, distinctOperands,
+ *   vocabulary, length, volume, difficulty, effort, time, bugs }
+ */
+function halstead(tokens, start = 0, end = Infinity) {
+    const operators = new Map();
+    const operands = new Map();
+    let totalOperators = 0;
+    let totalOperands = 0;
+
+    for (const token of tokensWithin(tokens, start, end)) {
+        if (!isCode(token)) continue;
+
+        const label = token.type.label;
+        if (IGNORED_LABELS.has(label) || (label === 'template' && token.value === '')) continue;
+
+        if (OPERAND_LABELS.has(label)) {
+            const key = operandKey(token);
+            operands.set(key, (operands.get(key) || 0) + 1);
+            totalOperands++;
+        } else {
+            const key = typeof token.value === 'string' ? token.value : label;
+            operators.set(key, (operators.get(key) || 0) + 1);
+            totalOperators++;
+        }
+    }
+
+    const distinctOperators = operators.size;
+    const distinctOperands = operands.size;
+    const vocabulary = distinctOperators + distinctOperands;
+    const length = totalOperators + totalOperands;
+    const volume = vocabulary > 0 ? length * Math.log2(vocabulary) : 0;
+    const difficulty = distinctOperands > 0 ? (distinctOperators / 2) * (totalOperands / distinctOperands) : 0;
+    const effort = difficulty * volume;
+
+    return {
+        operators: totalOperators,
+        operands: totalOperands,
+        distinctOperators,
+        distinctOperands,
+        vocabulary,
+        length,
+        volume: round(volume),
+        difficulty: round(difficulty),
+        effort: round(effort),
+        time: round(effort / 18),
+        bugs: round(volume / 3000, 3)
+    };
+}
+
+/**
+ * Source lines of code: lines that hold at least one code token
+ * @param {Array<Object>} tokens - Parser tokens
+ * @param {number} start - Range start offset
+ * @param {number} end - Range end offset
+ * @returns {number} Number of non-blank, non-comment lines
+ */
+function sourceLines(tokens, start = 0, end = Infinity) {
+    const lines = new Set();
+
+    for (const token of tokensWithin(tokens, start, end)) {
+        if (!isCode(token) || token.type.label === 'eof') continue;
+        for (let line = token.loc.start.line; line <= token.loc.end.line; line++) {
+            lines.add(line);
+        }
+    }
+
+    return lines.size;
+}
+
+/**
+ * Maintainability index on the 0-100 scale used by Visual Studio
+ * MI = max(0, (171 - 5.2 ln V - 0.23 CC - 16.2 ln SLOC) * 100 / 171)
+ * @param {number} volume - Halstead volume
+ * @param {number} cyclomatic - Cyclomatic complexity
+ * @param {number} sloc - Source lines of code
+ * @returns {number} Maintainability index, higher is better
+ */
+function maintainabilityIndex(volume, cyclomatic, sloc) {
+    const raw = 171 -
+        5.2 * Math.log(Math.max(volume, 1)) -
+        0.23 * cyclomatic -
+        16.2 * Math.log(Math.max(sloc, 1));
+
+    return round(Math.min(100, Math.max(0, raw * 100 / 171)));
+}
+
+module.exports = {
+    halstead,
+    sourceLines,
+    maintainabilityIndex,
+    round
+};
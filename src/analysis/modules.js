@@ -0,0 +1,161 @@
+/**
+ * Module Binding Resolution
+ * Maps local names to the Node.js modules and exports they were imported from,
+ * so `exec` from `child_process` is told apart from `regex.exec`
+ */
+
+const { walk, getKeyName } = require('./ast');
+
+// Free identifiers treated as the module of the same name in snippets without imports
+const IMPLICIT_MODULES = new Set(['fs', 'vm', 'child_process']);
+
+function moduleName(source) {
+    const name = String(source).replace(/^node:/, '');
+    // `fs/promises` exposes the same functions as `fs`
+    return name === 'fs/promises' ? 'fs' : name;
+}
+
+function requiredModule(node) {
+    if (!node || node.type !== 'CallExpression' || node.callee.type !== 'Identifier' || node.callee.name !== 'require') {
+        return null;
+    }
+    const [arg] = node.arguments;
+    return arg && arg.type === 'Literal' && typeof arg.value === 'string' ? moduleName(arg.value) : null;
+}
+
+/**
+ * Resolve a `require(...)` call or `require(...).member` chain to a binding
+ * @returns {{module: string, name: string|null}|null} name is null for the module itself
+ */
+function requireTarget(node) {
+    const module = requiredModule(node);
+    if (module) return { module, name: null };
+
+    if (node && node.type === 'MemberExpression' && !node.computed) {
+        const inner = requireTarget(node.object);
+        if (inner && inner.name === null) {
+            // `require('fs').promises` is still `fs`
+            return node.property.name === 'promises' ? inner : { module: inner.module, name: node.property.name };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Collect module bindings from require() and import declarations
+ * @param {Object} ast - AST from analysis/ast.parse()
+ * @returns {Map<string, {module: string, name: string|null}>} Local name to binding;
+ *   name is null for namespace/default imports of the module itself
+ */
+function collectModuleBindings(ast) {
+    const bindings = new Map();
+
+    walk(ast.program, {
+        enter(node) {
+            if (node.type === 'ImportDeclaration') {
+                const module = moduleName(node.source.value);
+                for (const specifier of node.specifiers) {
+                    const imported = specifier.type === 'ImportSpecifier'
+                        ? getKeyName(specifier.imported, false)
+                        : null;
+                    bindings.set(specifier.local.name, { module, name: imported === 'default' ? null : imported });
+                }
+                return;
+            }
+
+            if (node.type !== 'VariableDeclarator' || !node.init) return;
+
+            const target = requireTarget(node.init);
+            if (!target) return;
+
+            if (node.id.type === 'Identifier') {
+                bindings.set(node.id.name, target);
+            } else if (node.id.type === 'ObjectPattern' && target.name === null) {
+                for (const property of node.id.properties) {
+                    if (property.type !== 'Property' || property.value.type !== 'Identifier') continue;
+                    const name = getKeyName(property.key, property.computed);
+                    bindings.set(property.value.name, {
+                        module: target.module,
+                        name: name === 'promises' ? null : name
+                    });
+                }
+            }
+        }
+    });
+
+    return bindings;
+}
+
+/**
+ * Resolve what a callee refers to
+ * @param {Object} callee - Callee expression of a call or `new`
+ * @param {Map} bindings - From collectModuleBindings()
+ * @returns {{module: string|null, name: string}|null} module is null for globals such as `eval`
+ */
+function resolveCallee(callee, bindings) {
+    if (callee.type === 'Identifier') {
+        const binding = bindings.get(callee.name);
+        if (binding) return binding.name ? binding : null;
+        return { module: null, name: callee.name };
+    }
+
+    if (callee.type !== 'MemberExpression' || callee.computed) {
+        return null;
+    }
+
+    const name = callee.property.name;
+    const fromRequire = requireTarget(callee.object);
+    if (fromRequire && fromRequire.name === null) {
+        return { module: fromRequire.module, name };
+    }
+
+    let object = callee.object;
+    // `fs.promises.readFile`
+    if (object.type === 'MemberExpression' && !object.computed && object.property.name === 'promises') {
+        object = object.object;
+    }
+
+    if (object.type === 'Identifier') {
+        const binding = bindings.get(object.name);
+        if (binding && binding.name === null) return { module: binding.module, name };
+        if (!binding && IMPLICIT_MODULES.has(object.name)) return { module: object.name, name };
+        // `window.eval`, `globalThis.Function`
+        if (!binding && (object.name === 'window' || object.name === 'globalThis')) return { module: null, name };
+    }
+
+    return null;
+}
+
+/**
+ * Module specifiers a file loads: static and dynamic imports, re-exports and require()
+ * @param {Object} ast - AST from analysis/ast.parse()
+ * @returns {Array<string>} Specifiers as written, e.g. './util' or 'lodash'
+ */
+function collectImportSources(ast) {
+    const sources = new Set();
+    const add = node => {
+        if (node && node.type === 'Literal' && typeof node.value === 'string') sources.add(node.value);
+    };
+
+    walk(ast.program, {
+        enter(node) {
+            if (node.type === 'ImportDeclaration' || node.type === 'ExportAllDeclaration' ||
+                (node.type === 'ExportNamedDeclaration' && node.source)) {
+                add(node.source);
+            } else if (node.type === 'ImportExpression') {
+                add(node.source);
+            } else if (node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require') {
+                add(node.arguments[0]);
+            }
+        }
+    });
+
+    return [...sources];
+}
+
+module.exports = {
+    collectImportSources,
+    collectModuleBindings,
+    resolveCallee
+};
@@ -0,0 +1,337 @@
+/**
+ * Algorithmic Anti-Pattern Detection
+ * AST detectors for code that is accidentally quadratic, exponential or sequential
+ *
+ * Detectors are heuristics over syntax, not types: a loop "over the same
+ * collection" means the same source text (`items`, `this.users`), and lookups
+ * on the current loop element are assumed to be string operations.
+ */
+
+const { walk, isFunction, getFunctionName, getSourceText, getLocation } = require('./ast');
+
+const PATTERNS = {
+    'nested-loops': {
+        description: 'A loop over a collection is nested inside a loop over the same collection, which is O(n²)',
+        remedy: 'Index the collection once in a Map or Set keyed by the value you match on, then look items up in O(1)'
+    },
+    'lookup-in-loop': {
+        description: 'indexOf, includes or find scans an array on every loop iteration, which is O(n·m)',
+        remedy: 'Build a Set (for includes/indexOf) or a Map keyed by the search field (for find) before the loop'
+    },
+    'spread-in-reduce': {
+        description: 'reduce copies its accumulator with a spread on every iteration, which is O(n²)',
+        remedy: 'Mutate and return the accumulator (acc.push(x), acc[key] = x), or use map, filter or Object.fromEntries'
+    },
+    'await-in-loop': {
+        description: 'Independent async calls are awaited one after another inside a loop',
+        remedy: 'Start the calls first and await them together with Promise.all (or a concurrency-limited pool)'
+    },
+    'unmemoized-recursion': {
+        description: 'Function calls itself more than once per call without caching, so work grows exponentially',
+        remedy: 'Cache results in a Map keyed by the arguments, or rewrite the recursion as an iterative dynamic-programming loop'
+    }
+};
+
+// Pattern groups accepted in `detectPatterns`
+const PATTERN_GROUPS = {
+    'O(n²)': ['nested-loops', 'lookup-in-loop', 'spread-in-reduce'],
+    'O(n^2)': ['nested-loops', 'lookup-in-loop', 'spread-in-reduce']
+};
+
+const LOOP_TYPES = new Set([
+    'ForStatement',
+    'ForInStatement',
+    'ForOfStatement',
+    'WhileStatement',
+    'DoWhileStatement'
+]);
+
+// Array methods that call their callback once per element
+const ITERATION_METHODS = new Set([
+    'forEach', 'map', 'filter', 'reduce', 'reduceRight', 'some', 'every',
+    'find', 'findIndex', 'findLast', 'findLastIndex', 'flatMap'
+]);
+
+const LOOKUP_METHODS = new Set([
+    'indexOf', 'lastIndexOf', 'includes', 'find', 'findIndex', 'findLast', 'findLastIndex'
+]);
+
+const MEMO_NAME = /memo|cache/i;
+
+/**
+ * Expand pattern ids and groups into a set of enabled pattern ids
+ * @param {boolean|Array<string>} detect - true for all patterns, false for none, or ids/groups
+ * @returns {Set<string>} Enabled pattern ids
+ */
+function resolvePatterns(detect = true) {
+    if (detect === true) return new Set(Object.keys(PATTERNS));
+    if (!detect) return new Set();
+
+    return new Set([].concat(detect).flatMap(id => PATTERN_GROUPS[id] || [id]).filter(id => PATTERNS[id]));
+}
+
+function memberName(node) {
+    if (!node || (node.type !== 'MemberExpression' && node.type !== 'OptionalMemberExpression') || node.computed) {
+        return null;
+    }
+    return node.property.name || null;
+}
+
+function rootIdentifier(node) {
+    while (node && (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression' ||
+        node.type === 'CallExpression' || node.type === 'OptionalCallExpression')) {
+        node = node.object || node.callee;
+    }
+    return node && node.type === 'Identifier' ? node.name : null;
+}
+
+function bindingNames(pattern, names = []) {
+    if (!pattern) return names;
+
+    switch (pattern.type) {
+    case 'Identifier':
+        names.push(pattern.name);
+        break;
+    case 'VariableDeclaration':
+        pattern.declarations.forEach(declaration => bindingNames(declaration.id, names));
+        break;
+    case 'ObjectPattern':
+        pattern.properties.forEach(property => bindingNames(property.value || property.argument, names));
+        break;
+    case 'ArrayPattern':
+        pattern.elements.forEach(element => bindingNames(element, names));
+        break;
+    case 'RestElement':
+        bindingNames(pattern.argument, names);
+        break;
+    case 'AssignmentPattern':
+        bindingNames(pattern.left, names);
+        break;
+    default:
+        break;
+    }
+
+    return names;
+}
+
+// `Object.keys(items)` and `items.entries()` iterate `items`
+function collectionKey(node) {
+    if (!node) return null;
+
+    if (node.type === 'CallExpression') {
+        const method = memberName(node.callee);
+        if (['keys', 'values', 'entries'].includes(method)) {
+            return getSourceText(node.callee.object) === 'Object'
+                ? getSourceText(node.arguments[0])
+                : getSourceText(node.callee.object);
+        }
+        return null;
+    }
+
+    return getSourceText(node);
+}
+
+// `for (let i = 0; i < items.length; i++)` iterates `items`
+function forStatementKey(node) {
+    const test = node.test;
+    if (!test || test.type !== 'BinaryExpression' || !['<', '<='].includes(test.operator)) return null;
+    if (memberName(test.right) !== 'length') return null;
+    return getSourceText(test.right.object);
+}
+
+function isIterationCallback(node, parent) {
+    return isFunction(node) && parent && parent.type === 'CallExpression' &&
+        parent.arguments[0] === node && ITERATION_METHODS.has(memberName(parent.callee));
+}
+
+/**
+ * Describe the loop whose body starts at `node`, or null when `node` is not a loop body
+ */
+function loopEntered(node, parent) {
+    if (parent && LOOP_TYPES.has(parent.type) && parent.body === node) {
+        let key = null;
+        let bindings = [];
+
+        if (parent.type === 'ForOfStatement' || parent.type === 'ForInStatement') {
+            key = collectionKey(parent.right);
+            bindings = bindingNames(parent.left);
+        } else if (parent.type === 'ForStatement') {
+            key = forStatementKey(parent);
+        }
+
+        return { loop: parent, key, bindings, statement: true, await: parent.await === true };
+    }
+
+    if (isIterationCallback(node, parent)) {
+        return {
+            loop: parent,
+            key: getSourceText(parent.callee.object),
+            bindings: bindingNames(node.params[0]),
+            statement: false
+        };
+    }
+
+    return null;
+}
+
+function spreadsAccumulator(callback) {
+    const accumulator = callback.params[0] && callback.params[0].type === 'Identifier'
+        ? callback.params[0].name
+        : null;
+    if (!accumulator) return null;
+
+    let found = null;
+    walk(callback.body, {
+        enter(node) {
+            if (found) return false;
+            if (isFunction(node)) return false;
+            if ((node.type === 'ArrayExpression' || node.type === 'ObjectExpression') &&
+                (node.elements || node.properties).some(element =>
+                    element && element.type === 'SpreadElement' &&
+                    element.argument.type === 'Identifier' && element.argument.name === accumulator)) {
+                found = node;
+            }
+            return undefined;
+        }
+    });
+
+    return found ? { node: found, accumulator } : null;
+}
+
+function isSelfCall(node, name) {
+    if (node.type !== 'CallExpression' || !name) return false;
+
+    if (node.callee.type === 'Identifier') {
+        return node.callee.name === name;
+    }
+
+    // `this.method()` inside `Class.method`
+    const method = memberName(node.callee);
+    return Boolean(method) && node.callee.object.type === 'ThisExpression' && name.endsWith(`.${method}`);
+}
+
+function usesMemoization(fn, parent) {
+    if (parent && parent.type === 'CallExpression' && MEMO_NAME.test(getSourceText(parent.callee) || '')) {
+        return true;
+    }
+
+    let memoized = false;
+    walk(fn.body, {
+        enter(node) {
+            if (memoized) return false;
+            if (node.type === 'Identifier' && MEMO_NAME.test(node.name)) memoized = true;
+            if (node.type === 'CallExpression' && memberName(node.callee) === 'has') memoized = true;
+            if (node.type === 'BinaryExpression' && node.operator === 'in') memoized = true;
+            return undefined;
+        }
+    });
+
+    return memoized;
+}
+
+/**
+ * Find algorithmic anti-patterns in a program
+ * @param {Object} ast - AST from analysis/ast.parse()
+ * @param {boolean|Array<string>} detect - Patterns or groups to detect (default: all)
+ * @returns {Array<Object>} Issues: { rule, line, column, message, remedy }
+ */
+function detectPatterns(ast, detect = true) {
+    const enabled = resolvePatterns(detect);
+    const issues = [];
+    if (enabled.size === 0) return issues;
+
+    const report = (rule, node, message) => {
+        if (!enabled.has(rule)) return;
+        issues.push({ rule, ...getLocation(node), message, remedy: PATTERNS[rule].remedy });
+    };
+
+    // One frame per function; iteration callbacks share their enclosing frame's loops
+    const frames = [{ loops: [], fn: null }];
+    const current = () => frames[frames.length - 1];
+    const awaitedLoops = new Set();
+
+    walk(ast.program, {
+        enter(node, parent, ancestors) {
+            const loop = loopEntered(node, parent);
+
+            if (isFunction(node)) {
+                const name = getFunctionName(node, parent, ancestors);
+                const inherited = loop ? current().loops.map(entry => ({ ...entry, inherited: true })) : [];
+                frames.push({ loops: inherited, fn: { node, parent, name, selfCalls: 0 } });
+            }
+
+            const frame = current();
+
+            if (loop) {
+                const outer = loop.key && frame.loops.find(entry => entry.key === loop.key);
+                if (outer) {
+                    report('nested-loops', loop.loop,
+                        `Loop over '${loop.key}' is nested inside a loop over the same collection (O(n²))`);
+                }
+                frame.loops.push({ ...loop, body: node });
+            }
+
+            if (node.type === 'CallExpression') {
+                const method = memberName(node.callee);
+
+                if (LOOKUP_METHODS.has(method) && frame.loops.length > 0) {
+                    const target = rootIdentifier(node.callee.object);
+                    const onElement = frame.loops.some(entry => entry.bindings.includes(target));
+                    if (!onElement) {
+                        report('lookup-in-loop', node,
+                            `'${getSourceText(node.callee) || method}' scans a collection on every loop iteration`);
+                    }
+                }
+
+                if ((method === 'reduce' || method === 'reduceRight') && isFunction(node.arguments[0])) {
+                    const spread = spreadsAccumulator(node.arguments[0]);
+                    if (spread) {
+                        report('spread-in-reduce', spread.node,
+                            `Spreading the accumulator '${spread.accumulator}' copies it on every ${method} iteration (O(n²))`);
+                    }
+                }
+
+                if (frame.fn && isSelfCall(node, frame.fn.name)) {
+                    frame.fn.selfCalls++;
+                }
+            }
+
+            if (node.type === 'AwaitExpression') {
+                // Polling and pagination loops (while/do-while) and sequential
+                // accumulators like `cursor = await next(cursor)` are left alone
+                const innermost = frame.loops.filter(entry => entry.statement && !entry.inherited).pop();
+                const sequential = parent && parent.type === 'AssignmentExpression' && parent.right === node;
+                if (innermost && !innermost.await && innermost.loop.type !== 'WhileStatement' &&
+                    innermost.loop.type !== 'DoWhileStatement' && !sequential && !awaitedLoops.has(innermost.loop)) {
+                    awaitedLoops.add(innermost.loop);
+                    report('await-in-loop', node,
+                        'Awaiting inside a loop runs independent calls one at a time');
+                }
+            }
+        },
+        leave(node) {
+            const frame = current();
+
+            if (frame.loops.length > 0 && frame.loops[frame.loops.length - 1].body === node) {
+                frame.loops.pop();
+            }
+
+            if (isFunction(node)) {
+                const { fn } = frames.pop();
+                if (fn.selfCalls > 1 && !usesMemoization(node, fn.parent)) {
+                    report('unmemoized-recursion', node,
+                        `Function '${fn.name}' calls itself ${fn.selfCalls} times per call without memoization`);
+                }
+            }
+        }
+    });
+
+    return issues.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+module.exports = {
+    PATTERNS,
+    PATTERN_GROUPS,
+    resolvePatterns,
+    detectPatterns
+};
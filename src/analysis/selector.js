@@ -0,0 +1,216 @@
+/**
+ * AST Selectors
+ * A small subset of esquery/ESLint selector syntax for rule packs
+ *
+ *   CallExpression[callee.property.name="exec"]
+ *   NewExpression[callee.name=/^(Function|Worker)$/]
+ *   CallExpression[callee.object.name=crypto] > Literal[value=md5]
+ *   ImportDeclaration[source.value="request"], CallExpression[callee.name=require]
+ *
+ * Supported: node types and `*`, attributes (`[a.b]`, `[a.b=value]`,
+ * `[a.b!=value]`, `[a.b=/regex/flags]`), descendant (space) and child (`>`)
+ * combinators, and comma-separated alternatives.
+ */
+
+/**
+ * Raised for selectors that cannot be parsed
+ */
+class SelectorError extends Error {
+    constructor(message, selector) {
+        super(`Invalid selector "${selector}": ${message}`);
+        this.name = 'SelectorError';
+        this.selector = selector;
+    }
+}
+
+function parseValue(raw, selector) {
+    const regex = raw.match(/^\/(.*)\/([a-z]*)$/s);
+    if (regex) {
+        try {
+            return { regex: new RegExp(regex[1], regex[2]) };
+        } catch (error) {
+            throw new SelectorError(error.message, selector);
+        }
+    }
+
+    const quoted = raw.match(/^(["'])(.*)\1$/s);
+    return { text: quoted ? quoted[2] : raw.trim() };
+}
+
+function parseAttribute(body, selector) {
+    const match = body.match(/^\s*([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)\s*(?:(!?=)\s*([\s\S]+?))?\s*$/);
+    if (!match) {
+        throw new SelectorError(`cannot parse attribute [${body}]`, selector);
+    }
+
+    const [, attributePath, operator, raw] = match;
+    return {
+        path: attributePath.split('.'),
+        operator: operator || null,
+        ...(operator ? parseValue(raw, selector) : {})
+    };
+}
+
+// `Type[attr][attr]`
+function parseCompound(text, selector) {
+    const match = text.match(/^(\*|[A-Za-z]+)?/);
+    const type = match[1] && match[1] !== '*' ? match[1] : null;
+    const attributes = [];
+    let rest = text.slice(match[0].length);
+
+    while (rest.length > 0) {
+        if (rest[0] !== '[') {
+            throw new SelectorError(`unexpected "${rest}"`, selector);
+        }
+        const end = findClosingBracket(rest, selector);
+        attributes.push(parseAttribute(rest.slice(1, end), selector));
+        rest = rest.slice(end + 1);
+    }
+
+    if (!type && attributes.length === 0 && match[1] !== '*') {
+        throw new SelectorError('empty selector', selector);
+    }
+
+    return { type, attributes };
+}
+
+// Index of the `]` closing the attribute at rest[0], skipping quotes and regexes
+function findClosingBracket(rest, selector) {
+    let quote = null;
+
+    for (let i = 1; i < rest.length; i++) {
+        const char = rest[i];
+        if (quote) {
+            if (char === '\\') i++;
+            else if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '/' && /[=]\s*$/.test(rest.slice(0, i))) {
+            quote = '/';
+        } else if (char === ']') {
+            return i;
+        }
+    }
+
+    throw new SelectorError('unterminated attribute', selector);
+}
+
+// Split on separator characters outside of attribute brackets, keeping the separators
+function splitTopLevel(text, separators, selector) {
+    const parts = [];
+    let current = '';
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '[') {
+            const end = i + findClosingBracket(text.slice(i), selector);
+            current += text.slice(i, end + 1);
+            i = end;
+        } else if (separators.test(char)) {
+            parts.push(current, char);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+
+    return parts;
+}
+
+/**
+ * Parse a selector
+ * @param {string} selector - Selector text
+ * @returns {Array<Array<Object>>} Alternatives, each a list of compounds (rightmost last)
+ *   joined by `combinator` ('descendant' or 'child')
+ * @throws {SelectorError} On invalid syntax
+ */
+function parseSelector(selector) {
+    if (typeof selector !== 'string' || selector.trim().length === 0) {
+        throw new SelectorError('expected a non-empty string', selector);
+    }
+
+    const alternatives = splitTopLevel(selector, /,/, selector).filter((part, index) => index % 2 === 0);
+
+    return alternatives.map(alternative => {
+        // Compounds and `>`; whitespace between compounds is the descendant combinator
+        const tokens = splitTopLevel(alternative, /[\s>]/, selector).filter(token => token.trim().length > 0);
+        const compounds = [];
+        let combinator = 'descendant';
+
+        for (const token of tokens) {
+            if (token === '>') {
+                if (compounds.length === 0 || combinator === 'child') {
+                    throw new SelectorError('misplaced ">"', selector);
+                }
+                combinator = 'child';
+                continue;
+            }
+
+            compounds.push({ ...parseCompound(token, selector), combinator });
+            combinator = 'descendant';
+        }
+
+        if (compounds.length === 0) {
+            throw new SelectorError('empty selector', selector);
+        }
+        return compounds;
+    });
+}
+
+function valueAt(node, attributePath) {
+    let value = node;
+    for (const key of attributePath) {
+        if (value === null || value === undefined) return undefined;
+        value = value[key];
+    }
+    return value;
+}
+
+function matchesCompound(node, compound) {
+    if (compound.type && node.type !== compound.type) return false;
+
+    return compound.attributes.every(attribute => {
+        const value = valueAt(node, attribute.path);
+        if (!attribute.operator) return value !== undefined && value !== null;
+
+        const primitive = value !== null && typeof value === 'object' ? undefined : value;
+        const equal = attribute.regex
+            ? primitive !== undefined && attribute.regex.test(String(primitive))
+            : primitive !== undefined && String(primitive) === attribute.text;
+
+        return attribute.operator === '=' ? equal : !equal;
+    });
+}
+
+function matchesFrom(compounds, index, node, ancestors, depth) {
+    if (!matchesCompound(node, compounds[index])) return false;
+    if (index === 0) return true;
+
+    // `combinator` says how compounds[index] relates to compounds[index - 1]
+    if (compounds[index].combinator === 'child') {
+        return depth > 0 && matchesFrom(compounds, index - 1, ancestors[depth - 1], ancestors, depth - 1);
+    }
+    for (let i = depth - 1; i >= 0; i--) {
+        if (matchesFrom(compounds, index - 1, ancestors[i], ancestors, i)) return true;
+    }
+    return false;
+}
+
+/**
+ * Test a node against a parsed selector
+ * @param {Object} node - AST node
+ * @param {Array<Object>} ancestors - Ancestors, outermost first (parent last), as passed by walk()
+ * @param {Array<Array<Object>>} parsed - From parseSelector()
+ * @returns {boolean} True when any alternative matches
+ */
+function matchesSelector(node, ancestors, parsed) {
+    return parsed.some(compounds =>
+        matchesFrom(compounds, compounds.length - 1, node, ancestors, ancestors.length));
+}
+
+module.exports = {
+    SelectorError,
+    parseSelector,
+    matchesSelector
+};
@@ -0,0 +1,176 @@
+/**
+ * SPDX license expressions
+ * Parses expressions such as `(MIT OR Apache-2.0)` or
+ * `GPL-2.0-only WITH Classpath-exception-2.0` and classifies license ids
+ */
+
+// License categories, from least to most restrictive
+const CATEGORIES = ['public-domain', 'permissive', 'weak-copyleft', 'strong-copyleft', 'network-copyleft', 'proprietary', 'unknown'];
+
+const PUBLIC_DOMAIN = new Set(['CC0-1.0', 'Unlicense', 'WTFPL', '0BSD', 'MIT-0']);
+const PERMISSIVE = new Set([
+    'MIT', 'ISC', 'Apache-1.1', 'Apache-2.0', 'Zlib', 'X11', 'BSL-1.0', 'Python-2.0', 'PSF-2.0',
+    'BlueOak-1.0.0', 'Artistic-2.0', 'Unicode-DFS-2016', 'Unicode-3.0', 'CC-BY-3.0', 'CC-BY-4.0', 'PostgreSQL', 'NCSA'
+]);
+
+const FAMILIES = [
+    [/^(AGPL|SSPL)-/, 'network-copyleft'],
+    [/^(GPL|EUPL|OSL)-/, 'strong-copyleft'],
+    [/^(LGPL|MPL|EPL|CDDL|CPL|CC-BY-SA)-/, 'weak-copyleft'],
+    [/^BSD-/, 'permissive']
+];
+
+// Non-SPDX spellings common in package.json files
+const ALIASES = {
+    'apache 2.0': 'Apache-2.0',
+    'apache2': 'Apache-2.0',
+    'apache-2': 'Apache-2.0',
+    'apache license 2.0': 'Apache-2.0',
+    'mit/x11': 'MIT',
+    'bsd': 'BSD-2-Clause',
+    'new bsd': 'BSD-3-Clause',
+    'gplv2': 'GPL-2.0',
+    'gplv3': 'GPL-3.0',
+    'lgplv3': 'LGPL-3.0',
+    'agplv3': 'AGPL-3.0',
+    'public domain': 'Unlicense'
+};
+
+/**
+ * License id without version modifiers: `GPL-3.0-or-later` and `GPL-3.0+` -> `GPL-3.0`
+ */
+function baseId(id) {
+    return id.replace(/\+$/, '').replace(/-(only|or-later)$/, '');
+}
+
+/**
+ * Category of a single license id
+ * @param {string} id - SPDX license id
+ * @returns {string} One of CATEGORIES
+ */
+function classifyLicense(id) {
+    if (/^UNLICENSED$/i.test(id) || /^SEE LICENSE IN /i.test(id) || /^LicenseRef-/.test(id)) return 'proprietary';
+
+    const base = baseId(id);
+    if (PUBLIC_DOMAIN.has(base)) return 'public-domain';
+    if (PERMISSIVE.has(base)) return 'permissive';
+    const family = FAMILIES.find(([pattern]) => pattern.test(base));
+    return family ? family[1] : 'unknown';
+}
+
+function tokenize(expression) {
+    return expression.match(/\(|\)|[^\s()]+/g) || [];
+}
+
+/**
+ * Parse an SPDX expression
+ * @param {string} expression - Expression text
+ * @returns {Object} Tree of `{ type: 'or'|'and', operands }` and `{ type: 'license', id, exception }`
+ * @throws {Error} On invalid syntax
+ */
+function parseExpression(expression) {
+    const text = String(expression).trim();
+    const alias = ALIASES[text.toLowerCase()];
+    if (alias) return { type: 'license', id: alias, exception: null };
+    // Free-form values that cannot be parsed as expressions
+    if (/^UNLICENSED$/i.test(text) || /^SEE LICENSE IN /i.test(text)) return { type: 'license', id: text, exception: null };
+
+    const tokens = tokenize(text);
+    let position = 0;
+    const peek = () => tokens[position];
+    const keyword = word => peek() && peek().toUpperCase() === word;
+    const fail = message => {
+        throw new Error(`Invalid SPDX expression "${text}": ${message}`);
+    };
+
+    function parseAtom() {
+        const token = tokens[position++];
+        if (token === undefined) fail('unexpected end');
+        if (token === '(') {
+            const inner = parseOr();
+            if (tokens[position++] !== ')') fail('missing ")"');
+            return inner;
+        }
+        if (token === ')' || ['AND', 'OR', 'WITH'].includes(token.toUpperCase())) fail(`unexpected "${token}"`);
+
+        let exception = null;
+        if (keyword('WITH')) {
+            position++;
+            exception = tokens[position++];
+            if (!exception || exception === '(' || exception === ')') fail('expected an exception after WITH');
+        }
+        return { type: 'license', id: ALIASES[token.toLowerCase()] || token, exception };
+    }
+
+    function parseBinary(type, parseOperand) {
+        const operands = [parseOperand()];
+        while (keyword(type.toUpperCase())) {
+            position++;
+            operands.push(parseOperand());
+        }
+        return operands.length === 1 ? operands[0] : { type, operands };
+    }
+
+    function parseAnd() {
+        return parseBinary('and', parseAtom);
+    }
+
+    function parseOr() {
+        return parseBinary('or', parseAnd);
+    }
+
+    if (tokens.length === 0) fail('empty expression');
+    const tree = parseOr();
+    if (position < tokens.length) fail(`unexpected "${tokens[position]}"`);
+    return tree;
+}
+
+/**
+ * License ids in an expression tree
+ * @returns {Array<string>} Ids in order of appearance
+ */
+function licenseIds(tree) {
+    return tree.type === 'license' ? [tree.id] : tree.operands.flatMap(licenseIds);
+}
+
+/**
+ * Evaluate an expression tree: `OR` picks the best alternative, `AND` the worst
+ * @param {Object} tree - From parseExpression()
+ * @param {Function} rank - Maps a license leaf to `{ rank, ... }`, higher is better
+ * @returns {Object} The deciding leaf result
+ */
+function evaluate(tree, rank) {
+    if (tree.type === 'license') return rank(tree);
+
+    const results = tree.operands.map(operand => evaluate(operand, rank));
+    const pick = tree.type === 'or'
+        ? (best, result) => (result.rank > best.rank ? result : best)
+        : (worst, result) => (result.rank < worst.rank ? result : worst);
+    return results.reduce(pick);
+}
+
+/**
+ * License expression declared in a package.json, including the legacy
+ * `license: { type }` and `licenses: [{ type }]` forms
+ * @returns {string|null} Expression, or null when none is declared
+ */
+function declaredLicense(manifest) {
+    const license = manifest && manifest.license;
+    if (typeof license === 'string' && license.trim()) return license.trim();
+    if (license && typeof license.type === 'string') return license.type;
+
+    const licenses = manifest && Array.isArray(manifest.licenses) ? manifest.licenses : [];
+    const types = licenses.map(entry => (typeof entry === 'string' ? entry : entry && entry.type)).filter(Boolean);
+    if (types.length === 0) return null;
+    return types.length === 1 ? types[0] : `(${types.join(' OR ')})`;
+}
+
+module.exports = {
+    CATEGORIES,
+    baseId,
+    classifyLicense,
+    parseExpression,
+    licenseIds,
+    evaluate,
+    declaredLicense
+};
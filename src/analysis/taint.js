@@ -0,0 +1,180 @@
+/**
+ * Taint Tracking
+ * Follows untrusted input from sources (request data, command-line arguments)
+ * through variables to the expressions that reach a sink
+ *
+ * The analysis is intentionally basic: it is per file, flow-insensitive and
+ * matches variables by name, so a variable assigned user input anywhere in
+ * the file is treated as tainted everywhere. Unknown function calls do not
+ * propagate taint, which keeps false positives down at the cost of misses.
+ */
+
+const { walk, isFunction, getSourceText } = require('./ast');
+
+// Source-text prefixes of untrusted input
+const DEFAULT_SOURCES = [
+    'req.query', 'req.body', 'req.params', 'req.headers', 'req.cookies', 'req.url', 'req.originalUrl',
+    'request.query', 'request.body', 'request.params', 'request.headers', 'request.cookies', 'request.url',
+    'ctx.query', 'ctx.params', 'ctx.request.body', 'ctx.request.query',
+    'process.argv',
+    'location.search', 'location.hash', 'window.location.search', 'window.location.hash',
+    'document.location.search', 'document.location.hash'
+];
+
+// Calls whose result carries their arguments' taint
+const PROPAGATORS = new Set([
+    'String', 'decodeURI', 'decodeURIComponent', 'unescape', 'JSON.parse', 'JSON.stringify',
+    'path.join', 'path.resolve', 'path.normalize', 'util.format', 'Buffer.from', 'Object.assign'
+]);
+
+// Methods on a tainted value whose result stays tainted
+const TAINTED_METHODS = new Set([
+    'toString', 'trim', 'trimStart', 'trimEnd', 'toLowerCase', 'toUpperCase', 'slice', 'substring',
+    'substr', 'concat', 'replace', 'replaceAll', 'split', 'join', 'padStart', 'padEnd', 'repeat',
+    'at', 'map', 'filter', 'flat', 'valueOf', 'normalize'
+]);
+
+// Expressions that wrap their operands without changing trust
+const TRANSPARENT_TYPES = new Set([
+    'AwaitExpression', 'SpreadElement', 'TSAsExpression', 'TSNonNullExpression',
+    'TSTypeAssertion', 'TSSatisfiesExpression', 'ParenthesizedExpression', 'ChainExpression'
+]);
+
+const MAX_PASSES = 10;
+
+function matchesSource(text, sources) {
+    return sources.find(source => text === source || text.startsWith(`${source}.`) || text.startsWith(`${source}[`)) || null;
+}
+
+/**
+ * Create a taint tracker for a program
+ * @param {Object} ast - AST from analysis/ast.parse()
+ * @param {Object} options - `{ sources }`: extra source-text prefixes
+ * @returns {{taintOf: function(Object): string|null, tainted: Map<string, string>}}
+ *   taintOf(node) returns the source an expression derives from, or null
+ */
+function createTaintTracker(ast, options = {}) {
+    const sources = [...DEFAULT_SOURCES, ...(options.sources || [])];
+    const tainted = new Map();
+
+    const taintOf = node => {
+        if (!node) return null;
+
+        if (TRANSPARENT_TYPES.has(node.type)) {
+            return taintOf(node.argument || node.expression);
+        }
+
+        switch (node.type) {
+        case 'Identifier':
+            return tainted.get(node.name) || null;
+        case 'MemberExpression':
+        case 'OptionalMemberExpression': {
+            const text = getSourceText(node);
+            const source = text && matchesSource(text, sources);
+            return source || taintOf(node.object);
+        }
+        case 'TemplateLiteral':
+            return firstTaint(node.expressions);
+        case 'BinaryExpression':
+            return node.operator === '+' ? firstTaint([node.left, node.right]) : null;
+        case 'LogicalExpression':
+            return firstTaint([node.left, node.right]);
+        case 'ConditionalExpression':
+            return firstTaint([node.consequent, node.alternate]);
+        case 'AssignmentExpression':
+            return taintOf(node.right);
+        case 'SequenceExpression':
+            return taintOf(node.expressions[node.expressions.length - 1]);
+        case 'ArrayExpression':
+            return firstTaint(node.elements);
+        case 'ObjectExpression':
+            return firstTaint(node.properties.map(property => property.type === 'SpreadElement' ? property : property.value));
+        case 'CallExpression':
+        case 'OptionalCallExpression':
+        case 'NewExpression':
+            return callTaint(node);
+        default:
+            return null;
+        }
+    };
+
+    const firstTaint = nodes => {
+        for (const node of nodes) {
+            const source = taintOf(node);
+            if (source) return source;
+        }
+        return null;
+    };
+
+    const callTaint = node => {
+        const callee = node.callee;
+        const name = getSourceText(callee);
+
+        if (name && PROPAGATORS.has(name)) {
+            return firstTaint(node.arguments);
+        }
+        if ((callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression') &&
+            !callee.computed && TAINTED_METHODS.has(callee.property.name)) {
+            return taintOf(callee.object);
+        }
+        return null;
+    };
+
+    const taintBinding = (pattern, source, changed) => {
+        if (!pattern || !source) return changed;
+
+        switch (pattern.type) {
+        case 'Identifier':
+            if (!tainted.has(pattern.name)) {
+                tainted.set(pattern.name, source);
+                return true;
+            }
+            return changed;
+        case 'ObjectPattern':
+            return pattern.properties.reduce(
+                (result, property) => taintBinding(property.value || property.argument, source, result), changed);
+        case 'ArrayPattern':
+            return pattern.elements.reduce((result, element) => taintBinding(element, source, result), changed);
+        case 'RestElement':
+            return taintBinding(pattern.argument, source, changed);
+        case 'AssignmentPattern':
+            return taintBinding(pattern.left, source, changed);
+        default:
+            return changed;
+        }
+    };
+
+    // Iterate to a fixed point so taint flows through chains of assignments
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+        let changed = false;
+
+        walk(ast.program, {
+            enter(node) {
+                if (node.type === 'VariableDeclarator' && node.init) {
+                    changed = taintBinding(node.id, taintOf(node.init), changed);
+                } else if (node.type === 'AssignmentExpression' && node.left.type !== 'MemberExpression') {
+                    changed = taintBinding(node.left, taintOf(node.right), changed);
+                } else if ((node.type === 'ForOfStatement' || node.type === 'ForInStatement')) {
+                    const left = node.left.type === 'VariableDeclaration' ? node.left.declarations[0].id : node.left;
+                    changed = taintBinding(left, taintOf(node.right), changed);
+                } else if (isFunction(node)) {
+                    // Parameters with tainted defaults
+                    for (const param of node.params) {
+                        if (param.type === 'AssignmentPattern') {
+                            changed = taintBinding(param.left, taintOf(param.right), changed);
+                        }
+                    }
+                }
+            }
+        });
+
+        if (!changed) break;
+    }
+
+    return { taintOf, tainted };
+}
+
+module.exports = {
+    DEFAULT_SOURCES,
+    createTaintTracker
+};
@@ -0,0 +1,389 @@
+/**
+ * repochief-gates command-line interface
+ *
+ * Usage:
+ *   repochief-gates run [paths...] [options]
+ *   repochief-gates fix [paths...] [--write | --dry-run]
+ *   repochief-gates list-gates
+ *   repochief-gates explain <rule>
+ *
+ * Exit codes: 0 when the run passed, 1 when it failed, 2 on usage or configuration errors
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { glob } = require('glob');
+const QualityRunner = require('./QualityRunner');
+const ResultReporter = require('./ResultReporter');
+const ConfigLoader = require('./ConfigLoader');
+
+const DEFAULT_GATES = ['eslint', 'security', 'complexity'];
+const DEFAULT_FIX_GATES = ['eslint'];
+
+const BOOLEAN_FLAGS = new Set(['help', 'parallel', 'write', 'dry-run']);
+const REPEATABLE_FLAGS = new Set(['include', 'exclude']);
+const VALUE_FLAGS = new Set(['gates', 'config', 'format', 'stdin-filename', 'language', ...REPEATABLE_FLAGS]);
+
+const EXIT_PASSED = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: repochief-gates <command> [options]
+
+Commands:
+  run [paths...]       Run quality gates over files, directories, globs or stdin
+  fix [paths...]       Apply automatic fixes from gates that support them
+  list-gates           List registered gate types
+  explain <rule>       Describe a rule reported by any gate
+
+Options:
+  --gates <a,b>        Gate types to run (default: config file, else ${DEFAULT_GATES.join(',')})
+  --config <file>      Quality config file (default: nearest .repochief/quality.yml)
+  --format <name>      Output format: text, json, sarif, junit, checkstyle, markdown
+                       or any registered formatter (default: text)
+  --include <glob>     Glob to include when a directory is given (repeatable)
+  --exclude <glob>     Glob to exclude (repeatable)
+  --stdin-filename <f> File name to use for code read from stdin
+  --language <lang>    Language of stdin input (javascript, typescript)
+  --parallel           Run gates in parallel
+  --write              Write fixes back to disk (fix)
+  --dry-run            Print a unified diff of the fixes instead of applying them (fix)
+  --help               Show this help
+
+Reads code from stdin when no paths (or "-") are given.
+Exit codes: 0 passed, 1 failed, 2 usage or configuration error.
+`;
+
+/**
+ * Raised for invalid command-line usage
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Parse argv into a command, positionals and options
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @returns {{command: string|null, positionals: Array<string>, options: Object}} Parsed arguments
+ */
+function parseArgs(argv) {
+    const parsed = { command: null, positionals: [], options: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--') {
+            parsed.positionals.push(...argv.slice(i + 1));
+            break;
+        }
+        if (arg === '-h') {
+            parsed.options.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            if (parsed.command === null) {
+                parsed.command = arg;
+            } else {
+                parsed.positionals.push(arg);
+            }
+            continue;
+        }
+
+        const equals = arg.indexOf('=');
+        const name = equals === -1 ? arg.slice(2) : arg.slice(2, equals);
+        let value = equals === -1 ? undefined : arg.slice(equals + 1);
+
+        if (BOOLEAN_FLAGS.has(name)) {
+            parsed.options[name] = true;
+            continue;
+        }
+        if (!VALUE_FLAGS.has(name)) {
+            throw new UsageError(`Unknown option --${name}`);
+        }
+        if (value === undefined) {
+            value = argv[++i];
+            if (value === undefined) {
+                throw new UsageError(`Option --${name} needs a value`);
+            }
+        }
+
+        if (REPEATABLE_FLAGS.has(name)) {
+            parsed.options[name] = [...(parsed.options[name] || []), value];
+        } else {
+            parsed.options[name] = value;
+        }
+    }
+
+    return parsed;
+}
+
+function readStream(stream) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        stream.setEncoding('utf8');
+        stream.on('data', chunk => {
+            data += chunk;
+        });
+        stream.on('end', () => resolve(data));
+        stream.on('error', reject);
+    });
+}
+
+function splitList(value) {
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function toPosix(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Resolve positional paths (files, directories, globs) or stdin into inputs
+ */
+async function collectInputs(positionals, options, io) {
+    if (positionals.length === 0 || (positionals.length === 1 && positionals[0] === '-')) {
+        if (positionals.length === 0 && io.stdin.isTTY) {
+            throw new UsageError('No input: pass files or pipe code on stdin');
+        }
+        return { stdin: await readStream(io.stdin) };
+    }
+
+    const include = options.include || QualityRunner.DEFAULT_INCLUDE;
+    const exclude = options.exclude || QualityRunner.DEFAULT_EXCLUDE;
+    const files = {};
+
+    for (const target of positionals) {
+        const absolute = path.resolve(io.cwd, target);
+        const stat = await fs.stat(absolute).catch(() => null);
+        let matches;
+
+        if (stat && stat.isDirectory()) {
+            matches = await glob(include, { cwd: absolute, ignore: exclude, nodir: true, absolute: true });
+        } else if (stat) {
+            matches = [absolute];
+        } else {
+            matches = await glob(target, { cwd: io.cwd, ignore: exclude, nodir: true, absolute: true });
+        }
+
+        if (matches.length === 0) {
+            throw new UsageError(`No files match ${target}`);
+        }
+
+        for (const match of matches.sort()) {
+            files[toPosix(path.relative(io.cwd, match))] = await fs.readFile(match, 'utf8');
+        }
+    }
+
+    return { files };
+}
+
+/**
+ * Build a runner from --gates, --config, the nearest config file, or the defaults
+ * @param {Array<string>} defaults - Gate types when there is neither --gates nor a config file
+ */
+function buildRunner(options, io, defaults = DEFAULT_GATES) {
+    const { createGate } = require('./index');
+    const runnerOptions = options.parallel ? { parallel: true } : {};
+
+    if (!options.gates) {
+        const loader = new ConfigLoader({ cwd: io.cwd });
+        const config = options.config
+            ? loader.load(options.config)
+            : loader.loadFromDirectory(io.cwd);
+
+        if (config) {
+            return loader.createRunner(config, runnerOptions);
+        }
+    }
+
+    const runner = new QualityRunner(runnerOptions);
+    for (const type of options.gates ? splitList(options.gates) : defaults) {
+        runner.addGate(createGate(type, { name: type }));
+    }
+    return runner;
+}
+
+function getFormatter(name = 'text') {
+    if (!ResultReporter.hasFormatter(name)) {
+        throw new UsageError(`Unknown format "${name}" (available: ${ResultReporter.getFormatters().join(', ')})`);
+    }
+    return (summary, options) => ResultReporter.format(summary, name, options);
+}
+
+async function runCommand(positionals, options, io) {
+    const format = getFormatter(options.format);
+    const runner = buildRunner(options, io);
+    const inputs = await collectInputs(positionals, options, io);
+    const fileName = options['stdin-filename'] || 'stdin.js';
+
+    const summary = inputs.files
+        ? await runner.runFiles(inputs.files, { projectPath: io.cwd, language: options.language })
+        : await runner.run(inputs.stdin, {
+            fileName,
+            language: options.language || QualityRunner.detectLanguage(fileName)
+        });
+
+    io.stdout.write(format(summary, {
+        fileName: inputs.files ? undefined : fileName,
+        describeRule: (gateName, ruleId) => runner.describeRule(gateName, ruleId)
+    }));
+
+    return summary.overallStatus === 'passed' ? EXIT_PASSED : EXIT_FAILED;
+}
+
+async function fixCommand(positionals, options, io) {
+    // Configured gates keep their options (e.g. ESLint rules); only those that can fix run
+    const runner = buildRunner(options, io, DEFAULT_FIX_GATES);
+
+    if (runner.getFixers().length === 0) {
+        throw new UsageError('None of the selected gates can apply fixes');
+    }
+
+    const inputs = await collectInputs(positionals, options, io);
+    const targets = inputs.files
+        ? Object.entries(inputs.files)
+        : [[options['stdin-filename'] || 'stdin.js', inputs.stdin]];
+    // Files are only written with --write; otherwise show what would change
+    const dryRun = Boolean(options['dry-run'] || (inputs.files && !options.write));
+    let failed = false;
+
+    for (const [fileName, original] of targets) {
+        const result = await runner.fix(original, {
+            fileName,
+            projectPath: io.cwd,
+            language: options.language || QualityRunner.detectLanguage(fileName)
+        }, { dryRun });
+
+        for (const { gate, error } of result.errors) {
+            failed = true;
+            io.stderr.write(`${gate}: could not fix ${fileName}: ${error}\n`);
+        }
+
+        if (dryRun) {
+            io.stdout.write(result.diff);
+        } else if (!inputs.files) {
+            io.stdout.write(result.code);
+        } else if (result.changed) {
+            await fs.writeFile(path.resolve(io.cwd, fileName), result.code);
+            io.stdout.write(`fixed ${fileName} (${result.fixes.length} ${result.fixes.length === 1 ? 'fix' : 'fixes'})\n`);
+        }
+
+        if (result.remaining.length > 0) {
+            io.stderr.write(`${fileName}: ${result.remaining.length} remaining ${result.remaining.length === 1 ? 'issue' : 'issues'}\n`);
+        }
+    }
+
+    return failed ? EXIT_FAILED : EXIT_PASSED;
+}
+
+function listGatesCommand(positionals, options, io) {
+    const { getGateTypes, getGateClass } = require('./index');
+    const gates = getGateTypes().map(type => {
+        const GateClass = getGateClass(type);
+        return {
+            type,
+            class: GateClass.name,
+            description: GateClass.description || '',
+            fixable: typeof GateClass.prototype.fix === 'function'
+        };
+    });
+
+    if (options.format === 'json') {
+        io.stdout.write(JSON.stringify(gates, null, 2) + '\n');
+    } else {
+        const width = Math.max(...gates.map(g => g.type.length));
+        for (const gate of gates) {
+            io.stdout.write(`${gate.type.padEnd(width)}  ${gate.description}${gate.fixable ? ' (fixable)' : ''}\n`);
+        }
+    }
+
+    return EXIT_PASSED;
+}
+
+function explainCommand(positionals, options, io) {
+    const { getGateTypes, createGate } = require('./index');
+    const [ruleId] = positionals;
+
+    if (!ruleId) {
+        throw new UsageError('explain needs a rule id, e.g. repochief-gates explain no-var');
+    }
+
+    const docs = getGateTypes()
+        .map(type => createGate(type, { name: type }).describeRule(ruleId))
+        .filter(Boolean);
+
+    if (docs.length === 0) {
+        io.stderr.write(`Unknown rule "${ruleId}"\n`);
+        return EXIT_FAILED;
+    }
+
+    if (options.format === 'json') {
+        io.stdout.write(JSON.stringify(docs, null, 2) + '\n');
+        return EXIT_PASSED;
+    }
+
+    for (const doc of docs) {
+        io.stdout.write(`${doc.id} (${doc.gate})\n`);
+        if (doc.description) io.stdout.write(`  ${doc.description}\n`);
+        if (doc.remedy) io.stdout.write(`  Remedy: ${doc.remedy}\n`);
+        if (doc.fixable) io.stdout.write('  Automatically fixable\n');
+        if (doc.url) io.stdout.write(`  Docs: ${doc.url}\n`);
+    }
+
+    return EXIT_PASSED;
+}
+
+const COMMANDS = {
+    run: runCommand,
+    fix: fixCommand,
+    'list-gates': listGatesCommand,
+    explain: explainCommand
+};
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @param {Object} io - Streams and cwd, injectable for tests
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, io = {}) {
+    io = {
+        stdin: process.stdin,
+        stdout: process.stdout,
+        stderr: process.stderr,
+        cwd: process.cwd(),
+        ...io
+    };
+
+    try {
+        const { command, positionals, options } = parseArgs(argv);
+
+        if (options.help || command === null || command === 'help') {
+            io.stdout.write(USAGE);
+            return command === null && !options.help ? EXIT_USAGE : EXIT_PASSED;
+        }
+
+        const handler = COMMANDS[command];
+        if (!handler) {
+            throw new UsageError(`Unknown command "${command}"`);
+        }
+
+        return await handler(positionals, options, io);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            io.stderr.write(`${error.message}\n\n${USAGE}`);
+        } else {
+            io.stderr.write(`${error.message}\n`);
+        }
+        return EXIT_USAGE;
+    }
+}
+
+module.exports = {
+    main,
+    parseArgs,
+    UsageError
+};
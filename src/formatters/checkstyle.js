@@ -0,0 +1,55 @@
+/**
+ * Checkstyle XML Formatter
+ * Groups issues by file for legacy dashboards (Jenkins warnings, Sonar imports)
+ */
+
+const { xmlAttributes } = require('./xml');
+
+const SEVERITIES = {
+    error: 'error',
+    warning: 'warning',
+    info: 'info',
+    hint: 'info'
+};
+
+/**
+ * Render a run summary as Checkstyle XML
+ * @param {Object} summary - Run summary
+ * @param {Object} options - Formatter options
+ * @param {string} options.fileName - File to attribute issues without a `file` to
+ * @returns {string} Checkstyle XML document
+ */
+function formatCheckstyle(summary, options = {}) {
+    const files = new Map();
+
+    for (const [gateName, gateSummary] of Object.entries(summary.gates)) {
+        for (const result of gateSummary.results) {
+            for (const issue of result.issues) {
+                const file = issue.file || options.fileName || '';
+                if (!files.has(file)) {
+                    files.set(file, []);
+                }
+                files.get(file).push(`    <error${xmlAttributes({
+                    line: issue.line,
+                    column: issue.column || undefined,
+                    severity: SEVERITIES[issue.severity] || 'warning',
+                    message: issue.message,
+                    source: `repochief.${gateName}${issue.rule ? `.${issue.rule}` : ''}`
+                })}/>`);
+            }
+        }
+    }
+
+    const fileElements = [...files.entries()].map(([file, errors]) =>
+        `  <file${xmlAttributes({ name: file })}>\n${errors.join('\n')}\n  </file>`
+    );
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<checkstyle version="4.3">\n' +
+        fileElements.join('\n') + (fileElements.length > 0 ? '\n' : '') +
+        '</checkstyle>\n';
+}
+
+module.exports = {
+    formatCheckstyle
+};
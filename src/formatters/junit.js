@@ -0,0 +1,97 @@
+/**
+ * JUnit XML Formatter
+ * Each gate becomes a <testsuite>, each issue a failing <testcase>
+ *
+ * Gates without issues get a single passing testcase so CI dashboards
+ * still show them; gate errors and skips map to <error> and <skipped>,
+ * timeouts to <error type="timeout"> and cancellations to <skipped>. Issues an
+ * interrupted gate found before it stopped are still listed.
+ */
+
+const { escapeXml, xmlAttributes } = require('./xml');
+
+function seconds(ms) {
+    return ((ms || 0) / 1000).toFixed(3);
+}
+
+function issueLocation(issue, options) {
+    const file = issue.file || options.fileName;
+    if (!file) {
+        return '';
+    }
+    return issue.line ? `${file}:${issue.line}:${issue.column}` : file;
+}
+
+function renderTestcases(gateName, result, options) {
+    const cases = [];
+    const time = seconds(result.duration);
+
+    if (result.status === 'error' || result.status === 'timeout') {
+        cases.push(`    <testcase${xmlAttributes({ classname: gateName, name: gateName, time })}>\n` +
+            `      <error${xmlAttributes({ message: result.error || 'Gate error', type: result.status })}>${escapeXml(result.error)}</error>\n` +
+            '    </testcase>');
+    } else if (result.status === 'skipped' || result.status === 'cancelled') {
+        cases.push(`    <testcase${xmlAttributes({ classname: gateName, name: gateName, time })}>\n` +
+            `      <skipped${xmlAttributes({ message: result.reason || result.message || result.error })}/>\n` +
+            '    </testcase>');
+    } else if (result.issues.length === 0) {
+        cases.push(`    <testcase${xmlAttributes({ classname: gateName, name: gateName, time })}/>`);
+    }
+
+    for (const issue of result.issues) {
+        const location = issueLocation(issue, options);
+        const file = issue.file || options.fileName;
+        const name = `${issue.rule || 'issue'}${location ? ` at ${location}` : ''}`;
+        const body = [
+            `${issue.severity}: ${issue.message}`,
+            location ? `at ${location}` : null,
+            issue.details ? String(issue.details) : null
+        ].filter(Boolean).join('\n');
+
+        cases.push(`    <testcase${xmlAttributes({ classname: file ? `${gateName}.${file}` : gateName, name, file })}>\n` +
+            `      <failure${xmlAttributes({ message: issue.message, type: issue.rule || issue.severity })}>${escapeXml(body)}</failure>\n` +
+            '    </testcase>');
+    }
+
+    return cases;
+}
+
+/**
+ * Render a run summary as JUnit XML
+ * @param {Object} summary - Run summary
+ * @param {Object} options - Formatter options
+ * @param {string} options.fileName - File to attribute issues without a `file` to
+ * @returns {string} JUnit XML document
+ */
+function formatJUnit(summary, options = {}) {
+    const suites = [];
+    const totals = { tests: 0, failures: 0, errors: 0, skipped: 0 };
+
+    for (const [gateName, gateSummary] of Object.entries(summary.gates)) {
+        const testcases = gateSummary.results.flatMap(result => renderTestcases(gateName, result, options));
+        const counts = {
+            tests: testcases.length,
+            failures: gateSummary.results.reduce((sum, r) => sum + r.issues.length, 0),
+            errors: gateSummary.errors + (gateSummary.timeouts || 0),
+            skipped: gateSummary.skipped + (gateSummary.cancelled || 0)
+        };
+        const duration = gateSummary.results.reduce((sum, r) => sum + (r.duration || 0), 0);
+
+        for (const key of Object.keys(totals)) {
+            totals[key] += counts[key];
+        }
+
+        suites.push(`  <testsuite${xmlAttributes({ name: gateName, ...counts, time: seconds(duration), timestamp: summary.timestamp })}>\n` +
+            testcases.join('\n') + '\n' +
+            '  </testsuite>');
+    }
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        `<testsuites${xmlAttributes({ name: 'repochief-quality-gates', ...totals, time: seconds(summary.duration) })}>\n` +
+        suites.join('\n') + (suites.length > 0 ? '\n' : '') +
+        '</testsuites>\n';
+}
+
+module.exports = {
+    formatJUnit
+};
@@ -0,0 +1,104 @@
+/**
+ * Markdown Formatter
+ * Produces a PR-comment friendly report: an overview table plus one
+ * collapsible <details> section per gate that reported issues
+ */
+
+const STATUS_ICONS = {
+    passed: '✅',
+    failed: '❌',
+    warning: '⚠️',
+    skipped: '⏭️',
+    error: '💥',
+    timeout: '⏱️',
+    cancelled: '🚫'
+};
+
+/**
+ * Escape text for a Markdown table cell
+ */
+function cell(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/\|/g, '\\|')
+        .replace(/\r?\n/g, '<br>');
+}
+
+function gateStatus(gateSummary) {
+    const statuses = gateSummary.results.map(r => r.status);
+    return ['error', 'timeout', 'cancelled', 'failed', 'warning', 'passed', 'skipped'].find(s => statuses.includes(s)) || 'skipped';
+}
+
+/**
+ * Render a run summary as Markdown
+ * @param {Object} summary - Run summary
+ * @param {Object} options - Formatter options
+ * @param {string} options.fileName - File to attribute issues without a `file` to
+ * @param {string} options.title - Heading text (default: "Quality gates")
+ * @param {number} options.maxIssues - Issues listed per gate before truncating (default: 50)
+ * @returns {string} Markdown document
+ */
+function formatMarkdown(summary, options = {}) {
+    const title = options.title || 'Quality gates';
+    const maxIssues = options.maxIssues || 50;
+    const lines = [
+        `## ${STATUS_ICONS[summary.overallStatus] || ''} ${title} ${summary.overallStatus}`,
+        '',
+        `**${summary.passed}** passed · **${summary.failed}** failed · **${summary.warnings}** warnings · ` +
+            `**${summary.skipped}** skipped · **${summary.errors}** errors · ` +
+            (summary.timeouts ? `**${summary.timeouts}** timed out · ` : '') +
+            (summary.cancelled ? `**${summary.cancelled}** cancelled · ` : '') +
+            `score ${Math.round(summary.score)}%`,
+        '',
+        '| Gate | Status | Errors | Warnings | Issues |',
+        '| --- | --- | ---: | ---: | ---: |'
+    ];
+
+    const sections = [];
+
+    for (const [gateName, gateSummary] of Object.entries(summary.gates)) {
+        const status = gateStatus(gateSummary);
+        const issues = gateSummary.results.flatMap(r => r.issues);
+        const errors = issues.filter(i => i.severity === 'error').length;
+        const warnings = issues.filter(i => i.severity === 'warning').length;
+
+        lines.push(`| ${cell(gateName)} | ${STATUS_ICONS[status]} ${status} | ${errors} | ${warnings} | ${issues.length} |`);
+
+        const failures = gateSummary.results.filter(r => r.error).map(r => r.error);
+        if (issues.length === 0 && failures.length === 0) {
+            continue;
+        }
+
+        const section = [
+            '<details>',
+            `<summary>${STATUS_ICONS[status]} <b>${cell(gateName)}</b> — ${issues.length} issue${issues.length === 1 ? '' : 's'}</summary>`,
+            ''
+        ];
+
+        for (const failure of failures) {
+            section.push(`> ${cell(failure)}`, '');
+        }
+
+        if (issues.length > 0) {
+            section.push('| Severity | Location | Rule | Message |', '| --- | --- | --- | --- |');
+            for (const issue of issues.slice(0, maxIssues)) {
+                const file = issue.file || options.fileName || '';
+                const location = issue.line ? `${file}:${issue.line}:${issue.column}` : file;
+                section.push(`| ${issue.severity} | ${location ? `\`${cell(location)}\`` : ''} | ` +
+                    `${issue.rule ? `\`${cell(issue.rule)}\`` : ''} | ${cell(issue.message)} |`);
+            }
+            if (issues.length > maxIssues) {
+                section.push('', `_…and ${issues.length - maxIssues} more._`);
+            }
+            section.push('');
+        }
+
+        section.push('</details>');
+        sections.push(section.join('\n'));
+    }
+
+    return [...lines, '', ...sections.flatMap(section => [section, ''])].join('\n');
+}
+
+module.exports = {
+    formatMarkdown
+};
@@ -0,0 +1,164 @@
+/**
+ * SARIF 2.1.0 Formatter
+ * Converts a run summary into a SARIF log with one run per gate
+ *
+ * Each gate becomes a `tool.driver`, every rule it reported becomes a
+ * reporting descriptor in `driver.rules`, and every issue becomes a
+ * `results[]` entry pointing back at its descriptor via `ruleIndex`.
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { version } = require('../../package.json');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+const INFORMATION_URI = 'https://github.com/liftping/repochief';
+
+const LEVELS = {
+    error: 'error',
+    warning: 'warning',
+    info: 'note',
+    hint: 'note'
+};
+
+/**
+ * Build an artifact URI: relative paths stay relative to %SRCROOT%, absolute ones become file URLs
+ */
+function toArtifactLocation(file) {
+    if (path.isAbsolute(file)) {
+        return { uri: pathToFileURL(file).href };
+    }
+    return {
+        uri: encodeURI(file.split(path.sep).join('/')),
+        uriBaseId: '%SRCROOT%'
+    };
+}
+
+function toRegion(issue) {
+    if (!issue.line) {
+        return undefined;
+    }
+
+    const region = { startLine: issue.line };
+    if (issue.column) region.startColumn = issue.column;
+    if (issue.endLine) region.endLine = issue.endLine;
+    if (issue.endColumn) region.endColumn = issue.endColumn;
+    return region;
+}
+
+function toDescriptor(ruleId, gateName, firstIssue, describeRule) {
+    const doc = (describeRule && describeRule(gateName, ruleId)) || {};
+    const descriptor = {
+        id: ruleId,
+        name: ruleId,
+        shortDescription: { text: doc.description || firstIssue.message },
+        defaultConfiguration: { level: LEVELS[firstIssue.severity] || 'warning' }
+    };
+
+    if (doc.description) descriptor.fullDescription = { text: doc.description };
+    if (doc.url) descriptor.helpUri = doc.url;
+    if (doc.remedy) descriptor.help = { text: doc.remedy };
+
+    const properties = {};
+    if (doc.cwe || firstIssue.cwe) properties.cwe = doc.cwe || firstIssue.cwe;
+    if (Object.keys(properties).length > 0) descriptor.properties = properties;
+
+    return descriptor;
+}
+
+function toSarifRun(gateName, results, options) {
+    const rules = [];
+    const ruleIndexes = new Map();
+    const sarifResults = [];
+    const notifications = [];
+
+    for (const result of results) {
+        if (['error', 'timeout', 'cancelled'].includes(result.status) && result.error) {
+            notifications.push({
+                level: result.status === 'cancelled' ? 'warning' : 'error',
+                message: { text: result.error }
+            });
+        }
+
+        for (const issue of result.issues) {
+            const ruleId = issue.rule || `${gateName}/issue`;
+
+            if (!ruleIndexes.has(ruleId)) {
+                ruleIndexes.set(ruleId, rules.length);
+                rules.push(toDescriptor(ruleId, gateName, issue, options.describeRule));
+            }
+
+            const sarifResult = {
+                ruleId,
+                ruleIndex: ruleIndexes.get(ruleId),
+                level: LEVELS[issue.severity] || 'warning',
+                message: { text: issue.message }
+            };
+
+            const file = issue.file || options.fileName;
+            if (file) {
+                const physicalLocation = { artifactLocation: toArtifactLocation(file) };
+                const region = toRegion(issue);
+                if (region) physicalLocation.region = region;
+                sarifResult.locations = [{ physicalLocation }];
+            }
+
+            const properties = {};
+            for (const key of ['cwe', 'confidence', 'fixable', 'remedy']) {
+                if (issue[key] !== undefined) properties[key] = issue[key];
+            }
+            if (Object.keys(properties).length > 0) sarifResult.properties = properties;
+
+            sarifResults.push(sarifResult);
+        }
+    }
+
+    const invocation = {
+        executionSuccessful: !results.some(r => ['error', 'timeout', 'cancelled'].includes(r.status))
+    };
+    if (notifications.length > 0) {
+        invocation.toolExecutionNotifications = notifications;
+    }
+
+    return {
+        tool: {
+            driver: {
+                name: gateName,
+                fullName: `RepoChief ${gateName} quality gate`,
+                informationUri: INFORMATION_URI,
+                version,
+                rules
+            }
+        },
+        invocations: [invocation],
+        results: sarifResults,
+        properties: {
+            statuses: results.map(r => r.status)
+        }
+    };
+}
+
+/**
+ * Convert a run summary into a SARIF 2.1.0 log
+ * @param {Object} summary - Summary from QualityRunner.run()/runFiles()
+ * @param {Object} options - Formatter options
+ * @param {string} options.fileName - File to attribute issues without a `file` to
+ * @param {Function} options.describeRule - (gateName, ruleId) => rule docs, for descriptors
+ * @returns {Object} SARIF log
+ */
+function formatSarif(summary, options = {}) {
+    return {
+        $schema: SARIF_SCHEMA,
+        version: SARIF_VERSION,
+        runs: Object.entries(summary.gates).map(([gateName, gateSummary]) =>
+            toSarifRun(gateName, gateSummary.results, options)
+        )
+    };
+}
+
+module.exports = {
+    SARIF_SCHEMA,
+    SARIF_VERSION,
+    formatSarif
+};
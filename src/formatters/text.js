@@ -0,0 +1,54 @@
+/**
+ * Plain-Text Formatter
+ * One line per gate result, one indented line per issue, and a totals line
+ */
+
+const STATUS_SYMBOLS = {
+    passed: '✅',
+    failed: '❌',
+    warning: '⚠️',
+    skipped: '⏭️',
+    error: '💥',
+    timeout: '⏱️',
+    cancelled: '🚫'
+};
+
+/**
+ * Render a run summary as plain text
+ * @param {Object} summary - Run summary
+ * @param {Object} options - Formatter options
+ * @param {string} options.fileName - File to attribute issues without a `file` to
+ * @returns {string} Text report
+ */
+function formatText(summary, options = {}) {
+    const lines = [];
+
+    for (const [gateName, gateSummary] of Object.entries(summary.gates)) {
+        for (const result of gateSummary.results) {
+            const reason = result.error || result.reason || result.message;
+            const partial = result.partial ? ' (partial results)' : '';
+            lines.push(`${STATUS_SYMBOLS[result.status] || ''} ${gateName}: ${result.status.toUpperCase()}${reason ? ` - ${reason}` : ''}${partial}`);
+
+            for (const issue of result.issues) {
+                const file = issue.file || options.fileName || '';
+                const location = `${file}:${issue.line}:${issue.column}`;
+                const rule = issue.rule ? `  ${issue.rule}` : '';
+                lines.push(`    ${location}  ${issue.severity}  ${issue.message}${rule}`);
+            }
+        }
+    }
+
+    lines.push('');
+    const interrupted = [
+        summary.timeouts ? `, ${summary.timeouts} timed out` : '',
+        summary.cancelled ? `, ${summary.cancelled} cancelled` : ''
+    ].join('');
+    lines.push(`${summary.overallStatus.toUpperCase()}: ${summary.passed} passed, ${summary.failed} failed, ` +
+        `${summary.warnings} warnings, ${summary.skipped} skipped, ${summary.errors} errors${interrupted}`);
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    formatText
+};
@@ -0,0 +1,40 @@
+/**
+ * XML helpers shared by the XML report formatters
+ */
+
+const XML_ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&apos;'
+};
+
+/**
+ * Escape text for use in XML attributes and text nodes
+ * Control characters that XML 1.0 cannot represent are dropped
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+}
+
+/**
+ * Render attributes, skipping undefined values
+ * @param {Object} attributes - Attribute name to value
+ * @returns {string} Attributes with a leading space
+ */
+function xmlAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== undefined)
+        .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+        .join('');
+}
+
+module.exports = {
+    escapeXml,
+    xmlAttributes
+};
@@ -4,79 +4,164 @@
  */
 
 const BaseQualityGate = require('../BaseQualityGate');
+const { parse } = require('../analysis/ast');
+const { analyzeProgram } = require('../analysis/complexity');
+const { PATTERNS, detectPatterns } = require('../analysis/patterns');
+
+// Thresholds checked per function and per file: [threshold, rule, label, metric]
+// `max*` thresholds flag values above them, `min*` thresholds flag values below them
+const FUNCTION_METRICS = [
+    ['maxCognitiveComplexity', 'cognitive-complexity', 'cognitive complexity', m => m.cognitive],
+    ['maxHalsteadVolume', 'halstead-volume', 'Halstead volume', m => m.halstead.volume],
+    ['maxHalsteadDifficulty', 'halstead-difficulty', 'Halstead difficulty', m => m.halstead.difficulty],
+    ['maxHalsteadEffort', 'halstead-effort', 'Halstead effort', m => m.halstead.effort],
+    ['minMaintainabilityIndex', 'maintainability-index', 'maintainability index', m => m.maintainabilityIndex]
+];
+
+const FILE_METRICS = [
+    ['maxFileCyclomaticComplexity', 'file-cyclomatic-complexity', 'cyclomatic complexity', m => m.cyclomatic],
+    ['maxFileCognitiveComplexity', 'file-cognitive-complexity', 'cognitive complexity', m => m.cognitive],
+    ['maxFileHalsteadVolume', 'file-halstead-volume', 'Halstead volume', m => m.halstead.volume],
+    ['maxFileHalsteadDifficulty', 'file-halstead-difficulty', 'Halstead difficulty', m => m.halstead.difficulty],
+    ['maxFileHalsteadEffort', 'file-halstead-effort', 'Halstead effort', m => m.halstead.effort],
+    ['minFileMaintainabilityIndex', 'file-maintainability-index', 'maintainability index', m => m.maintainabilityIndex]
+];
+
+function exceeds(threshold, limit, value) {
+    return threshold.startsWith('min') ? value < limit : value > limit;
+}
 
 class ComplexityGate extends BaseQualityGate {
     constructor(options = {}) {
         super(options);
-        
+
         // Complexity thresholds
         this.thresholds = {
-            maxCyclomaticComplexity: options.maxCyclomaticComplexity || 10,
+            maxCyclomaticComplexity: options.maxCyclomaticComplexity || options.maxComplexity || 10,
             maxDepth: options.maxDepth || 4,
             maxLinesPerFunction: options.maxLinesPerFunction || 50,
-            maxParametersPerFunction: options.maxParametersPerFunction || 5
+            maxParametersPerFunction: options.maxParametersPerFunction || 5,
+            maxCognitiveComplexity: options.maxCognitiveComplexity ?? 15,
+            maxHalsteadVolume: options.maxHalsteadVolume ?? null,
+            maxHalsteadDifficulty: options.maxHalsteadDifficulty ?? null,
+            maxHalsteadEffort: options.maxHalsteadEffort ?? null,
+            minMaintainabilityIndex: options.minMaintainabilityIndex ?? 10,
+            maxFileCyclomaticComplexity: options.maxFileCyclomaticComplexity ?? null,
+            maxFileCognitiveComplexity: options.maxFileCognitiveComplexity ?? null,
+            maxFileHalsteadVolume: options.maxFileHalsteadVolume ?? null,
+            maxFileHalsteadDifficulty: options.maxFileHalsteadDifficulty ?? null,
+            maxFileHalsteadEffort: options.maxFileHalsteadEffort ?? null,
+            minFileMaintainabilityIndex: options.minFileMaintainabilityIndex ?? null
         };
+
+        // Anti-pattern detectors: true for all, false for none, or pattern ids / groups such as 'O(n²)'
+        this.detectPatterns = options.detectPatterns ?? true;
     }
-    
+
     /**
      * Execute complexity analysis
      */
     async execute(code, context = {}) {
         try {
+            let ast;
+            try {
+                ast = parse(code, context);
+            } catch (error) {
+                return this.parseFailure(error);
+            }
+
             const issues = [];
-            const functions = this.extractFunctions(code);
-            
+            const { functions, file } = analyzeProgram(ast);
+
             for (const func of functions) {
+                const location = { line: func.line, column: func.column };
+
                 // Check cyclomatic complexity
-                const complexity = this.calculateCyclomaticComplexity(func.body);
-                if (complexity > this.thresholds.maxCyclomaticComplexity) {
+                if (func.complexity > this.thresholds.maxCyclomaticComplexity) {
                     issues.push({
-                        line: func.line,
-                        column: 1,
+                        ...location,
                         severity: 'warning',
-                        message: `Function '${func.name}' has cyclomatic complexity of ${complexity} (max: ${this.thresholds.maxCyclomaticComplexity})`,
+                        message: `Function '${func.name}' has cyclomatic complexity of ${func.complexity} (max: ${this.thresholds.maxCyclomaticComplexity})`,
                         rule: 'cyclomatic-complexity'
                     });
                 }
-                
+
+                // Check nesting depth
+                if (func.depth > this.thresholds.maxDepth) {
+                    issues.push({
+                        ...location,
+                        severity: 'warning',
+                        message: `Function '${func.name}' has blocks nested ${func.depth} deep (max: ${this.thresholds.maxDepth})`,
+                        rule: 'nesting-depth'
+                    });
+                }
+
                 // Check function length
-                const lines = func.body.split('\n').length;
-                if (lines > this.thresholds.maxLinesPerFunction) {
+                if (func.lines > this.thresholds.maxLinesPerFunction) {
                     issues.push({
-                        line: func.line,
-                        column: 1,
+                        ...location,
                         severity: 'warning',
-                        message: `Function '${func.name}' has ${lines} lines (max: ${this.thresholds.maxLinesPerFunction})`,
+                        message: `Function '${func.name}' has ${func.lines} lines (max: ${this.thresholds.maxLinesPerFunction})`,
                         rule: 'function-length'
                     });
                 }
-                
+
                 // Check parameter count
                 if (func.params > this.thresholds.maxParametersPerFunction) {
                     issues.push({
-                        line: func.line,
-                        column: 1,
+                        ...location,
                         severity: 'warning',
                         message: `Function '${func.name}' has ${func.params} parameters (max: ${this.thresholds.maxParametersPerFunction})`,
                         rule: 'parameter-count'
                     });
                 }
+
+                issues.push(...this.checkMetrics(FUNCTION_METRICS, func, location, `Function '${func.name}'`));
             }
-            
+
+            issues.push(...this.checkMetrics(FILE_METRICS, file, { line: 1, column: 1 }, 'File'));
+
+            const patterns = detectPatterns(ast, this.detectPatterns)
+                .map(pattern => ({ ...pattern, severity: 'warning' }));
+            issues.push(...patterns);
+
             const status = issues.length === 0 ? 'pass' : 'warning';
-            
+
             return {
                 status,
                 issues,
                 stats: {
                     functionsAnalyzed: functions.length,
                     avgComplexity: this.calculateAverageComplexity(functions),
-                    maxComplexity: Math.max(...functions.map(f => 
-                        this.calculateCyclomaticComplexity(f.body)
-                    ))
+                    maxComplexity: Math.max(0, ...functions.map(f => f.complexity)),
+                    maxDepth: Math.max(0, ...functions.map(f => f.depth)),
+                    maxParams: Math.max(0, ...functions.map(f => f.params)),
+                    maxFunctionLines: Math.max(0, ...functions.map(f => f.lines)),
+                    avgCognitiveComplexity: this.calculateAverage(functions, f => f.cognitive),
+                    maxCognitiveComplexity: Math.max(0, ...functions.map(f => f.cognitive)),
+                    maxHalsteadVolume: Math.max(0, ...functions.map(f => f.halstead.volume)),
+                    maxHalsteadDifficulty: Math.max(0, ...functions.map(f => f.halstead.difficulty)),
+                    maxHalsteadEffort: Math.max(0, ...functions.map(f => f.halstead.effort)),
+                    avgMaintainabilityIndex: this.calculateAverage(functions, f => f.maintainabilityIndex),
+                    minMaintainabilityIndex: functions.length > 0
+                        ? Math.min(...functions.map(f => f.maintainabilityIndex))
+                        : file.maintainabilityIndex,
+                    cyclomaticComplexity: file.cyclomatic,
+                    cognitiveComplexity: file.cognitive,
+                    halsteadVolume: file.halstead.volume,
+                    halsteadDifficulty: file.halstead.difficulty,
+                    halsteadEffort: file.halstead.effort,
+                    maintainabilityIndex: file.maintainabilityIndex,
+                    sloc: file.sloc,
+                    antiPatterns: patterns.length
+                },
+                details: {
+                    functions: functions.map(({ node, ...func }) => func),
+                    file,
+                    recoveredErrors: (ast.errors || []).length
                 }
             };
-            
+
         } catch (error) {
             return {
                 status: 'error',
@@ -87,78 +172,152 @@ class ComplexityGate extends BaseQualityGate {
             };
         }
     }
-    
+
+    /**
+     * Extract functions and their metrics from a parsed program
+     * Covers declarations, expressions, arrows, class and object methods,
+     * accessors and class-field arrows, including nested functions
+     */
+    extractFunctions(ast) {
+        return analyzeProgram(ast).functions;
+    }
+
     /**
-     * Extract functions from code (simplified)
+     * Compare measured metrics against their thresholds; null thresholds are off
      */
-    extractFunctions(code) {
-        const functions = [];
-        const functionRegex = /function\s+(\w+)\s*\(([^)]*)\)|(\w+)\s*=\s*(?:async\s+)?(?:\([^)]*\)|[^=]+)\s*=>/g;
-        
-        let match;
-        while ((match = functionRegex.exec(code)) !== null) {
-            const lines = code.substring(0, match.index).split('\n');
-            const line = lines.length;
-            const name = match[1] || match[3] || 'anonymous';
-            const params = match[2] ? match[2].split(',').filter(p => p.trim()).length : 0;
-            
-            // Extract function body (simplified)
-            const bodyStart = match.index + match[0].length;
-            let bodyEnd = code.indexOf('\n}', bodyStart);
-            if (bodyEnd === -1) bodyEnd = code.length;
-            
-            functions.push({
-                name,
-                line,
-                params,
-                body: code.substring(bodyStart, bodyEnd)
+    checkMetrics(table, metrics, location, subject) {
+        const issues = [];
+
+        for (const [threshold, rule, label, measure] of table) {
+            const limit = this.thresholds[threshold];
+            const value = measure(metrics);
+            if (limit === null || limit === undefined || !exceeds(threshold, limit, value)) continue;
+
+            issues.push({
+                ...location,
+                severity: 'warning',
+                message: `${subject} has ${label} of ${value} (${threshold.startsWith('min') ? 'min' : 'max'}: ${limit})`,
+                rule
             });
         }
-        
-        return functions;
+
+        return issues;
     }
-    
+
     /**
-     * Calculate cyclomatic complexity (simplified)
+     * Report unparsable code as a single issue at the syntax error
      */
-    calculateCyclomaticComplexity(code) {
-        let complexity = 1;
-        
-        // Count decision points
-        const decisionPatterns = [
-            /\bif\b/g,
-            /\belse\s+if\b/g,
-            /\bfor\b/g,
-            /\bwhile\b/g,
-            /\bcase\b/g,
-            /\bcatch\b/g,
-            /\?\s*[^:]+:/g,  // ternary operator
-            /&&/g,
-            /\|\|/g
-        ];
-        
-        for (const pattern of decisionPatterns) {
-            const matches = code.match(pattern);
-            if (matches) {
-                complexity += matches.length;
+    parseFailure(error) {
+        const loc = error.loc || {};
+
+        return {
+            status: 'fail',
+            issues: [{
+                line: loc.line || 0,
+                column: loc.column !== undefined ? loc.column + 1 : 0,
+                severity: 'error',
+                message: `Unable to parse code: ${error.message}`,
+                rule: 'parse-error'
+            }],
+            stats: {
+                functionsAnalyzed: 0
             }
-        }
-        
-        return complexity;
+        };
     }
-    
+
     /**
      * Calculate average complexity
      */
     calculateAverageComplexity(functions) {
+        return this.calculateAverage(functions, func => func.complexity);
+    }
+
+    /**
+     * Average of a per-function metric, rounded to one decimal
+     */
+    calculateAverage(functions, measure) {
         if (functions.length === 0) return 0;
-        
-        const total = functions.reduce((sum, func) => 
-            sum + this.calculateCyclomaticComplexity(func.body), 0
-        );
-        
+
+        const total = functions.reduce((sum, func) => sum + measure(func), 0);
+
         return Math.round(total / functions.length * 10) / 10;
     }
 }
 
-module.exports = ComplexityGate;
\ No newline at end of file
+ComplexityGate.description = 'Analyzes code complexity metrics';
+
+// How QualityRunner combines file-level stats across files; other keys follow their prefix
+ComplexityGate.statAggregation = {
+    halsteadDifficulty: 'avg',
+    maintainabilityIndex: 'avg'
+};
+
+ComplexityGate.rules = {
+    ...PATTERNS,
+    'cyclomatic-complexity': {
+        description: 'Function has more independent paths than maxCyclomaticComplexity allows',
+        remedy: 'Extract branches into well-named helper functions or use lookup tables'
+    },
+    'nesting-depth': {
+        description: 'Function nests blocks deeper than maxDepth',
+        remedy: 'Return early, invert conditions or extract the inner block into a function'
+    },
+    'function-length': {
+        description: 'Function body is longer than maxLinesPerFunction',
+        remedy: 'Split the function into smaller functions with a single responsibility'
+    },
+    'parameter-count': {
+        description: 'Function takes more parameters than maxParametersPerFunction',
+        remedy: 'Group related parameters into an options object'
+    },
+    'cognitive-complexity': {
+        description: 'Function is harder to follow than maxCognitiveComplexity allows; nested branches cost more than flat ones',
+        remedy: 'Flatten nesting with early returns and move nested branches into helper functions'
+    },
+    'halstead-volume': {
+        description: 'Function contains more operators and operands than maxHalsteadVolume allows',
+        remedy: 'Split the function so each part handles less data and fewer operations'
+    },
+    'halstead-difficulty': {
+        description: 'Function reuses its operands more densely than maxHalsteadDifficulty allows',
+        remedy: 'Name intermediate values and reduce the number of distinct operators in one expression'
+    },
+    'halstead-effort': {
+        description: 'Estimated mental effort to write or understand the function exceeds maxHalsteadEffort',
+        remedy: 'Reduce both the size and the difficulty of the function by extracting helpers'
+    },
+    'maintainability-index': {
+        description: 'Function maintainability index (0-100, from volume, complexity and lines) is below minMaintainabilityIndex',
+        remedy: 'Shorten the function and reduce its branching'
+    },
+    'file-cyclomatic-complexity': {
+        description: 'File has more independent paths in total than maxFileCyclomaticComplexity allows',
+        remedy: 'Split the module by responsibility'
+    },
+    'file-cognitive-complexity': {
+        description: 'File total cognitive complexity exceeds maxFileCognitiveComplexity',
+        remedy: 'Split the module and simplify its most complex functions'
+    },
+    'file-halstead-volume': {
+        description: 'File Halstead volume exceeds maxFileHalsteadVolume',
+        remedy: 'Split the module into smaller modules'
+    },
+    'file-halstead-difficulty': {
+        description: 'File Halstead difficulty exceeds maxFileHalsteadDifficulty',
+        remedy: 'Introduce named helpers and constants for repeated expressions'
+    },
+    'file-halstead-effort': {
+        description: 'File Halstead effort exceeds maxFileHalsteadEffort',
+        remedy: 'Split the module and simplify its densest functions'
+    },
+    'file-maintainability-index': {
+        description: 'File maintainability index is below minFileMaintainabilityIndex',
+        remedy: 'Split the module and reduce the size and branching of its functions'
+    },
+    'parse-error': {
+        description: 'The code could not be parsed, so no metrics were computed',
+        remedy: 'Fix the syntax error reported at the given location'
+    }
+};
+
+module.exports = ComplexityGate;
@@ -1,12 +1,34 @@
 /**
  * ESLint Quality Gate
  * Validates JavaScript/TypeScript code using ESLint
+ *
+ * By default the target project's own config is used when it has one (flat
+ * `eslint.config.js` or legacy `.eslintrc*` / package.json `eslintConfig`),
+ * and the built-in rule set otherwise. See `configMode`.
  */
 
 const BaseQualityGate = require('../BaseQualityGate');
 const { ESLint } = require('eslint');
+const { builtinRules, FlatESLint } = require('eslint/use-at-your-own-risk');
 const path = require('path');
 const fs = require('fs').promises;
+const { isTypeScriptFile, typeScriptOverride, findTsconfig } = require('../TypeScriptSupport');
+const { throwIfAborted } = require('../Cancellation');
+
+const CONFIG_MODES = ['auto', 'default', 'project', 'merge'];
+
+// Project config files, in ESLint's order of precedence
+const FLAT_CONFIG_FILES = ['eslint.config.js', 'eslint.config.mjs', 'eslint.config.cjs'];
+const LEGACY_CONFIG_FILES = ['.eslintrc.js', '.eslintrc.cjs', '.eslintrc.yaml', '.eslintrc.yml', '.eslintrc.json', '.eslintrc'];
+
+async function exists(file) {
+    try {
+        await fs.access(file);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
 
 class ESLintGate extends BaseQualityGate {
     constructor(options = {}) {
@@ -28,60 +50,64 @@ class ESLintGate extends BaseQualityGate {
             };
         }
         
-        // Create ESLint instance
-        this.eslint = new ESLint(this.eslintConfig);
+        // 'default': built-in config; 'project': the project's config as-is;
+        // 'merge': the project's config with `rules` enforced on top;
+        // 'auto': 'merge' or 'project' when the project has a config, else 'default'
+        this.configMode = options.configMode || 'auto';
+        if (!CONFIG_MODES.includes(this.configMode)) {
+            throw new Error(`Invalid configMode "${this.configMode}" (expected one of ${CONFIG_MODES.join(', ')})`);
+        }
+        this.enforcedRules = options.rules || null;
+        // Project root; defaults to context.projectPath, then process.cwd()
+        this.cwd = options.cwd || null;
+        // Type-aware TypeScript rules with the project's tsconfig.json (needs @typescript-eslint)
+        this.typeAware = options.typeAware === true;
+        
+        // One instance per project root lints every file; lintText() calls may run concurrently
+        this.linters = new Map();
     }
     
     /**
      * Execute ESLint validation
+     * Code is linted in memory; `context.fileName` is used as a virtual path
+     * so that overrides and ignore patterns match as they would on disk
      */
     async execute(code, context = {}) {
         try {
-            // Determine file extension
-            const fileExt = context.language === 'typescript' ? '.ts' : '.js';
-            const fileName = context.fileName || `temp${fileExt}`;
+            const linter = await this.getLinter(this.cwd || context.projectPath || process.cwd());
+            const filePath = this.resolveFilePath(context, linter.root);
+            const fileName = context.fileName || path.basename(filePath);
+            // Loading the project's config and plugins can take a while
+            throwIfAborted(context.signal);
             
-            // Create temporary file for linting
-            const tempFile = path.join(process.cwd(), `.temp-eslint-${Date.now()}${fileExt}`);
+            // Run ESLint; files ignored by the project config yield no results
+            const results = await linter.eslint.lintText(code, { filePath, warnIgnored: false });
+            const config = await linter.eslint.calculateConfigForFile(filePath);
             
-            try {
-                // Write code to temp file
-                await fs.writeFile(tempFile, code);
-                
-                // Run ESLint
-                const results = await this.eslint.lintFiles([tempFile]);
-                
-                // Process results
-                const issues = this.processResults(results);
-                
-                // Determine status
-                const errors = issues.filter(i => i.severity === 'error');
-                const warnings = issues.filter(i => i.severity === 'warning');
-                
-                const status = this.shouldFail(issues) ? 'fail' : 'pass';
-                
-                return {
-                    status,
-                    issues,
-                    stats: {
-                        errors: errors.length,
-                        warnings: warnings.length,
-                        fixable: issues.filter(i => i.fixable).length
-                    },
-                    details: {
-                        fileName,
-                        rulesApplied: Object.keys(this.eslintConfig.baseConfig.rules).length
-                    }
-                };
-                
-            } finally {
-                // Clean up temp file
-                try {
-                    await fs.unlink(tempFile);
-                } catch (err) {
-                    // Ignore cleanup errors
+            // Process results
+            const issues = this.processResults(results);
+            
+            // Determine status
+            const errors = issues.filter(i => i.severity === 'error');
+            const warnings = issues.filter(i => i.severity === 'warning');
+            
+            const status = this.shouldFail(issues) ? 'fail' : 'pass';
+            
+            return {
+                status,
+                issues,
+                configSource: linter.configSource,
+                stats: {
+                    errors: errors.length,
+                    warnings: warnings.length,
+                    fixable: issues.filter(i => i.fixable).length
+                },
+                details: {
+                    fileName,
+                    rulesApplied: Object.keys((config && config.rules) || {}).length,
+                    ...(linter.typescript && isTypeScriptFile({ ...context, fileName: filePath }) ? { typescript: linter.typescript } : {})
                 }
-            }
+            };
             
         } catch (error) {
             return {
@@ -94,6 +120,100 @@ class ESLintGate extends BaseQualityGate {
         }
     }
     
+    /**
+     * Virtual path of the linted code: `context.fileName` under the project root,
+     * or `input.js`/`input.ts` when the code has no name. Nothing is written there.
+     */
+    resolveFilePath(context = {}, root = process.cwd()) {
+        const fileExt = context.language === 'typescript' ? '.ts' : '.js';
+        return path.resolve(root, context.fileName || `input${fileExt}`);
+    }
+    
+    /**
+     * Find the project's own ESLint config
+     * @param {string} root - Project root
+     * @returns {Promise<{type: string, file: string}|null>} `type` is 'flat' or 'eslintrc'
+     */
+    async findProjectConfig(root) {
+        for (const name of FLAT_CONFIG_FILES) {
+            const file = path.join(root, name);
+            if (await exists(file)) return { type: 'flat', file };
+        }
+        for (const name of LEGACY_CONFIG_FILES) {
+            const file = path.join(root, name);
+            if (await exists(file)) return { type: 'eslintrc', file };
+        }
+        
+        try {
+            const manifest = JSON.parse(await fs.readFile(path.join(root, 'package.json'), 'utf8'));
+            if (manifest.eslintConfig) return { type: 'eslintrc', file: path.join(root, 'package.json') };
+        } catch (error) {
+            // No readable package.json
+        }
+        return null;
+    }
+    
+    /**
+     * ESLint instance for a project root, created once per root
+     * @param {string} root - Project root
+     * @returns {Promise<Object>} `{ root, eslint, configSource, create(fix) }`; `configSource` is
+     *   `{ type: 'flat'|'eslintrc'|'default', file, mode }`
+     * @throws {Error} In 'project' and 'merge' mode when the project has no config
+     */
+    getLinter(root) {
+        root = path.resolve(root);
+        if (!this.linters.has(root)) {
+            const linter = this.createLinter(root);
+            // Let a failed lookup be retried
+            linter.catch(() => this.linters.delete(root));
+            this.linters.set(root, linter);
+        }
+        return this.linters.get(root);
+    }
+    
+    async createLinter(root) {
+        const project = this.configMode === 'default' ? null : await this.findProjectConfig(root);
+        
+        if (!project) {
+            if (this.configMode === 'project' || this.configMode === 'merge') {
+                throw new Error(`No ESLint config found in ${root} (looked for ${[...FLAT_CONFIG_FILES, ...LEGACY_CONFIG_FILES].join(', ')} and package.json eslintConfig)`);
+            }
+            
+            // TypeScript files get a TS parser; the caller's overrides still win
+            const typescript = typeScriptOverride(root, { tsconfig: this.typeAware ? findTsconfig(root) : null });
+            const baseConfig = this.eslintConfig.baseConfig;
+            const eslintOptions = {
+                ...this.eslintConfig,
+                cwd: root,
+                baseConfig: { ...baseConfig, overrides: [typescript.override, ...(baseConfig.overrides || [])] },
+                ...(typescript.pluginRoot ? { resolvePluginsRelativeTo: typescript.pluginRoot } : {})
+            };
+            
+            return {
+                root,
+                eslint: new ESLint(eslintOptions),
+                configSource: { type: 'default', file: null, mode: 'default' },
+                typescript: { parser: typescript.name, typeAware: typescript.typeAware },
+                create: fix => new ESLint({ ...eslintOptions, fix })
+            };
+        }
+        
+        const mode = this.configMode === 'auto' ? (this.enforcedRules ? 'merge' : 'project') : this.configMode;
+        const overrideConfig = mode === 'merge' && this.enforcedRules ? { rules: this.enforcedRules } : undefined;
+        
+        // Flat configs import their plugins themselves; legacy plugins are resolved from the project root
+        const create = project.type === 'flat'
+            ? fix => new FlatESLint({ cwd: root, overrideConfigFile: project.file, overrideConfig, fix })
+            : fix => new ESLint({ cwd: root, useEslintrc: true, resolvePluginsRelativeTo: root, overrideConfig, fix });
+        
+        return {
+            root,
+            eslint: create(false),
+            configSource: { type: project.type, file: project.file, mode },
+            create
+        };
+    }
+    
     /**
      * Process ESLint results
      */
@@ -116,6 +236,28 @@ class ESLintGate extends BaseQualityGate {
         return issues;
     }
     
+    /**
+     * Describe an ESLint core rule using its metadata
+     */
+    describeRule(ruleId) {
+        const rule = builtinRules.get(ruleId);
+        if (!rule || !rule.meta) {
+            return null;
+        }
+        
+        const configured = this.eslintConfig.baseConfig.rules[ruleId];
+        
+        return {
+            id: ruleId,
+            gate: this.name,
+            description: rule.meta.docs && rule.meta.docs.description,
+            url: rule.meta.docs && rule.meta.docs.url,
+            type: rule.meta.type,
+            fixable: Boolean(rule.meta.fixable),
+            configured: configured !== undefined ? configured : 'off'
+        };
+    }
+    
     /**
      * Get default ESLint configuration
      */
@@ -158,44 +300,43 @@ class ESLintGate extends BaseQualityGate {
     }
     
     /**
-     * Apply automatic fixes (optional feature)
+     * Apply automatic fixes
+     * @returns {Promise<Object>} `{ fixed, code, fixes, configSource }`; `fixes` lists the
+     *   fixable problems that were resolved, as `{ rule, line, column, message }`
      */
     async fix(code, context = {}) {
         try {
-            const fileExt = context.language === 'typescript' ? '.ts' : '.js';
-            const tempFile = path.join(process.cwd(), `.temp-eslint-fix-${Date.now()}${fileExt}`);
+            // Fixing needs its own instance; it is created once per project and reused
+            const linter = await this.getLinter(this.cwd || context.projectPath || process.cwd());
+            if (!linter.fixer) {
+                linter.fixer = linter.create(true);
+            }
+            const filePath = this.resolveFilePath(context, linter.root);
             
-            try {
-                await fs.writeFile(tempFile, code);
-                
-                // Create ESLint instance with fix enabled
-                const eslintFixer = new ESLint({
-                    ...this.eslintConfig,
-                    fix: true
-                });
-                
-                const results = await eslintFixer.lintFiles([tempFile]);
-                
-                // Get fixed code
-                let fixedCode = code;
-                if (results[0] && results[0].output) {
-                    fixedCode = results[0].output;
-                }
-                
-                return {
-                    fixed: true,
-                    code: fixedCode,
-                    changes: results[0]?.output ? 'Code was automatically fixed' : 'No fixes applied'
-                };
-                
-            } finally {
-                try {
-                    await fs.unlink(tempFile);
-                } catch (err) {
-                    // Ignore
-                }
+            // Lint first to know which fixable problems the fixer resolves
+            throwIfAborted(context.signal);
+            const before = await linter.eslint.lintText(code, { filePath, warnIgnored: false });
+            throwIfAborted(context.signal);
+            const results = await linter.fixer.lintText(code, { filePath, warnIgnored: false });
+            
+            // Get fixed code
+            let fixedCode = code;
+            if (results[0] && results[0].output) {
+                fixedCode = results[0].output;
             }
             
+            const fixes = fixedCode === code
+                ? []
+                : this.resolvedFixes(before[0] ? before[0].messages : [], results[0] ? results[0].messages : []);
+            
+            return {
+                fixed: true,
+                code: fixedCode,
+                fixes,
+                configSource: linter.configSource,
+                changes: fixes.length > 0 ? 'Code was automatically fixed' : 'No fixes applied'
+            };
+            
         } catch (error) {
             return {
                 fixed: false,
@@ -203,6 +344,38 @@ class ESLintGate extends BaseQualityGate {
             };
         }
     }
+    
+    /**
+     * Fixable messages whose rule reports fewer problems after fixing
+     * Lines move when fixes apply, so problems are matched by rule count
+     */
+    resolvedFixes(before, after) {
+        const remaining = new Map();
+        for (const message of after) {
+            remaining.set(message.ruleId, (remaining.get(message.ruleId) || 0) + 1);
+        }
+        
+        const counts = new Map();
+        for (const message of before) {
+            counts.set(message.ruleId, (counts.get(message.ruleId) || 0) + 1);
+        }
+        
+        const fixes = [];
+        for (const message of before) {
+            if (!message.fix) continue;
+            const resolved = counts.get(message.ruleId) - (remaining.get(message.ruleId) || 0);
+            if (fixes.filter(fix => fix.rule === message.ruleId).length >= resolved) continue;
+            fixes.push({
+                rule: message.ruleId,
+                line: message.line,
+                column: message.column,
+                message: message.message
+            });
+        }
+        return fixes;
+    }
 }
 
+ESLintGate.description = 'Validates JavaScript/TypeScript code using ESLint';
+
 module.exports = ESLintGate;
\ No newline at end of file
@@ -0,0 +1,455 @@
+/**
+ * License Quality Gate
+ * Enforces a license policy on installed dependencies and source files
+ *
+ * Package licenses come from node_modules/<name>/package.json, falling back
+ * to the `license` recorded in package-lock.json. Each SPDX expression is
+ * evaluated against the policy: `OR` passes when any alternative is
+ * acceptable, `AND` only when every license is. Policy entries are SPDX ids,
+ * globs over ids (`GPL-*`) or categories (`strong-copyleft`).
+ *
+ * Source files are checked for SPDX-License-Identifier tags and GPL notices
+ * that signal copied code, and optionally for a required license header.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const minimatch = require('minimatch');
+const BaseQualityGate = require('../BaseQualityGate');
+const { throwIfAborted } = require('../Cancellation');
+const {
+    CATEGORIES,
+    baseId,
+    classifyLicense,
+    parseExpression,
+    licenseIds,
+    evaluate,
+    declaredLicense
+} = require('../analysis/spdx');
+const {
+    DEFAULT_LOCKFILE,
+    parseLockfile,
+    locatePackage,
+    readLockfile,
+    readBaseLockfile,
+    packageKeys
+} = require('../Lockfile');
+
+const DEFAULT_DENY = ['strong-copyleft', 'network-copyleft'];
+const DEFAULT_SOURCE_FILES = ['**/*.{js,jsx,mjs,cjs,ts,tsx}'];
+// Manifests read at once; large trees have thousands of packages
+const DEFAULT_CONCURRENCY = 16;
+
+const SPDX_TAG = /SPDX-License-Identifier:\s*(.+?)\s*(?:\*\/|-->)?\s*$/gm;
+const GPL_NOTICE = /GNU (Affero |Lesser |Library )?General Public License/g;
+
+// Verdicts, ranked so that `OR` keeps the best alternative and `AND` the worst
+const VERDICTS = {
+    denied: { rank: 0, rule: 'denied-license', severity: 'error' },
+    'not-allowed': { rank: 1, rule: 'license-not-allowed', severity: 'error' },
+    unknown: { rank: 2, rule: 'unknown-license', severity: 'warning' },
+    allowed: { rank: 3, rule: null, severity: null }
+};
+
+function lineAt(text, index) {
+    const before = text.slice(0, index);
+    return { line: before.split('\n').length, column: index - before.lastIndexOf('\n') };
+}
+
+// `GNU Lesser General Public License ... version 2.1` -> `LGPL-2.1`
+function noticeLicense(text, match) {
+    const prefix = { 'Affero ': 'A', 'Lesser ': 'L', 'Library ': 'L' }[match[1]] || '';
+    const version = text.slice(match.index, match.index + 300).match(/version (\d(?:\.\d)?)/i);
+    const number = version ? version[1] : (prefix === 'A' ? '3' : '2');
+    return `${prefix}GPL-${number.includes('.') ? number : `${number}.0`}`;
+}
+
+class LicenseGate extends BaseQualityGate {
+    constructor(options = {}) {
+        super(options);
+
+        // Allowed licenses; null allows everything that is not denied or unknown
+        this.allow = options.allow ? [].concat(options.allow) : null;
+        this.deny = [].concat(options.deny || DEFAULT_DENY);
+
+        // Skip devDependencies; they are not distributed with the project
+        this.production = options.production === true;
+        // Only check packages introduced relative to the base lockfile
+        this.onlyNew = options.onlyNew === true;
+        // Packages exempt from the policy, as `name` or `name@version`
+        this.ignorePackages = options.ignorePackages || [];
+
+        this.lockfile = options.lockfile || DEFAULT_LOCKFILE;
+        this.baseLockfile = options.baseLockfile || null;
+        this.baseRef = options.baseRef || null;
+
+        this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+
+        this.sourceFiles = [].concat(options.sourceFiles || DEFAULT_SOURCE_FILES);
+        this.header = LicenseGate.normalizeHeader(options.header);
+    }
+
+    /**
+     * Required header options from `true`, a regex source, or `{ pattern, include, exclude, lines }`
+     * @returns {Object|null} `{ pattern: RegExp, include, exclude, lines }`, or null when not required
+     */
+    static normalizeHeader(header) {
+        if (!header) return null;
+        const options = typeof header === 'object' && !(header instanceof RegExp) ? header : { pattern: header };
+        const pattern = options.pattern === true || options.pattern === undefined ? 'SPDX-License-Identifier:' : options.pattern;
+
+        return {
+            pattern: pattern instanceof RegExp ? pattern : new RegExp(pattern),
+            include: [].concat(options.include || DEFAULT_SOURCE_FILES),
+            exclude: [].concat(options.exclude || []),
+            lines: options.lines || 10
+        };
+    }
+
+    /**
+     * Execute license checks
+     * @param {string|Object} code - Code string, or the file map in multi-file mode
+     * @param {Object} context - `projectPath` locates node_modules and the lockfile;
+     *   `baseLockfile` overrides the base lockfile
+     */
+    async execute(code, context = {}) {
+        try {
+            const root = context.projectPath || process.cwd();
+            const issues = [];
+            const categories = Object.fromEntries(CATEGORIES.map(category => [category, 0]));
+
+            const packages = await this.collectPackages(code, context, root);
+            throwIfAborted(context.signal);
+            for (const pkg of packages) {
+                if (this.production && pkg.dev) continue;
+                if (this.onlyNew && pkg.introduced === false) continue;
+                if (this.ignorePackages.includes(pkg.name) || this.ignorePackages.includes(`${pkg.name}@${pkg.version}`)) continue;
+
+                const result = this.check(pkg.license);
+                categories[result.category]++;
+                if (result.verdict === 'allowed') continue;
+
+                const flags = [pkg.dev ? 'dev' : 'prod', ...(pkg.introduced ? ['new'] : [])];
+                issues.push({
+                    ...pkg.location,
+                    severity: VERDICTS[result.verdict].severity,
+                    message: `${pkg.name}@${pkg.version} (${flags.join(', ')}) ${this.describe(pkg.license, result)}`,
+                    rule: pkg.license ? VERDICTS[result.verdict].rule : 'missing-license',
+                    package: pkg.name,
+                    version: pkg.version,
+                    license: pkg.license,
+                    category: result.category,
+                    dependencyType: pkg.dev ? 'dev' : 'prod',
+                    introduced: pkg.introduced
+                });
+            }
+
+            const files = this.sourceEntries(code, context);
+            for (const [file, text] of files) {
+                issues.push(...this.checkFile(file, text));
+            }
+
+            const status = this.shouldFail(issues) ? 'fail' : (issues.length > 0 ? 'warning' : 'pass');
+            const count = rule => issues.filter(issue => issue.rule === rule).length;
+
+            return {
+                status,
+                issues,
+                stats: {
+                    packages: packages.length,
+                    denied: count('denied-license'),
+                    notAllowed: count('license-not-allowed'),
+                    unknown: count('unknown-license') + count('missing-license'),
+                    filesChecked: files.length,
+                    copiedCode: count('copied-code-license'),
+                    missingHeaders: count('missing-license-header')
+                },
+                details: {
+                    categories,
+                    allow: this.allow,
+                    deny: this.deny
+                }
+            };
+
+        } catch (error) {
+            return {
+                status: 'error',
+                error: error.message,
+                details: {
+                    stack: error.stack
+                }
+            };
+        }
+    }
+
+    /**
+     * Evaluate a license expression against the policy
+     * @param {string|null} expression - SPDX expression
+     * @returns {{verdict: string, id: string|null, category: string, error?: string}} The deciding license
+     */
+    check(expression) {
+        if (!expression) return { verdict: 'unknown', id: null, category: 'unknown' };
+
+        let tree;
+        try {
+            tree = parseExpression(expression);
+        } catch (error) {
+            return { verdict: 'unknown', id: expression, category: 'unknown', error: error.message };
+        }
+
+        const result = evaluate(tree, leaf => {
+            const category = classifyLicense(leaf.id);
+            const verdict = this.verdictFor(leaf, category);
+            return { rank: VERDICTS[verdict].rank, verdict, id: leaf.id, category };
+        });
+        return { verdict: result.verdict, id: result.id, category: result.category, ids: licenseIds(tree) };
+    }
+
+    verdictFor(leaf, category) {
+        if (this.matches(this.deny, leaf, category)) return 'denied';
+        if (this.allow) return this.matches(this.allow, leaf, category) ? 'allowed' : 'not-allowed';
+        return category === 'unknown' ? 'unknown' : 'allowed';
+    }
+
+    // Entries match a category, an id (with or without -only/-or-later/+), a glob, or `id WITH exception`
+    matches(list, leaf, category) {
+        const full = leaf.exception ? `${leaf.id} WITH ${leaf.exception}` : null;
+
+        return list.some(entry => {
+            if (CATEGORIES.includes(entry)) return entry === category;
+            const glob = value => minimatch(value, entry, { nocase: true });
+            return glob(leaf.id) || glob(baseId(leaf.id)) || (full !== null && full.toLowerCase() === entry.toLowerCase());
+        });
+    }
+
+    describe(expression, result) {
+        if (!expression) return 'does not declare a license';
+        if (result.error) return `has an unrecognized license "${expression}"`;
+
+        const which = result.ids.length > 1 ? ` (deciding license ${result.id})` : '';
+        const reason = {
+            denied: 'which is denied',
+            'not-allowed': 'which is not in the allow list',
+            unknown: 'which is not a recognized SPDX license'
+        }[result.verdict];
+        return `is licensed ${expression}${which}, ${result.category}, ${reason}`;
+    }
+
+    /**
+     * Installed packages with their license, location and introduced flag
+     * Uses the lockfile when there is one, else the top-level node_modules directory
+     * @returns {Promise<Array<Object>>} `{ name, version, license, dev, introduced, location }`
+     */
+    async collectPackages(code, context, root) {
+        const current = await readLockfile(code, root, this.lockfile);
+
+        if (!current) {
+            const installed = await this.listNodeModules(root);
+            const manifests = await this.readManifests(root, installed);
+            return installed.map((key, i) => {
+                const manifest = manifests[i];
+                return {
+                    name: manifest.data.name || key.slice('node_modules/'.length),
+                    version: manifest.data.version || null,
+                    license: declaredLicense(manifest.data),
+                    dev: false,
+                    introduced: null,
+                    location: manifest.location
+                };
+            });
+        }
+
+        const { packages } = parseLockfile(current.text);
+        const known = packageKeys(await readBaseLockfile({
+            base: context.baseLockfile || this.baseLockfile,
+            baseRef: this.baseRef,
+            root,
+            lockfile: this.lockfile,
+            current
+        }));
+
+        const manifests = await this.readManifests(root, packages.map(pkg => pkg.key));
+        return packages.map((pkg, i) => {
+            const manifest = manifests[i];
+            return {
+                name: pkg.name,
+                version: pkg.version,
+                license: declaredLicense(manifest.data) || pkg.license,
+                dev: pkg.dev,
+                introduced: known ? !known.has(`${pkg.key}@${pkg.version}`) : null,
+                location: { file: current.file, ...locatePackage(current.text, pkg.key) }
+            };
+        });
+    }
+
+    /**
+     * Top-level and scoped package directories under node_modules
+     * @returns {Promise<Array<string>>} Keys such as `node_modules/@scope/name`
+     */
+    async listNodeModules(root) {
+        const keys = [];
+        let entries;
+        try {
+            entries = await fs.readdir(path.join(root, 'node_modules'), { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return keys;
+            throw error;
+        }
+
+        for (const entry of entries) {
+            if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+            if (!entry.name.startsWith('@')) {
+                keys.push(`node_modules/${entry.name}`);
+                continue;
+            }
+            const scoped = await fs.readdir(path.join(root, 'node_modules', entry.name), { withFileTypes: true });
+            keys.push(...scoped.filter(child => child.isDirectory()).map(child => `node_modules/${entry.name}/${child.name}`));
+        }
+
+        return keys.sort();
+    }
+
+    /**
+     * Read the manifests of `keys`, at most `concurrency` at a time
+     * @returns {Promise<Array<Object>>} readManifest() results in the order of `keys`
+     */
+    async readManifests(root, keys) {
+        const manifests = new Array(keys.length);
+        let next = 0;
+        const worker = async () => {
+            while (next < keys.length) {
+                const i = next++;
+                manifests[i] = await this.readManifest(root, keys[i]);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, keys.length) }, worker));
+        return manifests;
+    }
+
+    /**
+     * Read `<key>/package.json`
+     * @returns {Promise<{data: Object, location: Object}>} Empty data when the package is not installed
+     */
+    async readManifest(root, key) {
+        const file = `${key}/package.json`;
+        let text;
+        try {
+            text = await fs.readFile(path.join(root, file), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return { data: {}, location: { file, line: 1, column: 1 } };
+            throw error;
+        }
+
+        let data = {};
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            // Unreadable manifests are reported as packages without a license
+        }
+        const index = text.search(/"licenses?"\s*:/);
+        return { data, location: { file, ...(index === -1 ? { line: 1, column: 1 } : lineAt(text, index)) } };
+    }
+
+    /**
+     * Source files to check: the file map in multi-file mode, else the single code string
+     * @returns {Array<[string, string]>} `[file, text]` pairs
+     */
+    sourceEntries(code, context) {
+        if (code && typeof code === 'object') {
+            return Object.entries(code).filter(([file]) =>
+                this.sourceFiles.some(pattern => minimatch(file, pattern, { dot: true })));
+        }
+        return typeof code === 'string' && code.length > 0 ? [[context.fileName || null, code]] : [];
+    }
+
+    /**
+     * Check a source file for copied-code license notices and the required header
+     * @returns {Array<Object>} Issues
+     */
+    checkFile(file, text) {
+        const issues = [];
+        const declared = [];
+
+        for (const match of text.matchAll(SPDX_TAG)) {
+            declared.push({ expression: match[1], index: match.index + match[0].indexOf(match[1]) });
+        }
+        for (const match of text.matchAll(GPL_NOTICE)) {
+            declared.push({ expression: noticeLicense(text, match), index: match.index });
+        }
+
+        for (const { expression, index } of declared) {
+            const result = this.check(expression);
+            if (result.verdict !== 'denied' && result.verdict !== 'not-allowed') continue;
+
+            issues.push({
+                ...(file ? { file } : {}),
+                ...lineAt(text, index),
+                severity: 'error',
+                message: `Code licensed ${expression} (${result.category}) ${result.verdict === 'denied' ? 'is denied' : 'is not in the allow list'}; ` +
+                    'it may have been copied from an incompatible project',
+                rule: 'copied-code-license',
+                license: expression,
+                category: result.category
+            });
+        }
+
+        const header = this.header;
+        const required = header && (!file || (header.include.some(pattern => minimatch(file, pattern, { dot: true })) &&
+            !header.exclude.some(pattern => minimatch(file, pattern, { dot: true }))));
+        if (required && !header.pattern.test(text.split('\n').slice(0, header.lines).join('\n'))) {
+            issues.push({
+                ...(file ? { file } : {}),
+                line: 1,
+                column: 1,
+                severity: 'error',
+                message: `Missing license header (expected ${header.pattern} in the first ${header.lines} lines)`,
+                rule: 'missing-license-header'
+            });
+        }
+
+        return issues;
+    }
+}
+
+LicenseGate.description = 'Enforces license policy on dependencies and source files';
+LicenseGate.scope = 'project';
+
+LicenseGate.DEFAULT_DENY = DEFAULT_DENY;
+LicenseGate.CATEGORIES = CATEGORIES;
+
+const remedy = 'Replace the package with a compatibly licensed alternative, or add it to ignorePackages once legal has approved it';
+
+LicenseGate.rules = {
+    'denied-license': {
+        title: 'Denied license',
+        description: 'A dependency is only available under licenses on the deny list (by default strong and network copyleft)',
+        remedy
+    },
+    'license-not-allowed': {
+        title: 'License not allowed',
+        description: 'A dependency is not available under any license on the allow list',
+        remedy
+    },
+    'unknown-license': {
+        title: 'Unknown license',
+        description: 'A dependency declares a license that is not a recognized SPDX expression',
+        remedy: 'Check the package license manually and add it to the allow list or ignorePackages'
+    },
+    'missing-license': {
+        title: 'Missing license',
+        description: 'A dependency declares no license in package.json or package-lock.json',
+        remedy: 'Check the package license manually and add it to ignorePackages once approved'
+    },
+    'copied-code-license': {
+        title: 'Incompatibly licensed code',
+        description: 'A source file carries an SPDX tag or GPL notice for a denied license, which usually means it was copied from another project',
+        remedy: 'Remove the copied code or rewrite it; do not strip the notice'
+    },
+    'missing-license-header': {
+        title: 'Missing license header',
+        description: 'A source file does not start with the required license header',
+        remedy: 'Add the project license header, e.g. `// SPDX-License-Identifier: MIT`'
+    }
+};
+
+module.exports = LicenseGate;
@@ -0,0 +1,262 @@
+/**
+ * NPM Audit Quality Gate
+ * Audits package-lock.json (v2/v3) against a local advisory snapshot
+ *
+ * The gate never touches the network. Advisories come from a JSON file in
+ * the shape of npm's bulk advisory endpoint, keyed by package name:
+ *
+ *   {
+ *     "lodash": [
+ *       { "id": "GHSA-35jh-r3h4-6jhm", "title": "Command Injection", "severity": "high",
+ *         "vulnerable_versions": "<4.17.21", "cwe": ["CWE-77"], "url": "https://..." }
+ *     ]
+ *   }
+ *
+ * When a base lockfile is available (an explicit file, a git ref, or the
+ * on-disk lockfile when the agent's changed lockfile is in the file map),
+ * packages that are not in the base are marked as introduced.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const semver = require('semver');
+const BaseQualityGate = require('../BaseQualityGate');
+const { throwIfAborted } = require('../Cancellation');
+const {
+    DEFAULT_LOCKFILE,
+    parseLockfile,
+    locatePackage,
+    readLockfile,
+    readBaseLockfile,
+    packageKeys
+} = require('../Lockfile');
+
+const DEFAULT_ADVISORY_DB = '.repochief/advisories.json';
+
+// Advisory severities, lowest first
+const LEVELS = ['info', 'low', 'moderate', 'high', 'critical'];
+const LEVEL_ALIASES = { medium: 'moderate' };
+
+function normalizeLevel(level) {
+    const normalized = LEVEL_ALIASES[String(level).toLowerCase()] || String(level).toLowerCase();
+    return LEVELS.includes(normalized) ? normalized : null;
+}
+
+/**
+ * Lowest version that is out of the vulnerable range
+ * Uses `patched_versions` when the advisory has it, else the upper bound of
+ * the vulnerable range that contains `version`
+ * @returns {string|null} Fix version, or null when no fix is known
+ */
+function fixVersionFor(version, advisory) {
+    const options = { loose: true };
+
+    if (advisory.patched_versions) {
+        const patched = semver.validRange(advisory.patched_versions, options) &&
+            semver.minVersion(advisory.patched_versions, options);
+        return patched && semver.satisfies(patched, advisory.patched_versions, options) ? patched.version : null;
+    }
+
+    let candidate = version;
+    // Ranges such as `<1.2.3 || >=2.0.0 <2.0.5` may need several hops
+    for (let hops = 0; hops < 10; hops++) {
+        const range = new semver.Range(advisory.vulnerable_versions, options);
+        const set = range.set.find(comparators => comparators.every(comparator => comparator.test(candidate)));
+        if (!set) return candidate === version ? null : candidate;
+
+        const upper = set.find(comparator => comparator.operator === '<' || comparator.operator === '<=');
+        if (!upper) return null;
+        candidate = upper.operator === '<' ? upper.semver.version : semver.inc(upper.semver.version, 'patch');
+    }
+    return null;
+}
+
+class NpmAuditGate extends BaseQualityGate {
+    constructor(options = {}) {
+        super(options);
+
+        // Minimum advisory severity that fails the gate; lower ones are reported as info
+        this.level = normalizeLevel(options.level || 'low');
+        if (!this.level) {
+            throw new Error(`Invalid audit level "${options.level}" (expected one of ${LEVELS.slice(1).join(', ')})`);
+        }
+
+        // Skip devDependencies entirely
+        this.production = options.production === true;
+        // Only audit packages introduced relative to the base lockfile
+        this.onlyNew = options.onlyNew === true;
+        // Advisory ids (GHSA or npm ids) accepted by the project
+        this.ignore = (options.ignore || []).map(String);
+
+        this.lockfile = options.lockfile || DEFAULT_LOCKFILE;
+        this.baseLockfile = options.baseLockfile || null;
+        this.baseRef = options.baseRef || null;
+        this.advisoryDb = options.advisoryDb || DEFAULT_ADVISORY_DB;
+        this.advisoryCache = new Map();
+    }
+
+    /**
+     * Execute the dependency audit
+     * @param {string|Object} code - Code string, or the file map in multi-file mode
+     * @param {Object} context - `projectPath` locates the lockfile and advisory database;
+     *   `baseLockfile` overrides the base lockfile
+     */
+    async execute(code, context = {}) {
+        try {
+            const root = context.projectPath || process.cwd();
+            const current = await readLockfile(code, root, this.lockfile);
+            if (!current) {
+                return {
+                    status: 'skip',
+                    message: `No ${this.lockfile} found`,
+                    details: { root }
+                };
+            }
+
+            const { packages, lockfileVersion } = parseLockfile(current.text);
+            const known = packageKeys(await readBaseLockfile({
+                base: context.baseLockfile || this.baseLockfile,
+                baseRef: this.baseRef,
+                root,
+                lockfile: this.lockfile,
+                current
+            }));
+            const advisories = await this.loadAdvisories(root);
+            throwIfAborted(context.signal);
+
+            const issues = [];
+            const newDependencies = [];
+            const vulnerable = new Set();
+            const counts = { critical: 0, high: 0, moderate: 0, low: 0, info: 0 };
+
+            for (const pkg of packages) {
+                const introduced = known ? !known.has(`${pkg.key}@${pkg.version}`) : null;
+                if (introduced) newDependencies.push(`${pkg.name}@${pkg.version}`);
+
+                if (this.production && pkg.dev) continue;
+                if (this.onlyNew && known && !introduced) continue;
+
+                for (const advisory of advisories[pkg.name] || []) {
+                    const id = String(advisory.github_advisory_id || advisory.id);
+                    if (this.ignore.includes(id)) continue;
+                    if (!semver.valid(pkg.version) ||
+                        !semver.satisfies(pkg.version, advisory.vulnerable_versions, { loose: true })) continue;
+
+                    const level = normalizeLevel(advisory.severity) || 'moderate';
+                    const fixVersion = fixVersionFor(pkg.version, advisory);
+                    const dependencyType = pkg.dev ? 'dev' : 'prod';
+                    const flags = [dependencyType, pkg.direct ? 'direct' : 'transitive', ...(introduced ? ['new'] : [])];
+
+                    counts[level]++;
+                    vulnerable.add(pkg.key);
+                    issues.push({
+                        file: current.file,
+                        ...locatePackage(current.text, pkg.key),
+                        severity: LEVELS.indexOf(level) >= LEVELS.indexOf(this.level) ? 'error' : 'info',
+                        message: `${pkg.name}@${pkg.version} (${flags.join(', ')}) has a ${level} severity advisory ` +
+                            `${id}: ${advisory.title}. ${fixVersion ? `Fixed in ${fixVersion}` : 'No fix available'}`,
+                        rule: 'vulnerable-dependency',
+                        package: pkg.name,
+                        version: pkg.version,
+                        path: pkg.key,
+                        dependencyType,
+                        direct: pkg.direct,
+                        introduced,
+                        advisory: id,
+                        advisorySeverity: level,
+                        vulnerableVersions: advisory.vulnerable_versions,
+                        fixVersion,
+                        ...(advisory.cwe && [].concat(advisory.cwe).length > 0 ? { cwe: [].concat(advisory.cwe)[0] } : {}),
+                        ...(advisory.url ? { url: advisory.url } : {})
+                    });
+                }
+            }
+
+            const status = this.shouldFail(issues) ? 'fail' : 'pass';
+
+            return {
+                status,
+                issues,
+                stats: {
+                    dependencies: packages.length,
+                    prodDependencies: packages.filter(pkg => !pkg.dev).length,
+                    devDependencies: packages.filter(pkg => pkg.dev).length,
+                    newDependencies: newDependencies.length,
+                    vulnerable: vulnerable.size,
+                    fixable: issues.filter(issue => issue.fixVersion).length,
+                    ...counts
+                },
+                details: {
+                    lockfile: current.file,
+                    lockfileVersion,
+                    level: this.level,
+                    newDependencies
+                }
+            };
+
+        } catch (error) {
+            return {
+                status: 'error',
+                error: error.message,
+                details: {
+                    stack: error.stack
+                }
+            };
+        }
+    }
+
+    /**
+     * Load the advisory database, once per path
+     * @returns {Promise<Object<string, Array<Object>>>} Advisories by package name
+     * @throws {Error} When the file is missing or invalid; the audit never falls back to the network
+     */
+    async loadAdvisories(root) {
+        if (this.advisoryDb && typeof this.advisoryDb === 'object') {
+            return this.advisoryDb.advisories || this.advisoryDb;
+        }
+
+        const file = path.resolve(root, this.advisoryDb);
+        if (!this.advisoryCache.has(file)) {
+            this.advisoryCache.set(file, fs.readFile(file, 'utf8').then(
+                text => {
+                    let data;
+                    try {
+                        data = JSON.parse(text);
+                    } catch (error) {
+                        throw new Error(`Invalid advisory database ${file}: ${error.message}`);
+                    }
+                    // Snapshots may wrap the advisories with metadata such as `generatedAt`
+                    return data.advisories || data;
+                },
+                error => {
+                    if (error.code === 'ENOENT') {
+                        throw new Error(`Advisory database not found: ${file}`);
+                    }
+                    throw error;
+                }
+            ));
+        }
+
+        return this.advisoryCache.get(file);
+    }
+}
+
+NpmAuditGate.description = 'Audits package-lock.json against an offline advisory database';
+NpmAuditGate.scope = 'project';
+
+NpmAuditGate.DEFAULT_ADVISORY_DB = DEFAULT_ADVISORY_DB;
+NpmAuditGate.LEVELS = LEVELS.slice(1);
+NpmAuditGate.parseLockfile = parseLockfile;
+NpmAuditGate.fixVersionFor = fixVersionFor;
+
+NpmAuditGate.rules = {
+    'vulnerable-dependency': {
+        title: 'Vulnerable dependency',
+        description: 'An installed package version is in the vulnerable range of a known advisory; ' +
+            'advisories below the configured level are reported as info',
+        remedy: 'Upgrade to the reported fix version (npm install <package>@<fixVersion>), ' +
+            'or add the advisory id to the ignore list once the risk is accepted'
+    }
+};
+
+module.exports = NpmAuditGate;
@@ -0,0 +1,406 @@
+/**
+ * Secrets Quality Gate
+ * Detects hardcoded API keys, tokens, private keys and other credentials
+ *
+ * Secrets are matched on the raw text (they leak through comments too) with
+ * provider-specific patterns, plus Shannon-entropy scoring for generic
+ * quoted strings. Issues carry a redacted snippet and a SHA-256 fingerprint
+ * of the secret; the secret itself never leaves the gate.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const minimatch = require('minimatch');
+const BaseQualityGate = require('../BaseQualityGate');
+const { throwIfAborted } = require('../Cancellation');
+
+const DEFAULT_BASELINE_FILE = '.repochief/secrets-baseline.json';
+
+// Lines containing this marker are never reported
+const IGNORE_PRAGMA = 'repochief-secrets-ignore';
+
+// Provider patterns; the first capture group is the secret
+const PROVIDERS = [
+    {
+        rule: 'aws-access-key-id',
+        pattern: /\b((?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16})\b/g
+    },
+    {
+        rule: 'aws-secret-access-key',
+        pattern: /aws.{0,20}?(?:secret|private).{0,20}?['"`]([A-Za-z0-9/+=]{40})['"`]/gi
+    },
+    {
+        rule: 'github-token',
+        pattern: /\b(gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{82})\b/g
+    },
+    {
+        rule: 'slack-token',
+        pattern: /\b(xox[abposr]-[A-Za-z0-9-]{10,})\b/g
+    },
+    {
+        rule: 'slack-webhook',
+        pattern: /(https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]+)/g
+    },
+    {
+        rule: 'stripe-secret-key',
+        pattern: /\b((?:sk|rk)_live_[0-9a-zA-Z]{24,})\b/g
+    },
+    {
+        rule: 'google-api-key',
+        pattern: /\b(AIza[0-9A-Za-z_-]{35})\b/g
+    },
+    {
+        rule: 'npm-token',
+        pattern: /\b(npm_[A-Za-z0-9]{36})\b/g
+    },
+    {
+        rule: 'jwt',
+        pattern: /\b(eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/g
+    },
+    {
+        rule: 'private-key',
+        pattern: /(-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY(?: BLOCK)?-----|$))/g
+    }
+];
+
+// Quoted strings considered for entropy scoring
+const STRING_LITERAL = /(['"`])((?:(?!\1)[^\\\s]|\\.){16,})\1/g;
+const HEX_STRING = /^[0-9a-fA-F]+$/;
+const BASE64_STRING = /^[A-Za-z0-9+/=_-]+$/;
+
+// Names that make a high-entropy string much more likely to be a credential
+const SECRET_NAME = /(secret|token|passw(or)?d|pwd|api[_-]?key|apikey|auth|credential|private[_-]?key|access[_-]?key)/i;
+
+/**
+ * Shannon entropy in bits per character
+ * @param {string} value - String to score
+ * @returns {number} Entropy (0 for empty strings)
+ */
+function shannonEntropy(value) {
+    if (!value) return 0;
+
+    const counts = new Map();
+    for (const char of value) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const p = count / value.length;
+        entropy -= p * Math.log2(p);
+    }
+    return entropy;
+}
+
+/**
+ * Mask a secret, keeping a short prefix so the finding can be recognized
+ */
+function redact(secret) {
+    const visible = secret.length >= 16 ? 4 : 0;
+    return `${secret.slice(0, visible)}${'*'.repeat(8)}`;
+}
+
+function fingerprint(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * A line of `code` with every finding on it redacted, plus any other occurrence of their secrets
+ * @param {Array<Object>} findings - Scan findings with their `index` into `code`
+ */
+function maskSecrets(code, line, findings) {
+    const lineStart = line === 1 ? 0 : code.split('\n', line - 1).join('\n').length + 1;
+    let text = code.slice(lineStart).split('\n')[0];
+    const lineEnd = lineStart + text.length;
+
+    // Ranges of the findings on this line (multi-line secrets included), masked from the end
+    const ranges = findings
+        .map(finding => [Math.max(finding.index, lineStart), Math.min(finding.index + finding.secret.length, lineEnd)])
+        .filter(([start, end]) => start < end)
+        .sort((a, b) => b[0] - a[0]);
+    let limit = Infinity;
+    for (const [start, end] of ranges) {
+        // Overlapping ranges are masked once
+        const stop = Math.min(end, limit);
+        if (start >= stop) continue;
+        text = text.slice(0, start - lineStart) + redact(text.slice(start - lineStart, stop - lineStart)) + text.slice(stop - lineStart);
+        limit = start;
+    }
+
+    // Repeats the scan did not report separately
+    const parts = findings.flatMap(finding => finding.secret.split('\n')).filter(part => part.length >= 8);
+    for (const part of parts.sort((a, b) => b.length - a.length)) {
+        text = text.split(part).join(redact(part));
+    }
+    return text.trim();
+}
+
+function lineAt(code, index) {
+    const before = code.slice(0, index);
+    const line = before.split('\n').length;
+    const column = index - before.lastIndexOf('\n');
+    return { line, column };
+}
+
+class SecretsGate extends BaseQualityGate {
+    constructor(options = {}) {
+        super(options);
+
+        // Minimum entropy (bits per character) for generic strings, by alphabet
+        this.entropy = {
+            base64: options.entropy?.base64 ?? 4.5,
+            hex: options.entropy?.hex ?? 3.0,
+            minLength: options.entropy?.minLength ?? 20
+        };
+
+        // Inline allowlist, merged with the baseline file's allowlist
+        this.allowlist = {
+            paths: options.allowlist?.paths || [],
+            patterns: (options.allowlist?.patterns || []).map(pattern => new RegExp(pattern)),
+            rules: options.allowlist?.rules || []
+        };
+
+        // Baseline file with accepted findings; false disables it
+        this.baselineFile = options.baselineFile === undefined ? DEFAULT_BASELINE_FILE : options.baselineFile;
+        this.baselineCache = new Map();
+    }
+
+    /**
+     * Execute secret detection
+     */
+    async execute(code, context = {}) {
+        try {
+            const baseline = await this.loadBaseline(context);
+            throwIfAborted(context.signal);
+            const file = context.fileName || context.filePath || null;
+            const allowlist = {
+                paths: [...this.allowlist.paths, ...baseline.allowlist.paths],
+                patterns: [...this.allowlist.patterns, ...baseline.allowlist.patterns],
+                rules: [...this.allowlist.rules, ...baseline.allowlist.rules]
+            };
+
+            if (file && allowlist.paths.some(pattern => minimatch(file, pattern, { dot: true }))) {
+                return { status: 'pass', issues: [], stats: { secrets: 0, allowlisted: 0, baselined: 0 } };
+            }
+
+            let allowlisted = 0;
+            let baselined = 0;
+            const issues = [];
+
+            for (const finding of this.scan(code)) {
+                if (allowlist.rules.includes(finding.rule) || allowlist.patterns.some(pattern => pattern.test(finding.secret))) {
+                    allowlisted++;
+                    continue;
+                }
+
+                const print = fingerprint(finding.secret);
+                if (baseline.findings.some(entry => entry.fingerprint === print &&
+                    (!entry.rule || entry.rule === finding.rule) && (!entry.file || !file || entry.file === file))) {
+                    baselined++;
+                    continue;
+                }
+
+                issues.push({
+                    line: finding.line,
+                    column: finding.column,
+                    severity: finding.severity,
+                    message: `${SecretsGate.rules[finding.rule].title} detected`,
+                    rule: finding.rule,
+                    cwe: SecretsGate.rules[finding.rule].cwe,
+                    confidence: finding.confidence,
+                    snippet: finding.snippet,
+                    fingerprint: print
+                });
+            }
+
+            const status = this.shouldFail(issues) ? 'fail' : (issues.length > 0 ? 'warning' : 'pass');
+
+            return {
+                status,
+                issues,
+                stats: {
+                    secrets: issues.length,
+                    allowlisted,
+                    baselined
+                }
+            };
+
+        } catch (error) {
+            return {
+                status: 'error',
+                error: error.message,
+                details: {
+                    stack: error.stack
+                }
+            };
+        }
+    }
+
+    /**
+     * Find secrets in text
+     * @param {string} code - Text to scan
+     * @returns {Array<Object>} Findings: { rule, secret, line, column, severity, confidence, snippet }
+     *   `secret` is the raw value and must not be reported
+     */
+    scan(code) {
+        const lines = code.split('\n');
+        const findings = [];
+        const covered = [];
+
+        const add = (rule, secret, index, severity, confidence) => {
+            const { line, column } = lineAt(code, index);
+            if (lines[line - 1].includes(IGNORE_PRAGMA)) return;
+
+            covered.push([index, index + secret.length]);
+            findings.push({ rule, secret, index, line, column, severity, confidence });
+        };
+
+        for (const { rule, pattern } of PROVIDERS) {
+            for (const match of code.matchAll(pattern)) {
+                const index = match.index + match[0].indexOf(match[1]);
+                add(rule, match[1], index, 'error', 'high');
+            }
+        }
+
+        for (const match of code.matchAll(STRING_LITERAL)) {
+            const value = match[2];
+            const index = match.index + 1;
+            if (covered.some(([start, end]) => index < end && index + value.length > start)) continue;
+
+            const score = this.scoreString(value);
+            if (!score) continue;
+
+            const lineStart = code.lastIndexOf('\n', match.index) + 1;
+            const named = SECRET_NAME.test(code.slice(lineStart, match.index));
+            // Unnamed hex strings are usually hashes and commit SHAs
+            if (!named && (score === 'weak' || HEX_STRING.test(value))) continue;
+
+            add('high-entropy-string', value, index, 'warning', named ? 'high' : 'medium');
+        }
+
+        // Snippets are built once every finding is known, so no secret on the line shows through
+        return findings
+            .map(({ index, ...finding }) => {
+                const snippet = maskSecrets(code, finding.line, findings);
+                return { ...finding, snippet: snippet.length > 120 ? `${snippet.slice(0, 117)}...` : snippet };
+            })
+            .sort((a, b) => a.line - b.line || a.column - b.column);
+    }
+
+    /**
+     * Score a string literal: 'strong' when random-looking on its own,
+     * 'weak' when only suspicious next to a secret-like name, null otherwise
+     */
+    scoreString(value) {
+        if (value.length < this.entropy.minLength || value.includes('${')) return null;
+        // Paths, URLs and dotted identifiers are not credentials
+        if (/^(\.{0,2}\/|https?:|[a-z]+:\/\/)/i.test(value) || /^[\w$]+(\.[\w$]+)+$/.test(value)) return null;
+
+        const entropy = shannonEntropy(value);
+        const threshold = HEX_STRING.test(value)
+            ? this.entropy.hex
+            : BASE64_STRING.test(value) ? this.entropy.base64 : null;
+        if (threshold === null) return null;
+
+        // Random tokens almost always mix letters and digits; CamelCase words do not
+        if (entropy >= threshold && /\d/.test(value) && /[a-z]/i.test(value)) return 'strong';
+        return entropy >= threshold - 1 ? 'weak' : null;
+    }
+
+    /**
+     * Load the baseline file for the project in `context`, once per path
+     * @returns {Promise<{allowlist: Object, findings: Array<Object>}>} Empty when there is no file
+     */
+    async loadBaseline(context = {}) {
+        const empty = { allowlist: { paths: [], patterns: [], rules: [] }, findings: [] };
+        if (!this.baselineFile) return empty;
+
+        const file = path.resolve(context.projectPath || process.cwd(), this.baselineFile);
+        if (!this.baselineCache.has(file)) {
+            const loading = fs.readFile(file, 'utf8').then(
+                text => {
+                    let data;
+                    try {
+                        data = JSON.parse(text);
+                    } catch (error) {
+                        throw new Error(`Invalid secrets baseline ${file}: ${error.message}`);
+                    }
+                    const allowlist = data.allowlist || {};
+                    return {
+                        allowlist: {
+                            paths: allowlist.paths || [],
+                            patterns: (allowlist.patterns || []).map(pattern => new RegExp(pattern)),
+                            rules: allowlist.rules || []
+                        },
+                        findings: data.findings || []
+                    };
+                },
+                error => {
+                    if (error.code === 'ENOENT') return empty;
+                    throw error;
+                }
+            );
+            this.baselineCache.set(file, loading);
+            // A failed read is retried on the next run, once the file may be fixed
+            loading.catch(() => {
+                if (this.baselineCache.get(file) === loading) this.baselineCache.delete(file);
+            });
+        }
+
+        return this.baselineCache.get(file);
+    }
+
+    /**
+     * Build baseline file content that accepts the given findings
+     * Works from reported issues, so only fingerprints are stored
+     * @param {Array<Object>} issues - Issues from this gate
+     * @param {Object} allowlist - Optional allowlist to keep in the file
+     * @returns {Object} JSON-serializable baseline
+     */
+    createBaseline(issues, allowlist = {}) {
+        return {
+            version: 1,
+            allowlist: {
+                paths: allowlist.paths || [],
+                patterns: allowlist.patterns || [],
+                rules: allowlist.rules || []
+            },
+            findings: issues
+                .filter(issue => issue.fingerprint)
+                .map(issue => ({
+                    rule: issue.rule,
+                    ...(issue.file ? { file: issue.file } : {}),
+                    fingerprint: issue.fingerprint
+                }))
+        };
+    }
+}
+
+SecretsGate.description = 'Detects hardcoded API keys, tokens and private keys';
+
+SecretsGate.DEFAULT_BASELINE_FILE = DEFAULT_BASELINE_FILE;
+SecretsGate.shannonEntropy = shannonEntropy;
+
+const remedy = 'Revoke and rotate the credential, then load it from the environment or a secret manager';
+
+SecretsGate.rules = {
+    'aws-access-key-id': { title: 'AWS access key ID', cwe: 'CWE-798', description: 'An AWS access key ID (AKIA…/ASIA…) is hardcoded', remedy },
+    'aws-secret-access-key': { title: 'AWS secret access key', cwe: 'CWE-798', description: 'An AWS secret access key is hardcoded', remedy },
+    'github-token': { title: 'GitHub token', cwe: 'CWE-798', description: 'A GitHub personal access, OAuth or app token is hardcoded', remedy },
+    'slack-token': { title: 'Slack token', cwe: 'CWE-798', description: 'A Slack bot, user or app token is hardcoded', remedy },
+    'slack-webhook': { title: 'Slack webhook URL', cwe: 'CWE-798', description: 'A Slack incoming webhook URL is hardcoded', remedy },
+    'stripe-secret-key': { title: 'Stripe secret key', cwe: 'CWE-798', description: 'A live Stripe secret or restricted key is hardcoded', remedy },
+    'google-api-key': { title: 'Google API key', cwe: 'CWE-798', description: 'A Google API key is hardcoded', remedy },
+    'npm-token': { title: 'npm token', cwe: 'CWE-798', description: 'An npm access token is hardcoded', remedy },
+    'jwt': { title: 'JSON Web Token', cwe: 'CWE-798', description: 'A signed JSON Web Token is hardcoded', remedy },
+    'private-key': { title: 'Private key', cwe: 'CWE-321', description: 'A PEM or OpenSSH private key block is embedded in the code', remedy },
+    'high-entropy-string': {
+        title: 'High-entropy string',
+        cwe: 'CWE-798',
+        description: 'A random-looking string literal, likely a credential; confidence is high when it is assigned to a secret-like name',
+        remedy: `${remedy}; if it is not a secret, add it to the allowlist or the baseline file`
+    }
+};
+
+module.exports = SecretsGate;
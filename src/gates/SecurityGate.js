@@ -1,82 +1,216 @@
 /**
  * Security Quality Gate
  * Checks for common security vulnerabilities
+ *
+ * Sinks are found on the AST, so comments, strings and look-alikes such as
+ * `regex.exec()` are not reported. Each finding is graded by what reaches the
+ * sink: untrusted input (from analysis/taint) is an error with high
+ * confidence, other dynamic values are graded per rule, constants are ignored
+ * unless the sink is dangerous on its own.
+ *
+ * Rule packs (see RulePack.js) add pattern and AST-selector rules; every
+ * rule, built-in or not, can be disabled or re-severitied through `rules`.
  */
 
 const BaseQualityGate = require('../BaseQualityGate');
+const { parse, walk, isFunction, getSourceText, getLocation } = require('../analysis/ast');
+const { collectModuleBindings, resolveCallee } = require('../analysis/modules');
+const { createTaintTracker } = require('../analysis/taint');
+const { matchesSelector } = require('../analysis/selector');
+const { loadRulePack } = require('../RulePack');
+const { ConfigError } = require('../ConfigLoader');
+const { normalizeSeverity } = require('../ResultSchema');
+
+const BUILTIN_PACK = 'repochief:security';
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+// [severity, confidence] per rule for untrusted, dynamic and constant values; null is not reported
+const GRADES = {
+    'code-injection': { untrusted: ['error', 'high'], dynamic: ['error', 'medium'], constant: ['warning', 'low'] },
+    'command-injection': { untrusted: ['error', 'high'], dynamic: ['warning', 'low'], constant: null },
+    'path-traversal': { untrusted: ['error', 'high'], dynamic: null, constant: null },
+    'sql-injection': { untrusted: ['error', 'high'], dynamic: ['warning', 'medium'], constant: null },
+    'xss': { untrusted: ['error', 'high'], dynamic: ['warning', 'low'], constant: null },
+    'dynamic-require': { untrusted: ['error', 'high'], dynamic: ['warning', 'low'], constant: null }
+};
+
+const VM_METHODS = new Set(['runInThisContext', 'runInNewContext', 'runInContext', 'compileFunction', 'Script']);
+const TIMER_FUNCTIONS = new Set(['setTimeout', 'setInterval', 'setImmediate']);
+const SHELL_METHODS = new Set(['exec', 'execSync']);
+const SPAWN_METHODS = new Set(['spawn', 'spawnSync', 'execFile', 'execFileSync', 'fork']);
+
+const FS_PATH_METHODS = new Set([
+    'readFile', 'readFileSync', 'writeFile', 'writeFileSync', 'appendFile', 'appendFileSync',
+    'createReadStream', 'createWriteStream', 'open', 'openSync', 'unlink', 'unlinkSync',
+    'rm', 'rmSync', 'rmdir', 'rmdirSync', 'mkdir', 'mkdirSync', 'readdir', 'readdirSync',
+    'stat', 'statSync', 'lstat', 'lstatSync', 'access', 'accessSync', 'exists', 'existsSync',
+    'copyFile', 'copyFileSync', 'rename', 'renameSync', 'cp', 'cpSync', 'truncate', 'truncateSync',
+    'chmod', 'chmodSync', 'chown', 'chownSync', 'symlink', 'symlinkSync', 'link', 'linkSync'
+]);
+const FS_TWO_PATH_METHODS = new Set([
+    'copyFile', 'copyFileSync', 'rename', 'renameSync', 'cp', 'cpSync', 'symlink', 'symlinkSync', 'link', 'linkSync'
+]);
+const RESPONSE_FILE_METHODS = new Set(['sendFile', 'download']);
+
+const SQL_METHODS = new Set([
+    'query', 'execute', 'raw', 'whereRaw', 'run', 'all', 'get', 'prepare', 'exec',
+    'unsafe', '$queryRawUnsafe', '$executeRawUnsafe'
+]);
+const SQL_TEXT = /\b(select\b[\s\S]*\bfrom|insert\s+into|update\b[\s\S]*\bset|delete\s+from|where\b)/i;
+
+function isConstant(node) {
+    if (!node) return true;
+    switch (node.type) {
+    case 'Literal':
+        return true;
+    case 'TemplateLiteral':
+        return node.expressions.length === 0;
+    case 'BinaryExpression':
+        return isConstant(node.left) && isConstant(node.right);
+    default:
+        return false;
+    }
+}
+
+function isStringLike(node) {
+    return (node.type === 'Literal' && typeof node.value === 'string') ||
+        node.type === 'TemplateLiteral' ||
+        (node.type === 'BinaryExpression' && node.operator === '+');
+}
+
+// Static text of a string built from literals, templates and concatenation
+function staticText(node) {
+    if (!node) return '';
+    if (node.type === 'Literal') return typeof node.value === 'string' ? node.value : '';
+    if (node.type === 'TemplateLiteral') return node.quasis.map(quasi => quasi.value.cooked || '').join(' ');
+    if (node.type === 'BinaryExpression' && node.operator === '+') return `${staticText(node.left)} ${staticText(node.right)}`;
+    return '';
+}
+
+function methodName(callee) {
+    return callee.type === 'MemberExpression' && !callee.computed ? callee.property.name : null;
+}
 
 class SecurityGate extends BaseQualityGate {
     constructor(options = {}) {
         super(options);
-        
-        // Security patterns to check
-        this.securityPatterns = [
-            {
-                pattern: /eval\s*\(/g,
-                severity: 'error',
-                message: 'Use of eval() is a security risk'
-            },
-            {
-                pattern: /innerHTML\s*=/g,
-                severity: 'warning',
-                message: 'Direct innerHTML assignment can lead to XSS'
-            },
-            {
-                pattern: /process\.env\.\w+/g,
-                severity: 'info',
-                message: 'Environment variable usage detected - ensure secrets are not exposed'
-            },
-            {
-                pattern: /require\s*\(\s*[^'"]/g,
-                severity: 'error',
-                message: 'Dynamic require() can be a security risk'
-            },
-            {
-                pattern: /child_process|exec\(/g,
-                severity: 'warning',
-                message: 'Command execution detected - ensure proper input sanitization'
-            }
-        ];
+
+        // Extra taint sources (source-text prefixes such as 'event.body')
+        this.sources = options.sources || [];
+
+        // Findings below this confidence are dropped
+        this.minConfidence = options.minConfidence || 'low';
+
+        // Extra rule packs: paths, package names or pack objects
+        this.rulePacks = (options.rulePacks || [])
+            .map(spec => loadRulePack(spec, { cwd: options.cwd || process.cwd() }));
+
+        // Per-rule overrides: 'off', true, a severity, or { enabled, severity }
+        this.ruleOverrides = this.parseOverrides(options.rules || {});
+    }
+
+    /**
+     * List every rule with its effective settings
+     * @returns {Array<Object>} { id, pack, kind, description, severity, cwe, confidence, fix, enabled }
+     */
+    listRules() {
+        const builtin = Object.entries(SecurityGate.rules)
+            .filter(([id]) => id !== 'parse-error')
+            .map(([id, doc]) => ({
+                id,
+                pack: BUILTIN_PACK,
+                kind: 'taint',
+                description: doc.description,
+                severity: GRADES[id].untrusted[0],
+                cwe: doc.cwe,
+                confidence: GRADES[id].untrusted[1],
+                fix: doc.remedy,
+                enabled: true
+            }));
+
+        const custom = this.rulePacks.flatMap(pack => pack.rules.map(rule => ({
+            id: rule.id,
+            pack: pack.name,
+            kind: rule.selector ? 'selector' : 'pattern',
+            description: rule.description,
+            severity: rule.severity,
+            cwe: rule.cwe,
+            confidence: rule.confidence,
+            fix: rule.fix,
+            enabled: rule.enabled
+        })));
+
+        return [...builtin, ...custom].map(rule => ({ ...rule, ...this.ruleOverrides[rule.id] }));
     }
-    
+
+    /**
+     * Validate `rules` overrides against the known rule ids
+     */
+    parseOverrides(overrides) {
+        const known = new Set([
+            ...Object.keys(SecurityGate.rules),
+            ...this.rulePacks.flatMap(pack => pack.rules.map(rule => rule.id))
+        ]);
+        const parsed = {};
+
+        for (const [id, value] of Object.entries(overrides)) {
+            if (!known.has(id)) {
+                throw new ConfigError(`rules.${id}: unknown security rule`);
+            }
+
+            if (value === false || value === 'off') {
+                parsed[id] = { enabled: false };
+            } else if (value === true || value === 'on') {
+                parsed[id] = { enabled: true };
+            } else if (typeof value === 'string' && normalizeSeverity(value)) {
+                parsed[id] = { enabled: true, severity: normalizeSeverity(value) };
+            } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+                const severity = value.severity === undefined ? undefined : normalizeSeverity(value.severity);
+                if (value.severity !== undefined && !severity) {
+                    throw new ConfigError(`rules.${id}.severity: unknown severity ${JSON.stringify(value.severity)}`);
+                }
+                parsed[id] = {
+                    ...(value.enabled !== undefined ? { enabled: value.enabled !== false } : {}),
+                    ...(severity ? { severity } : {})
+                };
+            } else {
+                throw new ConfigError(`rules.${id}: expected 'off', 'on', a severity or { enabled, severity }`);
+            }
+        }
+
+        return parsed;
+    }
+
     /**
      * Execute security validation
      */
     async execute(code, context = {}) {
         try {
-            const issues = [];
-            
-            // Check each security pattern
-            for (const check of this.securityPatterns) {
-                const matches = code.matchAll(check.pattern);
-                
-                for (const match of matches) {
-                    const lines = code.substring(0, match.index).split('\n');
-                    const line = lines.length;
-                    const column = lines[lines.length - 1].length + 1;
-                    
-                    issues.push({
-                        line,
-                        column,
-                        severity: check.severity,
-                        message: check.message,
-                        rule: 'security-check'
-                    });
-                }
+            let ast;
+            try {
+                ast = parse(code, context);
+            } catch (error) {
+                return this.parseFailure(error);
             }
-            
+
+            const issues = this.applyOverrides([...this.detect(ast), ...this.runRulePacks(ast, code)])
+                .filter(issue => CONFIDENCE_LEVELS.indexOf(issue.confidence) >= CONFIDENCE_LEVELS.indexOf(this.minConfidence))
+                .sort((a, b) => a.line - b.line || a.column - b.column);
+
             const status = this.shouldFail(issues) ? 'fail' : 'pass';
-            
+
             return {
                 status,
                 issues,
                 stats: {
                     errors: issues.filter(i => i.severity === 'error').length,
                     warnings: issues.filter(i => i.severity === 'warning').length,
-                    info: issues.filter(i => i.severity === 'info').length
+                    info: issues.filter(i => i.severity === 'info').length,
+                    taintedFlows: issues.filter(i => i.source).length
                 }
             };
-            
+
         } catch (error) {
             return {
                 status: 'error',
@@ -87,6 +221,348 @@ class SecurityGate extends BaseQualityGate {
             };
         }
     }
+
+    /**
+     * Find sinks and grade what reaches them
+     * @param {Object} ast - AST from analysis/ast.parse()
+     * @returns {Array<Object>} Issues with rule, cwe, confidence and, for tainted flows, source
+     */
+    detect(ast) {
+        const bindings = collectModuleBindings(ast);
+        const { taintOf } = createTaintTracker(ast, { sources: this.sources });
+        const constants = this.collectConstants(ast);
+        const reportedSql = new Set();
+        const issues = [];
+
+        const report = (rule, node, value, label) => {
+            const source = value ? taintOf(value) : null;
+            const kind = source ? 'untrusted' : isConstant(value) ? 'constant' : 'dynamic';
+            const grade = GRADES[rule][kind];
+            if (!grade) return;
+
+            const [severity, confidence] = grade;
+            const title = SecurityGate.rules[rule].title;
+            const message = source
+                ? `Untrusted input from ${source} reaches ${label} (${title})`
+                : kind === 'dynamic'
+                    ? `Non-constant value reaches ${label} (${title})`
+                    : `${label} is used (${title})`;
+
+            issues.push({
+                ...getLocation(node),
+                severity,
+                message,
+                rule,
+                cwe: SecurityGate.rules[rule].cwe,
+                confidence,
+                ...(source ? { source } : {})
+            });
+        };
+
+        const checkSql = (node, value) => {
+            const resolved = value && value.type === 'Identifier' && constants.has(value.name)
+                ? constants.get(value.name)
+                : value;
+            if (!resolved || !isStringLike(resolved) || isConstant(resolved) || !SQL_TEXT.test(staticText(resolved))) {
+                return;
+            }
+            if (reportedSql.has(resolved)) return;
+            reportedSql.add(resolved);
+            report('sql-injection', node, resolved, 'a SQL query');
+        };
+
+        walk(ast.program, {
+            enter: (node, parent) => {
+                switch (node.type) {
+                case 'CallExpression':
+                case 'NewExpression':
+                    this.checkCall(node, bindings, report, checkSql);
+                    break;
+                case 'ImportExpression':
+                    report('dynamic-require', node, isConstant(node.source) ? null : node.source, 'import()');
+                    break;
+                case 'AssignmentExpression': {
+                    const property = methodName(node.left);
+                    if (property === 'innerHTML' || property === 'outerHTML') {
+                        report('xss', node, node.right, property);
+                    }
+                    break;
+                }
+                case 'JSXAttribute':
+                    if (node.name.name === 'dangerouslySetInnerHTML' && node.value &&
+                        node.value.type === 'JSXExpressionContainer' && node.value.expression.type === 'ObjectExpression') {
+                        const html = node.value.expression.properties.find(p => p.key && (p.key.name || p.key.value) === '__html');
+                        if (html) report('xss', node, html.value, 'dangerouslySetInnerHTML');
+                    }
+                    break;
+                case 'TemplateLiteral':
+                case 'BinaryExpression':
+                    // SQL built from untrusted input, wherever it ends up; tagged templates escape their values
+                    if ((!parent || (parent.type !== 'BinaryExpression' && parent.type !== 'TaggedTemplateExpression')) &&
+                        taintOf(node) && SQL_TEXT.test(staticText(node))) {
+                        checkSql(node, node);
+                    }
+                    break;
+                default:
+                    break;
+                }
+            }
+        });
+
+        return issues.sort((a, b) => a.line - b.line || a.column - b.column);
+    }
+
+    /**
+     * Run pattern and selector rules from the loaded packs
+     * Patterns are matched with comments blanked out
+     */
+    runRulePacks(ast, code) {
+        const rules = this.rulePacks.flatMap(pack => pack.rules)
+            .filter(rule => (this.ruleOverrides[rule.id] || {}).enabled ?? rule.enabled);
+        if (rules.length === 0) return [];
+
+        const issues = [];
+        const toIssue = (rule, location) => ({
+            ...location,
+            severity: rule.severity,
+            message: rule.message,
+            rule: rule.id,
+            ...(rule.cwe ? { cwe: rule.cwe } : {}),
+            confidence: rule.confidence,
+            ...(rule.fix ? { remedy: rule.fix } : {})
+        });
+
+        const patternRules = rules.filter(rule => rule.pattern);
+        if (patternRules.length > 0) {
+            let text = code;
+            for (const comment of ast.comments || []) {
+                text = text.slice(0, comment.start) +
+                    text.slice(comment.start, comment.end).replace(/[^\n]/g, ' ') +
+                    text.slice(comment.end);
+            }
+
+            for (const rule of patternRules) {
+                for (const match of text.matchAll(rule.pattern)) {
+                    const before = text.slice(0, match.index);
+                    issues.push(toIssue(rule, {
+                        line: before.split('\n').length,
+                        column: match.index - before.lastIndexOf('\n')
+                    }));
+                }
+            }
+        }
+
+        const selectorRules = rules.filter(rule => rule.parsedSelector);
+        if (selectorRules.length > 0) {
+            walk(ast.program, {
+                enter(node, parent, ancestors) {
+                    for (const rule of selectorRules) {
+                        if (matchesSelector(node, ancestors, rule.parsedSelector)) {
+                            issues.push(toIssue(rule, getLocation(node)));
+                        }
+                    }
+                }
+            });
+        }
+
+        return issues;
+    }
+
+    /**
+     * Drop disabled rules and apply severity overrides
+     */
+    applyOverrides(issues) {
+        return issues
+            .filter(issue => (this.ruleOverrides[issue.rule] || {}).enabled !== false)
+            .map(issue => {
+                const { severity } = this.ruleOverrides[issue.rule] || {};
+                return severity ? { ...issue, severity } : issue;
+            });
+    }
+
+    /**
+     * Describe built-in and rule pack rules
+     */
+    describeRule(ruleId) {
+        const builtin = super.describeRule(ruleId);
+        if (builtin) return builtin;
+
+        for (const pack of this.rulePacks) {
+            const rule = pack.rules.find(candidate => candidate.id === ruleId);
+            if (rule) {
+                return {
+                    id: rule.id,
+                    gate: this.name,
+                    description: rule.description,
+                    ...(rule.fix ? { remedy: rule.fix } : {}),
+                    ...(rule.cwe ? { cwe: rule.cwe } : {}),
+                    pack: pack.name
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check a call or `new` expression against the known sinks
+     */
+    checkCall(node, bindings, report, checkSql) {
+        const args = node.arguments;
+        const target = resolveCallee(node.callee, bindings);
+        const method = methodName(node.callee);
+
+        if (target && target.module === null) {
+            if (target.name === 'eval') {
+                report('code-injection', node, args[0], 'eval()');
+                return;
+            }
+            if (target.name === 'Function') {
+                const body = args[args.length - 1];
+                report('code-injection', node, body, node.type === 'NewExpression' ? 'new Function()' : 'Function()');
+                return;
+            }
+            // Timers only evaluate strings; function references are fine
+            if (TIMER_FUNCTIONS.has(target.name) && args[0] && !isFunction(args[0]) && isStringLike(args[0])) {
+                report('code-injection', node, args[0], `${target.name}() with a string`);
+                return;
+            }
+            if (target.name === 'require' && node.callee.type === 'Identifier' && args[0] && !isConstant(args[0])) {
+                report('dynamic-require', node, args[0], 'require()');
+                return;
+            }
+        }
+
+        if (target && target.module === 'vm' && VM_METHODS.has(target.name)) {
+            report('code-injection', node, args[0], `vm.${target.name}()`);
+            return;
+        }
+
+        if (target && target.module === 'child_process') {
+            if (SHELL_METHODS.has(target.name) || SPAWN_METHODS.has(target.name)) {
+                report('command-injection', node, args[0], `child_process.${target.name}()`);
+            }
+            return;
+        }
+
+        if (target && target.module === 'fs' && FS_PATH_METHODS.has(target.name)) {
+            const paths = FS_TWO_PATH_METHODS.has(target.name) ? args.slice(0, 2) : args.slice(0, 1);
+            for (const value of paths) {
+                report('path-traversal', node, value, `fs.${target.name}()`);
+            }
+            return;
+        }
+
+        if (RESPONSE_FILE_METHODS.has(method)) {
+            report('path-traversal', node, args[0], `${getSourceText(node.callee) || method}()`);
+            return;
+        }
+
+        if (method === 'insertAdjacentHTML') {
+            report('xss', node, args[1], 'insertAdjacentHTML()');
+            return;
+        }
+
+        if ((method === 'write' || method === 'writeln') && getSourceText(node.callee.object) === 'document') {
+            report('xss', node, args[0], `document.${method}()`);
+            return;
+        }
+
+        if (SQL_METHODS.has(method) && args[0]) {
+            checkSql(node, args[0]);
+        }
+    }
+
+    /**
+     * Initializers of `const` bindings, so `db.query(sql)` can see how `sql` was built
+     */
+    collectConstants(ast) {
+        const constants = new Map();
+
+        walk(ast.program, {
+            enter(node) {
+                if (node.type === 'VariableDeclaration' && node.kind === 'const') {
+                    for (const declarator of node.declarations) {
+                        if (declarator.id.type === 'Identifier' && declarator.init) {
+                            constants.set(declarator.id.name, declarator.init);
+                        }
+                    }
+                }
+            }
+        });
+
+        return constants;
+    }
+
+    /**
+     * Report unparsable code as a single issue at the syntax error
+     */
+    parseFailure(error) {
+        const loc = error.loc || {};
+
+        return {
+            status: 'fail',
+            issues: [{
+                line: loc.line || 0,
+                column: loc.column !== undefined ? loc.column + 1 : 0,
+                severity: 'error',
+                message: `Unable to parse code: ${error.message}`,
+                rule: 'parse-error'
+            }],
+            stats: {
+                errors: 1,
+                warnings: 0,
+                info: 0,
+                taintedFlows: 0
+            }
+        };
+    }
 }
 
-module.exports = SecurityGate;
\ No newline at end of file
+SecurityGate.description = 'Checks for common security vulnerabilities';
+
+SecurityGate.rules = {
+    'code-injection': {
+        title: 'code injection',
+        cwe: 'CWE-95',
+        description: 'eval(), new Function(), string timers or vm execute a string as code',
+        remedy: 'Replace dynamic code with data-driven logic (lookup tables, JSON.parse) and never execute user input'
+    },
+    'command-injection': {
+        title: 'command injection',
+        cwe: 'CWE-78',
+        description: 'child_process runs a command built from a non-constant value',
+        remedy: 'Use execFile or spawn with a fixed command and pass user input as separate arguments, without a shell'
+    },
+    'path-traversal': {
+        title: 'path traversal',
+        cwe: 'CWE-22',
+        description: 'A file system path is built from untrusted input',
+        remedy: 'Resolve the path against a fixed base directory and reject results outside it, or map input to known file names'
+    },
+    'sql-injection': {
+        title: 'SQL injection',
+        cwe: 'CWE-89',
+        description: 'A SQL query is built by string interpolation or concatenation',
+        remedy: 'Use parameterized queries or a tagged template that escapes values (sql`... ${value}`)'
+    },
+    'xss': {
+        title: 'cross-site scripting',
+        cwe: 'CWE-79',
+        description: 'HTML is written to the DOM from a non-constant value',
+        remedy: 'Assign textContent instead, or sanitize the HTML with a vetted library such as DOMPurify'
+    },
+    'dynamic-require': {
+        title: 'dynamic module loading',
+        cwe: 'CWE-829',
+        description: 'require() or import() loads a module whose name is not a constant',
+        remedy: 'Load modules from a fixed allowlist keyed by the input instead of the input itself'
+    },
+    'parse-error': {
+        title: 'parse error',
+        description: 'The code could not be parsed, so it was not scanned',
+        remedy: 'Fix the syntax error reported at the given location'
+    }
+};
+
+module.exports = SecurityGate;
@@ -1,36 +1,72 @@
 /**
  * Test Runner Quality Gate
- * Validates code by running Jest or Mocha tests
+ * Validates code by running its tests with the project's test runner
+ * (Jest, Mocha, Vitest, AVA, node-tap, node:test or a registered adapter)
+ *
+ * In project mode the tests run in an overlay copy of `context.projectPath`
+ * with the changed files written on top and the project's node_modules
+ * linked in, limited to the tests related to the changed files.
  */
 
 const BaseQualityGate = require('../BaseQualityGate');
-const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs').promises;
+const { existsSync } = require('fs');
 const os = require('os');
+const { isTypeScriptFile, resolveTranspiler, transpilerNames } = require('../TypeScriptSupport');
+const Coverage = require('../Coverage');
+const TestSelection = require('../TestSelection');
+const { parse } = require('../analysis/ast');
+const { collectImportSources } = require('../analysis/modules');
+const { registerTestRunner, getTestRunner, getTestRunners, resolveRunnerBin } = require('../runners');
+const { normalizeSandboxOptions, runSandboxed } = require('../sandbox');
+const { throwIfAborted } = require('../Cancellation');
+const { DEFAULT_EXCLUDE, createProjectOverlay, resolveInside } = require('../ProjectOverlay');
+const { locateFailure, parseAssertionMessage } = require('../FailureLocation');
+const Flakiness = require('../Flakiness');
+
+const MODES = ['auto', 'isolated', 'project'];
 
 class TestRunnerGate extends BaseQualityGate {
     constructor(options = {}) {
         super(options);
         
-        // Test runner configurations
-        this.testRunners = {
-            jest: {
-                configFiles: ['jest.config.js', 'jest.config.json', 'package.json'],
-                command: 'npx jest --json --coverage=false',
-                detectPattern: /"jest":\s*{/,
-                resultParser: this.parseJestResults.bind(this)
-            },
-            mocha: {
-                configFiles: ['.mocharc.js', '.mocharc.json', '.mocharc.yml', 'package.json'],
-                command: 'npx mocha --reporter json',
-                detectPattern: /"mocha":|mocha\.|\.mocharc/,
-                resultParser: this.parseMochaResults.bind(this)
-            }
-        };
+        // Registered runner to use instead of detecting one (e.g. 'vitest')
+        this.runner = options.runner || null;
         
         // Override default timeout for test execution
         this.timeout = options.timeout || 60000; // 60 seconds for tests
+        
+        // TypeScript transpiler to use instead of the first one found (e.g. 'esbuild-register')
+        this.transpiler = options.transpiler || null;
+        
+        // Coverage comes from Jest itself, or from c8/nyc wrapping Mocha
+        this.coverage = options.coverage !== false;
+        // Coverage tool to use instead of the first one found ('c8' or 'nyc')
+        this.coverageTool = options.coverageTool || null;
+        // Jest-style thresholds: a percentage, or { global, [pathOrGlob]: { lines, branches, functions, statements } }
+        this.coverageThreshold = Coverage.normalizeThresholds(options.coverageThreshold);
+        // Report uncovered line ranges of the code under test as info issues
+        this.reportUncovered = options.reportUncovered !== false;
+        
+        // 'isolated': the code alone in an empty temp dir; 'project': an overlay of context.projectPath;
+        // 'auto': 'project' when context.projectPath has a package.json
+        this.mode = options.mode || 'auto';
+        if (!MODES.includes(this.mode)) {
+            throw new Error(`Invalid mode "${this.mode}" (expected one of ${MODES.join(', ')})`);
+        }
+        // 'related': only tests that import the changed files (project mode); 'all': the whole suite
+        this.selectTests = options.selectTests || 'related';
+        // Directory names not copied into the overlay; node_modules directories are linked instead
+        this.overlayExclude = options.overlayExclude || DEFAULT_EXCLUDE;
+        
+        // Limits for the test process: timeout (ms, default the gate timeout), cpuTime (s), memory (MB),
+        // maxOutput (bytes), network (false to block), envAllowlist and env; see src/sandbox
+        this.sandbox = normalizeSandboxOptions({ timeout: this.timeout, ...options.sandbox });
+        
+        // Rerun failed tests to tell flaky tests from real failures: true, a number of reruns, or
+        // { reruns, randomOrder, seed, severity }; see src/Flakiness
+        this.flaky = Flakiness.normalizeFlakyOptions(options.flaky);
     }
     
     /**
@@ -38,42 +74,139 @@ class TestRunnerGate extends BaseQualityGate {
      */
     async execute(code, context = {}) {
         try {
+            const changed = this.changedFiles(code, context);
+            // File names come from agent output: none may leave the test directory
+            for (const file of Object.keys(changed)) {
+                resolveInside(os.tmpdir(), file);
+            }
+            const mode = this.resolveMode(context);
+            
             // Create temporary test environment
-            const tempDir = await this.createTempTestEnvironment(code, context);
+            const tempDir = mode === 'project'
+                ? await this.createProjectOverlay(context.projectPath, changed)
+                : await this.createTempTestEnvironment(code, context);
             
             try {
+                // Copying a large project can outlast the gate's signal
+                throwIfAborted(context.signal);
+                
                 // Detect test runner
-                const runner = await this.detectTestRunner(tempDir);
+                const runner = this.runner || await this.detectTestRunner(tempDir, changed);
                 if (!runner) {
                     return {
                         status: 'skip',
-                        message: 'No test runner detected (Jest or Mocha)',
+                        message: `No test runner detected (set the runner option, or use one of ${getTestRunners().join(', ')})`,
                         details: {
-                            searchedFor: Object.keys(this.testRunners)
+                            searchedFor: getTestRunners()
                         }
                     };
                 }
+                const adapter = getTestRunner(runner);
+                if (!adapter) {
+                    throw new Error(`Unknown test runner "${runner}" (registered: ${getTestRunners().join(', ')})`);
+                }
+                
+                // Project mode runs the tests that exercise the changed files; isolated mode the tests
+                // it wrote, since runners only look in their default places (Mocha: ./test)
+                let testFiles = mode === 'isolated' ? this.isolatedTestFiles(code, context) : null;
+                if (mode === 'project' && this.selectTests === 'related') {
+                    testFiles = TestSelection.selectRelatedTests(
+                        tempDir,
+                        Object.keys(changed),
+                        await TestSelection.findTestFiles(tempDir)
+                    );
+                    if (testFiles.length === 0) {
+                        return {
+                            status: 'skip',
+                            message: 'No tests related to the changed files',
+                            details: { mode, runner, changedFiles: Object.keys(changed) }
+                        };
+                    }
+                }
+                
+                // TypeScript tests run through a require hook (or a Jest transformer)
+                let transpiler = null;
+                if (adapter.transpiler !== 'none' &&
+                    (isTypeScriptFile(context) || [...Object.keys(changed), ...(testFiles || [])].some(file => isTypeScriptFile(file)))) {
+                    transpiler = resolveTranspiler(context.projectPath || process.cwd(), runner, this.transpiler);
+                    if (!transpiler) {
+                        return {
+                            status: 'error',
+                            error: `No TypeScript transpiler found for ${runner} (install one of ${transpilerNames(runner).join(', ')})`,
+                            details: { runner }
+                        };
+                    }
+                }
+                
+                // A detected runner that is not installed is an error, not a reason to guess another
+                if (adapter.package && !this.resolveRunnerBinary(adapter, tempDir, context)) {
+                    return {
+                        status: 'error',
+                        error: `Test runner ${runner} was detected but the ${adapter.package} package is not installed`,
+                        details: { runner }
+                    };
+                }
+                
+                const coverage = this.coverage ? this.resolveCoverage(runner, context, tempDir) : null;
+                if (this.coverage && !coverage && Object.keys(this.coverageThreshold).length > 0) {
+                    return {
+                        status: 'error',
+                        error: adapter.coverage === 'wrap'
+                            ? `No coverage tool found for ${runner} (install one of c8, nyc)`
+                            : `Coverage thresholds are not supported with ${runner}`,
+                        details: { runner }
+                    };
+                }
+                
+                // Run tests; aborting the signal kills the test process tree
+                const testResults = await this.runTests(tempDir, runner, transpiler, coverage, testFiles, context.signal);
+                
+                // Output the adapter could not read, with no tests counted, is a broken run, not a failure
+                if (testResults.unparsed && !testResults.total && (testResults.violations || []).length === 0) {
+                    return {
+                        status: 'error',
+                        error: `Could not read ${runner} results: ${this.outputSummary(testResults)}`,
+                        details: { runner, mode, exitCode: testResults.exitCode, output: testResults.output, stderr: testResults.error }
+                    };
+                }
                 
-                // Run tests
-                const testResults = await this.runTests(tempDir, runner);
+                // Rerun the failed tests; a run that hit a sandbox limit says nothing about flakiness
+                const flakiness = this.flaky && (testResults.failures || []).length > 0 && (testResults.violations || []).length === 0
+                    ? await this.rerunFailures(testResults, tempDir, runner, transpiler, testFiles, context.signal)
+                    : null;
                 
-                // Parse and analyze results
-                const analysis = this.analyzeTestResults(testResults, runner);
+                // Parse and analyze results (before cleanup: locating failures reads source maps)
+                const analysis = this.analyzeTestResults(testResults, runner, tempDir, context, flakiness);
+                const coverageReport = coverage
+                    ? await this.analyzeCoverage(testResults, coverage, tempDir, context)
+                    : { issues: [], stats: {}, violations: 0, summary: null };
+                const violations = [...(testResults.violations || []), ...(flakiness ? flakiness.violations : [])];
+                const sandboxIssues = this.sandboxIssues(violations);
                 
+                const failed = !analysis.allPassed || coverageReport.violations > 0 || sandboxIssues.length > 0;
                 return {
-                    status: analysis.allPassed ? 'pass' : 'fail',
-                    issues: analysis.failures,
+                    status: failed || (analysis.flaky.length > 0 && this.flaky.severity === 'error')
+                        ? 'fail'
+                        : (analysis.flaky.length > 0 ? 'warning' : 'pass'),
+                    issues: [...sandboxIssues, ...analysis.failures, ...analysis.flaky, ...coverageReport.issues],
                     stats: {
                         total: analysis.total,
                         passed: analysis.passed,
                         failed: analysis.failed,
                         skipped: analysis.skipped,
-                        duration: analysis.duration
+                        ...(flakiness ? { flaky: analysis.flaky.length } : {}),
+                        duration: analysis.duration,
+                        ...coverageReport.stats
                     },
                     details: {
                         runner,
+                        mode,
+                        transpiler: transpiler && transpiler.name,
                         testFile: context.fileName || 'generated.test.js',
-                        coverage: testResults.coverage
+                        ...(mode === 'project' ? { changedFiles: Object.keys(changed), testFiles } : {}),
+                        coverage: coverageReport.summary,
+                        sandbox: { violations },
+                        ...(flakiness ? { flakiness: flakiness.summary } : {})
                     }
                 };
                 
@@ -94,20 +227,91 @@ class TestRunnerGate extends BaseQualityGate {
     }
     
     /**
-     * Create temporary test environment
+     * Files the agent wrote, relative to the project root
+     * @param {string|Object} code - Code string, or the file map in multi-file mode
+     * @returns {Object} Relative path to contents
      */
-    async createTempTestEnvironment(code, context) {
-        const tempDir = path.join(os.tmpdir(), `repochief-test-${Date.now()}`);
-        await fs.mkdir(tempDir, { recursive: true });
+    changedFiles(code, context) {
+        if (code && typeof code === 'object') {
+            return code;
+        }
         
-        // Determine file extension and name
+        const fileExt = context.language === 'typescript' ? '.ts' : '.js';
+        return { [context.fileName || `generated.test${fileExt}`]: code };
+    }
+    
+    /**
+     * Resolve 'auto' to 'project' or 'isolated' for a context
+     */
+    resolveMode(context) {
+        if (this.mode !== 'auto') {
+            if (this.mode === 'project' && !context.projectPath) {
+                throw new Error('Project mode needs context.projectPath');
+            }
+            return this.mode;
+        }
+        return context.projectPath && existsSync(path.join(context.projectPath, 'package.json')) ? 'project' : 'isolated';
+    }
+    
+    /**
+     * Copy the project to a temp dir, link its node_modules and write the changed files on top
+     * The project itself is never modified
+     * @returns {Promise<string>} Overlay directory
+     */
+    createProjectOverlay(projectPath, changed) {
+        return createProjectOverlay(projectPath, changed, { exclude: this.overlayExclude });
+    }
+    
+    /**
+     * Test files written in isolated mode, relative to the temp dir
+     * @returns {Array<string>|null} null when a file map has no test files (the runner looks for them)
+     */
+    isolatedTestFiles(code, context) {
+        if (code && typeof code === 'object') {
+            const files = Object.keys(code).filter(file => TestSelection.isTestFile(file.split(path.sep).join('/')));
+            return files.length > 0 ? files : null;
+        }
+        return [this.isolatedTestFileName(context)];
+    }
+    
+    /**
+     * Name of the test file a code string is written to
+     */
+    isolatedTestFileName(context) {
         const fileExt = context.language === 'typescript' ? '.ts' : '.js';
         const isTestFile = context.fileName && context.fileName.includes('.test.');
-        const fileName = isTestFile ? context.fileName : `generated.test${fileExt}`;
+        return isTestFile ? context.fileName : `generated.test${fileExt}`;
+    }
+    
+    /**
+     * First line of a run's error output, else of its output, else its exit code
+     */
+    outputSummary(testResults) {
+        const line = [testResults.error, testResults.output]
+            .map(text => String(text || '').split('\n').map(candidate => candidate.trim()).find(Boolean))
+            .find(Boolean);
+        return line || `exited with code ${testResults.exitCode}`;
+    }
+    
+    /**
+     * Create temporary test environment
+     * A file map is written as is; a code string becomes the test file
+     */
+    async createTempTestEnvironment(code, context) {
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'repochief-test-'));
         
-        // Write test file
-        const testFile = path.join(tempDir, fileName);
-        await fs.writeFile(testFile, code);
+        if (code && typeof code === 'object') {
+            for (const [file, contents] of Object.entries(code)) {
+                const target = resolveInside(tempDir, file);
+                await fs.mkdir(path.dirname(target), { recursive: true });
+                await fs.writeFile(target, contents);
+            }
+        } else {
+            // Write test file
+            const testFile = resolveInside(tempDir, this.isolatedTestFileName(context));
+            await fs.mkdir(path.dirname(testFile), { recursive: true });
+            await fs.writeFile(testFile, code);
+        }
         
         // Create minimal package.json if needed
         const packageJson = {
@@ -128,197 +332,323 @@ class TestRunnerGate extends BaseQualityGate {
     
     /**
      * Detect which test runner to use
+     * Imports in the changed test files win (a test that imports 'vitest' is a Vitest test),
+     * then each adapter's package.json and config file checks, in registration order
+     * @param {string} tempDir - Directory the tests run in
+     * @param {Object} changed - Changed files, relative path to contents
+     * @returns {Promise<string|null>} Runner name, or null when nothing matches
      */
-    async detectTestRunner(tempDir) {
-        // First check package.json for explicit runner
-        try {
-            const packageJsonPath = path.join(tempDir, 'package.json');
-            const packageJson = JSON.parse(await fs.readFile(packageJsonPath, 'utf8'));
-            
-            // Check for Jest
-            if (packageJson.jest || (packageJson.devDependencies && packageJson.devDependencies.jest)) {
-                return 'jest';
-            }
-            
-            // Check for Mocha
-            if (packageJson.mocha || (packageJson.devDependencies && packageJson.devDependencies.mocha)) {
-                return 'mocha';
-            }
-            
-            // Check test script
-            if (packageJson.scripts && packageJson.scripts.test) {
-                const testScript = packageJson.scripts.test.toLowerCase();
-                if (testScript.includes('jest')) return 'jest';
-                if (testScript.includes('mocha')) return 'mocha';
+    async detectTestRunner(tempDir, changed = {}) {
+        const imports = new Set();
+        for (const [file, contents] of Object.entries(changed)) {
+            if (!TestSelection.isTestFile(file) && !/\.test\./.test(file)) continue;
+            try {
+                collectImportSources(parse(contents, { fileName: file })).forEach(source => imports.add(source));
+            } catch (error) {
+                // Unparseable tests give no hints
             }
+        }
+        
+        const names = getTestRunners();
+        const byImport = names.find(name => getTestRunner(name).modules.some(module => imports.has(module)));
+        if (byImport) {
+            return byImport;
+        }
+        
+        let pkg = {};
+        try {
+            pkg = JSON.parse(await fs.readFile(path.join(tempDir, 'package.json'), 'utf8'));
         } catch (error) {
-            // Continue to file-based detection
+            // No package.json; config files may still identify the runner
         }
+        const project = {
+            root: tempDir,
+            pkg,
+            testScript: (pkg.scripts && pkg.scripts.test) || '',
+            dependsOn: name => Boolean((pkg.dependencies && pkg.dependencies[name]) ||
+                (pkg.devDependencies && pkg.devDependencies[name]))
+        };
         
-        // Check for config files
-        for (const [runner, config] of Object.entries(this.testRunners)) {
-            for (const configFile of config.configFiles) {
-                try {
-                    await fs.access(path.join(tempDir, configFile));
-                    return runner;
-                } catch (error) {
-                    // File doesn't exist, continue
-                }
+        for (const name of names) {
+            const adapter = getTestRunner(name);
+            if (adapter.detect(project) || adapter.configFiles.some(file => existsSync(path.join(tempDir, file)))) {
+                return name;
             }
         }
         
-        // Default to Jest if no runner detected but tests exist
-        const files = await fs.readdir(tempDir);
-        const hasTests = files.some(f => f.includes('.test.') || f.includes('.spec.'));
+        return null;
+    }
+    
+    /**
+     * Locate the runner's bin script in the test directory, the project, or next to this package
+     * @returns {string|null} Absolute path, or null when it is not installed
+     */
+    resolveRunnerBinary(adapter, tempDir, context) {
+        return resolveRunnerBin(adapter, [tempDir, context.projectPath, __dirname].filter(Boolean));
+    }
+    
+    /**
+     * Extra runner arguments that load a TypeScript transpiler
+     * @param {string} runner - Runner name
+     * @param {Object|null} transpiler - From resolveTranspiler()
+     * @returns {Array<string>} Arguments
+     */
+    transpilerArgs(runner, transpiler) {
+        if (!transpiler) return [];
+        
+        if (transpiler.kind === 'transform') {
+            return ['--transform', JSON.stringify({ '^.+\\.[cm]?tsx?$': transpiler.path })];
+        }
         
-        return hasTests ? 'jest' : null;
+        const adapter = getTestRunner(runner);
+        return adapter && adapter.transpilerArgs ? adapter.transpilerArgs(transpiler) : ['--require', transpiler.path];
     }
     
     /**
-     * Run tests using detected runner
+     * How to collect coverage for a runner
+     * @returns {{tool: string, path?: string, reportDirFlag?: string, reportDir: string}|null} Null when
+     *   the runner needs c8 or nyc and neither is installed
      */
-    async runTests(tempDir, runner) {
-        const runnerConfig = this.testRunners[runner];
-        const command = runnerConfig.command.split(' ');
-        const cmd = command[0];
-        const args = command.slice(1);
-        
-        return new Promise((resolve, reject) => {
-            let stdout = '';
-            let stderr = '';
-            
-            const testProcess = spawn(cmd, args, {
-                cwd: tempDir,
-                shell: true,
-                env: {
-                    ...process.env,
-                    CI: 'true',
-                    NODE_ENV: 'test'
-                }
-            });
-            
-            testProcess.stdout.on('data', (data) => {
-                stdout += data.toString();
-            });
-            
-            testProcess.stderr.on('data', (data) => {
-                stderr += data.toString();
-            });
-            
-            testProcess.on('close', (code) => {
-                // Tests may fail (code !== 0) but we still want the results
-                try {
-                    const results = runnerConfig.resultParser(stdout, stderr);
-                    resolve(results);
-                } catch (error) {
-                    // If parsing fails, create a basic result
-                    resolve({
-                        success: code === 0,
-                        total: 0,
-                        passed: 0,
-                        failed: 0,
-                        failures: [],
-                        output: stdout,
-                        error: stderr
-                    });
-                }
-            });
-            
-            testProcess.on('error', (error) => {
-                reject(new Error(`Failed to run ${runner}: ${error.message}`));
-            });
-        });
+    resolveCoverage(runner, context, tempDir) {
+        const reportDir = path.join(tempDir, '.coverage');
+        const adapter = getTestRunner(runner);
+        
+        if (adapter.coverage === 'builtin') {
+            return { tool: runner, reportDir };
+        }
+        if (adapter.coverage !== 'wrap') {
+            return null;
+        }
+        
+        const tool = Coverage.resolveCoverageTool(context.projectPath || process.cwd(), this.coverageTool);
+        return tool ? { tool: tool.name, path: tool.path, reportDirFlag: tool.reportDirFlag, reportDir } : null;
     }
     
     /**
-     * Parse Jest JSON output
+     * Runner command wrapped in c8 or nyc when they collect the coverage
+     * Runners with built-in coverage get it through their adapter's args()
+     * @param {string} runner - Runner name
+     * @param {Array<string>} command - Runner command and arguments
+     * @param {Object|null} coverage - From resolveCoverage()
+     * @returns {Array<string>} Command and arguments
      */
-    parseJestResults(stdout, stderr) {
+    coverageCommand(runner, command, coverage) {
+        if (!coverage || !coverage.path) {
+            return command;
+        }
+        
+        return [
+            process.execPath,
+            coverage.path,
+            '--reporter=json',
+            `${coverage.reportDirFlag}=${coverage.reportDir}`,
+            ...command
+        ];
+    }
+    
+    /**
+     * Arguments that limit a run to the given test files
+     * @param {Array<string>|null} testFiles - Relative paths, or null for the runner's own discovery
+     */
+    testFileArgs(runner, testFiles) {
+        if (!testFiles) return [];
+        
+        const adapter = getTestRunner(runner);
+        return adapter.fileArgs ? adapter.fileArgs(testFiles) : testFiles;
+    }
+    
+    /**
+     * Run tests using detected runner, inside the sandbox
+     * @param {AbortSignal} signal - Kills the test process when aborted
+     * @param {number|null} shuffleSeed - Run tests in a random order seeded by this, where the runner can
+     * @returns {Promise<Object>} Parsed results plus the sandbox `violations`
+     */
+    async runTests(tempDir, runner, transpiler = null, coverage = null, testFiles = null, signal = null, shuffleSeed = null) {
+        const adapter = getTestRunner(runner);
+        const bin = adapter.package ? this.resolveRunnerBinary(adapter, tempDir, {}) : null;
+        if (adapter.package && !bin) {
+            throw new Error(`Test runner ${runner} is not installed (missing package ${adapter.package})`);
+        }
+        
+        // Runners are started with this node; test files go last, after every option
+        const runnerArgs = adapter.args({ coverageDir: coverage && !coverage.path ? coverage.reportDir : null });
+        const [command, ...args] = [
+            ...this.coverageCommand(runner, [
+                process.execPath,
+                ...(bin ? [bin] : []),
+                ...runnerArgs,
+                ...(shuffleSeed !== null && adapter.shuffleArgs ? adapter.shuffleArgs(shuffleSeed) : []),
+                ...this.transpilerArgs(runner, transpiler)
+            ], coverage),
+            ...this.testFileArgs(runner, testFiles)
+        ];
+        
+        let run;
         try {
-            // Jest outputs JSON to stdout when --json flag is used
-            const jsonMatch = stdout.match(/\{[\s\S]*\}/);
-            if (!jsonMatch) {
-                throw new Error('No JSON output from Jest');
-            }
-            
-            const results = JSON.parse(jsonMatch[0]);
-            const testResults = results.testResults || [];
-            
-            const failures = [];
-            let totalTests = 0;
-            let passedTests = 0;
-            let failedTests = 0;
-            let skippedTests = 0;
-            
-            for (const fileResult of testResults) {
-                for (const assertionResult of fileResult.assertionResults || []) {
-                    totalTests++;
-                    
-                    if (assertionResult.status === 'passed') {
-                        passedTests++;
-                    } else if (assertionResult.status === 'failed') {
-                        failedTests++;
-                        failures.push({
-                            test: assertionResult.fullName,
-                            message: assertionResult.failureMessages.join('\n'),
-                            location: fileResult.name
-                        });
-                    } else if (assertionResult.status === 'skipped' || assertionResult.status === 'pending') {
-                        skippedTests++;
-                    }
-                }
+            run = await runSandboxed(command, args, {
+                ...this.sandbox,
+                env: { CI: 'true', NODE_ENV: 'test', ...this.sandbox.env },
+                cwd: tempDir,
+                signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            throw new Error(`Failed to run ${runner}: ${error.message}`);
+        }
+        const { stdout, stderr, code, violations } = run;
+        
+        // Tests may fail (code !== 0) but we still want the results
+        try {
+            let results;
+            try {
+                results = adapter.parse(stdout, stderr);
+            } catch (error) {
+                // Fallback to parsing text output
+                results = {
+                    ...this.parseTextOutput(stdout, stderr, runner),
+                    unparsed: true,
+                    exitCode: code,
+                    error: stderr
+                };
             }
-            
+            return { ...results, violations };
+        } catch (error) {
+            // If parsing fails, create a basic result
             return {
-                success: results.success,
-                total: totalTests,
-                passed: passedTests,
-                failed: failedTests,
-                skipped: skippedTests,
-                duration: results.totalTime,
-                failures,
-                coverage: results.coverageMap
+                success: code === 0,
+                total: 0,
+                passed: 0,
+                failed: 0,
+                failures: [],
+                output: stdout,
+                error: stderr,
+                unparsed: true,
+                exitCode: code,
+                violations
             };
-            
-        } catch (error) {
-            // Fallback to parsing text output
-            return this.parseTextOutput(stdout, stderr, 'jest');
         }
     }
     
     /**
-     * Parse Mocha JSON output
+     * Rerun the files of failed tests up to `flaky.reruns` times, stopping once each failed test has passed
+     * A test passes a rerun that ran tests without it failing; tests that passed the first run but fail
+     * a rerun are flaky too
+     * @returns {Promise<Object>} `{ tests, violations, summary }`, `tests` mapping Flakiness.testKey() to
+     *   `{ test, failure, failedFirst, passes, failures, runs, classification }`
      */
-    parseMochaResults(stdout, stderr) {
-        try {
-            // Mocha reporter json outputs to stdout
-            const jsonMatch = stdout.match(/\{[\s\S]*\}/);
-            if (!jsonMatch) {
-                throw new Error('No JSON output from Mocha');
-            }
-            
-            const results = JSON.parse(jsonMatch[0]);
+    async rerunFailures(testResults, tempDir, runner, transpiler, testFiles, signal) {
+        const { reruns, randomOrder, seed } = this.flaky;
+        const random = Flakiness.seededRandom(seed);
+        const tests = new Map(testResults.failures.map(failure => [Flakiness.testKey(failure), {
+            test: failure.test,
+            failure,
+            failedFirst: true,
+            passes: 0,
+            failures: 1,
+            runs: 1
+        }]));
+        const violations = [];
+        let runs = 0;
+        
+        const testFile = failure => failure.location && failure.location !== 'unknown'
+            ? this.coveragePath(path.resolve(tempDir, failure.location), tempDir)
+            : null;
+        
+        while (runs < reruns) {
+            const pending = [...tests.values()].filter(outcome => outcome.passes === 0);
+            if (pending.length === 0) break;
+            throwIfAborted(signal);
             
-            const failures = (results.failures || []).map(failure => ({
-                test: failure.fullTitle,
-                message: failure.err.message,
-                location: failure.file || 'unknown'
-            }));
+            // Only the files with failures, when the runner says which they are
+            const located = pending.map(outcome => testFile(outcome.failure)).filter(Boolean);
+            let files = located.length === pending.length ? [...new Set(located)] : testFiles;
+            if (randomOrder && files) {
+                files = Flakiness.shuffle(files, random);
+            }
             
-            return {
-                success: results.stats.failures === 0,
-                total: results.stats.tests,
-                passed: results.stats.passes,
-                failed: results.stats.failures,
-                skipped: results.stats.pending,
-                duration: results.stats.duration,
-                failures
-            };
+            // Coverage comes from the first run only
+            const rerun = await this.runTests(tempDir, runner, transpiler, null, files, signal, randomOrder ? seed + runs + 1 : null);
+            runs++;
+            violations.push(...(rerun.violations || []));
+            // A run cut short by a sandbox limit, or one that ran nothing, says nothing about the tests
+            if (violations.length > 0) break;
+            if (!rerun.total) continue;
             
-        } catch (error) {
-            // Fallback to parsing text output
-            return this.parseTextOutput(stdout, stderr, 'mocha');
+            const failed = new Map((rerun.failures || []).map(failure => [Flakiness.testKey(failure), failure]));
+            for (const outcome of pending) {
+                outcome.runs++;
+                if (failed.has(Flakiness.testKey(outcome.failure))) {
+                    outcome.failures++;
+                } else {
+                    outcome.passes++;
+                }
+            }
+            for (const [key, failure] of failed) {
+                if (!tests.has(key)) {
+                    tests.set(key, { test: failure.test, failure, failedFirst: false, passes: 1, failures: 1, runs: 2 });
+                }
+            }
+        }
+        
+        const outcomes = [...tests.values()];
+        for (const outcome of outcomes) {
+            outcome.classification = Flakiness.classify(outcome);
         }
+        const count = classification => outcomes.filter(outcome => outcome.classification === classification).length;
+        const passedFirst = outcomes.filter(outcome => !outcome.failedFirst).length;
+        
+        return {
+            tests,
+            violations,
+            summary: {
+                reruns: runs,
+                randomOrder,
+                ...(randomOrder ? { seed } : {}),
+                stablePass: testResults.passed - passedFirst,
+                stableFail: count('stable-fail'),
+                flaky: count('flaky'),
+                tests: outcomes.map(({ test, failure, passes, failures, runs: testRuns, classification }) => ({
+                    test,
+                    file: testFile(failure),
+                    classification,
+                    passes,
+                    failures,
+                    runs: testRuns
+                }))
+            }
+        };
+    }
+    
+    /**
+     * Issues for the limits a test run hit
+     * @param {Array<Object>} violations - From runSandboxed()
+     */
+    sandboxIssues(violations) {
+        return violations.map(violation => ({
+            severity: 'error',
+            rule: 'sandbox-violation',
+            message: `Test run: ${violation.message}`,
+            line: 0,
+            column: 0,
+            violation: violation.type,
+            ...(violation.limit !== undefined ? { limit: violation.limit } : {}),
+            ...(violation.host ? { host: violation.host, port: violation.port } : {}),
+            ...(violation.at ? { details: `at ${violation.at}` } : {})
+        }));
+    }
+    
+    /**
+     * Parse Jest `--json` output (the jest adapter's parser)
+     */
+    parseJestResults(stdout, stderr) {
+        return getTestRunner('jest').parse(stdout, stderr);
+    }
+    
+    /**
+     * Parse Mocha `--reporter json` output (the mocha adapter's parser)
+     */
+    parseMochaResults(stdout, stderr) {
+        return getTestRunner('mocha').parse(stdout, stderr);
     }
     
     /**
@@ -340,10 +670,17 @@ class TestRunnerGate extends BaseQualityGate {
                 passed: /(\d+)\s*passing/,
                 failed: /(\d+)\s*failing/,
                 skipped: /(\d+)\s*pending/
+            },
+            // TAP summary comments (node:test, AVA, node-tap)
+            tap: {
+                total: /^# tests (\d+)/m,
+                passed: /^# pass (\d+)/m,
+                failed: /^# fail (\d+)/m,
+                skipped: /^# skip(?:ped)? (\d+)/m
             }
         };
         
-        const runnerPatterns = patterns[runner] || patterns.jest;
+        const runnerPatterns = patterns[runner] || (['node', 'ava', 'tap'].includes(runner) ? patterns.tap : patterns.jest);
         
         const extractNumber = (pattern) => {
             const match = output.match(pattern);
@@ -365,33 +702,173 @@ class TestRunnerGate extends BaseQualityGate {
     
     /**
      * Analyze test results
+     * Failures are located from their stack traces (through source maps for
+     * transpiled code); expected and actual values come from the runner, else
+     * from the assertion message. With reruns, flaky tests are reported apart
+     * from stable failures.
+     * @param {Object|null} flakiness - rerunFailures() result
      */
-    analyzeTestResults(testResults, runner) {
+    analyzeTestResults(testResults, runner, tempDir, context = {}, flakiness = null) {
         const issues = [];
+        const flaky = [];
+        const sourceMaps = new Map();
+        
+        const failureIssue = (failure, issue) => {
+            const position = locateFailure(failure, { cwd: tempDir, sourceMaps });
+            const values = 'expected' in failure || 'actual' in failure
+                ? { expected: failure.expected, actual: failure.actual }
+                : parseAssertionMessage(failure.message);
+            
+            return {
+                ...issue,
+                details: failure.message,
+                location: failure.location,
+                ...(position ? { file: this.coveragePath(position.file, tempDir, context) } : {}),
+                line: position ? position.line : 0, // Not every failure has a usable stack
+                column: position ? position.column : 0,
+                ...Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined))
+            };
+        };
+        const outcomes = flakiness ? [...flakiness.tests.values()] : [];
+        const isFlaky = failure => flakiness && flakiness.tests.get(Flakiness.testKey(failure)).classification === 'flaky';
         
         // Convert failures to issues
         for (const failure of testResults.failures || []) {
-            issues.push({
+            if (isFlaky(failure)) continue;
+            issues.push(failureIssue(failure, {
                 severity: 'error',
-                message: `Test failed: ${failure.test}`,
-                details: failure.message,
-                location: failure.location,
-                line: 0, // Test frameworks don't always provide line numbers
-                column: 0
-            });
+                rule: 'test-failure',
+                message: `Test failed: ${failure.test}`
+            }));
+        }
+        
+        for (const outcome of outcomes.filter(candidate => candidate.classification === 'flaky')) {
+            flaky.push(failureIssue(outcome.failure, {
+                severity: this.flaky.severity,
+                rule: 'flaky-test',
+                message: `Flaky test: ${outcome.test} (failed ${outcome.failures} of ${outcome.runs} runs)`,
+                passes: outcome.passes,
+                failures: outcome.failures,
+                runs: outcome.runs
+            }));
         }
         
+        // Flaky tests count as neither passed nor failed
+        const flakyFirstFailed = outcomes.filter(outcome => outcome.classification === 'flaky' && outcome.failedFirst).length;
+        const failed = testResults.failed - flakyFirstFailed;
+        
         return {
-            allPassed: testResults.success && testResults.failed === 0,
+            allPassed: flakiness ? failed === 0 : testResults.success && testResults.failed === 0,
             total: testResults.total,
-            passed: testResults.passed,
-            failed: testResults.failed,
+            passed: testResults.passed - (flaky.length - flakyFirstFailed),
+            failed,
             skipped: testResults.skipped,
             duration: testResults.duration,
-            failures: issues
+            failures: issues,
+            flaky
         };
     }
     
+    /**
+     * Summarize coverage of the code under test and check it against the thresholds
+     * @returns {Promise<Object>} `{ issues, stats, violations, summary }`
+     */
+    async analyzeCoverage(testResults, coverage, tempDir, context) {
+        const hasThresholds = Object.keys(this.coverageThreshold).length > 0;
+        const data = await Coverage.readCoverage(coverage.reportDir) || testResults.coverage || null;
+        
+        if (!data) {
+            return {
+                issues: hasThresholds ? [{
+                    severity: 'error',
+                    rule: 'coverage-threshold',
+                    message: `No coverage data was collected by ${coverage.tool}`,
+                    line: 0,
+                    column: 0
+                }] : [],
+                stats: {},
+                violations: hasThresholds ? 1 : 0,
+                summary: { tool: coverage.tool, collected: false }
+            };
+        }
+        
+        const files = {};
+        for (const [file, entry] of Object.entries(data)) {
+            const absolute = (entry.data || entry).path || file;
+            const relative = this.coveragePath(absolute, tempDir, context);
+            // Only the code under test counts, not the tests or dependencies
+            if (TestSelection.isTestFile(relative) || absolute.split(path.sep).includes('node_modules')) continue;
+            files[relative] = Coverage.summarizeFile(entry.data || entry);
+        }
+        
+        const total = Coverage.totals(Object.values(files));
+        const violations = Coverage.checkThresholds(files, this.coverageThreshold);
+        const issues = violations.map(violation => ({
+            severity: 'error',
+            rule: 'coverage-threshold',
+            message: violation.message,
+            file: violation.file,
+            line: violation.file ? 1 : 0,
+            column: violation.file ? 1 : 0,
+            metric: violation.metric,
+            actual: violation.actual,
+            threshold: violation.threshold
+        }));
+        
+        if (this.reportUncovered) {
+            for (const [file, summary] of Object.entries(files)) {
+                for (const [start, end] of Coverage.lineRanges(summary.uncoveredLines)) {
+                    issues.push({
+                        severity: 'info',
+                        rule: 'uncovered-lines',
+                        message: start === end
+                            ? `Line ${start} is not covered by tests`
+                            : `Lines ${start}-${end} are not covered by tests`,
+                        file,
+                        line: start,
+                        column: 1,
+                        endLine: end
+                    });
+                }
+            }
+        }
+        
+        return {
+            issues,
+            violations: violations.length,
+            stats: {
+                lineCoverage: total.lines.pct,
+                branchCoverage: total.branches.pct,
+                functionCoverage: total.functions.pct,
+                statementCoverage: total.statements.pct,
+                uncoveredLines: Object.values(files).reduce((sum, summary) => sum + summary.uncoveredLines.length, 0)
+            },
+            summary: {
+                tool: coverage.tool,
+                collected: true,
+                total,
+                files: Object.fromEntries(Object.entries(files).map(([file, summary]) => {
+                    const { uncoveredLines, ...metrics } = summary;
+                    return [file, metrics];
+                })),
+                thresholds: this.coverageThreshold
+            }
+        };
+    }
+    
+    /**
+     * Report path of a covered or failing file: relative to the test directory, else to the project
+     */
+    coveragePath(file, tempDir, context = {}) {
+        for (const root of [tempDir, context.projectPath].filter(Boolean)) {
+            const relative = path.relative(root, file);
+            if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+                return relative.split(path.sep).join('/');
+            }
+        }
+        return file;
+    }
+    
     /**
      * Clean up temporary directory
      */
@@ -405,4 +882,42 @@ class TestRunnerGate extends BaseQualityGate {
     }
 }
 
+TestRunnerGate.description = 'Validates code by running its tests with the project\'s test runner';
+
+TestRunnerGate.registerTestRunner = registerTestRunner;
+
+// Tests run once over all changed files
+TestRunnerGate.scope = 'project';
+
+// Coverage percentages are averaged across files in multi-file mode
+TestRunnerGate.statAggregation = {
+    lineCoverage: 'avg',
+    branchCoverage: 'avg',
+    functionCoverage: 'avg',
+    statementCoverage: 'avg'
+};
+
+TestRunnerGate.rules = {
+    'test-failure': {
+        description: 'A test failed when run by the detected test runner',
+        remedy: 'Fix the code under test or the failing assertion'
+    },
+    'flaky-test': {
+        description: 'A test both passed and failed when its failures were rerun (flaky option)',
+        remedy: 'Remove the nondeterminism: timers, random data, shared state or test order'
+    },
+    'coverage-threshold': {
+        description: 'Line, branch, function or statement coverage is below coverageThreshold',
+        remedy: 'Add tests for the uncovered code or lower the threshold'
+    },
+    'uncovered-lines': {
+        description: 'Lines of the code under test that no test executed',
+        remedy: 'Add tests that exercise these lines'
+    },
+    'sandbox-violation': {
+        description: 'The test run hit a sandbox limit (time, CPU, memory, output) or tried to reach the network',
+        remedy: 'Make the tests deterministic and self-contained, or raise the limit in the sandbox option'
+    }
+};
+
 module.exports = TestRunnerGate;
\ No newline at end of file
@@ -0,0 +1,240 @@
+/**
+ * TypeScript Quality Gate
+ * Type-checks code with `tsc --noEmit` and reports compiler diagnostics as issues
+ *
+ * A single code string is checked as `context.fileName` in an overlay of
+ * `context.projectPath`, so project modules and @types resolve (without a
+ * project, alone in a scratch directory). In multi-file mode the files are
+ * written into an overlay of the project, which is checked with its
+ * tsconfig.json; only diagnostics for files in the map are reported.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const { execFile } = require('child_process');
+const BaseQualityGate = require('../BaseQualityGate');
+const { resolveFrom, findTsconfig } = require('../TypeScriptSupport');
+const { DEFAULT_EXCLUDE, createProjectOverlay } = require('../ProjectOverlay');
+
+// `src/a.ts(3,7): error TS2322: Type 'string' is not assignable to type 'number'.`
+const DIAGNOSTIC = /^(.+?)\((\d+),(\d+)\): (error|warning|message) TS(\d+): (.*)$/;
+// `error TS5058: The specified path does not exist: 'tsconfig.json'.`
+const GLOBAL_DIAGNOSTIC = /^(error|warning|message) TS(\d+): (.*)$/;
+
+const SEVERITIES = { error: 'error', warning: 'warning', message: 'info' };
+
+/**
+ * Parse `tsc --pretty false` output
+ * Indented lines continue the previous diagnostic's message
+ * @param {string} output - Compiler output
+ * @param {string} root - Directory that file names are relative to
+ * @returns {Array<Object>} Issues with a posix `file` relative to `root`
+ */
+function parseDiagnostics(output, root) {
+    const issues = [];
+
+    for (const line of output.split(/\r?\n/)) {
+        const located = line.match(DIAGNOSTIC);
+        const global = !located && line.match(GLOBAL_DIAGNOSTIC);
+
+        if (located) {
+            const [, file, row, column, category, code, message] = located;
+            issues.push({
+                file: path.relative(root, path.resolve(root, file)).split(path.sep).join('/'),
+                line: Number(row),
+                column: Number(column),
+                severity: SEVERITIES[category],
+                message,
+                rule: `TS${code}`
+            });
+        } else if (global) {
+            const [, category, code, message] = global;
+            issues.push({ line: 1, column: 1, severity: SEVERITIES[category], message, rule: `TS${code}` });
+        } else if (/^\s+\S/.test(line) && issues.length > 0) {
+            issues[issues.length - 1].message += `\n${line.trim()}`;
+        }
+    }
+
+    return issues;
+}
+
+class TypeScriptGate extends BaseQualityGate {
+    constructor(options = {}) {
+        super(options);
+
+        // tsconfig file relative to the project root
+        this.tsconfig = options.tsconfig || 'tsconfig.json';
+        // Compiler flags for code checked without a tsconfig
+        this.compilerOptions = options.compilerOptions || ['--strict', '--target', 'es2022', '--moduleResolution', 'node'];
+        // Report diagnostics for files outside the file map too
+        this.reportAllFiles = options.reportAllFiles === true;
+        // Directory names not copied into the project overlay
+        this.overlayExclude = options.overlayExclude || DEFAULT_EXCLUDE;
+
+        // Type-checking a project takes longer than linting
+        this.timeout = options.timeout || 120000;
+    }
+
+    /**
+     * Execute the type check
+     * @param {string|Object} code - Code string, or the file map in multi-file mode
+     * @param {Object} context - `projectPath` locates tsconfig.json and the compiler
+     */
+    async execute(code, context = {}) {
+        let tempDir = null;
+
+        try {
+            const root = context.projectPath || process.cwd();
+            const tsc = resolveFrom(root, 'typescript/bin/tsc');
+            if (!tsc) {
+                throw new Error('TypeScript compiler not found; install typescript in the project');
+            }
+
+            // A code string is what the agent wrote; a file map or no code means the project, with the map on top
+            const inMemory = typeof code === 'string' && code.length > 0;
+            const fileMap = code && typeof code === 'object' ? code : null;
+            const tsconfig = inMemory ? null : findTsconfig(root, this.tsconfig);
+            let cwd = root;
+            let args;
+            let checked = fileMap;
+
+            if (tsconfig) {
+                if (fileMap) {
+                    tempDir = await this.createOverlay(root, fileMap);
+                    cwd = tempDir;
+                }
+                args = ['--noEmit', '--pretty', 'false', '-p', path.join(cwd, path.relative(root, tsconfig))];
+            } else {
+                if (!inMemory) {
+                    return { status: 'skip', message: `No ${this.tsconfig} found in ${root}`, details: { root } };
+                }
+                const fileName = this.checkedFileName(context, root);
+                if (context.projectPath) {
+                    tempDir = await this.createOverlay(root, { [fileName]: code });
+                } else {
+                    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'repochief-tsc-'));
+                    await fs.writeFile(path.join(tempDir, fileName), code);
+                }
+                cwd = tempDir;
+                checked = { [fileName]: code };
+                args = ['--noEmit', '--pretty', 'false', ...this.compilerOptions, fileName];
+            }
+
+            const output = await this.runCompiler(tsc, args, cwd, context.signal);
+            let issues = parseDiagnostics(output, cwd);
+            let otherFiles = 0;
+
+            if (checked && !this.reportAllFiles) {
+                const kept = issues.filter(issue => !issue.file || Object.prototype.hasOwnProperty.call(checked, issue.file));
+                otherFiles = issues.length - kept.length;
+                issues = kept;
+            }
+            if (inMemory) {
+                // Report against the caller's file name, not the checked .ts copy
+                issues = issues.map(issue => {
+                    const { file, ...rest } = issue;
+                    return context.fileName && file ? { ...rest, file: context.fileName } : rest;
+                });
+            }
+
+            const errors = issues.filter(issue => issue.severity === 'error');
+            const status = this.shouldFail(issues) ? 'fail' : 'pass';
+
+            return {
+                status,
+                issues,
+                stats: {
+                    errors: errors.length,
+                    warnings: issues.filter(issue => issue.severity === 'warning').length,
+                    filesWithErrors: new Set(errors.map(issue => issue.file)).size,
+                    otherFileDiagnostics: otherFiles
+                },
+                details: {
+                    tsc,
+                    tsconfig
+                }
+            };
+
+        } catch (error) {
+            return {
+                status: 'error',
+                error: error.message,
+                details: {
+                    stack: error.stack
+                }
+            };
+        } finally {
+            if (tempDir) {
+                await fs.rm(tempDir, { recursive: true, force: true });
+            }
+        }
+    }
+
+    /**
+     * Overlay of the project with the files to check written on top
+     */
+    createOverlay(root, files) {
+        return createProjectOverlay(root, files, { exclude: this.overlayExclude, prefix: 'repochief-tsc-' });
+    }
+
+    /**
+     * Path a code string is checked under: `context.fileName` as TypeScript, relative to the
+     * project (only its base name without a project)
+     */
+    checkedFileName(context, root) {
+        let fileName = context.fileName || 'input.ts';
+        if (!context.projectPath) {
+            fileName = path.basename(fileName);
+        } else if (path.isAbsolute(fileName)) {
+            fileName = path.relative(root, fileName);
+        }
+        return fileName.split(path.sep).join('/').replace(/\.(c|m)?js$/, '.ts').replace(/\.jsx$/, '.tsx');
+    }
+
+    /**
+     * Run tsc; a non-zero exit with diagnostics is a normal result
+     * @param {AbortSignal} signal - Kills tsc when aborted (the gate's timeout aborts it too)
+     * @returns {Promise<string>} Compiler output
+     */
+    runCompiler(tsc, args, cwd, signal) {
+        return new Promise((resolve, reject) => {
+            execFile(process.execPath, [tsc, ...args], {
+                cwd,
+                signal,
+                maxBuffer: 64 * 1024 * 1024
+            }, (error, stdout, stderr) => {
+                if (error && error.name === 'AbortError') {
+                    reject(new Error('tsc was stopped before it finished'));
+                } else if (error && !stdout.trim()) {
+                    reject(new Error(`tsc failed: ${(stderr || error.message).trim()}`));
+                } else {
+                    resolve(stdout);
+                }
+            });
+        });
+    }
+
+    /**
+     * Rules are TypeScript diagnostic codes such as TS2322
+     */
+    describeRule(ruleId) {
+        if (!/^TS\d+$/.test(ruleId)) {
+            return null;
+        }
+
+        return {
+            id: ruleId,
+            gate: this.name,
+            title: `TypeScript error ${ruleId}`,
+            description: `Compiler diagnostic ${ruleId} reported by tsc --noEmit`
+        };
+    }
+}
+
+TypeScriptGate.description = 'Type-checks TypeScript with tsc --noEmit';
+TypeScriptGate.scope = 'project';
+
+TypeScriptGate.parseDiagnostics = parseDiagnostics;
+
+module.exports = TypeScriptGate;
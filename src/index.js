@@ -10,8 +10,16 @@ const ESLintGate = require('./gates/ESLintGate');
 const TestRunnerGate = require('./gates/TestRunnerGate');
 const SecurityGate = require('./gates/SecurityGate');
 const ComplexityGate = require('./gates/ComplexityGate');
+const SecretsGate = require('./gates/SecretsGate');
+const NpmAuditGate = require('./gates/NpmAuditGate');
+const LicenseGate = require('./gates/LicenseGate');
+const TypeScriptGate = require('./gates/TypeScriptGate');
 const ResultReporter = require('./ResultReporter');
 const QualityRunner = require('./QualityRunner');
+const ResultSchema = require('./ResultSchema');
+const ConfigLoader = require('./ConfigLoader');
+const RulePack = require('./RulePack');
+const { createUnifiedDiff } = require('./UnifiedDiff');
 
 // Quality gate registry
 const gateRegistry = new Map();
@@ -21,6 +29,10 @@ gateRegistry.set('eslint', ESLintGate);
 gateRegistry.set('test', TestRunnerGate);
 gateRegistry.set('security', SecurityGate);
 gateRegistry.set('complexity', ComplexityGate);
+gateRegistry.set('secrets', SecretsGate);
+gateRegistry.set('npm-audit', NpmAuditGate);
+gateRegistry.set('license', LicenseGate);
+gateRegistry.set('typescript', TypeScriptGate);
 
 /**
  * Create a quality gate instance
@@ -46,6 +58,13 @@ function registerGate(type, GateClass) {
     gateRegistry.set(type, GateClass);
 }
 
+/**
+ * Get the class registered for a gate type
+ */
+function getGateClass(type) {
+    return gateRegistry.get(type) || null;
+}
+
 /**
  * Get all registered gate types
  */
@@ -53,6 +72,17 @@ function getGateTypes() {
     return Array.from(gateRegistry.keys());
 }
 
+/**
+ * Load the nearest quality config (or a given file) without building a runner
+ */
+function loadConfig(options = {}) {
+    const loader = new ConfigLoader(options);
+    
+    return options.configFile
+        ? loader.load(options.configFile)
+        : loader.loadFromDirectory(options.cwd);
+}
+
 /**
  * Create a quality runner with all gates
  */
@@ -77,12 +107,38 @@ module.exports = {
     TestRunnerGate,
     SecurityGate,
     ComplexityGate,
+    SecretsGate,
+    NpmAuditGate,
+    LicenseGate,
+    TypeScriptGate,
+    
+    // Result schema
+    ResultSchema,
+    SCHEMA_VERSION: ResultSchema.SCHEMA_VERSION,
+    validateResult: ResultSchema.validateResult,
+    normalizeResult: ResultSchema.normalizeResult,
+    
+    // Report formatters
+    registerFormatter: ResultReporter.registerFormatter,
+    createUnifiedDiff,
+    
+    // Declarative configuration
+    ConfigLoader,
+    ConfigError: ConfigLoader.ConfigError,
+    loadConfig,
+    createRunnerFromConfig: ConfigLoader.createRunnerFromConfig,
+    
+    // Security rule packs
+    loadRulePack: RulePack.loadRulePack,
+    validateRulePack: RulePack.validateRulePack,
     
     // Factory functions
     createGate,
     createQualityRunner,
     registerGate,
+    registerTestRunner: TestRunnerGate.registerTestRunner,
     getGateTypes,
+    getGateClass,
     
     // Convenience methods for storage integration
     createRunnerWithStorage: QualityRunner.createWithGates,
@@ -0,0 +1,27 @@
+/**
+ * AVA adapter
+ * Runs `ava --tap`; TypeScript goes through the project's AVA config
+ */
+
+const { parseTap } = require('./tapParser');
+
+module.exports = {
+    package: 'ava',
+    bin: 'ava',
+    modules: ['ava'],
+    configFiles: ['ava.config.js', 'ava.config.cjs', 'ava.config.mjs'],
+    coverage: 'wrap',
+    transpiler: 'none',
+
+    detect(project) {
+        return project.dependsOn('ava') || Boolean(project.pkg.ava) || /\bava\b/.test(project.testScript);
+    },
+
+    args() {
+        return ['--tap'];
+    },
+
+    parse(stdout) {
+        return parseTap(stdout);
+    }
+};
@@ -0,0 +1,102 @@
+/**
+ * Test Runner Adapters
+ * Registry of the test runners TestRunnerGate can detect and run
+ *
+ * An adapter is an object with:
+ * - `package`, `bin`: npm package and bin name to run, or `package: null` to run `node` itself
+ * - `detect(project)`: whether the project uses the runner; `project` has `pkg` (package.json),
+ *   `testScript`, `dependsOn(name)` and `root`
+ * - `modules`: import specifiers that identify the runner in test files (e.g. 'vitest')
+ * - `configFiles`: files whose presence identifies the runner
+ * - `args({ coverageDir })`: arguments before the test files; `coverageDir` is set when the
+ *   runner collects coverage itself
+ * - `fileArgs(files)`: optional, arguments that select test files (default: the files)
+ * - `shuffleArgs(seed)`: optional, arguments that run tests in a random order seeded by `seed`
+ * - `parse(stdout, stderr)`: results `{ success, total, passed, failed, skipped, duration, failures }`;
+ *   throws when the output is not recognized
+ * - `coverage`: 'builtin', 'wrap' (c8/nyc around the command) or 'none'
+ * - `transpiler`: 'transform' (Jest transformer), 'register' (require hook) or 'none'
+ * - `transpilerArgs(transpiler)`: optional, arguments that load a require hook
+ *
+ * Adapters are detected in registration order.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const ADAPTER_FIELDS = { detect: 'function', args: 'function', parse: 'function' };
+
+const runners = new Map();
+
+/**
+ * Register a test runner adapter, replacing any adapter of the same name
+ * @param {string} name - Runner name, as used by the gate's `runner` option
+ * @param {Object} adapter - Adapter, see above
+ */
+function registerTestRunner(name, adapter) {
+    if (typeof name !== 'string' || name.length === 0) {
+        throw new Error('Test runner name must be a non-empty string');
+    }
+    for (const [field, type] of Object.entries(ADAPTER_FIELDS)) {
+        if (!adapter || typeof adapter[field] !== type) {
+            throw new Error(`Test runner ${name} must have a ${field}() ${type}`);
+        }
+    }
+    if (adapter.package && !adapter.bin) {
+        throw new Error(`Test runner ${name} must name the bin of package ${adapter.package}`);
+    }
+
+    runners.set(name, {
+        modules: [],
+        configFiles: [],
+        coverage: 'none',
+        transpiler: 'none',
+        ...adapter,
+        name
+    });
+}
+
+function getTestRunner(name) {
+    return runners.get(name) || null;
+}
+
+function getTestRunners() {
+    return Array.from(runners.keys());
+}
+
+/**
+ * Find an installed package's bin script by walking up node_modules directories
+ * @param {Object} adapter - Adapter with `package` and `bin`
+ * @param {Array<string>} paths - Directories to start from, in order
+ * @returns {string|null} Absolute path to the script, or null when the package is not installed
+ */
+function resolveRunnerBin(adapter, paths) {
+    for (const start of paths) {
+        let dir = path.resolve(start);
+        while (true) {
+            const manifest = path.join(dir, 'node_modules', adapter.package, 'package.json');
+            if (fs.existsSync(manifest)) {
+                const { bin } = JSON.parse(fs.readFileSync(manifest, 'utf8'));
+                const script = typeof bin === 'string' ? bin : bin && bin[adapter.bin];
+                if (script) {
+                    return path.join(path.dirname(manifest), script);
+                }
+            }
+            const parent = path.dirname(dir);
+            if (parent === dir) break;
+            dir = parent;
+        }
+    }
+    return null;
+}
+
+for (const name of ['jest', 'mocha', 'vitest', 'ava', 'tap', 'node']) {
+    registerTestRunner(name, require(`./${name}`));
+}
+
+module.exports = {
+    registerTestRunner,
+    getTestRunner,
+    getTestRunners,
+    resolveRunnerBin
+};
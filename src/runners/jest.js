@@ -0,0 +1,86 @@
+/**
+ * Jest adapter
+ * Runs `jest --json`; coverage and TypeScript transforms are built in
+ */
+
+module.exports = {
+    package: 'jest',
+    bin: 'jest',
+    modules: ['@jest/globals'],
+    configFiles: ['jest.config.js', 'jest.config.cjs', 'jest.config.mjs', 'jest.config.ts', 'jest.config.json'],
+    coverage: 'builtin',
+    transpiler: 'transform',
+
+    detect(project) {
+        return project.dependsOn('jest') || Boolean(project.pkg.jest) || /\bjest\b/.test(project.testScript);
+    },
+
+    args({ coverageDir }) {
+        return coverageDir
+            ? ['--json', '--coverage', '--coverageReporters=json', `--coverageDirectory=${coverageDir}`]
+            : ['--json', '--coverage=false'];
+    },
+
+    fileArgs(files) {
+        return ['--runTestsByPath', ...files];
+    },
+
+    // Jest 29.2+
+    shuffleArgs(seed) {
+        return ['--randomize', `--seed=${seed}`];
+    },
+
+    /**
+     * Parse `--json` output
+     */
+    parse(stdout) {
+        // Jest outputs JSON to stdout when --json flag is used
+        const jsonMatch = stdout.match(/\{[\s\S]*\}/);
+        if (!jsonMatch) {
+            throw new Error('No JSON output from Jest');
+        }
+
+        const results = JSON.parse(jsonMatch[0]);
+        const failures = [];
+        let total = 0;
+        let passed = 0;
+        let failed = 0;
+        let skipped = 0;
+
+        for (const fileResult of results.testResults || []) {
+            for (const assertionResult of fileResult.assertionResults || []) {
+                total++;
+
+                if (assertionResult.status === 'passed') {
+                    passed++;
+                } else if (assertionResult.status === 'failed') {
+                    failed++;
+                    // Matcher failures carry the compared values (Jest 27+)
+                    const matcher = ((assertionResult.failureDetails || [])
+                        .find(detail => detail && detail.matcherResult) || {}).matcherResult;
+                    failures.push({
+                        test: assertionResult.fullName,
+                        message: assertionResult.failureMessages.join('\n'),
+                        location: fileResult.name,
+                        stack: assertionResult.failureMessages.join('\n'),
+                        ...(matcher && matcher.expected !== undefined ? { expected: matcher.expected } : {}),
+                        ...(matcher && matcher.actual !== undefined ? { actual: matcher.actual } : {})
+                    });
+                } else if (assertionResult.status === 'skipped' || assertionResult.status === 'pending') {
+                    skipped++;
+                }
+            }
+        }
+
+        return {
+            success: results.success,
+            total,
+            passed,
+            failed,
+            skipped,
+            duration: results.totalTime,
+            failures,
+            coverage: results.coverageMap
+        };
+    }
+};
@@ -0,0 +1,58 @@
+/**
+ * Mocha adapter
+ * Runs `mocha --reporter json`; coverage comes from c8 or nyc wrapping it
+ */
+
+module.exports = {
+    package: 'mocha',
+    bin: 'mocha',
+    modules: ['mocha'],
+    configFiles: ['.mocharc.js', '.mocharc.cjs', '.mocharc.json', '.mocharc.jsonc', '.mocharc.yml', '.mocharc.yaml'],
+    coverage: 'wrap',
+    transpiler: 'register',
+
+    detect(project) {
+        return project.dependsOn('mocha') || Boolean(project.pkg.mocha) || /\bmocha\b/.test(project.testScript);
+    },
+
+    args() {
+        return ['--reporter', 'json'];
+    },
+
+    transpilerArgs(transpiler) {
+        return ['--require', transpiler.path, '--extension', 'ts'];
+    },
+
+    /**
+     * Parse JSON reporter output
+     */
+    parse(stdout) {
+        // Mocha reporter json outputs to stdout
+        const jsonMatch = stdout.match(/\{[\s\S]*\}/);
+        if (!jsonMatch) {
+            throw new Error('No JSON output from Mocha');
+        }
+
+        const results = JSON.parse(jsonMatch[0]);
+
+        // Assertion errors carry the compared values
+        const failures = (results.failures || []).map(failure => ({
+            test: failure.fullTitle,
+            message: failure.err.message,
+            location: failure.file || 'unknown',
+            stack: failure.err.stack,
+            ...(failure.err.expected !== undefined ? { expected: failure.err.expected } : {}),
+            ...(failure.err.actual !== undefined ? { actual: failure.err.actual } : {})
+        }));
+
+        return {
+            success: results.stats.failures === 0,
+            total: results.stats.tests,
+            passed: results.stats.passes,
+            failed: results.stats.failures,
+            skipped: results.stats.pending,
+            duration: results.stats.duration,
+            failures
+        };
+    }
+};
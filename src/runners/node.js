@@ -0,0 +1,30 @@
+/**
+ * node:test adapter
+ * Runs `node --test` with the TAP reporter; needs no package
+ */
+
+const { parseTap } = require('./tapParser');
+
+module.exports = {
+    package: null,
+    modules: ['node:test'],
+    configFiles: [],
+    coverage: 'wrap',
+    transpiler: 'register',
+
+    detect(project) {
+        return /\bnode\b[^&|;]*\s--test\b/.test(project.testScript);
+    },
+
+    args() {
+        return ['--test', '--test-reporter=tap'];
+    },
+
+    transpilerArgs(transpiler) {
+        return ['--require', transpiler.path];
+    },
+
+    parse(stdout) {
+        return parseTap(stdout);
+    }
+};
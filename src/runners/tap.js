@@ -0,0 +1,27 @@
+/**
+ * node-tap adapter
+ * Runs `tap --reporter=tap`; tap collects its own coverage, so none is added
+ */
+
+const { parseTap } = require('./tapParser');
+
+module.exports = {
+    package: 'tap',
+    bin: 'tap',
+    modules: ['tap'],
+    configFiles: ['.taprc'],
+    coverage: 'none',
+    transpiler: 'none',
+
+    detect(project) {
+        return project.dependsOn('tap') || /(^|[\s&|;])tap(\s|$)/.test(project.testScript);
+    },
+
+    args() {
+        return ['--reporter=tap'];
+    },
+
+    parse(stdout) {
+        return parseTap(stdout);
+    }
+};
@@ -0,0 +1,158 @@
+/**
+ * TAP Parser
+ * Reads TAP 13/14 output from node:test, AVA and node-tap
+ *
+ * Subtests are indented; only leaf test points are counted, and their full
+ * name joins the enclosing `# Subtest:` names. YAML diagnostics after a
+ * failing test point supply the message and location.
+ */
+
+const TEST_POINT = /^(\s*)(not ok|ok)\b\s*(\d+)?\s*(?:-\s*)?(.*)$/;
+const SUBTEST = /^(\s*)# Subtest:\s*(.*)$/;
+const DIRECTIVE = /\s+#\s+(SKIP|TODO)\b.*$/i;
+
+function unquote(value) {
+    const trimmed = value.trim();
+    if (/^'.*'$/.test(trimmed)) return trimmed.slice(1, -1).replace(/''/g, "'");
+    if (/^".*"$/.test(trimmed)) {
+        try {
+            return JSON.parse(trimmed);
+        } catch (error) {
+            return trimmed.slice(1, -1);
+        }
+    }
+    return trimmed;
+}
+
+/**
+ * Parse the top-level keys of a YAML diagnostic block
+ * Block scalars (`|-`, `>`) keep their lines; nested maps are kept as raw text
+ * @param {Array<string>} lines - Lines between `---` and `...`
+ * @returns {Object} Key to string value
+ */
+function parseDiagnostic(lines) {
+    const indent = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length));
+    const diagnostic = {};
+    let key = null;
+    let block = null;
+
+    for (const line of lines) {
+        const own = line.slice(indent);
+        const entry = /^\s/.test(own) ? null : own.match(/^([\w$-]+):\s?(.*)$/);
+
+        if (entry) {
+            key = entry[1];
+            block = /^[|>][-+]?$/.test(entry[2].trim()) || entry[2].trim() === '' ? [] : null;
+            diagnostic[key] = block ? '' : unquote(entry[2]);
+        } else if (key && block) {
+            block.push(own.replace(/^ {2}/, ''));
+            diagnostic[key] = block.join('\n').replace(/\s+$/, '');
+        }
+    }
+
+    return diagnostic;
+}
+
+/**
+ * Split `file:line:col` (or a file URL) into its parts
+ */
+function parseLocation(location) {
+    const match = String(location).replace(/^file:\/\//, '').match(/^(.*?):(\d+)(?::(\d+))?\)?$/);
+    return match
+        ? { file: match[1].replace(/^\(/, ''), line: Number(match[2]), column: Number(match[3] || 0) }
+        : { file: String(location), line: 0, column: 0 };
+}
+
+/**
+ * Parse TAP output into test results
+ * @param {string} output - TAP stream
+ * @returns {Object} `{ success, total, passed, failed, skipped, failures }`
+ * @throws {Error} When the output has no TAP test points
+ */
+function parseTap(output) {
+    const lines = output.split(/\r?\n/);
+    const points = [];
+    const subtests = [];
+    let plan = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const subtest = line.match(SUBTEST);
+        if (subtest) {
+            const indent = subtest[1].length;
+            while (subtests.length > 0 && subtests[subtests.length - 1].indent >= indent) subtests.pop();
+            subtests.push({ indent, name: subtest[2].trim() });
+            continue;
+        }
+
+        const plannedCount = line.match(/^1\.\.(\d+)/);
+        if (plannedCount) {
+            plan = Number(plannedCount[1]);
+            continue;
+        }
+
+        const point = line.match(TEST_POINT);
+        if (!point) continue;
+
+        const indent = point[1].length;
+        const directive = (point[4].match(DIRECTIVE) || [])[1];
+        const name = point[4].replace(DIRECTIVE, '').trim();
+
+        // A YAML block may follow, indented under the test point
+        let diagnostic = {};
+        if (lines[i + 1] !== undefined && lines[i + 1].trim() === '---') {
+            const end = lines.findIndex((candidate, j) => j > i + 1 && candidate.trim() === '...');
+            if (end !== -1) {
+                diagnostic = parseDiagnostic(lines.slice(i + 2, end));
+                i = end;
+            }
+        }
+
+        const parents = subtests.filter(entry => entry.indent < indent).map(entry => entry.name);
+        points.push({
+            indent,
+            ok: point[2] === 'ok',
+            skipped: Boolean(directive),
+            name,
+            fullName: [...parents, name].filter(Boolean).join(' › '),
+            diagnostic
+        });
+    }
+
+    if (points.length === 0) {
+        throw new Error('No TAP test points in output');
+    }
+
+    // Subtest results precede their parent's test point, indented deeper
+    const leaves = points.filter((point, i) => !(i > 0 && points[i - 1].indent > point.indent));
+    const failures = leaves.filter(point => !point.ok && !point.skipped).map(point => {
+        const diag = point.diagnostic;
+        const location = diag.location || diag.at ? parseLocation(diag.location || diag.at) : null;
+        return {
+            test: point.fullName,
+            message: diag.error || diag.message || diag.name || 'Test failed',
+            location: location ? location.file : 'unknown',
+            ...(location ? { line: location.line, column: location.column } : {}),
+            stack: diag.stack,
+            ...(diag.expected !== undefined ? { expected: diag.expected } : {}),
+            ...(diag.actual !== undefined ? { actual: diag.actual } : {})
+        };
+    });
+    const skipped = leaves.filter(point => point.skipped).length;
+
+    return {
+        // Fewer top-level test points than planned means the run died part way
+        success: failures.length === 0 && (plan === null || points.filter(point => point.indent === 0).length >= plan),
+        total: leaves.length,
+        passed: leaves.length - failures.length - skipped,
+        failed: failures.length,
+        skipped,
+        failures
+    };
+}
+
+module.exports = {
+    parseTap,
+    parseDiagnostic,
+    parseLocation
+};
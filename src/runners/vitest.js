@@ -0,0 +1,36 @@
+/**
+ * Vitest adapter
+ * `vitest run --reporter=json` prints Jest-compatible JSON; TypeScript is
+ * handled natively and coverage through the project's @vitest/coverage-* provider
+ */
+
+const jest = require('./jest');
+
+module.exports = {
+    package: 'vitest',
+    bin: 'vitest',
+    modules: ['vitest'],
+    configFiles: ['vitest.config.js', 'vitest.config.mjs', 'vitest.config.ts', 'vitest.config.mts', 'vitest.workspace.ts'],
+    coverage: 'builtin',
+    transpiler: 'none',
+
+    detect(project) {
+        return project.dependsOn('vitest') || /\bvitest\b/.test(project.testScript);
+    },
+
+    args({ coverageDir }) {
+        return [
+            'run',
+            '--reporter=json',
+            ...(coverageDir ? ['--coverage.enabled', '--coverage.reporter=json', `--coverage.reportsDirectory=${coverageDir}`] : [])
+        ];
+    },
+
+    shuffleArgs(seed) {
+        return ['--sequence.shuffle', `--sequence.seed=${seed}`];
+    },
+
+    parse(stdout, stderr) {
+        return jest.parse(stdout, stderr);
+    }
+};
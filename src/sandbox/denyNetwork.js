@@ -0,0 +1,107 @@
+/**
+ * Network Guard
+ * Preloaded with `--require` into sandboxed test processes when the sandbox
+ * denies network access. Outgoing TCP connections and HTTP(S) requests throw
+ * an ERR_NETWORK_DENIED error unless they go to loopback or a local socket;
+ * each blocked attempt is appended to the sandbox's report file.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+const REPORT = process.env.QUALITY_GATES_SANDBOX_REPORT;
+
+const LOOPBACK = /^(localhost|127(\.\d{1,3}){3}|::1|\[::1\]|::ffff:127(\.\d{1,3}){3}|0\.0\.0\.0)$/i;
+
+/**
+ * First stack frame outside this file, Node's internals and native code
+ */
+function callSite(stack) {
+    const frame = stack.split('\n').slice(1)
+        .find(line => !line.includes(__filename) && !/\(node:|at node:|\(<anonymous>\)/.test(line));
+    return frame ? frame.trim().replace(/^at\s+/, '') : undefined;
+}
+
+function deny(host, port) {
+    const target = port ? `${host}:${port}` : host;
+    const error = new Error(`Network access to ${target} is disabled in the test sandbox`);
+    error.code = 'ERR_NETWORK_DENIED';
+
+    if (REPORT) {
+        try {
+            fs.appendFileSync(REPORT, JSON.stringify({ host, port: port ? Number(port) : undefined, at: callSite(error.stack) }) + '\n');
+        } catch (reportError) {
+            // The sandbox reads whatever made it to the file
+        }
+    }
+    return error;
+}
+
+function check(host, port) {
+    const name = String(host || 'localhost');
+    if (!LOOPBACK.test(name)) {
+        throw deny(name, port);
+    }
+}
+
+/**
+ * Host and port of `socket.connect()` arguments; null for local sockets and pipes
+ */
+function socketTarget(args) {
+    let [first, second] = args;
+    if (Array.isArray(first)) {
+        [first, second] = first;
+    }
+    if (first && typeof first === 'object') {
+        return first.path ? null : { host: first.host, port: first.port };
+    }
+    if (typeof first === 'string' && !/^\d+$/.test(first)) {
+        return null;
+    }
+    return { host: typeof second === 'string' ? second : undefined, port: first };
+}
+
+const connect = net.Socket.prototype.connect;
+net.Socket.prototype.connect = function (...args) {
+    const target = socketTarget(args);
+    if (target) check(target.host, target.port);
+    return connect.apply(this, args);
+};
+
+/**
+ * Host and port of `http.request()` arguments; null for requests over a local socket
+ */
+function requestTarget(args, defaultPort) {
+    const [first, second] = args;
+    const url = typeof first === 'string' || first instanceof URL ? new URL(first) : null;
+    const options = url ? (second && typeof second === 'object' ? second : {}) : (first || {});
+
+    if (options.socketPath) {
+        return null;
+    }
+    if (options.hostname || options.host) {
+        return {
+            host: options.hostname || String(options.host).replace(/:\d+$/, ''),
+            port: options.port || defaultPort
+        };
+    }
+    return url
+        ? { host: url.hostname, port: url.port || defaultPort }
+        : { host: 'localhost', port: options.port || defaultPort };
+}
+
+for (const [module, defaultPort] of [[http, 80], [https, 443]]) {
+    for (const method of ['request', 'get']) {
+        const original = module[method];
+        module[method] = function (...args) {
+            const target = requestTarget(args, defaultPort);
+            if (target) check(target.host, target.port);
+            return original.apply(this, args);
+        };
+    }
+}
+
+// ES module named imports of builtins see the patched functions too
+require('module').syncBuiltinESMExports();
@@ -0,0 +1,337 @@
+/**
+ * Sandbox
+ * Runs untrusted test commands as a child process with an allowlisted
+ * environment, a scratch HOME and TMP, and limits on wall-clock time, CPU
+ * time, heap size and output. Whatever the process started is killed with it.
+ *
+ * Limits that are hit are reported as violations
+ * `{ type, message, limit?, host?, port?, at? }` with `type` one of
+ * 'timeout', 'cpu', 'memory', 'output' or 'network'.
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+// Variables a test run needs to find binaries and format text; everything else is dropped
+const DEFAULT_ENV_ALLOWLIST = [
+    'PATH', 'LANG', 'LANGUAGE', 'LC_ALL', 'LC_CTYPE', 'TZ', 'TERM',
+    'SystemRoot', 'SYSTEMROOT', 'ComSpec', 'COMSPEC', 'PATHEXT', 'WINDIR'
+];
+
+const DEFAULTS = {
+    timeout: 60000,                 // Wall-clock limit in ms
+    cpuTime: 60,                    // CPU seconds per process (POSIX only)
+    memory: 1024,                   // V8 heap limit per Node process, in MB
+    maxOutput: 10 * 1024 * 1024,    // stdout + stderr bytes
+    network: true,                  // false preloads the network guard
+    envAllowlist: [],               // Extra variables to pass through; 'PREFIX_*' matches a prefix
+    env: {}                         // Variables to set
+};
+
+const LIMITS = ['timeout', 'cpuTime', 'memory', 'maxOutput'];
+
+const NETWORK_GUARD = path.join(__dirname, 'denyNetwork.js');
+
+// The network guard appends one JSON line per blocked connection to this file
+const REPORT_VARIABLE = 'QUALITY_GATES_SANDBOX_REPORT';
+
+// Sets the CPU limit (hard one second above soft, so SIGXCPU comes before SIGKILL) and execs the command
+const CPU_LIMIT_SCRIPT = 'ulimit -H -t "$1" 2>/dev/null; ulimit -S -t "$2" 2>/dev/null; shift 2; exec "$@"';
+
+/**
+ * Fill in defaults and validate sandbox options
+ * A limit of null or Infinity turns it off
+ * @returns {Object} Options with every field set
+ * @throws {Error} On a limit that is not a positive number
+ */
+function normalizeSandboxOptions(options = {}) {
+    const given = Object.entries(options).filter(([, value]) => value !== undefined);
+    const normalized = { ...DEFAULTS, ...Object.fromEntries(given) };
+    for (const limit of LIMITS) {
+        const value = normalized[limit];
+        if (value !== null && value !== Infinity && !(typeof value === 'number' && value > 0)) {
+            throw new Error(`Invalid sandbox option "${limit}" (expected a positive number, null or Infinity)`);
+        }
+    }
+    if (!Array.isArray(normalized.envAllowlist)) {
+        throw new Error('Invalid sandbox option "envAllowlist" (expected an array of variable names)');
+    }
+    return normalized;
+}
+
+function isLimited(value) {
+    return value !== null && value !== Infinity;
+}
+
+/**
+ * Quote an argument for NODE_OPTIONS
+ */
+function nodeOptionQuote(value) {
+    return `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Environment of a sandboxed process
+ * @param {Object} options - From normalizeSandboxOptions()
+ * @param {{home: string, tmp: string, report: string}} scratch - From createScratch()
+ * @param {Object} base - Environment to filter (default `process.env`)
+ * @returns {Object} Allowlisted variables, scratch HOME/TMP, NODE_OPTIONS for the limits, then `options.env`
+ */
+function sandboxEnv(options, scratch, base = process.env) {
+    const allowed = [...DEFAULT_ENV_ALLOWLIST, ...options.envAllowlist];
+    const matches = name => allowed.some(entry => entry.endsWith('*') ? name.startsWith(entry.slice(0, -1)) : name === entry);
+
+    const nodeOptions = [];
+    if (isLimited(options.memory)) {
+        nodeOptions.push(`--max-old-space-size=${Math.floor(options.memory)}`);
+    }
+    if (options.network === false) {
+        nodeOptions.push(`--require ${nodeOptionQuote(NETWORK_GUARD)}`);
+    }
+
+    return {
+        ...Object.fromEntries(Object.entries(base).filter(([name]) => matches(name))),
+        HOME: scratch.home,
+        USERPROFILE: scratch.home,
+        TMPDIR: scratch.tmp,
+        TMP: scratch.tmp,
+        TEMP: scratch.tmp,
+        ...(nodeOptions.length > 0 ? { NODE_OPTIONS: nodeOptions.join(' ') } : {}),
+        ...(options.network === false ? { [REPORT_VARIABLE]: scratch.report } : {}),
+        ...options.env
+    };
+}
+
+/**
+ * Create an empty HOME and TMP for one run
+ * @returns {Promise<{root: string, home: string, tmp: string, report: string}>}
+ */
+async function createScratch() {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'quality-sandbox-'));
+    const scratch = {
+        root,
+        home: path.join(root, 'home'),
+        tmp: path.join(root, 'tmp'),
+        report: path.join(root, 'violations.jsonl')
+    };
+    await fs.mkdir(scratch.home);
+    await fs.mkdir(scratch.tmp);
+    return scratch;
+}
+
+/**
+ * Kill a process and everything it started
+ * On POSIX the process leads its own process group (see runSandboxed)
+ */
+function killTree(child) {
+    try {
+        if (process.platform === 'win32') {
+            if (child.exitCode !== null || child.signalCode !== null) return;
+            spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore' });
+        } else {
+            process.kill(-child.pid, 'SIGKILL');
+        }
+    } catch (error) {
+        // Already gone
+    }
+}
+
+/**
+ * Network connections the guard blocked, one violation per host and port
+ */
+async function readNetworkViolations(report) {
+    let lines;
+    try {
+        lines = (await fs.readFile(report, 'utf8')).split('\n').filter(Boolean);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const seen = new Map();
+    for (const line of lines) {
+        try {
+            const attempt = JSON.parse(line);
+            const target = attempt.port ? `${attempt.host}:${attempt.port}` : attempt.host;
+            if (!seen.has(target)) {
+                seen.set(target, {
+                    type: 'network',
+                    message: `Network access to ${target} was blocked`,
+                    host: attempt.host,
+                    port: attempt.port,
+                    at: attempt.at
+                });
+            }
+        } catch (error) {
+            // A line cut short by the process being killed
+        }
+    }
+    return [...seen.values()];
+}
+
+/**
+ * Run a command in the sandbox
+ * The command is spawned directly, without a shell
+ * @param {string} command - Executable
+ * @param {Array<string>} args - Arguments
+ * @param {Object} options - Sandbox options plus `cwd` and `signal` (an AbortSignal that kills the run)
+ * @returns {Promise<Object>} `{ code, signal, stdout, stderr, duration, violations }`
+ * @throws {Error} When the command cannot be started, or with name 'AbortError' when aborted
+ */
+async function runSandboxed(command, args, options = {}) {
+    const limits = normalizeSandboxOptions(options);
+    const abortSignal = options.signal;
+    if (abortSignal && abortSignal.aborted) {
+        throw abortError(abortSignal);
+    }
+
+    const scratch = await createScratch();
+    try {
+        let file = command;
+        let argv = args;
+        if (isLimited(limits.cpuTime) && process.platform !== 'win32') {
+            const seconds = Math.ceil(limits.cpuTime);
+            file = '/bin/sh';
+            argv = ['-c', CPU_LIMIT_SCRIPT, 'sh', String(seconds + 1), String(seconds), command, ...args];
+        }
+
+        const result = await new Promise((resolve, reject) => {
+            const started = Date.now();
+            const violations = [];
+            const stdout = [];
+            const stderr = [];
+            let outputBytes = 0;
+            let aborted = false;
+
+            const child = spawn(file, argv, {
+                cwd: options.cwd,
+                env: sandboxEnv(limits, scratch),
+                // Its own process group, so killTree() reaches grandchildren
+                detached: process.platform !== 'win32',
+                windowsHide: true
+            });
+
+            const exited = () => child.exitCode !== null || child.signalCode !== null;
+            // A killed process's grandchildren may hold the pipes open; stop reading once it is gone
+            const stopReading = () => {
+                child.stdout.destroy();
+                child.stderr.destroy();
+            };
+
+            const stop = violation => {
+                if (violation) violations.push(violation);
+                killTree(child);
+                if (exited()) stopReading();
+            };
+
+            const timer = isLimited(limits.timeout) ? setTimeout(() => stop({
+                type: 'timeout',
+                message: `Killed after exceeding the ${limits.timeout}ms time limit`,
+                limit: limits.timeout
+            }), limits.timeout) : null;
+
+            const onAbort = () => {
+                aborted = true;
+                stop(null);
+            };
+            if (abortSignal) abortSignal.addEventListener('abort', onAbort, { once: true });
+
+            const collect = chunks => data => {
+                if (isLimited(limits.maxOutput) && outputBytes + data.length > limits.maxOutput) {
+                    chunks.push(data.subarray(0, Math.max(0, limits.maxOutput - outputBytes)));
+                    outputBytes = limits.maxOutput;
+                    if (!violations.some(violation => violation.type === 'output')) {
+                        stop({
+                            type: 'output',
+                            message: `Killed after writing more than ${limits.maxOutput} bytes of output`,
+                            limit: limits.maxOutput
+                        });
+                    }
+                    return;
+                }
+                outputBytes += data.length;
+                chunks.push(data);
+            };
+            child.stdout.on('data', collect(stdout));
+            child.stderr.on('data', collect(stderr));
+
+            child.on('exit', () => {
+                if (violations.length > 0 || aborted) stopReading();
+            });
+
+            child.on('close', (code, signal) => {
+                clearTimeout(timer);
+                if (abortSignal) abortSignal.removeEventListener('abort', onAbort);
+                // The group may outlive its leader
+                if (process.platform !== 'win32') {
+                    try {
+                        process.kill(-child.pid, 'SIGKILL');
+                    } catch (error) {
+                        // Nothing left
+                    }
+                }
+
+                if (aborted) {
+                    reject(abortError(abortSignal));
+                    return;
+                }
+
+                const errorOutput = Buffer.concat(stderr).toString();
+                if (signal === 'SIGXCPU') {
+                    violations.push({
+                        type: 'cpu',
+                        message: `Killed after exceeding the ${limits.cpuTime}s CPU time limit`,
+                        limit: limits.cpuTime
+                    });
+                }
+                if (isLimited(limits.memory) && /JavaScript heap out of memory|Reached heap limit/.test(errorOutput)) {
+                    violations.push({
+                        type: 'memory',
+                        message: `Ran out of memory (heap limit ${limits.memory} MB)`,
+                        limit: limits.memory
+                    });
+                }
+
+                resolve({
+                    code,
+                    signal,
+                    stdout: Buffer.concat(stdout).toString(),
+                    stderr: errorOutput,
+                    duration: Date.now() - started,
+                    violations
+                });
+            });
+
+            child.on('error', error => {
+                clearTimeout(timer);
+                if (abortSignal) abortSignal.removeEventListener('abort', onAbort);
+                reject(error);
+            });
+        });
+
+        if (limits.network === false) {
+            result.violations.push(...await readNetworkViolations(scratch.report));
+        }
+        return result;
+    } finally {
+        await fs.rm(scratch.root, { recursive: true, force: true });
+    }
+}
+
+function abortError(signal) {
+    const error = new Error('Sandboxed process was aborted');
+    error.name = 'AbortError';
+    error.cause = signal.reason;
+    return error;
+}
+
+module.exports = {
+    DEFAULT_ENV_ALLOWLIST,
+    normalizeSandboxOptions,
+    sandboxEnv,
+    createScratch,
+    killTree,
+    runSandboxed
+};
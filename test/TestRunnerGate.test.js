@@ -1,5 +1,6 @@
 const { expect } = require('chai');
 const TestRunnerGate = require('../src/gates/TestRunnerGate');
+const { getTestRunner } = require('../src/runners');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
@@ -53,15 +54,22 @@ describe('TestRunnerGate', () => {
                 });
             `;
             
-            // This would normally run Jest, but in test environment it might not work
-            // So we're testing the structure and flow
-            const result = await gate.execute(testCode, {
+            // Jest globals alone don't identify the runner, so it is declared;
+            // without the jest package installed the gate says so
+            const jestInstalled = Boolean(gate.resolveRunnerBinary(getTestRunner('jest'), os.tmpdir(), {}));
+            const result = await new TestRunnerGate({ runner: 'jest' }).execute(testCode, {
                 fileName: 'add.test.js'
             });
             
-            expect(result.status).to.match(/pass|fail|skip/);
-            expect(result).to.have.property('stats');
             expect(result).to.have.property('details');
+            expect(result.details.runner).to.equal('jest');
+            if (jestInstalled) {
+                expect(result.status).to.match(/pass|fail/);
+                expect(result).to.have.property('stats');
+            } else {
+                expect(result.status).to.equal('error');
+                expect(result.error).to.equal('Test runner jest was detected but the jest package is not installed');
+            }
         });
         
         it('should handle errors gracefully', async function() {
@@ -0,0 +1,256 @@
+const { expect } = require('chai');
+const ComplexityGate = require('../src/gates/ComplexityGate');
+
+describe('ComplexityGate', () => {
+    let gate;
+
+    beforeEach(() => {
+        gate = new ComplexityGate();
+    });
+
+    const functionsOf = async (code, context) => (await gate.execute(code, context)).details.functions;
+
+    describe('function extraction', () => {
+        it('should name every function form', async () => {
+            const functions = await functionsOf(`
+function declared() {}
+const arrow = () => 1;
+const expr = function () {};
+class User {
+    constructor(name) { this.name = name; }
+    save() {}
+    static load() {}
+    get label() { return this.name; }
+    #secret() {}
+    handler = () => {};
+}
+const api = { fetch() {}, parse: (x) => x };
+module.exports.run = function () {};
+items.map(n => n * 2);
+`);
+
+            expect(functions.map(f => f.name)).to.deep.equal([
+                'declared', 'arrow', 'expr',
+                'User.constructor', 'User.save', 'User.load', 'get User.label', 'User.#secret', 'User.handler',
+                'fetch', 'parse', 'module.exports.run', 'items.map callback'
+            ]);
+        });
+
+        it('should report nested functions separately with their own locations', async () => {
+            const functions = await functionsOf([
+                'function outer(a) {',
+                '    if (a) {',
+                '        return function inner(b) {',
+                '            return b && a;',
+                '        };',
+                '    }',
+                '}'
+            ].join('\n'));
+
+            expect(functions).to.have.lengthOf(2);
+            expect(functions[0]).to.include({ name: 'outer', line: 1, column: 1, complexity: 2, lines: 7 });
+            expect(functions[1]).to.include({ name: 'inner', line: 3, column: 16, complexity: 2, lines: 3 });
+        });
+
+        it('should analyze minified code', async () => {
+            const functions = await functionsOf('function a(b,c){if(b){for(;;){}}return c?1:2}function d(){return 1}');
+
+            expect(functions.map(f => [f.name, f.complexity])).to.deep.equal([['a', 4], ['d', 1]]);
+        });
+
+        it('should parse TypeScript', async () => {
+            const functions = await functionsOf(`
+interface Options { retries: number }
+export class Client {
+    private call(this: Client, url: string, options?: Options): Promise<void> {
+        return options?.retries ? fetch(url) as any : Promise.resolve();
+    }
+}
+`, { language: 'typescript' });
+
+            expect(functions).to.have.lengthOf(1);
+            expect(functions[0]).to.include({ name: 'Client.call', params: 2, complexity: 2 });
+        });
+    });
+
+    describe('thresholds', () => {
+        it('should flag deep nesting with maxDepth', async () => {
+            const strict = new ComplexityGate({ maxDepth: 2 });
+            const result = await strict.execute(`
+function deep(items) {
+    for (const item of items) {
+        if (item) {
+            while (item.next) {
+                item = item.next;
+            }
+        } else if (item === null) {
+            return;
+        }
+    }
+}`);
+
+            expect(result.status).to.equal('warning');
+            expect(result.issues.map(i => i.rule)).to.deep.equal(['nesting-depth']);
+            expect(result.issues[0].message).to.contain('nested 3 deep');
+            expect(result.stats.maxDepth).to.equal(3);
+        });
+
+        it('should flag complexity and parameters at the function location', async () => {
+            const strict = new ComplexityGate({ maxComplexity: 2, maxParametersPerFunction: 1 });
+            const result = await strict.execute('const api = {\n  check(a, b) { return (a && b) || (a ?? b); }\n};');
+
+            expect(result.issues.map(i => [i.rule, i.line, i.column])).to.deep.equal([
+                ['cyclomatic-complexity', 2, 3],
+                ['parameter-count', 2, 3]
+            ]);
+        });
+
+        it('should report unparsable code', async () => {
+            const result = await gate.execute('function (');
+
+            expect(result.status).to.equal('fail');
+            expect(result.issues[0].rule).to.equal('parse-error');
+        });
+    });
+
+    describe('cognitive complexity and size metrics', () => {
+        const sumOfPrimes = `
+function sumOfPrimes(max) {
+    let total = 0;
+    OUT: for (let i = 1; i <= max; ++i) {
+        for (let j = 2; j < i; ++j) {
+            if (i % j == 0) {
+                continue OUT;
+            }
+        }
+        total += i;
+    }
+    return total;
+}`;
+
+        it('should penalize nesting, operator sequences and recursion', async () => {
+            const [primes, words, mixed] = await functionsOf(`${sumOfPrimes}
+function getWords(number) {
+    switch (number) {
+    case 1: return 'one';
+    case 2: return 'a couple';
+    default: return 'lots';
+    }
+}
+function mixed(a, b, c) {
+    if (a && b || c) { return 1; } else if (b) { return 2; } else { return mixed(a); }
+}`);
+
+            expect(primes.cognitive).to.equal(7);
+            expect(words.cognitive).to.equal(1);
+            expect(mixed.cognitive).to.equal(6);
+        });
+
+        it('should report Halstead metrics and maintainability per function and file', async () => {
+            const result = await gate.execute(sumOfPrimes);
+            const [func] = result.details.functions;
+
+            expect(func.halstead.volume).to.be.above(0);
+            expect(func.halstead.effort).to.be.closeTo(func.halstead.volume * func.halstead.difficulty, func.halstead.effort * 0.01);
+            expect(func.maintainabilityIndex).to.be.within(0, 100);
+            expect(func.sloc).to.equal(12);
+            expect(result.stats).to.include({
+                cognitiveComplexity: 7,
+                maxCognitiveComplexity: 7,
+                halsteadVolume: result.details.file.halstead.volume,
+                maintainabilityIndex: result.details.file.maintainabilityIndex,
+                sloc: 12
+            });
+        });
+
+        it('should check each metric against its own threshold', async () => {
+            const strict = new ComplexityGate({
+                maxCognitiveComplexity: 5,
+                maxHalsteadVolume: 100,
+                minMaintainabilityIndex: 90,
+                maxFileCognitiveComplexity: 5
+            });
+            const result = await strict.execute(sumOfPrimes);
+
+            expect(result.issues.map(i => [i.rule, i.line])).to.deep.equal([
+                ['cognitive-complexity', 2],
+                ['halstead-volume', 2],
+                ['maintainability-index', 2],
+                ['file-cognitive-complexity', 1]
+            ]);
+            expect(result.issues[0].message).to.contain('cognitive complexity of 7 (max: 5)');
+            expect(result.issues[2].message).to.contain('(min: 90)');
+        });
+
+        it('should leave Halstead and file thresholds off by default', async () => {
+            const result = await gate.execute(sumOfPrimes);
+
+            expect(result.status).to.equal('pass');
+            expect(result.issues).to.be.empty;
+        });
+    });
+
+    describe('anti-pattern detection', () => {
+        const rulesOf = async (code, options) =>
+            (await new ComplexityGate(options).execute(code)).issues.map(i => [i.rule, i.line]);
+
+        it('should flag nested loops over the same collection and lookups in loops', async () => {
+            expect(await rulesOf(`
+function dupes(items) {
+    for (const a of items) {
+        for (let i = 0; i < items.length; i++) {}
+    }
+    return items.filter(x => items.indexOf(x) !== 0);
+}
+function words(lines) {
+    for (const line of lines) { if (line.includes('x')) return line; }
+}`)).to.deep.equal([
+                ['nested-loops', 4],
+                ['lookup-in-loop', 6]
+            ]);
+        });
+
+        it('should flag accumulator spreads in reduce', async () => {
+            expect(await rulesOf(`
+const byId = rows.reduce((acc, row) => ({ ...acc, [row.id]: row }), {});
+const ids = rows.reduce((acc, row) => { acc.push(row.id); return acc; }, []);`)).to.deep.equal([
+                ['spread-in-reduce', 2]
+            ]);
+        });
+
+        it('should flag independent awaits in loops once per loop', async () => {
+            expect(await rulesOf(`
+async function load(ids, cursor) {
+    for (const id of ids) { await fetch(id); await fetch(id); }
+    for (const id of ids) { cursor = await next(cursor, id); }
+    while (cursor) { await poll(cursor); }
+    for await (const chunk of stream) { await write(chunk); }
+}`)).to.deep.equal([
+                ['await-in-loop', 3]
+            ]);
+        });
+
+        it('should flag tree recursion without memoization', async () => {
+            expect(await rulesOf(`
+function fib(n) { return n < 2 ? n : fib(n - 1) + fib(n - 2); }
+function fibMemo(n, memo = new Map()) {
+    if (memo.has(n)) return memo.get(n);
+    return fibMemo(n - 1, memo) + fibMemo(n - 2, memo);
+}
+function fact(n) { return n ? n * fact(n - 1) : 1; }`)).to.deep.equal([
+                ['unmemoized-recursion', 2]
+            ]);
+        });
+
+        it('should attach a remedy and honor detectPatterns', async () => {
+            const code = 'for (const a of xs) { for (const b of xs) { await save(b); } }';
+            const result = await gate.execute(code);
+
+            expect(result.issues[0].remedy).to.contain('Map or Set');
+            expect(result.stats.antiPatterns).to.equal(2);
+            expect(await rulesOf(code, { detectPatterns: ['O(n²)'] })).to.deep.equal([['nested-loops', 1]]);
+            expect(await rulesOf(code, { detectPatterns: false })).to.deep.equal([]);
+            expect(gate.describeRule('await-in-loop').remedy).to.contain('Promise.all');
+        });
+    });
+});
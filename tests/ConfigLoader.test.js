@@ -0,0 +1,157 @@
+const { expect } = require('chai');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const ConfigLoader = require('../src/ConfigLoader');
+const { ConfigError } = ConfigLoader;
+
+describe('ConfigLoader', () => {
+    let root;
+    let loader;
+
+    const write = async (file, content) => {
+        const target = path.join(root, file);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, content);
+        return target;
+    };
+
+    beforeEach(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'config-loader-'));
+        loader = new ConfigLoader({ cwd: root });
+    });
+
+    afterEach(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    it('should load .repochief/quality.yml from a nested directory', async () => {
+        await write('.repochief/quality.yml', [
+            'runner:',
+            '  parallel: true',
+            'gates:',
+            '  complexity:',
+            '    thresholds:',
+            '      maxCyclomaticComplexity: 4',
+            '  test: false'
+        ].join('\n'));
+        await fs.mkdir(path.join(root, 'src', 'deep'), { recursive: true });
+
+        const config = loader.loadFromDirectory(path.join(root, 'src', 'deep'));
+
+        expect(config.runner).to.deep.equal({ parallel: true });
+        expect(config.gates.complexity.thresholds.maxCyclomaticComplexity).to.equal(4);
+        expect(config.gates.test.enabled).to.equal(false);
+    });
+
+    it('should read the repochief.quality key of package.json', async () => {
+        await write('package.json', JSON.stringify({
+            name: 'app',
+            repochief: { quality: { gates: { security: {} } } }
+        }, null, 2));
+
+        const config = loader.loadFromDirectory(root);
+
+        expect(Object.keys(config.gates)).to.deep.equal(['security']);
+    });
+
+    it('should merge extended presets and shared files', async () => {
+        await write('team/base.yml', [
+            'runner:',
+            '  timeout: 1000',
+            'gates:',
+            '  complexity:',
+            '    thresholds:',
+            '      maxDepth: 3'
+        ].join('\n'));
+        const file = await write('.repochiefrc.yml', [
+            'extends:',
+            '  - repochief:recommended',
+            '  - ./team/base.yml',
+            'gates:',
+            '  complexity:',
+            '    thresholds:',
+            '      maxCyclomaticComplexity: 5'
+        ].join('\n'));
+
+        const config = loader.load(file);
+
+        expect(Object.keys(config.gates)).to.have.members(['eslint', 'security', 'complexity']);
+        expect(config.gates.complexity.thresholds).to.deep.equal({ maxDepth: 3, maxCyclomaticComplexity: 5 });
+        expect(config.runner.timeout).to.equal(1000);
+        expect(config.sources).to.include(path.join(root, 'team', 'base.yml'));
+    });
+
+    it('should re-enable a gate the parent config disabled', async () => {
+        await write('base.yml', 'gates:\n  security: false\n  complexity: false\n');
+        const file = await write('.repochiefrc.yml', 'extends: ./base.yml\ngates:\n  security: true\n');
+
+        const config = loader.load(file);
+
+        expect(config.gates.security.enabled).to.equal(true);
+        expect(config.gates.complexity.enabled).to.equal(false);
+        expect(loader.createRunner(config).gates.map(entry => [entry.gate.name, entry.enabled])).to.deep.equal([
+            ['security', true],
+            ['complexity', false]
+        ]);
+    });
+
+    it('should report JS presets that fail to load as config errors', async () => {
+        await write('broken-preset.js', "throw new Error('boom');\n");
+        const file = await write('.repochiefrc.yml', 'extends: ./broken-preset.js\n');
+
+        expect(() => loader.load(file)).to.throw(ConfigError)
+            .with.property('message', `${file}:1:1: extends: cannot load "./broken-preset.js": boom`);
+    });
+
+    it('should point schema errors at the failing line', async () => {
+        const file = await write('.repochiefrc.yml', [
+            'runner:',
+            '  parallel: true',
+            'gates:',
+            '  complexity:',
+            '    thresholds:',
+            '      maxDepth: deep'
+        ].join('\n'));
+
+        expect(() => loader.load(file)).to.throw(ConfigError)
+            .with.property('message', `${file}:6:7: gates.complexity.thresholds.maxDepth: expected a number, got "deep"`);
+    });
+
+    it('should reject unknown gate types', async () => {
+        const file = await write('.repochief/quality.json', '{\n  "gates": {\n    "pylint": {}\n  }\n}\n');
+
+        expect(() => loader.load(file)).to.throw(ConfigError, /:3:5: gates.pylint: unknown gate type "pylint"/);
+    });
+
+    it('should report YAML syntax errors with a line', async () => {
+        const file = await write('.repochiefrc', 'gates:\n  eslint: [\n');
+
+        expect(() => loader.load(file)).to.throw(ConfigError).with.property('line').that.is.a('number');
+    });
+
+    it('should detect circular extends', async () => {
+        await write('a.yml', 'extends: ./b.yml\n');
+        const file = await write('b.yml', 'extends: ./a.yml\n');
+
+        expect(() => loader.load(file)).to.throw(ConfigError, /Circular extends/);
+    });
+
+    it('should build a runner through createGate', async () => {
+        const file = await write('.repochiefrc.json', JSON.stringify({
+            runner: { continueOnFailure: false, timeout: 5000 },
+            gates: {
+                strict: { type: 'complexity', thresholds: { maxParametersPerFunction: 2 } },
+                security: { enabled: false }
+            }
+        }));
+
+        const runner = loader.createRunner(loader.load(file));
+
+        expect(runner.continueOnFailure).to.equal(false);
+        expect(runner.timeout).to.equal(5000);
+        expect(runner.gates.map(g => g.gate.name)).to.deep.equal(['strict', 'security']);
+        expect(runner.gates[0].gate.thresholds.maxParametersPerFunction).to.equal(2);
+        expect(runner.gates[1].enabled).to.equal(false);
+    });
+});
@@ -1,4 +1,7 @@
 const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
 const ESLintGate = require('../src/gates/ESLintGate');
 
 describe('ESLintGate', () => {
@@ -61,6 +64,20 @@ module.exports = { greet, farewell };`;
             expect(result.details.fileName).to.include('.ts');
         });
         
+        it('should parse TypeScript without a TS toolchain installed', async () => {
+            const tsCode = `interface User {
+    name: string;
+}
+
+export const greet = (user: User): string => \`Hello, \${user.name}\`;
+export enum Color { Red }
+`;
+            
+            const result = await eslintGate.execute(tsCode, { fileName: 'src/greet.ts' });
+            expect(result.issues).to.deep.equal([]);
+            expect(result.details.typescript).to.deep.equal({ parser: '@babel/eslint-parser', typeAware: false });
+        });
+        
         it('should detect fixable issues', async () => {
             const fixableCode = `
                 const message = "double quotes";
@@ -83,6 +100,103 @@ module.exports = { greet, farewell };`;
         });
     });
     
+    describe('in-memory linting', () => {
+        const tempFiles = () => fs.readdirSync(process.cwd()).filter(name => name.startsWith('.temp-eslint'));
+
+        it('should lint many files concurrently without writing temp files', async () => {
+            const codes = Array.from({ length: 8 }, (_, i) => `const value${i} = ${i};\nmodule.exports = value${i};\n`);
+            codes.push('var broken = 1\n');
+
+            const results = await Promise.all(codes.map((code, i) =>
+                eslintGate.execute(code, { fileName: `src/file${i}.js` })));
+
+            expect(results.slice(0, 8).map(r => r.status)).to.deep.equal(Array(8).fill('pass'));
+            expect(results[8].issues.map(i => i.rule)).to.include.members(['no-var', 'semi']);
+            expect(results[8].details.fileName).to.equal('src/file8.js');
+            expect(tempFiles()).to.deep.equal([]);
+        });
+
+        it('should match config overrides against the virtual file name', async () => {
+            const gate = new ESLintGate({
+                eslintConfig: {
+                    baseConfig: {
+                        ...eslintGate.getDefaultConfig(),
+                        overrides: [{ files: ['scripts/**'], rules: { 'no-console': 'off' } }]
+                    }
+                }
+            });
+            const code = "console.log('done');\n";
+
+            expect((await gate.execute(code, { fileName: 'scripts/build.js' })).status).to.equal('pass');
+            expect((await gate.execute(code, { fileName: 'src/index.js' })).issues[0].rule).to.equal('no-console');
+        });
+    });
+    
+    describe('project config', () => {
+        let root;
+        
+        const write = (name, content) => {
+            fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+            fs.writeFileSync(path.join(root, name), content);
+        };
+        
+        beforeEach(() => {
+            root = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-gate-'));
+        });
+        
+        afterEach(() => {
+            fs.rmSync(root, { recursive: true, force: true });
+        });
+        
+        it('should use a flat eslint.config.js and report it as the config source', async () => {
+            write('eslint.config.js', "module.exports = [{ files: ['**/*.js'], rules: { semi: ['error', 'never'] } }];\n");
+            
+            const result = await eslintGate.execute("console.log('x');\n", { projectPath: root, fileName: 'src/a.js' });
+            
+            expect(result.issues.map(i => i.rule)).to.deep.equal(['semi']);
+            expect(result.configSource).to.deep.equal({ type: 'flat', file: path.join(root, 'eslint.config.js'), mode: 'project' });
+        });
+        
+        it('should use legacy .eslintrc with plugins resolved from the project root', async () => {
+            write('.eslintrc.json', JSON.stringify({
+                root: true,
+                parserOptions: { ecmaVersion: 2022 },
+                plugins: ['local'],
+                rules: { 'local/no-todo': 'error', 'no-var': 'warn' }
+            }));
+            write('node_modules/eslint-plugin-local/index.js', `module.exports = { rules: { 'no-todo': {
+                create: context => ({ Program(node) {
+                    if (context.getSourceCode().text.includes('TODO')) context.report({ node, message: 'No TODOs' });
+                } })
+            } } };`);
+            
+            const result = await eslintGate.execute('var a = 1; // TODO\n', { projectPath: root, fileName: 'a.js' });
+            
+            expect(result.issues.map(i => [i.rule, i.severity])).to.deep.equal([['local/no-todo', 'error'], ['no-var', 'warning']]);
+            expect(result.configSource).to.include({ type: 'eslintrc', mode: 'project' });
+        });
+        
+        it('should enforce rules on top of the project config in merge mode', async () => {
+            write('package.json', JSON.stringify({ name: 'app', eslintConfig: { root: true, parserOptions: { ecmaVersion: 2022, sourceType: 'module' }, rules: { 'no-var': 'error' } } }));
+            const gate = new ESLintGate({ configMode: 'merge', rules: { eqeqeq: 'error' }, cwd: root });
+            
+            const result = await gate.execute('var a = 1;\nif (a == 2) { a = 3; }\n', { fileName: 'a.js' });
+            
+            expect(result.issues.map(i => i.rule)).to.deep.equal(['no-var', 'eqeqeq']);
+            expect(result.configSource).to.deep.equal({ type: 'eslintrc', file: path.join(root, 'package.json'), mode: 'merge' });
+            expect((await gate.fix('var b = 1;\n', { fileName: 'b.js' })).code).to.equal('let b = 1;\n');
+        });
+        
+        it('should fall back to the built-in config, or fail in project mode', async () => {
+            const auto = await eslintGate.execute('const a = 1;\nmodule.exports = a;\n', { projectPath: root });
+            expect(auto.configSource).to.deep.equal({ type: 'default', file: null, mode: 'default' });
+            
+            const strict = await new ESLintGate({ configMode: 'project' }).execute('x;\n', { projectPath: root });
+            expect(strict.status).to.equal('error');
+            expect(strict.error).to.match(/No ESLint config found/);
+        });
+    });
+    
     describe('fix', () => {
         it('should automatically fix fixable issues', async () => {
             const codeToFix = `
@@ -96,6 +210,16 @@ module.exports = { greet, farewell };`;
             expect(result.code).to.include("'double quotes'"); // Fixed to single quotes
             expect(result.code).to.include('const oldVar'); // Fixed var to const
         });
+        
+        it('should reuse one fixer without writing temp files', async () => {
+            await eslintGate.fix('var a = "x";\n', { fileName: 'src/a.js' });
+            const { fixer } = await eslintGate.getLinter(process.cwd());
+            const result = await eslintGate.fix('var b = "y";\n', { fileName: 'src/b.js' });
+            
+            expect((await eslintGate.getLinter(process.cwd())).fixer).to.equal(fixer);
+            expect(result.code).to.equal("const b = 'y';\n");
+            expect(fs.readdirSync(process.cwd()).filter(name => name.startsWith('.temp-eslint'))).to.deep.equal([]);
+        });
     });
     
     describe('custom configuration', () => {
@@ -0,0 +1,182 @@
+const { expect } = require('chai');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const LicenseGate = require('../src/gates/LicenseGate');
+const { parseExpression, classifyLicense, declaredLicense } = require('../src/analysis/spdx');
+
+const lockfile = packages => JSON.stringify({
+    name: 'app',
+    lockfileVersion: 3,
+    packages: { '': { name: 'app', license: 'MIT' }, ...packages }
+}, null, 2);
+
+describe('LicenseGate', () => {
+    let root;
+
+    const install = async (name, manifest) => {
+        const dir = path.join(root, 'node_modules', name);
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({ name, version: '1.0.0', ...manifest }, null, 2));
+    };
+
+    beforeEach(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'license-gate-'));
+        await install('left-pad', { license: 'MIT' });
+        await install('dual', { license: '(MIT OR GPL-3.0-only)' });
+        await install('gpl-lib', { license: 'GPL-3.0-or-later' });
+        await install('@acme/agpl', { license: 'AGPL-3.0-only' });
+        await install('legacy', { licenses: [{ type: 'Apache 2.0' }] });
+        await install('mystery', {});
+        await fs.writeFile(path.join(root, 'package-lock.json'), lockfile({
+            'node_modules/left-pad': { version: '1.0.0' },
+            'node_modules/dual': { version: '1.0.0' },
+            'node_modules/gpl-lib': { version: '1.0.0', dev: true },
+            'node_modules/@acme/agpl': { version: '1.0.0' },
+            'node_modules/legacy': { version: '1.0.0' },
+            'node_modules/mystery': { version: '1.0.0' },
+            'node_modules/not-installed': { version: '2.0.0', license: 'MPL-2.0' }
+        }));
+    });
+
+    afterEach(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    const check = (options, code = {}, context = {}) =>
+        new LicenseGate(options).execute(code, { projectPath: root, ...context });
+
+    describe('SPDX expressions', () => {
+        it('should parse compound expressions with precedence and exceptions', () => {
+            expect(parseExpression('MIT OR Apache-2.0 AND BSD-3-Clause')).to.deep.equal({
+                type: 'or',
+                operands: [
+                    { type: 'license', id: 'MIT', exception: null },
+                    {
+                        type: 'and',
+                        operands: [
+                            { type: 'license', id: 'Apache-2.0', exception: null },
+                            { type: 'license', id: 'BSD-3-Clause', exception: null }
+                        ]
+                    }
+                ]
+            });
+            expect(parseExpression('(GPL-2.0-only WITH Classpath-exception-2.0)')).to.deep.equal(
+                { type: 'license', id: 'GPL-2.0-only', exception: 'Classpath-exception-2.0' });
+            expect(() => parseExpression('MIT OR')).to.throw(/Invalid SPDX expression/);
+        });
+
+        it('should classify licenses and read legacy package.json forms', () => {
+            expect(['MIT', 'CC0-1.0', 'LGPL-2.1-or-later', 'GPL-3.0+', 'AGPL-3.0-only', 'UNLICENSED', 'Foo-1.0'].map(classifyLicense))
+                .to.deep.equal(['permissive', 'public-domain', 'weak-copyleft', 'strong-copyleft', 'network-copyleft', 'proprietary', 'unknown']);
+            expect(declaredLicense({ license: { type: 'ISC' } })).to.equal('ISC');
+            expect(declaredLicense({ licenses: [{ type: 'MIT' }, { type: 'Apache-2.0' }] })).to.equal('(MIT OR Apache-2.0)');
+        });
+    });
+
+    describe('dependencies', () => {
+        it('should deny copyleft licenses by default with lockfile locations', async () => {
+            const result = await check();
+
+            expect(result.status).to.equal('fail');
+            expect(result.issues.map(i => [i.package, i.rule, i.severity, i.category])).to.deep.equal([
+                ['gpl-lib', 'denied-license', 'error', 'strong-copyleft'],
+                ['@acme/agpl', 'denied-license', 'error', 'network-copyleft'],
+                ['mystery', 'missing-license', 'warning', 'unknown']
+            ]);
+            expect(result.issues[1]).to.include({ file: 'package-lock.json', line: 19, dependencyType: 'prod' });
+            expect(result.issues[1].message).to.equal(
+                '@acme/agpl@1.0.0 (prod) is licensed AGPL-3.0-only, network-copyleft, which is denied');
+            expect(result.stats).to.include({ packages: 7, denied: 2, unknown: 1 });
+            expect(result.details.categories).to.include({ permissive: 3, 'weak-copyleft': 1 });
+        });
+
+        it('should enforce an allow list with globs and categories', async () => {
+            const result = await check({ allow: ['MIT', 'Apache-*'], deny: ['AGPL-3.0'], production: true });
+
+            expect(result.issues.map(i => [i.package, i.rule])).to.deep.equal([
+                ['@acme/agpl', 'denied-license'],
+                ['mystery', 'missing-license'],
+                ['not-installed', 'license-not-allowed']
+            ]);
+
+            const permissive = await check({ allow: ['permissive', 'weak-copyleft'], deny: [], ignorePackages: ['mystery'] });
+            expect(permissive.issues.map(i => i.package)).to.deep.equal(['gpl-lib', '@acme/agpl']);
+        });
+
+        it('should only check packages added by the change when asked', async () => {
+            const files = {
+                'package-lock.json': lockfile({
+                    'node_modules/left-pad': { version: '1.0.0' },
+                    'node_modules/gpl-lib': { version: '1.0.0' }
+                })
+            };
+            const base = lockfile({ 'node_modules/left-pad': { version: '1.0.0' } });
+
+            const result = await check({ onlyNew: true }, files, { baseLockfile: base });
+
+            expect(result.issues.map(i => [i.package, i.introduced])).to.deep.equal([['gpl-lib', true]]);
+            expect(result.issues[0].message).to.match(/^gpl-lib@1\.0\.0 \(prod, new\)/);
+        });
+
+        it('should read package manifests with bounded concurrency', async () => {
+            const gate = new LicenseGate({ concurrency: 2 });
+            const readManifest = gate.readManifest.bind(gate);
+            let active = 0;
+            let peak = 0;
+            gate.readManifest = async (...args) => {
+                peak = Math.max(peak, ++active);
+                try {
+                    await new Promise(resolve => setTimeout(resolve, 5));
+                    return await readManifest(...args);
+                } finally {
+                    active--;
+                }
+            };
+
+            const result = await gate.execute({}, { projectPath: root });
+
+            expect(peak).to.equal(2);
+            expect(result.stats.packages).to.equal(7);
+            expect(result.issues.map(i => i.package)).to.include.members(['@acme/agpl', 'gpl-lib', 'mystery']);
+        });
+
+        it('should fall back to node_modules without a lockfile', async () => {
+            await fs.rm(path.join(root, 'package-lock.json'));
+
+            const result = await check();
+
+            expect(result.issues.map(i => [i.package, i.file, i.line])).to.deep.equal([
+                ['@acme/agpl', 'node_modules/@acme/agpl/package.json', 4],
+                ['gpl-lib', 'node_modules/gpl-lib/package.json', 4],
+                ['mystery', 'node_modules/mystery/package.json', 1]
+            ]);
+        });
+    });
+
+    describe('source files', () => {
+        it('should flag copied GPL code and missing headers', async () => {
+            const result = await check({ header: { pattern: 'SPDX-License-Identifier: MIT', exclude: ['scripts/**'] } }, {
+                'src/ok.js': '// SPDX-License-Identifier: MIT\nmodule.exports = 1;\n',
+                'src/copied.js': [
+                    '/*',
+                    ' * This program is free software: you can redistribute it and/or modify',
+                    ' * it under the terms of the GNU General Public License as published by',
+                    ' * the Free Software Foundation, either version 3 of the License.',
+                    ' */'
+                ].join('\n'),
+                'src/tagged.js': '// SPDX-License-Identifier: AGPL-3.0-or-later\n',
+                'scripts/build.js': 'run();\n',
+                'README.md': 'Licensed under the GNU General Public License'
+            });
+
+            expect(result.issues.filter(i => !i.package).map(i => [i.file, i.line, i.rule, i.license])).to.deep.equal([
+                ['src/copied.js', 3, 'copied-code-license', 'GPL-3.0'],
+                ['src/copied.js', 1, 'missing-license-header', undefined],
+                ['src/tagged.js', 1, 'copied-code-license', 'AGPL-3.0-or-later'],
+                ['src/tagged.js', 1, 'missing-license-header', undefined]
+            ]);
+            expect(result.stats).to.include({ copiedCode: 2, missingHeaders: 2, filesChecked: 4 });
+        });
+    });
+});
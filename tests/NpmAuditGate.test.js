@@ -0,0 +1,145 @@
+const { expect } = require('chai');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const NpmAuditGate = require('../src/gates/NpmAuditGate');
+
+const lockfile = packages => JSON.stringify({
+    name: 'app',
+    lockfileVersion: 3,
+    requires: true,
+    packages: {
+        '': {
+            name: 'app',
+            dependencies: { lodash: '^4.17.0', minimist: '^1.2.0' },
+            devDependencies: { mocha: '^10.0.0' }
+        },
+        ...packages
+    }
+}, null, 2);
+
+const advisories = {
+    lodash: [
+        { id: 'GHSA-35jh-r3h4-6jhm', title: 'Command Injection in lodash', severity: 'high', vulnerable_versions: '<4.17.21', cwe: ['CWE-77'] }
+    ],
+    minimist: [
+        { id: 'GHSA-xvch-5gv4-984h', title: 'Prototype Pollution in minimist', severity: 'critical', vulnerable_versions: '<0.2.4 || >=1.0.0 <1.2.6' }
+    ],
+    nanoid: [
+        { id: 'GHSA-qrpm-p2h7-hrv2', title: 'Predictable results in nanoid', severity: 'moderate', vulnerable_versions: '<3.3.8' }
+    ],
+    debug: [
+        { id: 'GHSA-gxpj-cx7g-858c', title: 'Regular Expression Denial of Service in debug', severity: 'low', vulnerable_versions: '<=4.3.0' }
+    ]
+};
+
+const installed = {
+    'node_modules/lodash': { version: '4.17.20' },
+    'node_modules/minimist': { version: '1.2.5' },
+    'node_modules/mocha': { version: '10.2.0', dev: true },
+    'node_modules/mocha/node_modules/nanoid': { version: '3.3.1', dev: true },
+    'node_modules/debug': { version: '4.3.0', dev: true }
+};
+
+describe('NpmAuditGate', () => {
+    let root;
+
+    beforeEach(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'npm-audit-'));
+        await fs.mkdir(path.join(root, '.repochief'));
+        await fs.writeFile(path.join(root, '.repochief', 'advisories.json'), JSON.stringify({ generatedAt: '2026-01-01', advisories }));
+        await fs.writeFile(path.join(root, 'package-lock.json'), lockfile(installed));
+    });
+
+    afterEach(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    const audit = (options, code = '', context = {}) =>
+        new NpmAuditGate(options).execute(code, { projectPath: root, ...context });
+
+    it('should audit every installed package offline and report fix versions', async () => {
+        const result = await audit();
+
+        expect(result.status).to.equal('fail');
+        expect(result.issues.map(i => [i.package, i.advisorySeverity, i.dependencyType, i.fixVersion])).to.deep.equal([
+            ['lodash', 'high', 'prod', '4.17.21'],
+            ['minimist', 'critical', 'prod', '1.2.6'],
+            ['nanoid', 'moderate', 'dev', '3.3.8'],
+            ['debug', 'low', 'dev', '4.3.1']
+        ]);
+        expect(result.issues[0]).to.include({ file: 'package-lock.json', line: 16, direct: true, cwe: 'CWE-77' });
+        expect(result.issues[0].message).to.equal(
+            'lodash@4.17.20 (prod, direct) has a high severity advisory GHSA-35jh-r3h4-6jhm: Command Injection in lodash. Fixed in 4.17.21');
+        expect(result.issues[2].direct).to.equal(false);
+        expect(result.stats).to.include({ dependencies: 5, prodDependencies: 2, devDependencies: 3, vulnerable: 4, critical: 1, low: 1 });
+    });
+
+    it('should only fail at or above the configured level', async () => {
+        const result = await audit({ level: 'high' });
+
+        expect(result.issues.map(i => [i.package, i.severity])).to.deep.equal([
+            ['lodash', 'error'],
+            ['minimist', 'error'],
+            ['nanoid', 'info'],
+            ['debug', 'info']
+        ]);
+
+        const lenient = await audit({ level: 'critical', ignore: ['GHSA-xvch-5gv4-984h'] });
+        expect(lenient.status).to.equal('pass');
+        expect(() => new NpmAuditGate({ level: 'severe' })).to.throw(/Invalid audit level/);
+    });
+
+    it('should skip devDependencies in production mode', async () => {
+        const result = await audit({ production: true });
+
+        expect(result.issues.map(i => i.package)).to.deep.equal(['lodash', 'minimist']);
+    });
+
+    it('should mark packages the change introduced and optionally audit only those', async () => {
+        const before = { ...installed };
+        delete before['node_modules/debug'];
+        const changed = lockfile({ ...installed, 'node_modules/lodash': { version: '4.17.15' } });
+        const files = { 'package-lock.json': changed, 'src/app.js': 'module.exports = 1;' };
+        await fs.writeFile(path.join(root, 'package-lock.json'), lockfile(before));
+
+        const result = await audit({}, files);
+
+        expect(result.details.newDependencies).to.deep.equal(['lodash@4.17.15', 'debug@4.3.0']);
+        expect(result.issues.find(i => i.package === 'lodash')).to.include({ introduced: true, version: '4.17.15' });
+        expect(result.issues.find(i => i.package === 'minimist').introduced).to.equal(false);
+
+        const onlyNew = await audit({ onlyNew: true }, files);
+        expect(onlyNew.issues.map(i => i.package)).to.deep.equal(['lodash', 'debug']);
+
+        const explicit = await audit({ onlyNew: true }, { 'package-lock.json': lockfile(installed) }, { baseLockfile: lockfile(before) });
+        expect(explicit.issues.map(i => i.package)).to.deep.equal(['debug']);
+    });
+
+    it('should derive fix versions from advisory ranges', () => {
+        const { fixVersionFor } = NpmAuditGate;
+
+        expect(fixVersionFor('0.1.0', advisories.minimist[0])).to.equal('0.2.4');
+        expect(fixVersionFor('1.2.5', { vulnerable_versions: '>=1.0.0 <1.2.3 || >=1.2.3 <1.3.0' })).to.equal('1.3.0');
+        expect(fixVersionFor('2.0.0', { vulnerable_versions: '>=2.0.0' })).to.equal(null);
+        expect(fixVersionFor('2.0.0', { vulnerable_versions: '<3.0.0', patched_versions: '>=2.5.1' })).to.equal('2.5.1');
+        expect(fixVersionFor('2.0.0', { vulnerable_versions: '*', patched_versions: '<0.0.0' })).to.equal(null);
+    });
+
+    it('should reject v1 lockfiles and require the advisory database', async () => {
+        const missing = await audit({ advisoryDb: 'missing.json' });
+        expect(missing.status).to.equal('error');
+        expect(missing.error).to.match(/Advisory database not found/);
+
+        await fs.writeFile(path.join(root, 'package-lock.json'), JSON.stringify({ lockfileVersion: 1, dependencies: {} }));
+        const v1 = await audit();
+        expect(v1.status).to.equal('error');
+        expect(v1.error).to.match(/Unsupported lockfileVersion 1/);
+    });
+
+    it('should skip projects without a lockfile', async () => {
+        await fs.rm(path.join(root, 'package-lock.json'));
+
+        expect((await audit()).status).to.equal('skip');
+    });
+});
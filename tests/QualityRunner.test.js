@@ -0,0 +1,307 @@
+const { expect } = require('chai');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const QualityRunner = require('../src/QualityRunner');
+const ResultReporter = require('../src/ResultReporter');
+const BaseQualityGate = require('../src/BaseQualityGate');
+const SecurityGate = require('../src/gates/SecurityGate');
+const ESLintGate = require('../src/gates/ESLintGate');
+const { createUnifiedDiff } = require('../src/UnifiedDiff');
+const { anySignal } = require('../src/Cancellation');
+
+class FileCountGate extends BaseQualityGate {
+    async execute(files) {
+        return {
+            status: 'pass',
+            stats: { files: Object.keys(files).length }
+        };
+    }
+}
+
+// Appends a final newline; records the code it was given
+class NewlineGate extends BaseQualityGate {
+    async execute() {
+        return { status: 'pass' };
+    }
+
+    async fix(code) {
+        this.received = code;
+        return { fixed: true, code: code.endsWith('\n') ? code : `${code}\n` };
+    }
+}
+
+// Reports one issue per step; returns what it has once its signal aborts
+class StepGate extends BaseQualityGate {
+    async execute(code, context) {
+        const issues = [];
+        for (let step = 1; step <= this.config.steps; step++) {
+            if (context.signal.aborted) {
+                return { status: 'fail', issues, stats: { steps: step - 1 } };
+            }
+            issues.push({ severity: 'warning', message: `step ${step}`, line: step, column: 0 });
+            await this.sleep(this.config.delay);
+        }
+        return { status: 'pass', issues, stats: { steps: this.config.steps } };
+    }
+}
+
+// Ignores its signal
+class StuckGate extends BaseQualityGate {
+    execute() {
+        return new Promise(resolve => setTimeout(() => resolve({ status: 'pass' }), 2000));
+    }
+}
+
+describe('QualityRunner', () => {
+    let runner;
+
+    beforeEach(() => {
+        runner = new QualityRunner({ reporter: new ResultReporter() });
+    });
+
+    describe('runFiles', () => {
+        it('should run file gates per file and attribute issues', async () => {
+            runner.addGate(new SecurityGate({ name: 'security' }));
+
+            const summary = await runner.runFiles({
+                'src/safe.js': 'const a = 1;\n',
+                'src/unsafe.js': 'const b = 2;\neval(input);\n'
+            });
+
+            expect(summary.fileCount).to.equal(2);
+            expect(summary.files['src/safe.js'].issues).to.have.lengthOf(0);
+            expect(summary.files['src/unsafe.js'].status).to.equal('failed');
+            expect(summary.files['src/unsafe.js'].issues[0]).to.include({ line: 2, gate: 'security' });
+
+            const result = summary.gates.security.results[0];
+            expect(result.status).to.equal('failed');
+            expect(result.stats.filesAnalyzed).to.equal(2);
+            expect(result.details.files['src/safe.js'].status).to.equal('passed');
+            expect(summary.overallStatus).to.equal('failed');
+        });
+
+        it('should hand the whole file map to project-scoped gates', async () => {
+            runner.addGate(new FileCountGate({ name: 'count', scope: 'project' }));
+
+            const summary = await runner.runFiles(new Map([['a.js', ''], ['b.js', '']]));
+
+            expect(summary.gates.count.results[0].stats.files).to.equal(2);
+            expect(summary.gates.count.total).to.equal(1);
+        });
+
+        it('should aggregate stats by prefix and by the gate aggregation map', () => {
+            const result = QualityRunner.mergeFileResults('metrics', {
+                'a.js': { status: 'passed', issues: [], stats: { maxC: 3, minMi: 40, avgC: 2, sloc: 10, mi: 40 } },
+                'b.js': { status: 'passed', issues: [], stats: { maxC: 5, minMi: 70, avgC: 4, sloc: 5, mi: 70 } }
+            }, { mi: 'avg' });
+
+            expect(result.stats).to.include({ maxC: 5, minMi: 40, avgC: 3, sloc: 15, mi: 55, filesAnalyzed: 2 });
+        });
+    });
+
+    describe('runProject', () => {
+        let root;
+
+        beforeEach(async () => {
+            root = await fs.mkdtemp(path.join(os.tmpdir(), 'runner-project-'));
+            await fs.mkdir(path.join(root, 'src'));
+            await fs.mkdir(path.join(root, 'node_modules'));
+            await fs.writeFile(path.join(root, 'src', 'index.js'), 'module.exports = 1;\n');
+            await fs.writeFile(path.join(root, 'src', 'notes.md'), '# notes\n');
+            await fs.writeFile(path.join(root, 'node_modules', 'dep.js'), 'eval(x);\n');
+        });
+
+        afterEach(async () => {
+            await fs.rm(root, { recursive: true, force: true });
+        });
+
+        it('should expand globs relative to the root', async () => {
+            runner.addGate(new SecurityGate({ name: 'security' }));
+
+            const summary = await runner.runProject({ root });
+
+            expect(Object.keys(summary.files)).to.deep.equal(['src/index.js']);
+            expect(summary.overallStatus).to.equal('passed');
+        });
+
+        it('should honor include and exclude patterns', async () => {
+            runner.addGate(new SecurityGate({ name: 'security' }));
+
+            const summary = await runner.runProject({
+                root,
+                include: ['**/*.js'],
+                exclude: ['src/**']
+            });
+
+            expect(Object.keys(summary.files)).to.deep.equal(['node_modules/dep.js']);
+            expect(summary.overallStatus).to.equal('failed');
+        });
+    });
+
+    describe('fix', () => {
+        const code = 'var a = "x";\nconsole.log(a)';
+
+        beforeEach(() => {
+            runner.addGate(new NewlineGate({ name: 'newline', fixOrder: 200 }));
+            runner.addGate(new ESLintGate({ name: 'eslint' }));
+            runner.addGate(new SecurityGate({ name: 'security' }));
+        });
+
+        it('should chain fixers in order and re-verify the result', async () => {
+            const result = await runner.fix(code, { fileName: 'src/a.js' });
+
+            expect(runner.getFixers().map(gate => gate.name)).to.deep.equal(['eslint', 'newline']);
+            expect(runner.gates[0].gate.received).to.equal('const a = \'x\';\nconsole.log(a);');
+            expect(result.code).to.equal('const a = \'x\';\nconsole.log(a);\n');
+            expect(result.fixes.map(fix => [fix.gate, fix.rule])).to.deep.equal([
+                ['eslint', 'no-var'],
+                ['eslint', 'quotes'],
+                ['eslint', 'semi'],
+                ['newline', null]
+            ]);
+            expect(result.remaining.map(issue => [issue.gate, issue.rule, issue.line])).to.deep.equal([
+                ['eslint', 'no-console', 2]
+            ]);
+            expect(result.summary.gates.security.passed).to.equal(1);
+            expect(result.diff).to.equal([
+                '--- a/src/a.js',
+                '+++ b/src/a.js',
+                '@@ -1,2 +1,2 @@',
+                '-var a = "x";',
+                '-console.log(a)',
+                '\\ No newline at end of file',
+                '+const a = \'x\';',
+                '+console.log(a);',
+                ''
+            ].join('\n'));
+        });
+
+        it('should report what would change on a dry run', async () => {
+            const result = await runner.fix(code, { fileName: 'src/a.js' }, { dryRun: true });
+
+            expect(result).to.include({ code, changed: true, dryRun: true });
+            expect(result.diff).to.contain('+console.log(a);');
+
+            const clean = await runner.fix('module.exports = 1;\n', {}, { dryRun: true });
+            expect(clean).to.include({ changed: false, diff: '' });
+            expect(clean.fixes).to.deep.equal([]);
+        });
+
+        it('should forget the run when fixing throws', async () => {
+            runner.on('gate-fixed', () => {
+                throw new Error('listener failed');
+            });
+
+            let error;
+            try {
+                await runner.fix(code, { fileName: 'src/a.js' });
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error.message).to.equal('listener failed');
+            expect(runner.activeRuns.size).to.equal(0);
+        });
+
+        it('should build minimal hunks with context', () => {
+            const before = Array.from({ length: 12 }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+            const after = before.replace('line 2\n', '').replace('line 11', 'LINE 11');
+
+            expect(createUnifiedDiff(before, after, { fileName: 'f.txt' })).to.equal([
+                '--- a/f.txt',
+                '+++ b/f.txt',
+                '@@ -1,5 +1,4 @@',
+                ' line 1',
+                '-line 2',
+                ' line 3',
+                ' line 4',
+                ' line 5',
+                '@@ -8,5 +7,5 @@',
+                ' line 8',
+                ' line 9',
+                ' line 10',
+                '-line 11',
+                '+LINE 11',
+                ' line 12',
+                ''
+            ].join('\n'));
+        });
+    });
+
+    describe('cancellation', () => {
+        it('should combine signals without AbortSignal.any', () => {
+            const any = AbortSignal.any;
+            delete AbortSignal.any;
+            try {
+                const first = new AbortController();
+                const second = new AbortController();
+                const combined = anySignal([first.signal, undefined, second.signal]);
+
+                expect(combined.aborted).to.equal(false);
+                second.abort(new Error('stop'));
+                expect(combined.aborted).to.equal(true);
+                expect(combined.reason.message).to.equal('stop');
+
+                expect(anySignal([first.signal, second.signal]).reason.message).to.equal('stop');
+            } finally {
+                AbortSignal.any = any;
+            }
+        });
+
+        it('should stop a gate at its timeout and keep its partial results', async () => {
+            runner.addGate(new StepGate({ name: 'steps', timeout: 120, config: { steps: 20, delay: 50 } }));
+
+            const summary = await runner.run('');
+            const result = summary.gates.steps.results[0];
+
+            expect(result).to.include({ status: 'timeout', partial: true, error: 'Gate steps timed out after 120ms' });
+            expect(result.issues.length).to.be.within(2, 4);
+            expect(result.stats.steps).to.equal(result.issues.length);
+            expect(summary).to.include({ timeouts: 1, overallStatus: 'failed' });
+        });
+
+        it('should cancel the running gate and the ones after it', async () => {
+            runner.addGate(new StepGate({ name: 'first', config: { steps: 20, delay: 50 } }));
+            runner.addGate(new StepGate({ name: 'second', config: { steps: 1, delay: 0 } }));
+            const events = [];
+            runner.on('run-cancelled', event => events.push(event));
+
+            const running = runner.run('');
+            setTimeout(() => runner.cancel('Superseded by a newer commit'), 120);
+            const summary = await running;
+
+            expect(events).to.deep.equal([{ reason: 'Superseded by a newer commit', runs: 1 }]);
+            expect(runner.cancel()).to.equal(false);
+            expect(summary.gates.first.results[0]).to.include({ status: 'cancelled', partial: true, error: 'Superseded by a newer commit' });
+            expect(summary.gates.first.results[0].issues).to.not.be.empty;
+            expect(summary.gates.second.results[0]).to.include({
+                status: 'cancelled',
+                partial: false,
+                error: 'Superseded by a newer commit before second started'
+            });
+            expect(summary).to.include({ cancelled: 2, overallStatus: 'cancelled', score: 0 });
+            expect(ResultReporter.format(summary, 'text')).to.contain('CANCELLED: 0 passed, 0 failed, 0 warnings, 0 skipped, 0 errors, 2 cancelled');
+        });
+
+        it('should honor a caller signal and the shorter of the two timeouts', async () => {
+            const controller = new AbortController();
+            controller.abort();
+            runner.addGate(new StepGate({ name: 'steps', config: { steps: 1, delay: 0 } }));
+            const aborted = await runner.run('', { signal: controller.signal });
+            expect(aborted.gates.steps.results[0].status).to.equal('cancelled');
+
+            const fast = new QualityRunner({ reporter: new ResultReporter(), timeout: 50, abortGrace: 20 });
+            fast.addGate(new StuckGate({ name: 'stuck', timeout: 5000, abortGrace: 20 }));
+            const started = Date.now();
+            const summary = await fast.run('');
+
+            expect(Date.now() - started).to.be.below(1000);
+            expect(summary.gates.stuck.results[0]).to.include({
+                status: 'timeout',
+                partial: false,
+                error: 'Gate stuck timed out after 50ms'
+            });
+        });
+    });
+});
@@ -0,0 +1,116 @@
+const { expect } = require('chai');
+const {
+    SCHEMA_VERSION,
+    normalizeResult,
+    validateResult,
+    ResultSchemaError
+} = require('../src/ResultSchema');
+const BaseQualityGate = require('../src/BaseQualityGate');
+const QualityRunner = require('../src/QualityRunner');
+const ResultReporter = require('../src/ResultReporter');
+
+class StaticGate extends BaseQualityGate {
+    constructor(result, options = {}) {
+        super(options);
+        this.result = result;
+    }
+
+    async execute() {
+        return this.result;
+    }
+}
+
+describe('ResultSchema', () => {
+    describe('normalizeResult', () => {
+        it('should map short gate statuses onto canonical statuses', () => {
+            const statuses = ['pass', 'fail', 'skip', 'warning', 'error', 'timed-out', 'aborted'].map(status =>
+                normalizeResult({ status, gate: 'g' }).status
+            );
+
+            expect(statuses).to.deep.equal(['passed', 'failed', 'skipped', 'warning', 'error', 'timeout', 'cancelled']);
+        });
+
+        it('should produce a result that validates', () => {
+            const result = normalizeResult({
+                status: 'fail',
+                gate: 'eslint',
+                issues: [{ line: 3, column: 1, severity: 'error', message: 'Bad', rule: 'no-var' }]
+            });
+
+            expect(result.schemaVersion).to.equal(SCHEMA_VERSION);
+            expect(validateResult(result)).to.deep.equal({ valid: true, errors: [] });
+            expect(result).to.not.have.property('diagnostics');
+        });
+
+        it('should repair issues and record diagnostics', () => {
+            const result = normalizeResult({
+                status: 'pass',
+                gate: 'custom',
+                details: {
+                    issues: [{ severity: 'critical', line: 'x', message: 'Found it' }]
+                }
+            });
+
+            expect(result.issues[0]).to.include({ severity: 'error', line: 0, column: 0, rule: null });
+            expect(result.diagnostics).to.include('issues: hoisted from details.issues');
+            expect(result.diagnostics.join('\n')).to.contain('issues[0].line');
+        });
+
+        it('should reject unknown statuses', () => {
+            expect(() => normalizeResult({ status: 'maybe', gate: 'custom' }))
+                .to.throw(ResultSchemaError, /unknown status "maybe"/);
+        });
+
+        it('should reject repaired results in strict mode', () => {
+            expect(() => normalizeResult({ status: 'pass', gate: 'custom', issues: ['loose'] }, { strict: true }))
+                .to.throw(ResultSchemaError, /non-conforming/);
+        });
+    });
+
+    describe('BaseQualityGate.run', () => {
+        it('should normalize gate output', async () => {
+            const gate = new StaticGate({ status: 'pass' }, { name: 'static' });
+            const result = await gate.run('');
+
+            expect(result.status).to.equal('passed');
+            expect(result.gate).to.equal('static');
+            expect(result.attempts).to.equal(1);
+            expect(validateResult(result).valid).to.equal(true);
+        });
+
+        it('should turn non-conforming output into an error result with diagnostics', async () => {
+            const gate = new StaticGate({ status: 'great' }, { name: 'static' });
+            const result = await gate.run('');
+
+            expect(result.status).to.equal('error');
+            expect(result.diagnostics[0]).to.contain('unknown status "great"');
+        });
+    });
+
+    describe('ResultReporter.generateSummary', () => {
+        it('should count canonical statuses from every gate', async () => {
+            const runner = new QualityRunner({ reporter: new ResultReporter() });
+            runner
+                .addGate(new StaticGate({ status: 'pass' }, { name: 'a' }))
+                .addGate(new StaticGate({ status: 'warning' }, { name: 'b' }))
+                .addGate(new StaticGate({ status: 'skip' }, { name: 'c' }));
+
+            const summary = await runner.run('');
+
+            expect(summary).to.include({ passed: 1, warnings: 1, skipped: 1, failed: 0, errors: 0 });
+            expect(summary.overallStatus).to.equal('passed');
+            expect(summary.score).to.equal(75);
+            expect(summary.gates.a.passed).to.equal(1);
+        });
+
+        it('should fail the run when a gate fails', async () => {
+            const runner = new QualityRunner({ reporter: new ResultReporter() });
+            runner.addGate(new StaticGate({ status: 'fail' }, { name: 'a' }));
+
+            const summary = await runner.run('');
+
+            expect(summary.failed).to.equal(1);
+            expect(summary.overallStatus).to.equal('failed');
+        });
+    });
+});
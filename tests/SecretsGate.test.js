@@ -0,0 +1,135 @@
+const { expect } = require('chai');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const SecretsGate = require('../src/gates/SecretsGate');
+const { createGate } = require('../src');
+
+// Assembled at runtime so this file does not trip secret scanners itself
+const AWS_KEY = ['AKIA', 'IOSFODNN7', 'EXAMPLE'].join('');
+const GITHUB_TOKEN = ['ghp', '_', 'A1b2C3d4E5f6G7h8I9j0K1l2M3n4O5p6Q7r8'].join('');
+const API_KEY = ['f3a9c1d27b', 'e84e06a5c2'].join('');
+
+describe('SecretsGate', () => {
+    let gate;
+
+    beforeEach(() => {
+        gate = new SecretsGate({ baselineFile: false });
+    });
+
+    it('should be registered as the secrets gate', () => {
+        expect(createGate('secrets')).to.be.instanceOf(SecretsGate);
+    });
+
+    it('should detect provider tokens with redacted snippets', async () => {
+        const result = await gate.execute(`const aws = '${AWS_KEY}';\n// token: ${GITHUB_TOKEN}\n`);
+
+        expect(result.status).to.equal('fail');
+        expect(result.issues.map(i => [i.rule, i.line, i.column])).to.deep.equal([
+            ['aws-access-key-id', 1, 14],
+            ['github-token', 2, 11]
+        ]);
+        expect(result.issues[0]).to.include({ cwe: 'CWE-798', confidence: 'high', snippet: "const aws = 'AKIA********';" });
+        expect(JSON.stringify(result)).to.not.contain(AWS_KEY).and.not.contain(GITHUB_TOKEN);
+    });
+
+    it('should mask every secret on the line in each snippet', async () => {
+        const result = await gate.execute(`const creds = { id: '${AWS_KEY}', token: '${GITHUB_TOKEN}' };\n`);
+
+        expect(result.issues.map(i => i.rule)).to.deep.equal(['aws-access-key-id', 'github-token']);
+        for (const issue of result.issues) {
+            expect(issue.snippet).to.equal("const creds = { id: 'AKIA********', token: 'ghp_********' };");
+        }
+        expect(JSON.stringify(result)).to.not.contain(AWS_KEY).and.not.contain(GITHUB_TOKEN);
+    });
+
+    it('should mask repeats of the same token', async () => {
+        const slack = ['xoxb', '-', '1234567890', '-abcdefghijkl'].join('');
+        const result = await gate.execute(`send('${slack}', '${slack}');\n`);
+
+        expect(result.issues).to.have.length(2);
+        for (const issue of result.issues) {
+            expect(issue.snippet).to.equal("send('xoxb********', 'xoxb********');");
+        }
+        expect(JSON.stringify(result)).to.not.contain(slack);
+    });
+
+    it('should detect private key blocks and JWTs', async () => {
+        const jwt = ['eyJhbGciOiJIUzI1NiJ9', 'eyJzdWIiOiIxMjM0NTY3ODkwIn0', 'dozjgNryP4J3jVmNHl0w5N'].join('.');
+        const result = await gate.execute(`const token = "${jwt}";\nconst pem = \`-----BEGIN RSA ${'PRIVATE'} KEY-----\nMIIEowIBAAKCAQEA\n-----END RSA PRIVATE KEY-----\`;\n`);
+
+        expect(result.issues.map(i => i.rule)).to.deep.equal(['jwt', 'private-key']);
+    });
+
+    it('should score generic strings by entropy and context', async () => {
+        const result = await gate.execute([
+            `const apiKey = "${API_KEY}";`,
+            'const checksum = "d41d8cd98f00b204e9800998ecf8427e";',
+            'const sentence = "TheQuickBrownFoxJumpsOverTheLazyDog";',
+            'const file = "./fixtures/some-long-file-name.json";'
+        ].join('\n'));
+
+        expect(result.status).to.equal('warning');
+        expect(result.issues.map(i => [i.rule, i.line, i.confidence])).to.deep.equal([
+            ['high-entropy-string', 1, 'high']
+        ]);
+        expect(SecretsGate.shannonEntropy('aaaa')).to.equal(0);
+        expect(SecretsGate.shannonEntropy('abcd')).to.equal(2);
+    });
+
+    it('should honor inline pragmas and the allowlist', async () => {
+        const code = `const a = '${AWS_KEY}'; // repochief-secrets-ignore\nconst b = '${GITHUB_TOKEN}';\n`;
+
+        expect((await gate.execute(code)).issues.map(i => i.rule)).to.deep.equal(['github-token']);
+
+        const allowing = new SecretsGate({ baselineFile: false, allowlist: { rules: ['github-token'] } });
+        const result = await allowing.execute(code);
+        expect(result.issues).to.be.empty;
+        expect(result.stats.allowlisted).to.equal(1);
+
+        const byPath = new SecretsGate({ baselineFile: false, allowlist: { paths: ['test/fixtures/**'] } });
+        expect((await byPath.execute(code, { fileName: 'test/fixtures/keys.js' })).issues).to.be.empty;
+    });
+
+    describe('baseline file', () => {
+        let root;
+
+        beforeEach(async () => {
+            root = await fs.mkdtemp(path.join(os.tmpdir(), 'secrets-baseline-'));
+        });
+
+        afterEach(async () => {
+            await fs.rm(root, { recursive: true, force: true });
+        });
+
+        it('should suppress findings recorded in the baseline', async () => {
+            const code = `const a = '${AWS_KEY}';\nconst b = '${GITHUB_TOKEN}';\n`;
+            const first = await gate.execute(code, { fileName: 'src/a.js' });
+            const baseline = gate.createBaseline(first.issues.slice(0, 1).map(i => ({ ...i, file: 'src/a.js' })));
+
+            await fs.mkdir(path.join(root, '.repochief'));
+            await fs.writeFile(path.join(root, SecretsGate.DEFAULT_BASELINE_FILE), JSON.stringify(baseline));
+
+            const result = await new SecretsGate().execute(code, { projectPath: root, fileName: 'src/a.js' });
+
+            expect(JSON.stringify(baseline)).to.not.contain(AWS_KEY);
+            expect(result.issues.map(i => i.rule)).to.deep.equal(['github-token']);
+            expect(result.stats.baselined).to.equal(1);
+        });
+
+        it('should report an unreadable baseline as a gate error', async () => {
+            await fs.mkdir(path.join(root, '.repochief'));
+            await fs.writeFile(path.join(root, SecretsGate.DEFAULT_BASELINE_FILE), '{ nope');
+
+            const gate = new SecretsGate();
+            const result = await gate.execute('const a = 1;', { projectPath: root });
+
+            expect(result.status).to.equal('error');
+            expect(result.error).to.contain('Invalid secrets baseline');
+
+            // The broken file is not cached: fixing it fixes the next run
+            await fs.writeFile(path.join(root, SecretsGate.DEFAULT_BASELINE_FILE), '{ "findings": [] }');
+            expect((await gate.execute('const a = 1;', { projectPath: root })).status).to.equal('pass');
+        });
+    });
+});
@@ -0,0 +1,239 @@
+const { expect } = require('chai');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const SecurityGate = require('../src/gates/SecurityGate');
+const { ConfigError } = require('../src/ConfigLoader');
+
+describe('SecurityGate', () => {
+    let gate;
+
+    beforeEach(() => {
+        gate = new SecurityGate();
+    });
+
+    const findingsOf = async (code, options) =>
+        (await new SecurityGate(options).execute(code)).issues.map(i => [i.rule, i.line, i.severity, i.confidence]);
+
+    describe('false positives', () => {
+        it('should ignore sinks in comments, strings and look-alike methods', async () => {
+            const result = await gate.execute(`
+// eval(input) is never called
+const doc = "eval(x) and child_process";
+const match = /a+/.exec(doc);
+const el = { innerHTML: '<b>static</b>' };
+`);
+
+            expect(result.status).to.equal('pass');
+            expect(result.issues).to.be.empty;
+        });
+
+        it('should ignore constant commands, paths and markup', async () => {
+            expect(await findingsOf(`
+const { execSync } = require('child_process');
+const fs = require('fs');
+execSync('git status');
+fs.readFileSync(path.join(__dirname, 'config.json'));
+el.innerHTML = '<br>';
+db.query(sql\`SELECT * FROM users WHERE id = \${req.query.id}\`);
+`)).to.deep.equal([]);
+        });
+    });
+
+    describe('taint tracking', () => {
+        it('should follow request input through variables into sinks', async () => {
+            expect(await findingsOf(`
+const { exec } = require('child_process');
+const fs = require('fs/promises');
+app.get('/run', async (req, res) => {
+    const { name, file } = req.query;
+    const command = 'convert ' + name.trim();
+    exec(command);
+    await fs.readFile(file);
+    res.sendFile(req.params.path);
+});
+`)).to.deep.equal([
+                ['command-injection', 7, 'error', 'high'],
+                ['path-traversal', 8, 'error', 'high'],
+                ['path-traversal', 9, 'error', 'high']
+            ]);
+        });
+
+        it('should name the source and attach a CWE', async () => {
+            const result = await gate.execute('const args = process.argv.slice(2);\neval(args[0]);\n');
+            const [issue] = result.issues;
+
+            expect(issue).to.include({ rule: 'code-injection', cwe: 'CWE-95', confidence: 'high', source: 'process.argv' });
+            expect(issue.message).to.equal('Untrusted input from process.argv reaches eval() (code injection)');
+            expect(result.stats.taintedFlows).to.equal(1);
+        });
+
+        it('should stop at sanitizers and unknown calls', async () => {
+            expect(await findingsOf(`
+const cp = require('child_process');
+const id = parseInt(req.query.id, 10);
+cp.exec('kill ' + id);
+`)).to.deep.equal([
+                ['command-injection', 4, 'warning', 'low']
+            ]);
+        });
+    });
+
+    describe('sinks', () => {
+        it('should grade SQL built by interpolation', async () => {
+            expect(await findingsOf(`
+const sql = \`SELECT * FROM users WHERE id = \${req.body.id}\`;
+db.query(sql);
+db.query(\`DELETE FROM jobs WHERE owner = \${owner}\`);
+db.query('SELECT 1 FROM dual WHERE x = ?', [req.body.x]);
+`)).to.deep.equal([
+                ['sql-injection', 2, 'error', 'high'],
+                ['sql-injection', 4, 'warning', 'medium']
+            ]);
+        });
+
+        it('should report code injection and DOM XSS', async () => {
+            expect(await findingsOf(`
+eval(input);
+const fn = new Function('a', 'return a');
+setTimeout('tick()', 10);
+setTimeout(tick, 10);
+el.innerHTML = location.hash.slice(1);
+el.insertAdjacentHTML('beforeend', markup);
+`)).to.deep.equal([
+                ['code-injection', 2, 'error', 'medium'],
+                ['code-injection', 3, 'warning', 'low'],
+                ['code-injection', 4, 'warning', 'low'],
+                ['xss', 6, 'error', 'high'],
+                ['xss', 7, 'warning', 'low']
+            ]);
+        });
+
+        it('should report dynamic module loading', async () => {
+            expect(await findingsOf(`
+const plugin = require(req.query.plugin);
+const lazy = import(\`./locales/\${lang}.js\`);
+const fixed = require('./fixed');
+`)).to.deep.equal([
+                ['dynamic-require', 2, 'error', 'high'],
+                ['dynamic-require', 3, 'warning', 'low']
+            ]);
+        });
+    });
+
+    describe('options', () => {
+        it('should drop findings below minConfidence', async () => {
+            expect(await findingsOf('eval(input);\nel.innerHTML = markup;\n', { minConfidence: 'medium' })).to.deep.equal([
+                ['code-injection', 1, 'error', 'medium']
+            ]);
+        });
+
+        it('should accept extra taint sources', async () => {
+            expect(await findingsOf('eval(event.body.code);\n', { sources: ['event.body'] })).to.deep.equal([
+                ['code-injection', 1, 'error', 'high']
+            ]);
+        });
+
+        it('should describe rules with their CWE', () => {
+            expect(gate.describeRule('sql-injection')).to.include({ id: 'sql-injection', cwe: 'CWE-89' });
+        });
+    });
+
+    describe('rule packs', () => {
+        const pack = {
+            name: 'acme',
+            rules: [
+                {
+                    id: 'acme/weak-hash',
+                    description: 'MD5 and SHA-1 are not collision resistant',
+                    severity: 'warning',
+                    cwe: 328,
+                    selector: 'CallExpression[callee.property.name=createHash] > Literal[value=/^(md5|sha1)$/i]',
+                    fix: "Use createHash('sha256')"
+                },
+                {
+                    id: 'acme/internal-host',
+                    description: 'Internal hostnames must come from configuration',
+                    severity: 'error',
+                    pattern: 'internal\\.acme\\.corp'
+                }
+            ]
+        };
+
+        it('should run selector and pattern rules, skipping comments', async () => {
+            const result = await new SecurityGate({ rulePacks: [pack] }).execute([
+                "const digest = crypto.createHash('md5');",
+                "// see internal.acme.corp for details",
+                "fetch('https://internal.acme.corp/api');"
+            ].join('\n'));
+
+            expect(result.issues.map(i => [i.rule, i.line, i.column, i.severity])).to.deep.equal([
+                ['acme/weak-hash', 1, 34, 'warning'],
+                ['acme/internal-host', 3, 16, 'error']
+            ]);
+            expect(result.issues[0]).to.include({ cwe: 'CWE-328', remedy: "Use createHash('sha256')" });
+        });
+
+        it('should disable and re-severity built-in and pack rules', async () => {
+            const gate = new SecurityGate({
+                rulePacks: [pack],
+                rules: { 'code-injection': 'off', 'xss': 'info', 'acme/weak-hash': { severity: 'error' } }
+            });
+            const result = await gate.execute("eval(input);\nel.innerHTML = html;\ncrypto.createHash('sha1');\n");
+
+            expect(result.issues.map(i => [i.rule, i.severity])).to.deep.equal([
+                ['xss', 'info'],
+                ['acme/weak-hash', 'error']
+            ]);
+            expect(gate.listRules().find(rule => rule.id === 'code-injection').enabled).to.equal(false);
+        });
+
+        it('should list every rule with its pack and effective severity', () => {
+            const rules = new SecurityGate({ rulePacks: [pack], rules: { 'acme/internal-host': 'warning' } }).listRules();
+
+            expect(rules.map(rule => rule.id)).to.include.members(['sql-injection', 'acme/weak-hash']);
+            expect(rules.find(rule => rule.id === 'acme/internal-host')).to.include({
+                pack: 'acme', kind: 'pattern', severity: 'warning', enabled: true
+            });
+        });
+
+        it('should load packs from YAML files and describe their rules', async () => {
+            const root = await fs.mkdtemp(path.join(os.tmpdir(), 'rule-pack-'));
+            try {
+                await fs.writeFile(path.join(root, 'pack.yml'), [
+                    'name: org',
+                    'rules:',
+                    '  - id: org/no-alert',
+                    '    description: alert() blocks the UI thread',
+                    '    selector: CallExpression[callee.name=alert]'
+                ].join('\n'));
+
+                const gate = new SecurityGate({ rulePacks: ['./pack.yml'], cwd: root });
+
+                expect((await gate.execute('alert(1);')).issues[0]).to.include({ rule: 'org/no-alert', severity: 'warning' });
+                expect(gate.describeRule('org/no-alert')).to.include({ pack: 'org', description: 'alert() blocks the UI thread' });
+            } finally {
+                await fs.rm(root, { recursive: true, force: true });
+            }
+        });
+
+        it('should reject invalid packs and unknown overrides with a location', async () => {
+            const root = await fs.mkdtemp(path.join(os.tmpdir(), 'rule-pack-'));
+            try {
+                await fs.writeFile(path.join(root, 'bad.yml'), [
+                    'rules:',
+                    '  - id: bad/selector',
+                    '    description: broken',
+                    '    selector: CallExpression[callee.name='
+                ].join('\n'));
+
+                expect(() => new SecurityGate({ rulePacks: ['bad.yml'], cwd: root }))
+                    .to.throw(ConfigError, /bad\.yml:4:5: rules\.0\.selector: Invalid selector/);
+                expect(() => new SecurityGate({ rules: { 'no-such-rule': 'off' } }))
+                    .to.throw(ConfigError, /unknown security rule/);
+            } finally {
+                await fs.rm(root, { recursive: true, force: true });
+            }
+        });
+    });
+});
@@ -0,0 +1,613 @@
+const { expect } = require('chai');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const TestRunnerGate = require('../src/gates/TestRunnerGate');
+const Coverage = require('../src/Coverage');
+const { selectRelatedTests, findTestFiles } = require('../src/TestSelection');
+const { getTestRunner } = require('../src/runners');
+const { parseTap } = require('../src/runners/tapParser');
+const { runSandboxed, normalizeSandboxOptions } = require('../src/sandbox');
+const { registerTestRunner } = require('../src');
+const { parseStack, parseAssertionMessage, locateFailure } = require('../src/FailureLocation');
+const { normalizeFlakyOptions, seededRandom, shuffle } = require('../src/Flakiness');
+
+// Istanbul FileCoverage for a file whose lines 4-6 and 9 never ran
+function fileCoverage(file) {
+    const statement = line => ({ start: { line, column: 0 }, end: { line, column: 10 } });
+    return {
+        path: file,
+        statementMap: Object.fromEntries([1, 2, 3, 4, 5, 6, 8, 9].map((line, i) => [i, statement(line)])),
+        s: { 0: 1, 1: 1, 2: 3, 3: 0, 4: 0, 5: 0, 6: 2, 7: 0 },
+        fnMap: { 0: { name: 'add' }, 1: { name: 'unused' } },
+        f: { 0: 3, 1: 0 },
+        branchMap: { 0: { type: 'if' } },
+        b: { 0: [2, 0] }
+    };
+}
+
+const passingRun = {
+    success: true,
+    total: 2,
+    passed: 2,
+    failed: 0,
+    skipped: 0,
+    failures: []
+};
+
+describe('TestRunnerGate', () => {
+    describe('coverage', () => {
+        it('should summarize Istanbul data per metric', () => {
+            const summary = Coverage.summarizeFile(fileCoverage('/x/sum.js'));
+
+            expect(summary.lines).to.deep.equal({ total: 8, covered: 4, pct: 50 });
+            expect(summary.statements.pct).to.equal(50);
+            expect(summary.functions.pct).to.equal(50);
+            expect(summary.branches).to.deep.equal({ total: 2, covered: 1, pct: 50 });
+            expect(Coverage.lineRanges(summary.uncoveredLines)).to.deep.equal([[4, 6], [9, 9]]);
+        });
+
+        it('should check global and per-file thresholds like Jest', () => {
+            const files = {
+                'src/a.js': Coverage.summarizeFile(fileCoverage('/x/src/a.js')),
+                'lib/b.js': { ...Coverage.summarizeFile(fileCoverage('/x/lib/b.js')), lines: { total: 10, covered: 10, pct: 100 } }
+            };
+
+            const violations = Coverage.checkThresholds(files, Coverage.normalizeThresholds({
+                global: { lines: 90 },
+                'src/**/*.js': { functions: 80, statements: -3 }
+            }));
+
+            expect(violations.map(v => [v.scope, v.file, v.metric, v.actual])).to.deep.equal([
+                ['src/**/*.js', 'src/a.js', 'functions', 50],
+                ['src/**/*.js', 'src/a.js', 'statements', 4]
+            ]);
+            expect(violations[1].message).to.equal('4 uncovered statements exceed the src/a.js (threshold for "src/**/*.js") maximum of 3');
+            expect(Coverage.checkThresholds(files, Coverage.normalizeThresholds(80))[0].message)
+                .to.equal('Line coverage 77.78% is below the global threshold of 80%');
+            expect(() => Coverage.normalizeThresholds({ global: { loc: 1 } })).to.throw(/Invalid coverage threshold "global.loc"/);
+        });
+
+        it('should add coverage collection to the runner command', () => {
+            const gate = new TestRunnerGate();
+            const jest = getTestRunner('jest');
+
+            expect(jest.args({ coverageDir: null })).to.deep.equal(['--json', '--coverage=false']);
+            expect(jest.args({ coverageDir: '/tmp/t/.coverage' }))
+                .to.deep.equal(['--json', '--coverage', '--coverageReporters=json', '--coverageDirectory=/tmp/t/.coverage']);
+            expect(gate.coverageCommand('mocha', ['npx', 'mocha'], {
+                tool: 'c8', path: '/deps/c8/bin/c8.js', reportDirFlag: '--reports-dir', reportDir: '/tmp/t/.coverage'
+            }).slice(1)).to.deep.equal(['/deps/c8/bin/c8.js', '--reporter=json', '--reports-dir=/tmp/t/.coverage', 'npx', 'mocha']);
+        });
+
+        it('should enforce thresholds and report uncovered lines of the code under test', async () => {
+            const gate = new TestRunnerGate({ runner: 'jest', coverageThreshold: { global: { lines: 80, branches: 50 } } });
+            let collector;
+            gate.resolveRunnerBinary = () => '/deps/jest/bin/jest.js';
+            gate.runTests = async (tempDir, runner, transpiler, coverage) => {
+                collector = coverage.tool;
+                await fs.mkdir(coverage.reportDir, { recursive: true });
+                await fs.writeFile(path.join(coverage.reportDir, 'coverage-final.json'), JSON.stringify({
+                    [path.join(tempDir, 'sum.js')]: fileCoverage(path.join(tempDir, 'sum.js')),
+                    [path.join(tempDir, 'sum.test.js')]: fileCoverage(path.join(tempDir, 'sum.test.js'))
+                }));
+                return passingRun;
+            };
+
+            const result = await gate.execute('test("adds", () => {});', { fileName: 'sum.test.js' });
+
+            expect(collector).to.equal('jest');
+            expect(result.status).to.equal('fail');
+            expect(result.stats).to.include({ passed: 2, lineCoverage: 50, branchCoverage: 50, uncoveredLines: 4 });
+            expect(result.issues.map(i => [i.rule, i.severity, i.file, i.line, i.endLine])).to.deep.equal([
+                ['coverage-threshold', 'error', undefined, 0, undefined],
+                ['uncovered-lines', 'info', 'sum.js', 4, 6],
+                ['uncovered-lines', 'info', 'sum.js', 9, 9]
+            ]);
+            expect(result.issues[0].message).to.equal('Line coverage 50% is below the global threshold of 80%');
+            expect(Object.keys(result.details.coverage.files)).to.deep.equal(['sum.js']);
+        });
+
+        it('should require c8 or nyc for Mocha thresholds', async () => {
+            const gate = new TestRunnerGate({ coverageThreshold: 80, coverageTool: 'nyc' });
+            gate.detectTestRunner = async () => 'mocha';
+
+            const result = await gate.execute('it("a", () => {});', { fileName: 'a.test.js', projectPath: __dirname });
+
+            expect(result.status).to.equal('error');
+            expect(result.error).to.equal('No coverage tool found for mocha (install one of c8, nyc)');
+        });
+    });
+
+    describe('project mode', () => {
+        let root;
+
+        const write = async (file, contents) => {
+            await fs.mkdir(path.dirname(path.join(root, file)), { recursive: true });
+            await fs.writeFile(path.join(root, file), contents);
+        };
+
+        beforeEach(async () => {
+            root = await fs.mkdtemp(path.join(os.tmpdir(), 'test-runner-project-'));
+            await write('package.json', JSON.stringify({ name: 'app', scripts: { test: 'mocha' } }));
+            // The project's copy of add() is broken; the change fixes it
+            await write('src/math.js', 'exports.add = (a, b) => a - b;\n');
+            await write('src/calc.js', "const { add } = require('./math');\nexports.double = x => add(x, x);\n");
+            await write('src/other.js', 'module.exports = 1;\n');
+            await write('test/calc.test.js', [
+                "const assert = require('assert');",
+                "const { double } = require('../src/calc');",
+                "it('doubles', () => assert.strictEqual(double(2), 4));"
+            ].join('\n'));
+            await write('test/other.test.js', "require('../src/other');\nit('is unrelated', () => { throw new Error('ran'); });\n");
+            // Reuse this package's mocha as the project's installed dependency
+            await fs.symlink(path.resolve(__dirname, '../node_modules'), path.join(root, 'node_modules'), 'junction');
+        });
+
+        afterEach(async () => {
+            await fs.rm(root, { recursive: true, force: true });
+        });
+
+        it('should select tests that import the changed files transitively', async () => {
+            const tests = await findTestFiles(root);
+
+            expect(tests).to.deep.equal(['test/calc.test.js', 'test/other.test.js']);
+            expect(selectRelatedTests(root, ['src/math.js', 'test/new.test.js'], tests))
+                .to.deep.equal(['test/calc.test.js', 'test/new.test.js']);
+            expect(selectRelatedTests(root, ['README.md'], tests)).to.deep.equal([]);
+        });
+
+        it('should run related tests in an overlay of the project', async () => {
+            const changes = {
+                'src/math.js': 'exports.add = (a, b) => a + b;\n',
+                'test/math.test.js': [
+                    "const assert = require('assert');",
+                    "const { add } = require('../src/math');",
+                    "it('adds', () => assert.strictEqual(add(1, 2), 3));"
+                ].join('\n')
+            };
+
+            const result = await new TestRunnerGate({ timeout: 60000 }).execute(changes, { projectPath: root });
+
+            expect(result.status).to.equal('pass');
+            expect(result.stats).to.include({ total: 2, passed: 2 });
+            expect(result.details).to.include({ mode: 'project', runner: 'mocha' });
+            expect(result.details.testFiles).to.deep.equal(['test/calc.test.js', 'test/math.test.js']);
+
+            // The project on disk is left alone
+            expect(await fs.readFile(path.join(root, 'src/math.js'), 'utf8')).to.equal('exports.add = (a, b) => a - b;\n');
+            expect(await fs.readdir(path.join(root, 'test'))).to.deep.equal(['calc.test.js', 'other.test.js']);
+            expect(await fs.readdir(path.join(root, 'node_modules'))).to.include('mocha');
+        });
+
+        it('should locate failing assertions in the overlay', async () => {
+            const result = await new TestRunnerGate({ timeout: 60000 }).execute({
+                'test/calc.test.js': [
+                    "const assert = require('assert');",
+                    "const { double } = require('../src/calc');",
+                    "it('doubles', () => {",
+                    "    assert.strictEqual(double(2), 4);",
+                    "});"
+                ].join('\n')
+            }, { projectPath: root });
+
+            expect(result.status).to.equal('fail');
+            expect(result.issues).to.have.length(1);
+            expect(result.issues[0]).to.include({
+                rule: 'test-failure',
+                file: 'test/calc.test.js',
+                line: 4,
+                column: 12,
+                expected: '4',
+                actual: '0'
+            });
+        });
+
+        it('should refuse changed files outside the overlay', async () => {
+            const escaped = path.join(path.dirname(root), `${path.basename(root)}-escaped.txt`);
+            const result = await new TestRunnerGate().execute({
+                [`../${path.basename(escaped)}`]: 'escaped',
+                'test/calc.test.js': "it('runs', () => {});"
+            }, { projectPath: root });
+
+            expect(result.status).to.equal('error');
+            expect(result.error).to.equal(`Refusing to write "../${path.basename(escaped)}" outside the project directory`);
+            expect(await fs.access(escaped).then(() => true, () => false)).to.equal(false);
+
+            const isolated = await new TestRunnerGate({ runner: 'node' }).execute('// test', { fileName: '../outside.test.js' });
+            expect(isolated.status).to.equal('error');
+        });
+
+        it('should skip when no test relates to the change', async () => {
+            const result = await new TestRunnerGate().execute({ 'docs/notes.js': '// notes\n' }, { projectPath: root });
+
+            expect(result.status).to.equal('skip');
+            expect(result.message).to.equal('No tests related to the changed files');
+        });
+    });
+
+    describe('runner adapters', () => {
+        const NODE_TAP = [
+            'TAP version 13',
+            '# Subtest: adds',
+            'not ok 1 - adds',
+            '  ---',
+            "  location: '/tmp/p/math.test.js:3:1'",
+            '  error: |-',
+            '    Expected values to be strictly equal:',
+            '    ',
+            '    2 !== 3',
+            '    ',
+            '  expected: 3',
+            '  actual: 2',
+            '  ...',
+            '# Subtest: suite',
+            '    # Subtest: inner',
+            '    ok 1 - inner',
+            '    ok 2 - later # SKIP',
+            '    1..2',
+            'ok 2 - suite',
+            '1..2'
+        ].join('\n');
+
+        it('should parse nested TAP from node:test', () => {
+            const results = parseTap(NODE_TAP);
+
+            expect(results).to.include({ success: false, total: 3, passed: 1, failed: 1, skipped: 1 });
+            expect(results.failures[0]).to.deep.include({
+                test: 'adds',
+                message: 'Expected values to be strictly equal:\n\n2 !== 3',
+                location: '/tmp/p/math.test.js',
+                expected: '3',
+                actual: '2'
+            });
+            expect(() => parseTap('all good\n')).to.throw(/No TAP test points/);
+        });
+
+        it('should detect runners from imports, package.json and config files', async () => {
+            const gate = new TestRunnerGate();
+            const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'runner-detect-'));
+            const detect = async (pkg, changed = {}, files = {}) => {
+                await fs.rm(dir, { recursive: true, force: true });
+                await fs.mkdir(dir);
+                for (const [file, contents] of Object.entries({ 'package.json': JSON.stringify(pkg), ...files })) {
+                    await fs.writeFile(path.join(dir, file), contents);
+                }
+                return gate.detectTestRunner(dir, changed);
+            };
+
+            try {
+                expect(await detect({ devDependencies: { jest: '29' } }, { 'a.test.js': "import { it } from 'vitest';" })).to.equal('vitest');
+                expect(await detect({ devDependencies: { ava: '6' } })).to.equal('ava');
+                expect(await detect({ scripts: { test: 'node --test --test-reporter=tap' } })).to.equal('node');
+                expect(await detect({ scripts: { test: 'c8 tap' } })).to.equal('tap');
+                expect(await detect({}, {}, { '.mocharc.yml': 'spec: test' })).to.equal('mocha');
+                expect(await detect({}, { 'a.test.js': 'test("a", () => {});' })).to.equal(null);
+            } finally {
+                await fs.rm(dir, { recursive: true, force: true });
+            }
+        });
+
+        it('should run node:test tests without any package', async () => {
+            const result = await new TestRunnerGate().execute([
+                "const test = require('node:test');",
+                "const assert = require('assert');",
+                "test('adds', () => assert.strictEqual(1 + 1, 3));",
+                "test('subtracts', () => assert.strictEqual(2 - 1, 1));"
+            ].join('\n'), { fileName: 'math.test.js' });
+
+            expect(result.status).to.equal('fail');
+            expect(result.details.runner).to.equal('node');
+            expect(result.stats).to.include({ total: 2, passed: 1, failed: 1 });
+            expect(result.issues[0]).to.include({
+                rule: 'test-failure',
+                message: 'Test failed: adds',
+                file: 'math.test.js',
+                line: 3,
+                column: 27,
+                expected: '3',
+                actual: '2'
+            });
+        });
+
+        it('should report a detected runner that is not installed instead of guessing', async () => {
+            const result = await new TestRunnerGate().execute("import { test } from 'vitest';\ntest('a', () => {});\n", {
+                fileName: 'a.test.js'
+            });
+
+            expect(result.status).to.equal('error');
+            expect(result.error).to.equal('Test runner vitest was detected but the vitest package is not installed');
+
+            const skipped = await new TestRunnerGate().execute('test("a", () => {});', { fileName: 'a.test.js' });
+            expect(skipped.status).to.equal('skip');
+            expect(skipped.message).to.match(/^No test runner detected \(set the runner option/);
+        });
+
+        it('should pass the written test file to the runner in isolated mode', async () => {
+            const result = await new TestRunnerGate({ runner: 'mocha' }).execute([
+                "const assert = require('assert');",
+                "describe('m', () => {",
+                "    it('adds', () => assert.strictEqual(1 + 1, 2));",
+                "});"
+            ].join('\n'), { fileName: 'm.test.js' });
+
+            expect(result.status).to.equal('pass');
+            expect(result.stats).to.include({ total: 1, passed: 1 });
+        });
+
+        it('should report output it cannot read as an error', async () => {
+            registerTestRunner('unreadable', {
+                package: null,
+                detect: () => false,
+                args: () => ['-e', 'console.error("Error: No test files found"); process.exit(1)'],
+                parse: () => { throw new Error('No JSON output'); }
+            });
+
+            const result = await new TestRunnerGate({ runner: 'unreadable' }).execute('// no tests', { fileName: 'x.test.js' });
+
+            expect(result.status).to.equal('error');
+            expect(result.error).to.equal('Could not read unreadable results: Error: No test files found');
+            expect(result.details).to.include({ runner: 'unreadable', exitCode: 1 });
+        });
+
+        it('should run registered adapters', async () => {
+            registerTestRunner('inline-tap', {
+                package: null,
+                detect: project => project.testScript === 'inline-tap',
+                args: () => ['-e', 'console.log("ok 1 - from a custom runner")'],
+                parse: stdout => parseTap(stdout)
+            });
+            expect(() => registerTestRunner('broken', { detect() {} })).to.throw('Test runner broken must have a args() function');
+
+            const result = await new TestRunnerGate({ runner: 'inline-tap' }).execute('// no tests here', { fileName: 'x.test.js' });
+
+            expect(result.status).to.equal('pass');
+            expect(result.stats).to.include({ total: 1, passed: 1 });
+        });
+    });
+
+    describe('failure locations', () => {
+        it('should parse stack frames and assertion messages', () => {
+            const frames = parseStack([
+                'AssertionError [ERR_ASSERTION]: Expected values to be strictly equal:',
+                '    at Context.<anonymous> (/app/test/a.test.js:7:12)',
+                '    at file:///app/test/b.test.mjs:3:5',
+                '    at process.processImmediate (node:internal/timers:478:21)'
+            ].join('\n'));
+
+            expect(frames).to.deep.equal([
+                { fn: 'Context.<anonymous>', file: '/app/test/a.test.js', line: 7, column: 12 },
+                { fn: null, file: '/app/test/b.test.mjs', line: 3, column: 5 },
+                { fn: 'process.processImmediate', file: 'node:internal/timers', line: 478, column: 21 }
+            ]);
+
+            expect(parseAssertionMessage('expect(received).toBe(expected)\n\nExpected: 4\nReceived: 5'))
+                .to.deep.equal({ expected: '4', actual: '5' });
+            expect(parseAssertionMessage('Expected values to be strictly equal:\n\n2 !== 3\n'))
+                .to.deep.equal({ expected: '3', actual: '2' });
+            expect(parseAssertionMessage("expected 'a' to equal 'b'")).to.deep.equal({ expected: "'b'", actual: "'a'" });
+            expect(parseAssertionMessage('boom')).to.deep.equal({});
+        });
+
+        it('should map transpiled frames back through source maps', async () => {
+            const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'failure-location-'));
+            try {
+                const generated = path.join(dir, 'dist', 'calc.test.js');
+                // Generated line 1, column 1 comes from line 3, column 5 of src/calc.test.ts
+                const map = { version: 3, sources: ['../src/calc.test.ts'], names: [], mappings: 'AAEI' };
+                await fs.mkdir(path.dirname(generated));
+                await fs.writeFile(generated, [
+                    'assert.strictEqual(double(2), 4);',
+                    `//# sourceMappingURL=data:application/json;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}`
+                ].join('\n'));
+
+                const failure = {
+                    test: 'doubles',
+                    message: 'Expected values to be strictly equal',
+                    location: generated,
+                    stack: [
+                        'AssertionError: Expected values to be strictly equal',
+                        `    at assert (${path.join(dir, 'node_modules', 'chai', 'index.js')}:10:3)`,
+                        `    at Context.<anonymous> (${generated}:1:8)`
+                    ].join('\n')
+                };
+
+                expect(locateFailure(failure)).to.deep.equal({ file: path.join(dir, 'src', 'calc.test.ts'), line: 3, column: 5 });
+                expect(locateFailure({ message: 'boom', location: generated, line: 2 })).to.deep.equal({ file: generated, line: 2, column: 0 });
+                expect(locateFailure({ message: 'boom', location: 'unknown' })).to.equal(null);
+            } finally {
+                await fs.rm(dir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('flaky tests', () => {
+        // node:test file whose `fails once` test fails on the first run only
+        const flakySuite = extra => [
+            "const test = require('node:test');",
+            "const assert = require('assert');",
+            "const fs = require('fs');",
+            "const counter = require('path').join(__dirname, 'runs');",
+            "const run = fs.existsSync(counter) ? Number(fs.readFileSync(counter, 'utf8')) + 1 : 1;",
+            "fs.writeFileSync(counter, String(run));",
+            "test('passes', () => {});",
+            "test('fails once', () => assert.ok(run > 1));",
+            ...extra
+        ].join('\n');
+
+        it('should normalize options and shuffle reproducibly', () => {
+            expect(normalizeFlakyOptions(undefined)).to.equal(null);
+            expect(normalizeFlakyOptions(2)).to.include({ reruns: 2, randomOrder: false, severity: 'warning' });
+            expect(normalizeFlakyOptions(true).seed).to.be.a('number');
+            expect(() => normalizeFlakyOptions({ reruns: 0 })).to.throw('Invalid flaky option "reruns"');
+            expect(() => normalizeFlakyOptions({ severity: 'fatal' })).to.throw('Invalid flaky option "severity"');
+
+            const files = ['a', 'b', 'c', 'd', 'e'];
+            expect(shuffle(files, seededRandom(42))).to.deep.equal(shuffle(files, seededRandom(42)));
+            expect(shuffle(files, seededRandom(42)).sort()).to.deep.equal(files);
+        });
+
+        it('should tell flaky tests from stable failures', async () => {
+            const result = await new TestRunnerGate({ flaky: { reruns: 2, randomOrder: true, seed: 7 } }).execute(
+                flakySuite(["test('always fails', () => assert.strictEqual(run, 0));"]),
+                { fileName: 'flaky.test.js' }
+            );
+
+            expect(result.status).to.equal('fail');
+            expect(result.stats).to.include({ total: 3, passed: 1, failed: 1, flaky: 1 });
+            expect(result.issues.map(issue => [issue.rule, issue.severity, issue.message])).to.deep.equal([
+                ['test-failure', 'error', 'Test failed: always fails'],
+                ['flaky-test', 'warning', 'Flaky test: fails once (failed 1 of 2 runs)']
+            ]);
+            expect(result.issues[1]).to.include({ file: 'flaky.test.js', line: 8, passes: 1, failures: 1, runs: 2 });
+            expect(result.details.flakiness).to.deep.include({ reruns: 2, randomOrder: true, seed: 7, stablePass: 1, stableFail: 1, flaky: 1 });
+            expect(result.details.flakiness.tests).to.deep.equal([
+                { test: 'fails once', file: 'flaky.test.js', classification: 'flaky', passes: 1, failures: 1, runs: 2 },
+                { test: 'always fails', file: 'flaky.test.js', classification: 'stable-fail', passes: 0, failures: 3, runs: 3 }
+            ]);
+        });
+
+        it('should leave the policy for flaky tests to their severity', async () => {
+            const warned = await new TestRunnerGate({ flaky: 3 }).execute(flakySuite([]), { fileName: 'flaky.test.js' });
+
+            expect(warned.status).to.equal('warning');
+            expect(warned.stats).to.include({ passed: 1, failed: 0, flaky: 1 });
+            expect(warned.details.flakiness).to.include({ reruns: 1 });
+
+            const strict = await new TestRunnerGate({ flaky: { severity: 'error' } }).execute(flakySuite([]), { fileName: 'flaky.test.js' });
+            expect(strict.status).to.equal('fail');
+            expect(strict.issues[0]).to.include({ rule: 'flaky-test', severity: 'error' });
+
+            const off = await new TestRunnerGate().execute(flakySuite([]), { fileName: 'flaky.test.js' });
+            expect(off.issues[0]).to.include({ rule: 'test-failure' });
+            expect(off.details).to.not.have.property('flakiness');
+        });
+    });
+
+    describe('sandbox', () => {
+        // Zombies waiting on an init that does not reap them count as gone
+        const isRunning = pid => {
+            try {
+                process.kill(pid, 0);
+            } catch (error) {
+                return false;
+            }
+            try {
+                return !/^\d+ \(.*\) Z/.test(require('fs').readFileSync(`/proc/${pid}/stat`, 'utf8'));
+            } catch (error) {
+                return true;
+            }
+        };
+
+        it('should pass only allowlisted variables and a scratch HOME and TMP', async () => {
+            process.env.SANDBOX_TEST_SECRET = 'hunter2';
+            process.env.SANDBOX_TEST_ALLOWED = 'yes';
+            try {
+                const run = await runSandboxed(process.execPath, ['-e', [
+                    'const os = require("os");',
+                    'console.log(JSON.stringify({ env: process.env, home: os.homedir(), tmp: os.tmpdir() }));'
+                ].join('\n')], { envAllowlist: ['SANDBOX_TEST_ALLOWED'], env: { CI: 'true' } });
+                const { env, home, tmp } = JSON.parse(run.stdout);
+
+                expect(env).to.not.have.property('SANDBOX_TEST_SECRET');
+                expect(env).to.include({ SANDBOX_TEST_ALLOWED: 'yes', CI: 'true', PATH: process.env.PATH });
+                expect(home).to.match(/quality-sandbox-\w+[\\/]home$/);
+                expect(tmp).to.equal(path.join(path.dirname(home), 'tmp'));
+            } finally {
+                delete process.env.SANDBOX_TEST_SECRET;
+                delete process.env.SANDBOX_TEST_ALLOWED;
+            }
+            expect(() => normalizeSandboxOptions({ memory: -1 })).to.throw('Invalid sandbox option "memory"');
+        });
+
+        it('should kill the whole process tree on timeout and abort', async function () {
+            if (process.platform === 'win32') this.skip();
+
+            const forever = [
+                "const child = require('child_process').spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)']);",
+                'console.log(child.pid);',
+                'setInterval(() => {}, 1000);'
+            ].join('\n');
+
+            const run = await runSandboxed(process.execPath, ['-e', forever], { timeout: 500 });
+            expect(run.violations).to.deep.equal([{
+                type: 'timeout',
+                message: 'Killed after exceeding the 500ms time limit',
+                limit: 500
+            }]);
+            expect(isRunning(Number(run.stdout.trim()))).to.equal(false);
+
+            const controller = new AbortController();
+            setTimeout(() => controller.abort(), 200);
+            let error;
+            try {
+                await runSandboxed(process.execPath, ['-e', forever], { signal: controller.signal });
+            } catch (caught) {
+                error = caught;
+            }
+            expect(error).to.have.property('name', 'AbortError');
+        });
+
+        it('should enforce CPU, memory and output limits', async function () {
+            if (process.platform === 'win32') this.skip();
+            this.timeout(20000);
+
+            const types = async (script, options) => (await runSandboxed(process.execPath, ['-e', script], options))
+                .violations.map(violation => violation.type);
+
+            expect(await types('while (true) {}', { cpuTime: 1 })).to.deep.equal(['cpu']);
+            expect(await types('const a = []; while (true) a.push(new Array(1e5).fill(1));', { memory: 32 })).to.deep.equal(['memory']);
+
+            const run = await runSandboxed(process.execPath, ['-e', 'setInterval(() => process.stdout.write("x".repeat(1000)), 1);'], {
+                maxOutput: 5000
+            });
+            expect(run.stdout).to.have.length(5000);
+            expect(run.violations.map(violation => violation.type)).to.deep.equal(['output']);
+        });
+
+        it('should kill the test run when the gate is cancelled', async () => {
+            const gate = new TestRunnerGate({ runner: 'node' });
+            const controller = new AbortController();
+            setTimeout(() => controller.abort(), 500);
+            const started = Date.now();
+
+            const result = await gate.run([
+                "const test = require('node:test');",
+                "test('never ends', () => new Promise(() => setInterval(() => {}, 1000)));"
+            ].join('\n'), { fileName: 'hang.test.js', signal: controller.signal });
+
+            expect(result.status).to.equal('cancelled');
+            expect(Date.now() - started).to.be.below(5000);
+        });
+
+        it('should report network access as a sandbox violation', async () => {
+            const gate = new TestRunnerGate({ runner: 'node', sandbox: { network: false } });
+
+            const result = await gate.execute([
+                "const test = require('node:test');",
+                "const assert = require('assert');",
+                "const net = require('net');",
+                "test('phones home', () => {",
+                "    assert.throws(() => require('http').get('http://example.com/track'), { code: 'ERR_NETWORK_DENIED' });",
+                '});',
+                "test('uses loopback', (t, done) => {",
+                "    const server = net.createServer(socket => socket.end('hi')).listen(0, '127.0.0.1', () => {",
+                "        net.connect(server.address().port, '127.0.0.1').on('data', () => server.close(done));",
+                '    });',
+                '});'
+            ].join('\n'), { fileName: 'net.test.js' });
+
+            expect(result.status).to.equal('fail');
+            expect(result.stats).to.include({ total: 2, passed: 2 });
+            expect(result.issues).to.have.length(1);
+            expect(result.issues[0]).to.include({
+                rule: 'sandbox-violation',
+                violation: 'network',
+                message: 'Test run: Network access to example.com:80 was blocked',
+                host: 'example.com',
+                port: 80
+            });
+            expect(result.issues[0].details).to.match(/net\.test\.js:5:/);
+        });
+    });
+});
@@ -0,0 +1,156 @@
+const { expect } = require('chai');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const TypeScriptGate = require('../src/gates/TypeScriptGate');
+const TestRunnerGate = require('../src/gates/TestRunnerGate');
+const { resolveTranspiler } = require('../src/TypeScriptSupport');
+
+// Stand-in for typescript/bin/tsc: prints canned diagnostics, and records the arguments it got
+// and what it sees of the files named in FAKE_TSC_READ
+const FAKE_TSC = `
+const fs = require('fs');
+const read = (process.env.FAKE_TSC_READ || '').split(',').filter(Boolean);
+fs.writeFileSync(require('path').join(__dirname, 'args.json'), JSON.stringify({
+    args: process.argv.slice(2),
+    cwd: process.cwd(),
+    files: Object.fromEntries(read.map(file => [file, fs.readFileSync(file, 'utf8')]))
+}));
+process.stdout.write(process.env.FAKE_TSC_OUTPUT || '');
+process.exitCode = process.env.FAKE_TSC_OUTPUT ? 2 : 0;
+`;
+
+describe('TypeScriptGate', () => {
+    let root;
+
+    const install = async (request, content) => {
+        const file = path.join(root, 'node_modules', request);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, content);
+    };
+    const tscArgs = async () => JSON.parse(await fs.readFile(path.join(root, 'node_modules/typescript/bin/args.json'), 'utf8'));
+
+    beforeEach(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'ts-gate-'));
+    });
+
+    afterEach(async () => {
+        delete process.env.FAKE_TSC_OUTPUT;
+        delete process.env.FAKE_TSC_READ;
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    it('should parse tsc diagnostics including continuation lines', () => {
+        const issues = TypeScriptGate.parseDiagnostics([
+            "src/a.ts(3,7): error TS2322: Type 'string' is not assignable to type 'number'.",
+            "src/b.ts(10,1): error TS2345: Argument of type '{ a: string; }' is not assignable to parameter of type 'Props'.",
+            "  Property 'b' is missing in type '{ a: string; }' but required in type 'Props'.",
+            "error TS5083: Cannot read file '/repo/tsconfig.base.json'."
+        ].join('\n'), '/repo');
+
+        expect(issues.map(i => [i.file, i.line, i.column, i.rule])).to.deep.equal([
+            ['src/a.ts', 3, 7, 'TS2322'],
+            ['src/b.ts', 10, 1, 'TS2345'],
+            [undefined, 1, 1, 'TS5083']
+        ]);
+        expect(issues[1].message).to.match(/parameter of type 'Props'\.\nProperty 'b' is missing/);
+    });
+
+    it('should type-check a code string in an overlay of the project', async () => {
+        await install('typescript/bin/tsc', FAKE_TSC);
+        await fs.mkdir(path.join(root, 'src'));
+        await fs.writeFile(path.join(root, 'src/math.ts'), 'export const add = (a: number, b: number) => a + b;\n');
+        process.env.FAKE_TSC_OUTPUT = [
+            "src/util.ts(2,5): error TS2322: Type 'string' is not assignable to type 'number'.",
+            "src/math.ts(1,1): error TS7006: Parameter 'x' implicitly has an 'any' type."
+        ].join('\n');
+        process.env.FAKE_TSC_READ = 'src/util.ts,src/math.ts,node_modules/typescript/bin/tsc';
+
+        const code = "import { add } from './math';\nlet n: number = 'x';";
+        const result = await new TypeScriptGate().execute(code, { projectPath: root, fileName: 'src/util.js' });
+
+        expect(result.status).to.equal('fail');
+        expect(result.issues).to.have.length(1);
+        expect(result.issues[0]).to.include({ file: 'src/util.js', line: 2, column: 5, rule: 'TS2322', severity: 'error' });
+        expect(result.stats).to.include({ otherFileDiagnostics: 1 });
+        const { args, cwd, files } = await tscArgs();
+        expect(args).to.include.members(['--noEmit', '--strict', 'src/util.ts']);
+        expect(cwd).to.not.equal(root);
+        // Project modules and node_modules are there next to the checked file
+        expect(files['src/util.ts']).to.equal(code);
+        expect(files['src/math.ts']).to.contain('export const add');
+        expect(files['node_modules/typescript/bin/tsc']).to.equal(FAKE_TSC);
+        expect(await fs.readdir(path.join(root, 'src'))).to.deep.equal(['math.ts']);
+    });
+
+    it('should check the project and keep diagnostics for files in the map', async () => {
+        await install('typescript/bin/tsc', FAKE_TSC);
+        await fs.writeFile(path.join(root, 'tsconfig.json'), '{}');
+        process.env.FAKE_TSC_OUTPUT = [
+            "src/changed.ts(1,1): error TS2304: Cannot find name 'foo'.",
+            "src/legacy.ts(4,2): error TS7006: Parameter 'x' implicitly has an 'any' type."
+        ].join('\n');
+
+        const result = await new TypeScriptGate().execute({ 'src/changed.ts': 'foo();' }, { projectPath: root });
+
+        expect(result.issues.map(i => i.file)).to.deep.equal(['src/changed.ts']);
+        expect(result.stats).to.include({ errors: 1, otherFileDiagnostics: 1 });
+        const { args, cwd } = await tscArgs();
+        expect(cwd).to.not.equal(root);
+        expect(args).to.deep.equal(['--noEmit', '--pretty', 'false', '-p', path.join(cwd, 'tsconfig.json')]);
+    });
+
+    it('should check the file map contents, not the files on disk', async () => {
+        await install('typescript/bin/tsc', FAKE_TSC);
+        await fs.writeFile(path.join(root, 'tsconfig.json'), '{}');
+        await fs.mkdir(path.join(root, 'src'));
+        await fs.writeFile(path.join(root, 'src/math.ts'), 'export function add(a: number, b: number): number { return a + b; }\n');
+        process.env.FAKE_TSC_READ = 'src/math.ts';
+
+        const changed = 'export function add(a: number, b: number): number { return "oops"; }\n';
+        await new TypeScriptGate().execute({ 'src/math.ts': changed }, { projectPath: root });
+
+        expect((await tscArgs()).files['src/math.ts']).to.equal(changed);
+        expect(await fs.readFile(path.join(root, 'src/math.ts'), 'utf8')).to.contain('return a + b');
+    });
+
+    it('should report a missing compiler clearly', async () => {
+        const result = await new TypeScriptGate().execute('const a = 1;', { projectPath: root });
+
+        expect(result.status).to.equal('error');
+        expect(result.error).to.match(/TypeScript compiler not found/);
+        expect(new TypeScriptGate().describeRule('TS2322')).to.include({ id: 'TS2322' });
+    });
+
+    describe('test transpilation', () => {
+        it('should prefer the configured transpiler and fall back to the first installed one', async () => {
+            await install('esbuild-register/index.js', '');
+            await install('esbuild-register/package.json', '{"name":"esbuild-register","main":"index.js"}');
+            await install('tsx/cjs.js', '');
+            await install('tsx/package.json', '{"name":"tsx","exports":{"./cjs":"./cjs.js"}}');
+
+            expect(resolveTranspiler(root, 'mocha')).to.deep.include({ name: 'esbuild-register', kind: 'register' });
+            expect(resolveTranspiler(root, 'mocha', 'tsx').path).to.equal(path.join(root, 'node_modules/tsx/cjs.js'));
+            expect(resolveTranspiler(root, 'jest')).to.equal(null);
+        });
+
+        it('should load the transpiler into the test runner', () => {
+            const gate = new TestRunnerGate();
+
+            expect(gate.transpilerArgs('mocha', { kind: 'register', path: '/deps/ts-node/register/transpile-only.js' }))
+                .to.deep.equal(['--require', '/deps/ts-node/register/transpile-only.js', '--extension', 'ts']);
+            expect(gate.transpilerArgs('jest', { kind: 'transform', path: '/deps/ts-jest/index.js' }))
+                .to.deep.equal(['--transform', '{"^.+\\\\.[cm]?tsx?$":"/deps/ts-jest/index.js"}']);
+        });
+
+        it('should fail TypeScript tests clearly when no transpiler is installed', async () => {
+            const result = await new TestRunnerGate({ runner: 'jest' }).execute('test("a", () => {});', {
+                fileName: 'sum.test.ts',
+                projectPath: root
+            });
+
+            expect(result.status).to.equal('error');
+            expect(result.error).to.equal('No TypeScript transpiler found for jest (install one of ts-jest, @swc/jest, esbuild-jest)');
+        });
+    });
+});
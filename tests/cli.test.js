@@ -0,0 +1,163 @@
+const { expect } = require('chai');
+const { Readable, PassThrough } = require('stream');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { main, parseArgs } = require('../src/cli');
+
+function createIO(input, cwd) {
+    const stdout = new PassThrough();
+    const stderr = new PassThrough();
+    let out = '';
+    let err = '';
+    stdout.on('data', chunk => { out += chunk; });
+    stderr.on('data', chunk => { err += chunk; });
+
+    return {
+        io: { stdin: Readable.from([input || '']), stdout, stderr, cwd: cwd || process.cwd() },
+        output: () => out,
+        errors: () => err
+    };
+}
+
+describe('cli', () => {
+    describe('parseArgs', () => {
+        it('should split command, positionals and options', () => {
+            const parsed = parseArgs(['run', 'src', '--gates=eslint,security', '--exclude', 'a', '--exclude', 'b', '--parallel']);
+
+            expect(parsed.command).to.equal('run');
+            expect(parsed.positionals).to.deep.equal(['src']);
+            expect(parsed.options).to.deep.equal({ gates: 'eslint,security', exclude: ['a', 'b'], parallel: true });
+        });
+    });
+
+    describe('run', () => {
+        it('should exit 0 when every gate passes', async () => {
+            const { io, output } = createIO('const a = 1;\n');
+
+            const code = await main(['run', '--gates', 'security'], io);
+
+            expect(code).to.equal(0);
+            expect(output()).to.contain('PASSED');
+        });
+
+        it('should exit 1 and print issues when a gate fails', async () => {
+            const { io, output } = createIO('eval(input);\n');
+
+            const code = await main(['run', '--gates', 'security', '--stdin-filename', 'agent.js'], io);
+
+            expect(code).to.equal(1);
+            expect(output()).to.contain('agent.js:1:1');
+        });
+
+        it('should emit the summary as JSON', async () => {
+            const { io, output } = createIO('const a = 1;\n');
+
+            await main(['run', '--gates', 'complexity', '--format', 'json'], io);
+
+            expect(JSON.parse(output()).overallStatus).to.equal('passed');
+        });
+
+        it('should run over files in a directory', async () => {
+            const root = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-run-'));
+            try {
+                await fs.writeFile(path.join(root, 'bad.js'), 'eval(x);\n');
+                const { io, output } = createIO('', root);
+
+                const code = await main(['run', '.', '--gates', 'security', '--format', 'json'], io);
+
+                expect(code).to.equal(1);
+                expect(Object.keys(JSON.parse(output()).files)).to.deep.equal(['bad.js']);
+            } finally {
+                await fs.rm(root, { recursive: true, force: true });
+            }
+        });
+
+        it('should exit 2 for unknown gates', async () => {
+            const { io, errors } = createIO('');
+
+            const code = await main(['run', '--gates', 'pylint'], io);
+
+            expect(code).to.equal(2);
+            expect(errors()).to.contain('Unknown quality gate type: pylint');
+        });
+    });
+
+    describe('fix', () => {
+        it('should print fixed stdin code', async () => {
+            const { io, output } = createIO('var message = "hi";\nmodule.exports = message;\n');
+
+            const code = await main(['fix'], io);
+
+            expect(code).to.equal(0);
+            expect(output()).to.contain("const message = 'hi';");
+        });
+
+        it('should print a diff instead of writing files unless --write is given', async () => {
+            const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-fix-'));
+            const file = path.join(dir, 'a.js');
+            await fs.writeFile(file, 'var a = "x";\nmodule.exports = a;\n');
+
+            try {
+                const preview = createIO('', dir);
+                expect(await main(['fix', 'a.js'], preview.io)).to.equal(0);
+                expect(preview.output()).to.equal([
+                    '--- a/a.js',
+                    '+++ b/a.js',
+                    '@@ -1,2 +1,2 @@',
+                    '-var a = "x";',
+                    "+const a = 'x';",
+                    ' module.exports = a;',
+                    ''
+                ].join('\n'));
+                expect(await fs.readFile(file, 'utf8')).to.equal('var a = "x";\nmodule.exports = a;\n');
+
+                const write = createIO('', dir);
+                expect(await main(['fix', 'a.js', '--write'], write.io)).to.equal(0);
+                expect(write.output()).to.equal('fixed a.js (2 fixes)\n');
+                expect(await fs.readFile(file, 'utf8')).to.equal("const a = 'x';\nmodule.exports = a;\n");
+            } finally {
+                await fs.rm(dir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('fix with a config file', () => {
+        it('should fix with the configured gates and their options', async () => {
+            const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-fix-config-'));
+            await fs.mkdir(path.join(dir, '.repochief'));
+            await fs.writeFile(path.join(dir, '.repochief', 'quality.yml'), [
+                'gates:',
+                '  eslint:',
+                '    options:',
+                '      rules:',
+                "        quotes: ['error', 'double']",
+                '  complexity: {}'
+            ].join('\n'));
+
+            try {
+                const { io, output } = createIO("var message = 'hi';\nmodule.exports = message;\n", dir);
+
+                expect(await main(['fix'], io)).to.equal(0);
+                expect(output()).to.contain('const message = "hi";');
+            } finally {
+                await fs.rm(dir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('explain', () => {
+        it('should describe rules from any gate', async () => {
+            const { io, output } = createIO('');
+
+            expect(await main(['explain', 'function-length'], io)).to.equal(0);
+            expect(output()).to.contain('function-length (complexity)');
+        });
+
+        it('should exit 1 for unknown rules', async () => {
+            const { io } = createIO('');
+
+            expect(await main(['explain', 'no-such-rule'], io)).to.equal(1);
+        });
+    });
+});
@@ -0,0 +1,85 @@
+const { expect } = require('chai');
+const ResultReporter = require('../src/ResultReporter');
+
+describe('ResultReporter formatters', () => {
+    const summary = new ResultReporter().generateSummary([
+        {
+            gate: 'eslint',
+            status: 'fail',
+            duration: 1500,
+            issues: [
+                { rule: 'no-var', severity: 'error', message: 'Unexpected var', line: 2, column: 1, file: 'src/a.js' },
+                { rule: 'quotes', severity: 'warning', message: 'Strings must use "singlequote" | <here>', line: 4, column: 9, file: 'src/b.js' }
+            ]
+        },
+        { gate: 'complexity', status: 'pass', duration: 20 },
+        { gate: 'test', status: 'error', error: 'jest not found' }
+    ]);
+
+    it('should list the built-in formats', () => {
+        expect(ResultReporter.getFormatters()).to.include.members(['text', 'json', 'sarif', 'junit', 'checkstyle', 'markdown']);
+    });
+
+    describe('junit', () => {
+        const xml = ResultReporter.format(summary, 'junit');
+
+        it('should emit a testsuite per gate and a failure per issue', () => {
+            expect(xml).to.match(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+            expect(xml).to.contain('<testsuite name="eslint" tests="2" failures="2" errors="0" skipped="0" time="1.500"');
+            expect(xml).to.contain('<testcase classname="eslint.src/a.js" name="no-var at src/a.js:2:1" file="src/a.js">');
+            expect(xml).to.contain('<testcase classname="complexity" name="complexity" time="0.020"/>');
+            expect(xml).to.contain('<error message="jest not found" type="error">jest not found</error>');
+        });
+
+        it('should escape XML special characters', () => {
+            expect(xml).to.contain('message="Strings must use &quot;singlequote&quot; | &lt;here&gt;"');
+        });
+    });
+
+    describe('checkstyle', () => {
+        it('should group issues by file', () => {
+            const xml = ResultReporter.format(summary, 'checkstyle');
+
+            expect(xml).to.contain('<checkstyle version="4.3">');
+            expect(xml).to.contain('<file name="src/a.js">\n    <error line="2" column="1" severity="error" message="Unexpected var" source="repochief.eslint.no-var"/>');
+            expect(xml.match(/<file /g)).to.have.lengthOf(2);
+        });
+    });
+
+    describe('markdown', () => {
+        const markdown = ResultReporter.format(summary, 'markdown');
+
+        it('should render an overview table', () => {
+            expect(markdown).to.contain('## ❌ Quality gates failed');
+            expect(markdown).to.contain('| eslint | ❌ failed | 1 | 1 | 2 |');
+        });
+
+        it('should render collapsible sections only for gates with findings', () => {
+            expect(markdown.match(/<details>/g)).to.have.lengthOf(2);
+            expect(markdown).to.contain('<summary>❌ <b>eslint</b> — 2 issues</summary>');
+            expect(markdown).to.contain('| warning | `src/b.js:4:9` | `quotes` | Strings must use "singlequote" \\| <here> |');
+            expect(markdown).to.not.contain('<b>complexity</b>');
+        });
+    });
+
+    describe('registerFormatter', () => {
+        afterEach(() => {
+            ResultReporter.formatters.delete('count');
+        });
+
+        it('should make custom formats available by name', () => {
+            ResultReporter.registerFormatter('count', (s, options) => `${options.prefix}${s.total}`);
+
+            expect(ResultReporter.hasFormatter('count')).to.equal(true);
+            expect(ResultReporter.format(summary, 'count', { prefix: 'gates=' })).to.equal('gates=3');
+        });
+
+        it('should reject non-function formatters', () => {
+            expect(() => ResultReporter.registerFormatter('bad', 'nope')).to.throw(/must be a function/);
+        });
+
+        it('should throw for unknown formats', () => {
+            expect(() => ResultReporter.format(summary, 'yaml')).to.throw(/Unknown report format: yaml/);
+        });
+    });
+});
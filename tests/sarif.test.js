@@ -0,0 +1,58 @@
+const { expect } = require('chai');
+const ResultReporter = require('../src/ResultReporter');
+const { SARIF_VERSION } = require('../src/formatters/sarif');
+
+describe('SARIF formatter', () => {
+    const reporter = new ResultReporter();
+    const summary = reporter.generateSummary([
+        {
+            gate: 'eslint',
+            status: 'fail',
+            issues: [
+                { rule: 'no-var', severity: 'error', message: 'Unexpected var', line: 2, column: 1, file: 'src/a.js' },
+                { rule: 'no-var', severity: 'error', message: 'Unexpected var', line: 5, column: 3, file: 'src/b.js' },
+                { rule: 'semi', severity: 'warning', message: 'Missing semicolon', line: 0, column: 0 }
+            ]
+        },
+        { gate: 'complexity', status: 'pass' },
+        { gate: 'test', status: 'error', error: 'jest not found' }
+    ]);
+
+    it('should emit one run per gate with a tool.driver', () => {
+        const sarif = ResultReporter.formatSarif(summary);
+
+        expect(sarif.version).to.equal(SARIF_VERSION);
+        expect(sarif.runs.map(run => run.tool.driver.name)).to.deep.equal(['eslint', 'complexity', 'test']);
+    });
+
+    it('should deduplicate rule descriptors and index results to them', () => {
+        const [eslintRun] = ResultReporter.formatSarif(summary, {
+            describeRule: (gate, ruleId) => (ruleId === 'no-var' ? { description: 'Require let or const', url: 'https://eslint.org/docs/latest/rules/no-var' } : null)
+        }).runs;
+
+        expect(eslintRun.tool.driver.rules.map(rule => rule.id)).to.deep.equal(['no-var', 'semi']);
+        expect(eslintRun.tool.driver.rules[0]).to.include({ helpUri: 'https://eslint.org/docs/latest/rules/no-var' });
+        expect(eslintRun.tool.driver.rules[1].shortDescription.text).to.equal('Missing semicolon');
+        expect(eslintRun.results.map(result => result.ruleIndex)).to.deep.equal([0, 0, 1]);
+        expect(eslintRun.results[1].locations[0].physicalLocation).to.deep.equal({
+            artifactLocation: { uri: 'src/b.js', uriBaseId: '%SRCROOT%' },
+            region: { startLine: 5, startColumn: 3 }
+        });
+    });
+
+    it('should map severities to SARIF levels and omit empty regions', () => {
+        const [eslintRun] = ResultReporter.formatSarif(summary, { fileName: 'stdin.js' }).runs;
+        const semi = eslintRun.results[2];
+
+        expect(semi.level).to.equal('warning');
+        expect(semi.locations[0].physicalLocation).to.not.have.property('region');
+        expect(semi.locations[0].physicalLocation.artifactLocation.uri).to.equal('stdin.js');
+    });
+
+    it('should record gate errors as tool execution notifications', () => {
+        const testRun = ResultReporter.formatSarif(summary).runs[2];
+
+        expect(testRun.invocations[0].executionSuccessful).to.equal(false);
+        expect(testRun.invocations[0].toolExecutionNotifications[0].message.text).to.equal('jest not found');
+    });
+});